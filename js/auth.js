@@ -0,0 +1,170 @@
+/**
+ * Auth Module
+ * Keeps the session token and attaches it to every API call
+ */
+
+const Auth = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    tokenKey: 'kustomproject_token',
+    userKey: 'kustomproject_user',
+
+    /**
+     * Get the stored session token
+     */
+    getToken() {
+        return localStorage.getItem(this.tokenKey);
+    },
+
+    /**
+     * Get the stored user profile
+     */
+    getUser() {
+        try {
+            return JSON.parse(localStorage.getItem(this.userKey));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Check whether the current user has one of the given roles (owners always do)
+     */
+    hasRole(...roles) {
+        const user = this.getUser();
+        return !!user && (user.role === 'owner' || roles.includes(user.role));
+    },
+
+    clearSession() {
+        localStorage.removeItem(this.tokenKey);
+        localStorage.removeItem(this.userKey);
+    },
+
+    /**
+     * Log in and store the session
+     */
+    async login(username, password) {
+        const response = await fetch(`${this.baseURL}/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        localStorage.setItem(this.tokenKey, result.data.token);
+        localStorage.setItem(this.userKey, JSON.stringify(result.data.user));
+        return result.data.user;
+    },
+
+    /**
+     * Revoke the session on the server and go back to the login page
+     */
+    async logout() {
+        try {
+            await this.fetch(`${this.baseURL}/auth/logout`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        } finally {
+            this.clearSession();
+            window.location.href = 'login.html';
+        }
+    },
+
+    /**
+     * Redirect to the login page, remembering where we came from
+     */
+    redirectToLogin() {
+        const next = encodeURIComponent(window.location.pathname.split('/').pop() + window.location.search);
+        window.location.href = `login.html?next=${next}`;
+    },
+
+    /**
+     * fetch() with the Authorization header; a 401 clears the session and redirects to login
+     */
+    async fetch(url, options = {}) {
+        const token = this.getToken();
+        const headers = {
+            ...(options.headers || {}),
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+        };
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401) {
+            this.clearSession();
+            this.redirectToLogin();
+        }
+
+        return response;
+    },
+
+    /**
+     * New value for an Idempotency-Key header; reuse it when resubmitting the same form
+     * @returns {string} Unique key
+     */
+    createIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    },
+
+    /**
+     * Ensure there is a valid session (and optionally one of the given roles)
+     * @returns {Promise<Object|null>} Current user, or null when redirecting away
+     */
+    async requireLogin(roles = []) {
+        if (!this.getToken()) {
+            this.redirectToLogin();
+            return null;
+        }
+
+        try {
+            const response = await this.fetch(`${this.baseURL}/auth/me`);
+            if (!response.ok) return null;
+
+            const result = await response.json();
+            localStorage.setItem(this.userKey, JSON.stringify(result.data));
+
+            if (roles.length > 0 && !this.hasRole(...roles)) {
+                alert('Anda tidak memiliki akses ke halaman ini.');
+                window.location.href = 'index.html';
+                return null;
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error checking session:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Show "logged in as" and a logout link inside the given element
+     */
+    renderUserMenu(elementId) {
+        const container = document.getElementById(elementId);
+        const user = this.getUser();
+        if (!container || !user) return;
+
+        container.innerHTML = `
+            Masuk sebagai <span class="font-semibold">${user.name}</span> (${user.role})
+            · <button type="button" class="text-blue-600 hover:underline" onclick="Auth.logout()">Keluar</button>
+        `;
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.Auth = Auth;
+}
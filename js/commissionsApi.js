@@ -0,0 +1,142 @@
+/**
+ * Commissions API Module
+ * Handles all API calls for commission statements, rules, target tiers and payout runs
+ */
+
+const CommissionsAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Commission statement per sales PIC
+     * @param {Object} filters - { startDate, endDate, pic }
+     */
+    async getStatements(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+            if (filters.pic) params.append('pic', filters.pic);
+
+            const response = await Auth.fetch(`${this.baseURL}/commissions?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting commissions:', error);
+            throw error;
+        }
+    },
+
+    async getRules() {
+        return this.get('rules');
+    },
+
+    async createRule(data) {
+        return this.send('POST', 'rules', data, 'creating commission rule');
+    },
+
+    async updateRule(id, data) {
+        return this.send('PUT', `rules/${id}`, data, 'updating commission rule');
+    },
+
+    async deleteRule(id) {
+        return this.send('DELETE', `rules/${id}`, undefined, 'deleting commission rule');
+    },
+
+    async getTiers() {
+        return this.get('tiers');
+    },
+
+    async createTier(data) {
+        return this.send('POST', 'tiers', data, 'creating commission tier');
+    },
+
+    async updateTier(id, data) {
+        return this.send('PUT', `tiers/${id}`, data, 'updating commission tier');
+    },
+
+    async deleteTier(id) {
+        return this.send('DELETE', `tiers/${id}`, undefined, 'deleting commission tier');
+    },
+
+    async getPayoutRuns() {
+        return this.get('payout-runs');
+    },
+
+    async getPayoutRun(id) {
+        return this.get(`payout-runs/${id}`);
+    },
+
+    /**
+     * Pay out a period and lock it
+     * @param {Object} data - { start, end, payment_date, payment_method, note }
+     */
+    async createPayoutRun(data) {
+        return this.send('POST', 'payout-runs', data, 'creating payout run');
+    },
+
+    async cancelPayoutRun(id, reason) {
+        return this.send('POST', `payout-runs/${id}/cancel`, { reason }, 'cancelling payout run');
+    },
+
+    async getPayout(id) {
+        return this.get(`payouts/${id}`);
+    },
+
+    async getAdjustments(pendingOnly = true) {
+        return this.get(`adjustments${pendingOnly ? '?pending=true' : ''}`);
+    },
+
+    async get(path) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/commissions/${path}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error getting commission ${path}:`, error);
+            throw error;
+        }
+    },
+
+    async send(method, path, data, action) {
+        try {
+            const options = { method };
+            if (data !== undefined) {
+                options.headers = { 'Content-Type': 'application/json' };
+                options.body = JSON.stringify(data);
+            }
+
+            const response = await Auth.fetch(`${this.baseURL}/commissions/${path}`, options);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CommissionsAPI = CommissionsAPI;
+}
@@ -0,0 +1,126 @@
+/**
+ * Custom Orders API Module
+ * Handles all API calls for custom (kustom) order jobs
+ */
+
+const CustomOrdersAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get custom order jobs
+     * @param {Object} filters - { status, activeOnly, search }
+     */
+    async getOrders(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.status) params.append('status', filters.status);
+            if (filters.activeOnly) params.append('active_only', 'true');
+            if (filters.search) params.append('search', filters.search);
+
+            const response = await Auth.fetch(`${this.baseURL}/orders?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting custom orders:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a job with its items, status history and allowed statuses
+     */
+    async getOrder(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/orders/${id}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting custom order:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a job
+     * @param {Object} data - { customer_name, customer_phone, title, specs, design_files, quote_amount,
+     *   deposit_amount, deposit_payment_method, deposit_paid_at, due_date, note, items: [{ variant_id, qty, unit_price }] }
+     */
+    async createOrder(data) {
+        return this.write(`${this.baseURL}/orders`, 'POST', data, 'Error creating custom order:');
+    },
+
+    /**
+     * Update a job (items only while DESIGN or APPROVED)
+     */
+    async updateOrder(id, data) {
+        return this.write(`${this.baseURL}/orders/${id}`, 'PUT', data, 'Error updating custom order:');
+    },
+
+    /**
+     * Move a job to another production status, or cancel it
+     */
+    async changeStatus(id, status, note = null) {
+        return this.write(`${this.baseURL}/orders/${id}/status`, 'POST', { status, note }, 'Error changing custom order status:');
+    },
+
+    /**
+     * Deliver a READY job: records the sale and takes the blanks out of stock
+     * @param {Object} data - { payment_method, staff_id, allow_backorder }
+     * @param {string|null} idempotencyKey - Same key for retries of one delivery
+     */
+    async completeOrder(id, data, idempotencyKey = null) {
+        return this.write(`${this.baseURL}/orders/${id}/complete`, 'POST', data, 'Error completing custom order:', idempotencyKey);
+    },
+
+    /**
+     * Send a write and return its data; failures keep the API error code and stock errors
+     */
+    async write(url, method, data, logMessage, idempotencyKey = null) {
+        try {
+            const response = await Auth.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                const error = new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+                error.code = result.code;
+                error.suggestedAdjustment = result.suggested_adjustment;
+                error.stockErrors = result.stock_errors || [];
+                throw error;
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(logMessage, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CustomOrdersAPI = CustomOrdersAPI;
+}
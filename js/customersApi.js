@@ -0,0 +1,209 @@
+/**
+ * Customers API Module
+ * Handles all API calls for customers, their purchase history, loyalty points and member tiers,
+ * and the new vs returning report
+ */
+
+const CustomersAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get customers with sale count, spend and last purchase
+     * @param {Object} filters - { q (name, phone or Instagram), activeOnly }
+     */
+    async getCustomers(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.q) params.append('q', filters.q);
+            if (filters.activeOnly) params.append('active_only', 'true');
+
+            const response = await Auth.fetch(`${this.baseURL}/customers?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting customers:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a customer with summary, favourite products/sizes, transactions and custom orders
+     */
+    async getCustomer(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/customers/${id}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting customer:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a customer
+     * @param {Object} data - { name, phone, instagram, address, notes }
+     */
+    async createCustomer(data) {
+        return this.write(`${this.baseURL}/customers`, 'POST', data, 'Error creating customer:');
+    },
+
+    /**
+     * Update a customer (send is_active: false to deactivate)
+     */
+    async updateCustomer(id, data) {
+        return this.write(`${this.baseURL}/customers/${id}`, 'PUT', data, 'Error updating customer:');
+    },
+
+    /**
+     * Points balance, member tier and points ledger of a customer
+     * @returns {Promise<Object>} { points_balance, lifetime_points, points_value, tier, next_tier, price_level, settings, ledger }
+     */
+    async getPoints(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/customers/${id}/points`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting customer points:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Member tiers with the points rates
+     * @returns {Promise<Object>} { tiers, settings, price_levels }
+     */
+    async getTiers() {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/customers/tiers`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return { tiers: result.data, ...result.meta };
+
+        } catch (error) {
+            console.error('Error getting member tiers:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a member tier
+     * @param {Object} data - { name, min_points, price_level }
+     */
+    async createTier(data) {
+        return this.write(`${this.baseURL}/customers/tiers`, 'POST', data, 'Error creating member tier:');
+    },
+
+    /**
+     * Update a member tier (send is_active: false to deactivate)
+     */
+    async updateTier(id, data) {
+        return this.write(`${this.baseURL}/customers/tiers/${id}`, 'PUT', data, 'Error updating member tier:');
+    },
+
+    /**
+     * Label of a tier price level (the promo whose prices members pay)
+     */
+    priceLevelLabel(priceLevel) {
+        return { price_b1g1: 'Harga B1G1', price_random: 'Harga Random' }[priceLevel] || 'Harga normal';
+    },
+
+    /**
+     * New vs returning customers per month
+     * @param {Object} filters - { startDate, endDate }
+     */
+    async getMonthlyReport(filters = {}) {
+        try {
+            const params = new URLSearchParams({ start: filters.startDate, end: filters.endDate });
+
+            const response = await Auth.fetch(`${this.baseURL}/customers/reports/monthly?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting customer report:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fill customer <select>s with active customers; the first option leaves the customer empty
+     * @param {Array<string>} selectIds - Element IDs of the selects
+     */
+    async populateCustomerSelects(selectIds) {
+        const customers = await this.getCustomers({ activeOnly: true });
+        const options = '<option value="">Tanpa pelanggan</option>' + customers
+            .map(customer => {
+                const contact = customer.phone || (customer.instagram ? `@${customer.instagram}` : '');
+                return `<option value="${customer.id}">${customer.name}${contact ? ` (${contact})` : ''}</option>`;
+            })
+            .join('');
+
+        selectIds.forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = options;
+        });
+
+        return customers;
+    },
+
+    async write(url, method, data, logMessage) {
+        try {
+            const response = await Auth.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(logMessage, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CustomersAPI = CustomersAPI;
+}
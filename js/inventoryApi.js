@@ -21,7 +21,7 @@ const InventoryAPI = {
             if (filters.q) params.append('q', filters.q);
             if (filters.onlyAvailable) params.append('only_available', 'true');
 
-            const response = await fetch(`${this.baseURL}/inventory/tree?${params}`);
+            const response = await Auth.fetch(`${this.baseURL}/inventory/tree?${params}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -41,7 +41,7 @@ const InventoryAPI = {
      */
     async getInventoryStats() {
         try {
-            const response = await fetch(`${this.baseURL}/inventory/stats`);
+            const response = await Auth.fetch(`${this.baseURL}/inventory/stats`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -61,7 +61,7 @@ const InventoryAPI = {
      */
     async getLocations() {
         try {
-            const response = await fetch(`${this.baseURL}/inventory/locations`);
+            const response = await Auth.fetch(`${this.baseURL}/inventory/locations`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -85,7 +85,7 @@ const InventoryAPI = {
             if (query) params.append('q', query);
             if (limit) params.append('limit', limit);
 
-            const response = await fetch(`${this.baseURL}/inventory/variants/search?${params}`);
+            const response = await Auth.fetch(`${this.baseURL}/inventory/variants/search?${params}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -115,7 +115,7 @@ const InventoryAPI = {
             if (params.toDate) urlParams.append('to', params.toDate);
             if (params.limit) urlParams.append('limit', params.limit);
 
-            const response = await fetch(`${this.baseURL}/stock/card?${urlParams}`);
+            const response = await Auth.fetch(`${this.baseURL}/stock/card?${urlParams}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -135,7 +135,7 @@ const InventoryAPI = {
      */
     async createMovement(data) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/movements`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/movements`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -162,7 +162,7 @@ const InventoryAPI = {
      */
     async transferStock(data) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/transfer`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/transfer`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -189,7 +189,7 @@ const InventoryAPI = {
      */
     async startOpname(data) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/opname/start`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/opname/start`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -222,7 +222,7 @@ const InventoryAPI = {
             if (filters.locationId) params.append('location_id', filters.locationId);
             if (filters.limit) params.append('limit', filters.limit);
 
-            const response = await fetch(`${this.baseURL}/stock/opname?${params}`);
+            const response = await Auth.fetch(`${this.baseURL}/stock/opname?${params}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -242,7 +242,7 @@ const InventoryAPI = {
      */
     async getOpnameDetails(opnameId) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/opname/${opnameId}`);
+            const response = await Auth.fetch(`${this.baseURL}/stock/opname/${opnameId}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -262,7 +262,7 @@ const InventoryAPI = {
      */
     async updateOpnameCount(opnameId, data) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/opname/${opnameId}/count`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/opname/${opnameId}/count`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json'
@@ -289,7 +289,7 @@ const InventoryAPI = {
      */
     async commitOpname(opnameId, data) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/opname/${opnameId}/commit`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/opname/${opnameId}/commit`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -326,7 +326,7 @@ const InventoryAPI = {
             if (filters.reasonCode) params.append('reason_code', filters.reasonCode);
             if (filters.limit) params.append('limit', filters.limit);
 
-            const response = await fetch(`${this.baseURL}/stock/movements?${params}`);
+            const response = await Auth.fetch(`${this.baseURL}/stock/movements?${params}`);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -350,7 +350,7 @@ const InventoryAPI = {
             formData.append('file', file);
             formData.append('mode', importMode);
 
-            const response = await fetch(`${this.baseURL}/stock/import-csv`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/import-csv`, {
                 method: 'POST',
                 body: formData
             });
@@ -379,7 +379,7 @@ const InventoryAPI = {
      */
     async deleteInventoryItem(variantId) {
         try {
-            const response = await fetch(`${this.baseURL}/inventory/variant/${variantId}`, {
+            const response = await Auth.fetch(`${this.baseURL}/inventory/variant/${variantId}`, {
                 method: 'DELETE',
                 headers: {
                     'Content-Type': 'application/json'
@@ -410,7 +410,7 @@ const InventoryAPI = {
      */
     async createStockMovement(data) {
         try {
-            const response = await fetch(`${this.baseURL}/stock/movements`, {
+            const response = await Auth.fetch(`${this.baseURL}/stock/movements`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
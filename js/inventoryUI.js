@@ -10,6 +10,7 @@ class InventoryUI {
         this.expandedRows = new Set();
         this.currentFilters = {};
         this.selectedItems = new Set();
+        this.valuation = null;
         
         this.init();
     }
@@ -25,6 +26,9 @@ class InventoryUI {
         
         // Setup filters
         await this.setupFilters();
+
+        // Valuation totals (admin only)
+        this.setupValuation();
         
         console.log('✅ Inventory UI initialized');
     }
@@ -245,6 +249,7 @@ class InventoryUI {
             await Promise.all([
                 this.loadInventoryStats(),
                 this.loadLocations(),
+                this.loadStaff(),
                 this.loadInventoryData()
             ]);
 
@@ -270,6 +275,97 @@ class InventoryUI {
         }
     }
 
+    setupValuation() {
+        if (!Auth.hasRole('admin')) return;
+
+        document.getElementById('valuationSection').classList.remove('hidden');
+        document.getElementById('valuationAsOf').value = new Date().toISOString().split('T')[0];
+
+        const locationSelect = document.getElementById('valuationLocation');
+        this.locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = `${location.name} (${location.code})`;
+            locationSelect.appendChild(option);
+        });
+
+        document.getElementById('loadValuationBtn').addEventListener('click', () => {
+            this.loadValuation();
+        });
+        document.getElementById('exportValuationBtn').addEventListener('click', () => {
+            this.exportValuation();
+        });
+
+        this.loadValuation();
+    }
+
+    async loadValuation() {
+        const button = document.getElementById('loadValuationBtn');
+        button.disabled = true;
+
+        try {
+            this.valuation = await ReportsAPI.getValuation({
+                asOf: document.getElementById('valuationAsOf').value,
+                locationId: document.getElementById('valuationLocation').value,
+                method: document.getElementById('valuationMethod').value
+            });
+
+            const { totals, locations, method, as_of } = this.valuation;
+            document.getElementById('valuationTotalValue').textContent = `Rp ${Math.round(totals.value).toLocaleString()}`;
+            document.getElementById('valuationMethodLabel').textContent = `${method === 'FIFO' ? 'FIFO' : 'Rata-rata'} per ${as_of}`;
+            document.getElementById('valuationTotalQty').textContent = totals.qty.toLocaleString();
+            document.getElementById('valuationVariantCount').textContent = `${totals.variant_count} varian`;
+            document.getElementById('valuationLocations').innerHTML = locations.length === 0 ? '-' : locations.map(location => `
+                <div class="flex justify-between">
+                    <span>${location.location_name || '-'}</span>
+                    <span class="font-medium">Rp ${Math.round(location.value).toLocaleString()}</span>
+                </div>
+            `).join('');
+            document.getElementById('exportValuationBtn').disabled = false;
+
+        } catch (error) {
+            console.error('❌ Error loading valuation:', error);
+            alert('Gagal menghitung nilai persediaan: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    exportValuation() {
+        if (!this.valuation) return;
+
+        const { variants, locations, products, totals, as_of, method } = this.valuation;
+        const workbook = XLSX.utils.book_new();
+
+        const variantRows = variants.map(row => ({
+            'Produk': row.product_name,
+            'Warna': row.color_name,
+            'Ukuran': row.size_name,
+            'Lokasi': row.location_name,
+            'Qty': row.qty,
+            'Harga Pokok': row.unit_cost,
+            'Nilai': Math.round(row.value)
+        }));
+        variantRows.push({ 'Produk': 'TOTAL', 'Qty': totals.qty, 'Nilai': Math.round(totals.value) });
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(variantRows), 'Per Varian');
+
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(locations.map(row => ({
+            'Lokasi': row.location_name,
+            'Varian': row.variant_count,
+            'Qty': row.qty,
+            'Nilai': Math.round(row.value)
+        }))), 'Per Lokasi');
+
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(products.map(row => ({
+            'Produk': row.product_name,
+            'Varian': row.variant_count,
+            'Qty': row.qty,
+            'Nilai': Math.round(row.value)
+        }))), 'Per Produk');
+
+        XLSX.writeFile(workbook, `nilai-persediaan-${as_of}-${method.toLowerCase()}.xlsx`);
+    }
+
     async loadLocations() {
         try {
             this.locations = await InventoryAPI.getLocations();
@@ -281,6 +377,15 @@ class InventoryUI {
         }
     }
 
+    async loadStaff() {
+        try {
+            await StaffAPI.populatePICSelects(['movementPic', 'bulkMovementPic', 'bulkTransferPic', 'bulkAdjustPic']);
+
+        } catch (error) {
+            console.error('❌ Error loading staff:', error);
+        }
+    }
+
     async loadInventoryData() {
         this.showLoading();
         
@@ -395,6 +500,16 @@ class InventoryUI {
                 <span class="text-lg font-semibold ${productColor.total_qty > 0 ? 'text-green-600' : 'text-red-600'}">
                     ${productColor.total_qty}
                 </span>
+                ${productColor.total_reserved > 0 ? `
+                    <div class="text-xs text-orange-600">
+                        ${productColor.total_reserved} dipesan · ${productColor.total_available} tersedia
+                    </div>
+                ` : ''}
+                ${productColor.qty_incoming > 0 ? `
+                    <div class="text-xs text-blue-600" title="${(productColor.incoming_sizes || []).map(size => `${size.size_name}: ${size.qty_incoming}`).join(', ')}">
+                        +${productColor.qty_incoming} masuk (PO)
+                    </div>
+                ` : ''}
             </td>
             <td class="px-4 py-4">
                 <div class="text-sm text-gray-600">
@@ -444,6 +559,9 @@ class InventoryUI {
                 <span class="text-md font-medium ${location.total_qty > 0 ? 'text-green-600' : 'text-gray-400'}">
                     ${location.total_qty}
                 </span>
+                ${location.total_reserved > 0 ? `
+                    <div class="text-xs text-orange-600">${location.total_reserved} dipesan</div>
+                ` : ''}
             </td>
             <td class="px-4 py-3">
                 <div class="flex flex-wrap">
@@ -456,7 +574,7 @@ class InventoryUI {
                             <span onclick="inventoryUI.showStockCard(${productColor.product_id}, ${productColor.color_id}, ${size.size_id}, ${location.location_id})"
                                   class="cursor-pointer" 
                                   title="Click to view stock card">
-                                ${size.size_name}: ${size.qty_on_hand}
+                                ${size.size_name}: ${size.qty_on_hand}${size.qty_reserved > 0 ? ` <span class="text-xs text-orange-600" title="Dipesan (reservasi)">(-${size.qty_reserved})</span>` : ''}
                             </span>
                             <button class="delete-btn text-red-600 hover:text-red-800 text-xs ml-2 p-1 rounded" 
                                     onclick="inventoryUI.deleteItem('${size.variant_id}')"
@@ -696,6 +814,7 @@ class InventoryUI {
         const reasons = {
             'IN': [
                 { value: 'OVERPROD_IN', text: 'Overproduction' },
+                { value: 'PURCHASE_IN', text: 'Purchase' },
                 { value: 'RETURN_IN', text: 'Return' },
                 { value: 'ADJUSTMENT_IN', text: 'Adjustment In' },
                 { value: 'TRANSFER_IN', text: 'Transfer In' }
@@ -743,8 +862,7 @@ class InventoryUI {
                 qty: parseInt(document.getElementById('movementQty').value),
                 unit_cost: document.getElementById('unitCost').value ? parseFloat(document.getElementById('unitCost').value) : null,
                 note: document.getElementById('movementNote').value,
-                pic: document.getElementById('movementPic').value,
-                created_by: document.getElementById('movementPic').value
+                staff_id: parseInt(document.getElementById('movementPic').value) || null
             };
 
             if (!data.variant_id || !data.location_id || !data.qty) {
@@ -1259,7 +1377,7 @@ class InventoryUI {
         const movementType = document.getElementById('bulkMovementType').value;
         const reasonCode = document.getElementById('bulkReasonCode').value;
         const note = document.getElementById('bulkMovementNote').value;
-        const pic = document.getElementById('bulkMovementPic').value;
+        const staffId = parseInt(document.getElementById('bulkMovementPic').value) || null;
 
         if (!location || !movementType || !reasonCode) {
             this.showNotification('Please fill in all required fields', 'error');
@@ -1285,7 +1403,7 @@ class InventoryUI {
                         reason_code: reasonCode,
                         qty,
                         note: `${note} (Bulk operation)`,
-                        pic
+                        staff_id: staffId
                     });
 
                     successCount++;
@@ -1316,7 +1434,7 @@ class InventoryUI {
         const fromLocation = document.getElementById('bulkFromLocation').value;
         const toLocation = document.getElementById('bulkToLocation').value;
         const note = document.getElementById('bulkTransferNote').value;
-        const pic = document.getElementById('bulkTransferPic').value;
+        const staffId = parseInt(document.getElementById('bulkTransferPic').value) || null;
 
         if (!fromLocation || !toLocation) {
             this.showNotification('Please select both locations', 'error');
@@ -1347,7 +1465,7 @@ class InventoryUI {
                         to_location_id: parseInt(toLocation),
                         qty,
                         note: `${note} (Bulk transfer)`,
-                        pic
+                        staff_id: staffId
                     });
 
                     successCount++;
@@ -1376,10 +1494,10 @@ class InventoryUI {
 
     async submitBulkAdjustment() {
         const reason = document.getElementById('bulkAdjustReason').value;
-        const pic = document.getElementById('bulkAdjustPic').value;
         const note = document.getElementById('bulkAdjustNote').value;
+        const staffId = parseInt(document.getElementById('bulkAdjustPic').value) || null;
 
-        if (!reason || !pic) {
+        if (!reason) {
             this.showNotification('Please fill in all required fields', 'error');
             return;
         }
@@ -1413,7 +1531,7 @@ class InventoryUI {
                         reason_code: reasonCode,
                         qty: Math.abs(difference),
                         note: `${note} (Bulk adjustment: ${currentQty} → ${newQty})`,
-                        pic
+                        staff_id: staffId
                     });
 
                     successCount++;
@@ -1631,6 +1749,10 @@ class InventoryUI {
 }
 
 // Initialize inventory UI when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    const user = await Auth.requireLogin();
+    if (!user) return;
+
+    Auth.renderUserMenu('userMenu');
     window.inventoryUI = new InventoryUI();
 });
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Payables API Module
+ * Handles all API calls for supplier invoices, their payments and aging
+ */
+
+const PayablesAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get supplier invoices
+     * @param {Object} filters - { supplierId, status, startDate, endDate }
+     */
+    async getInvoices(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.supplierId) params.append('supplier_id', filters.supplierId);
+            if (filters.status) params.append('status', filters.status);
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+
+            const response = await Auth.fetch(`${this.baseURL}/payables/invoices?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting supplier invoices:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get an invoice with its payments
+     */
+    async getInvoice(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/payables/invoices/${id}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting supplier invoice:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a supplier invoice
+     */
+    async createInvoice(data) {
+        return this.post('/payables/invoices', data, 'creating supplier invoice');
+    },
+
+    /**
+     * Pay (part of) an invoice
+     * @param {number} id - Invoice ID
+     * @param {Object} data - { amount, date, payment_method, description }
+     */
+    async recordPayment(id, data) {
+        return this.post(`/payables/invoices/${id}/payments`, data, 'recording supplier payment');
+    },
+
+    /**
+     * Cancel an invoice without payments
+     */
+    async cancelInvoice(id) {
+        return this.post(`/payables/invoices/${id}/cancel`, {}, 'cancelling supplier invoice');
+    },
+
+    /**
+     * Outstanding payables per supplier by days past due
+     * @param {string} asOf - YYYY-MM-DD, defaults to today
+     */
+    async getAging(asOf) {
+        try {
+            const params = new URLSearchParams();
+            if (asOf) params.append('as_of', asOf);
+
+            const response = await Auth.fetch(`${this.baseURL}/payables/aging?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting payables aging:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Total outstanding, overdue and due within 7 days
+     */
+    async getSummary() {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/payables/summary`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting payables summary:', error);
+            throw error;
+        }
+    },
+
+    async post(path, data, action) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PayablesAPI = PayablesAPI;
+}
@@ -0,0 +1,212 @@
+/**
+ * Payment Accounts API Module
+ * Handles all API calls for payment accounts (cash drawer, banks, QRIS, e-wallets), their
+ * balances and running ledgers, and transfers between accounts
+ */
+
+const PaymentAccountsAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    // payment_method of a sale split across several accounts
+    SPLIT_CODE: 'SPLIT',
+
+    /**
+     * Get payment accounts
+     * @param {Object} filters - { activeOnly }
+     */
+    async getAccounts(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.activeOnly) params.append('active_only', 'true');
+
+            const response = await Auth.fetch(`${this.baseURL}/payment-accounts?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting payment accounts:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a payment account
+     * @param {Object} data - { code, name, account_type, opening_balance, sort_order }
+     */
+    async createAccount(data) {
+        return this.write(`${this.baseURL}/payment-accounts`, 'POST', data, 'Error creating payment account:');
+    },
+
+    /**
+     * Update a payment account (send is_active: false to deactivate)
+     */
+    async updateAccount(id, data) {
+        return this.write(`${this.baseURL}/payment-accounts/${id}`, 'PUT', data, 'Error updating payment account:');
+    },
+
+    /**
+     * Balance of every account with its sales, refunds, expenses and transfers
+     * @param {Object} filters - { asOf }
+     * @returns {Promise<Object>} { accounts, total_balance }
+     */
+    async getBalances(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.asOf) params.append('as_of', filters.asOf);
+
+            const response = await Auth.fetch(`${this.baseURL}/payment-accounts/balances?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return { accounts: result.data, total_balance: result.meta.total_balance };
+
+        } catch (error) {
+            console.error('Error getting payment account balances:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Running balance of an account over a period
+     * @param {Object} filters - { startDate, endDate }
+     * @returns {Promise<Object>} { account, opening_balance, entries, total_in, total_out, closing_balance }
+     */
+    async getLedger(id, filters = {}) {
+        try {
+            const params = new URLSearchParams({ start: filters.startDate, end: filters.endDate });
+
+            const response = await Auth.fetch(`${this.baseURL}/payment-accounts/${id}/ledger?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting payment account ledger:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Transfers between accounts
+     * @param {Object} filters - { startDate, endDate, accountId }
+     */
+    async getTransfers(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+            if (filters.accountId) params.append('account_id', filters.accountId);
+
+            const response = await Auth.fetch(`${this.baseURL}/payment-accounts/transfers?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting account transfers:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a transfer between two accounts
+     * @param {Object} data - { date, from_account_id, to_account_id, amount, note }
+     */
+    async createTransfer(data) {
+        return this.write(`${this.baseURL}/payment-accounts/transfers`, 'POST', data, 'Error creating account transfer:');
+    },
+
+    /**
+     * Void a transfer
+     */
+    async voidTransfer(id) {
+        return this.write(`${this.baseURL}/payment-accounts/transfers/${id}/void`, 'POST', {}, 'Error voiding account transfer:');
+    },
+
+    /**
+     * Label of an account type
+     */
+    accountTypeLabel(accountType) {
+        return { CASH: 'Kas', BANK: 'Bank', QRIS: 'QRIS', EWALLET: 'E-Wallet' }[accountType] || accountType;
+    },
+
+    /**
+     * Name of the account behind a payment method code (SPLIT and unknown codes as they are)
+     * @param {Array} accounts - Accounts from getAccounts
+     */
+    methodLabel(accounts, code) {
+        if (code === this.SPLIT_CODE) return 'Split';
+        const account = accounts.find(acc => acc.code === code);
+        return account ? account.name : (code || '-');
+    },
+
+    /**
+     * Fill payment method <select>s with the active accounts (option value is the account code)
+     * @param {Array<string>} selectIds - Element IDs of the selects
+     * @param {Object} options - { placeholder, includeSplit } placeholder adds an empty first
+     *   option; includeSplit adds the SPLIT option for sales
+     */
+    async populatePaymentSelects(selectIds, { placeholder = null, includeSplit = false } = {}) {
+        const accounts = await this.getAccounts({ activeOnly: true });
+        const options = (placeholder ? `<option value="">${placeholder}</option>` : '')
+            + accounts.map(account => `<option value="${account.code}">${account.name}</option>`).join('')
+            + (includeSplit ? `<option value="${this.SPLIT_CODE}">Split (beberapa akun)</option>` : '');
+
+        selectIds.forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = options;
+        });
+
+        return accounts;
+    },
+
+    async write(url, method, data, logMessage) {
+        try {
+            const response = await Auth.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(logMessage, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PaymentAccountsAPI = PaymentAccountsAPI;
+}
@@ -0,0 +1,44 @@
+/**
+ * Pricing API Module
+ * Promo prices come from the server so the form and the API price sales identically
+ */
+
+const PricingAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Quote sale items under a promo type
+     * @param {Object} data - { promo_type, items: [{ product_id, quantity }], manual_price, total }
+     * @returns {Promise<Object>} { lines, subtotal, discount, total, check }
+     */
+    async quote(data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/pricing/quote`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error quoting prices:', error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PricingAPI = PricingAPI;
+}
@@ -0,0 +1,96 @@
+/**
+ * Promotions API Module
+ * Handles all API calls for promotion campaigns and revenue per campaign
+ */
+
+const PromotionsAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get campaigns
+     * @param {Object} filters - { activeOn (YYYY-MM-DD), activeOnly }
+     */
+    async getPromotions(filters = {}) {
+        const params = new URLSearchParams();
+
+        if (filters.activeOn) params.append('active_on', filters.activeOn);
+        if (filters.activeOnly) params.append('active_only', 'true');
+
+        return this.get(`?${params}`);
+    },
+
+    async getPromotion(id) {
+        return this.get(`/${id}`);
+    },
+
+    async createPromotion(data) {
+        return this.send('POST', '', data, 'creating promotion');
+    },
+
+    /**
+     * Update a campaign (send is_active: false to end it early)
+     */
+    async updatePromotion(id, data) {
+        return this.send('PUT', `/${id}`, data, 'updating promotion');
+    },
+
+    async deletePromotion(id) {
+        return this.send('DELETE', `/${id}`, undefined, 'deleting promotion');
+    },
+
+    /**
+     * Revenue per campaign
+     * @param {Object} filters - { startDate, endDate }
+     */
+    async getReport(filters = {}) {
+        const params = new URLSearchParams({ start: filters.startDate, end: filters.endDate });
+        return this.get(`/report?${params}`);
+    },
+
+    async get(path) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/promotions${path}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error getting promotions${path}:`, error);
+            throw error;
+        }
+    },
+
+    async send(method, path, data, action) {
+        try {
+            const options = { method };
+            if (data !== undefined) {
+                options.headers = { 'Content-Type': 'application/json' };
+                options.body = JSON.stringify(data);
+            }
+
+            const response = await Auth.fetch(`${this.baseURL}/promotions${path}`, options);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PromotionsAPI = PromotionsAPI;
+}
@@ -0,0 +1,142 @@
+/**
+ * Purchase Orders API Module
+ * Handles all API calls for production/purchase orders and goods receipts
+ */
+
+const PurchaseOrdersAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get purchase orders
+     * @param {Object} filters - { status, startDate, endDate }
+     */
+    async getOrders(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.status) params.append('status', filters.status);
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+
+            const response = await Auth.fetch(`${this.baseURL}/purchase-orders?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting purchase orders:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a purchase order with items and receipts
+     */
+    async getOrder(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/purchase-orders/${id}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting purchase order:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a purchase order
+     * @param {Object} data - { po_number, order_type, supplier_name, order_date, expected_date, note, items }
+     */
+    async createOrder(data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/purchase-orders`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error creating purchase order:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a goods receipt against an order
+     * @param {number} id - Purchase order ID
+     * @param {Object} data - { location_id, receipt_date, lines: [{ po_item_id, qty, unit_cost }], note }
+     */
+    async receiveGoods(id, data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/purchase-orders/${id}/receive`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error receiving goods:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Cancel a purchase order
+     */
+    async cancelOrder(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/purchase-orders/${id}/cancel`, {
+                method: 'POST'
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error cancelling purchase order:', error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PurchaseOrdersAPI = PurchaseOrdersAPI;
+}
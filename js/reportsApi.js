@@ -0,0 +1,68 @@
+/**
+ * Reports API Module
+ * Handles all API calls for financial reports (gross margin / COGS, inventory valuation)
+ */
+
+const ReportsAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Revenue, COGS, gross profit and margin % for a period
+     * @param {Object} filters - { startDate, endDate, groupBy (product, color, pic, promo_type, day) }
+     */
+    async getMargin(filters = {}) {
+        const params = new URLSearchParams({ start: filters.startDate, end: filters.endDate });
+        if (filters.groupBy) params.append('group_by', filters.groupBy);
+
+        return this.get(`/margin?${params}`);
+    },
+
+    /**
+     * Inventory quantity and value per variant, location and product as of a date
+     * @param {Object} filters - { asOf (YYYY-MM-DD), locationId, method (AVERAGE | FIFO) }
+     */
+    async getValuation(filters = {}) {
+        const params = new URLSearchParams();
+        if (filters.asOf) params.append('as_of', filters.asOf);
+        if (filters.locationId) params.append('location_id', filters.locationId);
+        if (filters.method) params.append('method', filters.method);
+
+        return this.get(`/valuation?${params}`);
+    },
+
+    /**
+     * Inventory value under moving average and FIFO as of a date
+     * @param {Object} filters - { asOf (YYYY-MM-DD), locationId }
+     */
+    async getValuationComparison(filters = {}) {
+        const params = new URLSearchParams();
+        if (filters.asOf) params.append('as_of', filters.asOf);
+        if (filters.locationId) params.append('location_id', filters.locationId);
+
+        return this.get(`/valuation/compare?${params}`);
+    },
+
+    async get(path) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/reports${path}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error getting reports${path}:`, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ReportsAPI = ReportsAPI;
+}
@@ -0,0 +1,106 @@
+/**
+ * Staff API Module
+ * Handles all API calls for staff (PIC) master data
+ */
+
+const StaffAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get staff
+     * @param {Object} filters - { activeOnly }
+     */
+    async getStaff(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.activeOnly) params.append('active_only', 'true');
+
+            const response = await Auth.fetch(`${this.baseURL}/staff?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting staff:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a staff member
+     */
+    async createStaff(data) {
+        return this.send('POST', `${this.baseURL}/staff`, data, 'creating staff');
+    },
+
+    /**
+     * Update a staff member (send is_active: false when they leave)
+     */
+    async updateStaff(id, data) {
+        return this.send('PUT', `${this.baseURL}/staff/${id}`, data, 'updating staff');
+    },
+
+    /**
+     * Delete a staff member without history
+     */
+    async deleteStaff(id) {
+        return this.send('DELETE', `${this.baseURL}/staff/${id}`, undefined, 'deleting staff');
+    },
+
+    async send(method, url, data, action) {
+        try {
+            const response = await Auth.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: data === undefined ? undefined : JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error ${action}:`, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fill PIC selects with active staff. The logged-in user's own staff record is the
+     * default option, so it survives form resets; an empty value lets the server use it too.
+     * @param {Array<string>} selectIds - Select element IDs
+     */
+    async populatePICSelects(selectIds) {
+        const staff = await this.getStaff({ activeOnly: true });
+        const user = Auth.getUser();
+        const ownStaffId = user ? user.staff_id : null;
+        const options = '<option value="">Pilih PIC</option>' + staff
+            .map(member => `<option value="${member.id}"${member.id === ownStaffId ? ' selected' : ''}>${member.name}</option>`)
+            .join('');
+
+        selectIds.forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = options;
+        });
+
+        return staff;
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.StaffAPI = StaffAPI;
+}
@@ -0,0 +1,157 @@
+/**
+ * Suppliers API Module
+ * Handles all API calls for suppliers/convection vendors and their reports
+ */
+
+const SuppliersAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * Get suppliers
+     * @param {Object} filters - { q, type, activeOnly }
+     */
+    async getSuppliers(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.q) params.append('q', filters.q);
+            if (filters.type) params.append('type', filters.type);
+            if (filters.activeOnly) params.append('active_only', 'true');
+
+            const response = await Auth.fetch(`${this.baseURL}/suppliers?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting suppliers:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create a supplier
+     */
+    async createSupplier(data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/suppliers`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error creating supplier:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Update a supplier (send is_active: false to deactivate)
+     */
+    async updateSupplier(id, data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/suppliers/${id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result.data;
+
+        } catch (error) {
+            console.error('Error updating supplier:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a supplier that is not referenced yet
+     */
+    async deleteSupplier(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/suppliers/${id}`, {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error('Error deleting supplier:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Expenses paid and goods value received per supplier
+     * @param {Object} filters - { startDate, endDate }
+     */
+    async getSpendReport(filters = {}) {
+        return this.getReport('spend', filters);
+    },
+
+    /**
+     * Delivered quantity, cost and lead time per supplier
+     * @param {Object} filters - { startDate, endDate }
+     */
+    async getDeliveryReport(filters = {}) {
+        return this.getReport('deliveries', filters);
+    },
+
+    async getReport(name, filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+
+            const response = await Auth.fetch(`${this.baseURL}/suppliers/reports/${name}?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error(`Error getting supplier ${name} report:`, error);
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SuppliersAPI = SuppliersAPI;
+}
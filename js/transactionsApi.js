@@ -0,0 +1,301 @@
+/**
+ * Transactions API Module
+ * Handles all API calls for sales, gift and expense transactions
+ */
+
+const TransactionsAPI = {
+    baseURL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:3001/api'
+        : '/api',
+
+    /**
+     * JSON columns may come back as strings depending on the column type
+     */
+    normalizeTransaction(transaction) {
+        const parse = value => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        return {
+            ...transaction,
+            items: parse(transaction.items),
+            free_items: parse(transaction.free_items)
+        };
+    },
+
+    /**
+     * Get transactions
+     * @param {Object} filters - { type, pic, startDate, endDate, excludeVoided }
+     */
+    async getTransactions(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.type) params.append('type', filters.type);
+            if (filters.pic) params.append('pic', filters.pic);
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+            if (filters.excludeVoided) params.append('exclude_voided', 'true');
+
+            const response = await Auth.fetch(`${this.baseURL}/transactions?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const transactions = await response.json();
+            return transactions.map(transaction => this.normalizeTransaction(transaction));
+
+        } catch (error) {
+            console.error('Error getting transactions:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Create transaction (sales, gift or expense) with stock integration
+     * @param {Object} data - Transaction data
+     * @param {string} idempotencyKey - Same key for resubmits of one form, so the sale posts once
+     */
+    async createTransaction(data, idempotencyKey = null) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/transactions/create`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw this.requestError(response, result);
+            }
+
+            return this.normalizeTransaction(result.data.transaction);
+
+        } catch (error) {
+            console.error('Error creating transaction:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Edit a transaction; changed items are re-posted as net stock movements
+     * @param {number} id - Transaction ID
+     * @param {Object} data - Changed fields plus an optional note
+     */
+    async updateTransaction(id, data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/transactions/${id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw this.requestError(response, result);
+            }
+
+            return this.normalizeTransaction(result.data.transaction);
+
+        } catch (error) {
+            console.error('Error updating transaction:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get the edit history of a transaction
+     */
+    async getTransactionHistory(id) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/transactions/${id}/history`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting transaction history:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get returns/exchanges
+     * @param {Object} filters - { startDate, endDate, excludeVoided, transactionId }
+     */
+    async getReturns(filters = {}) {
+        try {
+            const params = new URLSearchParams();
+
+            if (filters.startDate) params.append('start', filters.startDate);
+            if (filters.endDate) params.append('end', filters.endDate);
+            if (filters.excludeVoided) params.append('exclude_voided', 'true');
+
+            const url = filters.transactionId
+                ? `${this.baseURL}/transactions/${filters.transactionId}/returns`
+                : `${this.baseURL}/transactions/returns?${params}`;
+
+            const response = await Auth.fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.data;
+
+        } catch (error) {
+            console.error('Error getting returns:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a return (and optional exchange) against a sale
+     * @param {number} id - Sale transaction ID
+     * @param {Object} data - { lines, location_id, refund_amount, refund_method, replacement_items, reason }
+     */
+    async createReturn(id, data) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/transactions/${id}/returns`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw this.requestError(response, result);
+            }
+
+            return result.data.return;
+
+        } catch (error) {
+            console.error('Error creating return:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Void a transaction; its stock is returned by compensating movements
+     * @param {number} id - Transaction ID
+     * @param {string} reason - Void reason
+     * @param {Object} extra - Extra body fields (e.g. commission_adjustment)
+     */
+    async voidTransaction(id, reason, extra = {}) {
+        try {
+            const response = await Auth.fetch(`${this.baseURL}/transactions/${id}/void`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ reason, ...extra })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw this.requestError(response, result);
+            }
+
+            return this.normalizeTransaction(result.data.transaction);
+
+        } catch (error) {
+            console.error('Error voiding transaction:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Build an Error from a failed write, keeping the API error code and suggested adjustment
+     */
+    requestError(response, result) {
+        const error = new Error(result.message || result.error || `HTTP ${response.status}: ${response.statusText}`);
+        error.code = result.code;
+        error.suggestedAdjustment = result.suggested_adjustment;
+        error.stockErrors = result.stock_errors || [];
+        return error;
+    },
+
+    /**
+     * Run a write that may touch a period whose commissions were already paid.
+     * When the API reports COMMISSION_PERIOD_LOCKED, ask for an adjustment line and retry with it.
+     * @param {Function} write - (extra) => Promise; extra is merged into the request body
+     * @returns {Promise<*>} Result of the write, or null when the user cancels
+     */
+    async withCommissionAdjustment(write) {
+        try {
+            return await write({});
+        } catch (error) {
+            if (error.code !== 'COMMISSION_PERIOD_LOCKED') {
+                throw error;
+            }
+
+            const amount = prompt(
+                `${error.message}\n\nPenyesuaian komisi (Rp, negatif = potongan):`,
+                String(error.suggestedAdjustment ?? 0)
+            );
+            if (amount === null) return null;
+
+            const reason = prompt('Alasan penyesuaian komisi:');
+            if (!reason || !reason.trim()) return null;
+
+            return write({ commission_adjustment: { amount: parseInt(amount) || 0, reason: reason.trim() } });
+        }
+    },
+
+    /**
+     * Run a sale/gift write that fails when items cannot be taken out of stock.
+     * When every failed line is only short of stock, offer to post it as a backorder and retry.
+     * @param {Function} write - (extra) => Promise; extra is merged into the request body
+     * @returns {Promise<*>} Result of the write, or null when the user cancels
+     */
+    async withBackorderConfirm(write) {
+        try {
+            return await write({});
+        } catch (error) {
+            if (error.code !== 'STOCK_NOT_MOVED') {
+                throw error;
+            }
+
+            const lines = error.stockErrors.map(line =>
+                `- ${[line.name, line.color, line.size].filter(Boolean).join(' / ') || line.line}: ${line.error}`
+            ).join('\n');
+
+            if (!error.stockErrors.every(line => line.code === 'INSUFFICIENT_STOCK')) {
+                throw new Error(`Stok tidak bisa dikeluarkan, transaksi tidak disimpan:\n${lines}`);
+            }
+
+            if (!confirm(`Stok tidak cukup:\n${lines}\n\nSimpan sebagai backorder (stok menjadi minus)?`)) {
+                return null;
+            }
+
+            return write({ allow_backorder: true });
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TransactionsAPI = TransactionsAPI;
+}
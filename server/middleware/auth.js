@@ -0,0 +1,70 @@
+const AuthService = require('../services/authService');
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Require a valid session; sets req.user and req.token
+ */
+async function authenticate(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+        const user = await AuthService.getSessionUser(token);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        req.user = user;
+        req.token = token;
+        next();
+    } catch (error) {
+        console.error('❌ Error authenticating request:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to authenticate request',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Restrict a route to the given roles. Owners are always allowed.
+ * @param {...string} roles - Allowed roles
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (req.user.role !== 'owner' && !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                error: `Role ${req.user.role} is not allowed to perform this action`
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    getBearerToken,
+    authenticate,
+    authorize
+};
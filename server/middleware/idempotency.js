@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// How long a key is remembered; a repeat after this posts again
+const KEY_TTL_HOURS = 24;
+
+/**
+ * Honour an Idempotency-Key header: the first request with a key runs and its response is
+ * stored, repeats with the same key and body get that response back instead of posting
+ * again. Requests that fail (non-2xx) release the key. Mount after authenticate.
+ */
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 100) {
+        return res.status(400).json({
+            success: false,
+            error: 'Idempotency-Key must be at most 100 characters'
+        });
+    }
+
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    try {
+        await db.execute(
+            `DELETE FROM idempotency_keys
+             WHERE user_id = ? AND endpoint = ? AND idem_key = ? AND created_at < NOW() - INTERVAL ${KEY_TTL_HOURS} HOUR`,
+            [req.user.id, endpoint, key]
+        );
+
+        let keyId;
+        try {
+            const [result] = await db.execute(
+                `INSERT INTO idempotency_keys (idem_key, user_id, endpoint, request_hash)
+                 VALUES (?, ?, ?, ?)`,
+                [key, req.user.id, endpoint, requestHash]
+            );
+            keyId = result.insertId;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+
+            const [rows] = await db.execute(
+                'SELECT * FROM idempotency_keys WHERE user_id = ? AND endpoint = ? AND idem_key = ?',
+                [req.user.id, endpoint, key]
+            );
+            const stored = rows[0];
+
+            if (stored.request_hash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key was already used for a different request'
+                });
+            }
+
+            if (stored.status === 'PENDING') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            console.log('🔁 Replaying idempotent request:', { endpoint, key });
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.response_status).json(JSON.parse(stored.response_body));
+        }
+
+        // Store the outcome before the response goes out, so a repeat never sees it half done
+        const send = res.json.bind(res);
+        res.json = body => {
+            const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+            const save = succeeded
+                ? db.execute(
+                    `UPDATE idempotency_keys
+                     SET status = 'COMPLETED', response_status = ?, response_body = ?, completed_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [res.statusCode, JSON.stringify(body), keyId]
+                )
+                : db.execute('DELETE FROM idempotency_keys WHERE id = ?', [keyId]);
+
+            save
+                .catch(error => console.error('❌ Error saving idempotency key:', error))
+                .then(() => send(body));
+            return res;
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Error checking idempotency key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check idempotency key',
+            message: error.message
+        });
+    }
+}
+
+module.exports = {
+    idempotent
+};
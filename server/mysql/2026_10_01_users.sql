@@ -0,0 +1,38 @@
+-- Kustomproject Finance - User Accounts & Sessions Migration
+-- MySQL Version - Created: 2026-10-01
+-- Replaces the hard-coded dashboard key with server-side accounts and roles
+
+-- 1. USERS TABLE
+-- Staff accounts with hashed passwords and a single role each
+CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL COMMENT 'Display name, recorded as PIC on transactions and movements',
+    password_hash VARCHAR(255) NOT NULL COMMENT 'scrypt$<salt>$<hash>',
+    role ENUM('owner', 'admin', 'cashier', 'warehouse') NOT NULL DEFAULT 'cashier',
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_users_role (role),
+    INDEX idx_users_active (is_active)
+);
+
+-- 2. USER_SESSIONS TABLE
+-- Opaque bearer tokens; only the SHA-256 of each token is stored
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_user_sessions_user (user_id),
+    INDEX idx_user_sessions_expires (expires_at),
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- The first owner account is created with:
+--   cd server && npm run create-user -- <username> <password> owner "<Name>"
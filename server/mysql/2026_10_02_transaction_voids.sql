@@ -0,0 +1,9 @@
+-- Kustomproject Finance - Transaction Void Migration
+-- MySQL Version - Created: 2026-10-02
+-- Voided transactions are kept for audit; their stock is returned by compensating movements
+
+ALTER TABLE transactions
+    ADD COLUMN voided_at TIMESTAMP NULL COMMENT 'Set when the transaction is voided',
+    ADD COLUMN voided_by VARCHAR(100) NULL COMMENT 'Username of the user who voided it',
+    ADD COLUMN void_reason VARCHAR(255) NULL,
+    ADD INDEX idx_transactions_voided (voided_at);
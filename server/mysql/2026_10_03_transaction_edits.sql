@@ -0,0 +1,16 @@
+-- Kustomproject Finance - Transaction Edit History Migration
+-- MySQL Version - Created: 2026-10-03
+-- Records every PUT /api/transactions/:id with the fields that changed
+
+CREATE TABLE IF NOT EXISTS transaction_edits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id INT NOT NULL,
+    changes JSON NOT NULL COMMENT '{ field: { from, to } } for each changed field',
+    note VARCHAR(255) NULL,
+    edited_by VARCHAR(100) NOT NULL COMMENT 'Username of the editor',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_transaction_edits_transaction (transaction_id, created_at),
+
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE
+);
@@ -0,0 +1,32 @@
+-- Kustomproject Finance - Customer Returns & Exchanges Migration
+-- MySQL Version - Created: 2026-10-04
+-- Returned items come back with RETURN_IN; exchanges issue SALES_OUT for the replacement
+
+-- 1. TRANSACTION_RETURNS TABLE
+-- One row per return against a sale; stock movements reference it as ref_table = 'transaction_returns'
+CREATE TABLE IF NOT EXISTS transaction_returns (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id INT NOT NULL COMMENT 'Original sale',
+    date DATE NOT NULL,
+    location_id INT NOT NULL COMMENT 'Where the returned items were put back',
+    items JSON NOT NULL COMMENT 'Returned lines: original item fields + line_index + quantity',
+    replacement_items JSON NULL COMMENT 'Exchange lines issued as SALES_OUT',
+    refund_amount INT NOT NULL DEFAULT 0,
+    refund_method VARCHAR(20) NULL,
+    reason VARCHAR(255) NULL,
+    pic VARCHAR(100) NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_transaction_returns_transaction (transaction_id),
+    INDEX idx_transaction_returns_date (date),
+
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES locations(id)
+);
+
+-- 2. DEFECT LOCATION
+-- Damaged returns are kept apart from sellable stock
+INSERT INTO locations (code, name, is_default) VALUES
+('DEFECT', 'Defect / Rusak', FALSE)
+ON DUPLICATE KEY UPDATE name = VALUES(name);
@@ -0,0 +1,68 @@
+-- Kustomproject Finance - Purchase Orders & Goods Receipt Migration
+-- MySQL Version - Created: 2026-10-05
+-- Production/purchase orders with partial receipts posted as OVERPROD_IN or PURCHASE_IN
+
+-- 1. PURCHASE_ORDERS TABLE
+-- PRODUCTION orders go to a convection vendor, PURCHASE orders to a supplier
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    po_number VARCHAR(50) NOT NULL UNIQUE,
+    order_type ENUM('PRODUCTION', 'PURCHASE') NOT NULL DEFAULT 'PRODUCTION',
+    supplier_name VARCHAR(100) NOT NULL COMMENT 'Supplier or convection vendor',
+    order_date DATE NOT NULL,
+    expected_date DATE NULL,
+    status ENUM('OPEN', 'PARTIAL', 'RECEIVED', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+    note TEXT NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_purchase_orders_status (status),
+    INDEX idx_purchase_orders_order_date (order_date),
+    INDEX idx_purchase_orders_expected_date (expected_date)
+);
+
+-- 2. PURCHASE_ORDER_ITEMS TABLE
+-- Ordered variants; qty_received is bumped by each goods receipt
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    po_id INT NOT NULL,
+    variant_id INT NOT NULL COMMENT 'References product_color_sizes.id',
+    qty_ordered INT NOT NULL,
+    qty_received INT NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(15,2) NOT NULL DEFAULT 0,
+
+    UNIQUE KEY unique_po_variant (po_id, variant_id),
+    INDEX idx_purchase_order_items_variant (variant_id),
+
+    FOREIGN KEY (po_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_color_sizes(id)
+);
+
+-- 3. GOODS_RECEIPTS TABLE
+-- One row per delivery; stock movements reference it as ref_table = 'goods_receipts'
+CREATE TABLE IF NOT EXISTS goods_receipts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    po_id INT NOT NULL,
+    receipt_date DATE NOT NULL,
+    location_id INT NOT NULL COMMENT 'Where the goods were put away',
+    items JSON NOT NULL COMMENT 'Received lines: po_item_id, variant_id, qty, unit_cost',
+    note VARCHAR(255) NULL,
+    pic VARCHAR(100) NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_goods_receipts_po (po_id),
+    INDEX idx_goods_receipts_date (receipt_date),
+
+    FOREIGN KEY (po_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES locations(id)
+);
+
+-- 4. PURCHASE_IN REASON CODE
+-- Bought-in goods are told apart from own production (OVERPROD_IN)
+ALTER TABLE stock_movements
+    MODIFY reason_code ENUM(
+        'SALES_OUT', 'GIFT_OUT', 'ADJUSTMENT_OUT', 'TRANSFER_OUT',
+        'OVERPROD_IN', 'RETURN_IN', 'ADJUSTMENT_IN', 'TRANSFER_IN', 'PURCHASE_IN'
+    ) NOT NULL;
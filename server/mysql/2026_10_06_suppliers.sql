@@ -0,0 +1,46 @@
+-- Kustomproject Finance - Suppliers Migration
+-- MySQL Version - Created: 2026-10-06
+-- Supplier / convection vendor directory referenced by production expenses and purchase orders
+
+-- 1. SUPPLIERS TABLE
+CREATE TABLE IF NOT EXISTS suppliers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    supplier_type ENUM('CONVECTION', 'SUPPLIER') NOT NULL DEFAULT 'CONVECTION',
+    contact_person VARCHAR(100) NULL,
+    phone VARCHAR(30) NULL,
+    email VARCHAR(100) NULL,
+    address TEXT NULL,
+    payment_terms_days INT NOT NULL DEFAULT 0 COMMENT 'Days after delivery until payment is due (0 = cash)',
+    payment_terms_note VARCHAR(255) NULL COMMENT 'e.g. DP 50%, lunas saat barang diterima',
+    note TEXT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_suppliers_active (is_active)
+);
+
+-- 2. SUPPLIER ON EXPENSES
+-- Production (and other) expenses can name who was paid
+ALTER TABLE transactions
+    ADD COLUMN supplier_id INT NULL AFTER pic,
+    ADD INDEX idx_transactions_supplier (supplier_id),
+    ADD CONSTRAINT fk_transactions_supplier FOREIGN KEY (supplier_id) REFERENCES suppliers(id);
+
+-- 3. SUPPLIER ON PURCHASE ORDERS
+-- supplier_name stays as the name at the time of ordering
+ALTER TABLE purchase_orders
+    ADD COLUMN supplier_id INT NULL AFTER order_type,
+    ADD INDEX idx_purchase_orders_supplier (supplier_id),
+    ADD CONSTRAINT fk_purchase_orders_supplier FOREIGN KEY (supplier_id) REFERENCES suppliers(id);
+
+-- 4. BACKFILL
+-- Create suppliers for names already used on purchase orders and link them
+INSERT IGNORE INTO suppliers (name)
+SELECT DISTINCT supplier_name FROM purchase_orders;
+
+UPDATE purchase_orders po
+JOIN suppliers s ON s.name = po.supplier_name
+SET po.supplier_id = s.id
+WHERE po.supplier_id IS NULL;
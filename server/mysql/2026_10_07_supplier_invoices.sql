@@ -0,0 +1,34 @@
+-- Kustomproject Finance - Accounts Payable Migration
+-- MySQL Version - Created: 2026-10-07
+-- Supplier invoices settled by one or more pengeluaran rows (deposit, then the balance)
+
+-- 1. SUPPLIER_INVOICES TABLE
+-- Amount paid is not stored: it is the sum of non-voided payments linked below
+CREATE TABLE IF NOT EXISTS supplier_invoices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_number VARCHAR(50) NOT NULL,
+    supplier_id INT NOT NULL,
+    po_id INT NULL COMMENT 'Purchase order the invoice bills for, if any',
+    invoice_date DATE NOT NULL,
+    due_date DATE NOT NULL,
+    amount INT NOT NULL,
+    status ENUM('OPEN', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+    note TEXT NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_supplier_invoice_number (supplier_id, invoice_number),
+    INDEX idx_supplier_invoices_due_date (due_date),
+    INDEX idx_supplier_invoices_status (status),
+
+    FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+    FOREIGN KEY (po_id) REFERENCES purchase_orders(id) ON DELETE SET NULL
+);
+
+-- 2. PAYMENTS
+-- A payment is a pengeluaran transaction pointing at the invoice
+ALTER TABLE transactions
+    ADD COLUMN supplier_invoice_id INT NULL AFTER supplier_id,
+    ADD INDEX idx_transactions_supplier_invoice (supplier_invoice_id),
+    ADD CONSTRAINT fk_transactions_supplier_invoice FOREIGN KEY (supplier_invoice_id) REFERENCES supplier_invoices(id);
@@ -0,0 +1,50 @@
+-- Kustomproject Finance - Commission Rules Migration
+-- MySQL Version - Created: 2026-10-08
+-- Configurable sales commission rates per PIC / product / promo type plus tiered target bonuses
+
+-- 1. COMMISSION_RULES TABLE
+-- A sales line uses the most specific active rule that matches it (PIC beats product beats promo type);
+-- NULL columns match anything
+CREATE TABLE IF NOT EXISTS commission_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    pic VARCHAR(100) NULL COMMENT 'Sales PIC name; NULL = every PIC',
+    product_id INT NULL COMMENT 'NULL = every product',
+    promo_type VARCHAR(50) NULL COMMENT 'No Promo, B1G1, Bundling, Family, Random; NULL = every promo type',
+    rate DECIMAL(5,4) NOT NULL COMMENT 'Fraction of the line amount, e.g. 0.2000 = 20%',
+    effective_from DATE NULL,
+    effective_to DATE NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_commission_rules_pic (pic),
+    INDEX idx_commission_rules_active (is_active),
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- 2. COMMISSION_TIERS TABLE
+-- Once a PIC's net sales in the statement period reach min_sales, the highest tier reached
+-- adds bonus_rate on their commissionable sales plus a flat bonus_amount
+CREATE TABLE IF NOT EXISTS commission_tiers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    pic VARCHAR(100) NULL COMMENT 'NULL = every PIC',
+    min_sales INT NOT NULL,
+    bonus_rate DECIMAL(5,4) NOT NULL DEFAULT 0,
+    bonus_amount INT NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_commission_tiers_pic (pic)
+);
+
+-- 3. DEFAULT RULE
+-- Keeps the previous flat 20% until the owner configures something else
+INSERT INTO commission_rules (name, rate, created_by)
+SELECT 'Default 20%', 0.2000, 'migration'
+WHERE NOT EXISTS (SELECT 1 FROM commission_rules);
@@ -0,0 +1,69 @@
+-- Kustomproject Finance - Commission Payouts Migration
+-- MySQL Version - Created: 2026-10-09
+-- Payout runs freeze the commission statements of a period, pay them as "Fee Tambahan" expenses and lock the period
+
+-- 1. COMMISSION_PAYOUT_RUNS TABLE
+-- A PAID run locks sales dated inside its period; cancelling it unlocks the period again
+CREATE TABLE IF NOT EXISTS commission_payout_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    payment_date DATE NOT NULL,
+    payment_method VARCHAR(20) NOT NULL,
+    total_amount INT NOT NULL DEFAULT 0,
+    status ENUM('PAID', 'CANCELLED') NOT NULL DEFAULT 'PAID',
+    note TEXT NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at TIMESTAMP NULL,
+    cancelled_by VARCHAR(100) NULL,
+    cancel_reason VARCHAR(255) NULL,
+
+    INDEX idx_commission_payout_runs_period (period_start, period_end),
+    INDEX idx_commission_payout_runs_status (status)
+);
+
+-- 2. COMMISSION_PAYOUTS TABLE
+-- One frozen statement per PIC per run; transaction_id is the Fee Tambahan expense that paid it
+CREATE TABLE IF NOT EXISTS commission_payouts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    run_id INT NOT NULL,
+    pic VARCHAR(100) NOT NULL,
+    net_sales INT NOT NULL DEFAULT 0,
+    commission INT NOT NULL DEFAULT 0 COMMENT 'Statement total incl. refunds and tier bonus',
+    adjustments INT NOT NULL DEFAULT 0 COMMENT 'Adjustment lines settled in this run',
+    amount_paid INT NOT NULL DEFAULT 0,
+    statement JSON NOT NULL COMMENT 'Frozen statement with line-level detail',
+    transaction_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uniq_commission_payouts_run_pic (run_id, pic),
+    INDEX idx_commission_payouts_pic (pic),
+
+    FOREIGN KEY (run_id) REFERENCES commission_payout_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+);
+
+-- 3. COMMISSION_ADJUSTMENTS TABLE
+-- Explicit lines for changes to sales in a locked period (or negative balances carried forward);
+-- settled_run_id is set when a later payout run pays or deducts them
+CREATE TABLE IF NOT EXISTS commission_adjustments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pic VARCHAR(100) NOT NULL,
+    amount INT NOT NULL COMMENT 'Positive = owed to the PIC, negative = deduction',
+    reason VARCHAR(255) NOT NULL,
+    locked_run_id INT NULL COMMENT 'Paid run whose period the change falls in',
+    transaction_id INT NULL,
+    source_run_id INT NULL COMMENT 'Run that carried a negative balance forward',
+    settled_run_id INT NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_commission_adjustments_pic (pic),
+    INDEX idx_commission_adjustments_settled (settled_run_id),
+
+    FOREIGN KEY (locked_run_id) REFERENCES commission_payout_runs(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+    FOREIGN KEY (source_run_id) REFERENCES commission_payout_runs(id),
+    FOREIGN KEY (settled_run_id) REFERENCES commission_payout_runs(id)
+);
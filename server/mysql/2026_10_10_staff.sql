@@ -0,0 +1,69 @@
+-- Kustomproject Finance - Staff Migration
+-- MySQL Version - Created: 2026-10-10
+-- Staff (PIC) master data; transactions and movements reference staff by ID so renames and departures keep history intact
+
+-- 1. STAFF TABLE
+-- Inactive staff disappear from PIC selects but stay linked to their history
+CREATE TABLE IF NOT EXISTS staff (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    join_date DATE NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    note VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_staff_active (is_active)
+);
+
+-- 2. STAFF REFERENCES
+-- pic / pic_sales / counted_by stay as the staff name and follow renames
+ALTER TABLE transactions
+    ADD COLUMN pic_sales_staff_id INT NULL AFTER pic_sales,
+    ADD COLUMN pic_staff_id INT NULL AFTER pic,
+    ADD INDEX idx_transactions_pic_sales_staff (pic_sales_staff_id),
+    ADD INDEX idx_transactions_pic_staff (pic_staff_id),
+    ADD CONSTRAINT fk_transactions_pic_sales_staff FOREIGN KEY (pic_sales_staff_id) REFERENCES staff(id),
+    ADD CONSTRAINT fk_transactions_pic_staff FOREIGN KEY (pic_staff_id) REFERENCES staff(id);
+
+ALTER TABLE stock_movements
+    ADD COLUMN pic_staff_id INT NULL AFTER pic,
+    ADD INDEX idx_stock_movements_pic_staff (pic_staff_id),
+    ADD CONSTRAINT fk_stock_movements_pic_staff FOREIGN KEY (pic_staff_id) REFERENCES staff(id);
+
+ALTER TABLE stock_opname_items
+    ADD COLUMN counted_by_staff_id INT NULL AFTER counted_by,
+    ADD CONSTRAINT fk_stock_opname_items_staff FOREIGN KEY (counted_by_staff_id) REFERENCES staff(id);
+
+-- A user account records transactions as its linked staff member when no PIC is chosen
+ALTER TABLE users
+    ADD COLUMN staff_id INT NULL AFTER name,
+    ADD CONSTRAINT fk_users_staff FOREIGN KEY (staff_id) REFERENCES staff(id);
+
+-- 3. BACKFILL
+-- Create staff for every PIC picked on sales, gifts and expenses, then link the existing rows.
+-- Movement and login names are only linked: they also hold user accounts (owner, admin) that are not PICs
+INSERT IGNORE INTO staff (name)
+SELECT DISTINCT name FROM (
+    SELECT TRIM(pic_sales) AS name FROM transactions WHERE pic_sales IS NOT NULL AND TRIM(pic_sales) <> ''
+    UNION SELECT TRIM(pic) FROM transactions WHERE pic IS NOT NULL AND TRIM(pic) <> ''
+) names;
+
+UPDATE transactions t JOIN staff s ON s.name = TRIM(t.pic_sales) SET t.pic_sales_staff_id = s.id WHERE t.pic_sales_staff_id IS NULL;
+UPDATE transactions t JOIN staff s ON s.name = TRIM(t.pic) SET t.pic_staff_id = s.id WHERE t.pic_staff_id IS NULL;
+UPDATE stock_movements m JOIN staff s ON s.name = TRIM(m.pic) SET m.pic_staff_id = s.id WHERE m.pic_staff_id IS NULL;
+UPDATE stock_opname_items i JOIN staff s ON s.name = TRIM(i.counted_by) SET i.counted_by_staff_id = s.id WHERE i.counted_by_staff_id IS NULL;
+UPDATE users u JOIN staff s ON s.name = TRIM(u.name) SET u.staff_id = s.id WHERE u.staff_id IS NULL;
+
+-- First recorded activity approximates the join date
+UPDATE staff s
+JOIN (
+    SELECT staff_id, MIN(date) AS first_date FROM (
+        SELECT pic_sales_staff_id AS staff_id, date FROM transactions WHERE pic_sales_staff_id IS NOT NULL
+        UNION ALL
+        SELECT pic_staff_id, date FROM transactions WHERE pic_staff_id IS NOT NULL
+    ) activity
+    GROUP BY staff_id
+) first_activity ON first_activity.staff_id = s.id
+SET s.join_date = first_activity.first_date
+WHERE s.join_date IS NULL;
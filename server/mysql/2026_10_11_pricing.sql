@@ -0,0 +1,10 @@
+-- Kustomproject Finance - Promo Pricing Migration
+-- MySQL Version - Created: 2026-10-11
+-- Sales record the server-quoted promo total next to the charged total; price_override flags a difference
+
+-- 1. QUOTED TOTALS ON SALES
+-- quoted_total is NULL when a product had no price for the promo at the time of sale
+ALTER TABLE transactions
+    ADD COLUMN quoted_total INT NULL COMMENT 'Promo total computed by the pricing service' AFTER manual_price,
+    ADD COLUMN price_override BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Total differs from quoted_total (within the allowed override)' AFTER quoted_total,
+    ADD INDEX idx_transactions_price_override (price_override);
@@ -0,0 +1,48 @@
+-- Kustomproject Finance - Promotion Campaigns Migration
+-- MySQL Version - Created: 2026-10-12
+-- Seasonal campaigns (date range, eligible products/colors, minimum qty, buy-X-get-Y, % or fixed off) layered on a promo type
+
+-- 1. PROMOTIONS TABLE
+-- A campaign prices its sale with base_promo_type, then takes its own discount off the eligible lines
+CREATE TABLE IF NOT EXISTS promotions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    base_promo_type VARCHAR(50) NOT NULL DEFAULT 'No Promo' COMMENT 'Built-in promo type the lines are priced at',
+    discount_type ENUM('PERCENT', 'FIXED', 'BUY_X_GET_Y') NOT NULL,
+    discount_value DECIMAL(12,2) NOT NULL DEFAULT 0 COMMENT 'Percent off, or rupiah off the eligible subtotal',
+    buy_qty INT NULL COMMENT 'BUY_X_GET_Y: units to buy',
+    get_qty INT NULL COMMENT 'BUY_X_GET_Y: cheapest units given free per group',
+    min_qty INT NOT NULL DEFAULT 1 COMMENT 'Eligible units needed for the campaign to apply',
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    note VARCHAR(255) NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_promotions_dates (start_date, end_date),
+    INDEX idx_promotions_active (is_active)
+);
+
+-- 2. ELIGIBLE PRODUCTS
+-- No rows = every product; color_id NULL = every color of the product
+CREATE TABLE IF NOT EXISTS promotion_products (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    promotion_id INT NOT NULL,
+    product_id INT NOT NULL,
+    color_id INT NULL,
+
+    INDEX idx_promotion_products_promotion (promotion_id),
+
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id),
+    FOREIGN KEY (color_id) REFERENCES colors(id)
+);
+
+-- 3. CAMPAIGN ON SALES
+ALTER TABLE transactions
+    ADD COLUMN promotion_id INT NULL AFTER promo_type,
+    ADD COLUMN promotion_discount INT NOT NULL DEFAULT 0 COMMENT 'Discount given by the campaign' AFTER promotion_id,
+    ADD INDEX idx_transactions_promotion (promotion_id),
+    ADD CONSTRAINT fk_transactions_promotion FOREIGN KEY (promotion_id) REFERENCES promotions(id);
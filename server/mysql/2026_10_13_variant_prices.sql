@@ -0,0 +1,38 @@
+-- Kustomproject Finance - Variant Pricing Migration
+-- MySQL Version - Created: 2026-10-13
+-- Optional price overrides per variant (product + color + size) and a dated price history for audits
+
+-- 1. VARIANT PRICE OVERRIDES
+-- NULL means the variant sells at the product price for that promo column
+ALTER TABLE product_color_sizes
+    ADD COLUMN price_no_promo INT NULL COMMENT 'Overrides products.price_no_promo' AFTER size_id,
+    ADD COLUMN price_b1g1 INT NULL COMMENT 'Overrides products.price_b1g1' AFTER price_no_promo,
+    ADD COLUMN price_random INT NULL COMMENT 'Overrides products.price_random' AFTER price_b1g1;
+
+-- 2. PRICE HISTORY TABLE
+-- One row per price set; variant_id NULL is the product price. effective_to is NULL while the row is current
+CREATE TABLE IF NOT EXISTS price_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    variant_id INT NULL COMMENT 'References product_color_sizes.id; NULL for the product price',
+    price_no_promo INT NULL,
+    price_b1g1 INT NULL,
+    price_random INT NULL,
+    effective_from DATETIME NOT NULL,
+    effective_to DATETIME NULL,
+    changed_by VARCHAR(100),
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_price_history_product (product_id, effective_from),
+    INDEX idx_price_history_variant (variant_id, effective_from),
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_color_sizes(id) ON DELETE CASCADE
+);
+
+-- 3. OPENING PRICES
+-- Current product prices cover every sale recorded before this migration
+INSERT INTO price_history (product_id, price_no_promo, price_b1g1, price_random, effective_from, changed_by, note)
+SELECT id, price_no_promo, price_b1g1, price_random, '2000-01-01 00:00:00', 'system', 'Opening price'
+FROM products;
@@ -0,0 +1,14 @@
+-- Kustomproject Finance - Movement Cost Migration
+-- MySQL Version - Created: 2026-10-14
+-- OUT movements record the moving average cost they left stock at, giving sales a COGS
+
+-- 1. UNIT COST ON OUT MOVEMENTS
+ALTER TABLE stock_movements
+    MODIFY COLUMN unit_cost DECIMAL(15,2) NULL COMMENT 'Cost per unit: purchase/entry cost for IN, moving average cost for OUT';
+
+-- 2. BACKFILL
+-- Earlier OUT movements never stored a cost; today's average cost is the best estimate available
+UPDATE stock_movements sm
+JOIN stock_balances sb ON sb.variant_id = sm.variant_id AND sb.location_id = sm.location_id
+SET sm.unit_cost = sb.avg_cost
+WHERE sm.movement_type = 'OUT' AND sm.unit_cost IS NULL AND sb.avg_cost > 0;
@@ -0,0 +1,49 @@
+-- Kustomproject Finance - FIFO Cost Layers Migration
+-- MySQL Version - Created: 2026-10-15
+-- IN movements open cost layers that OUT movements consume oldest first; COSTING_METHOD picks which cost sales record
+
+-- 1. STOCK_COST_LAYERS TABLE
+-- One layer per IN movement (transfers copy the source layers, keeping their received_at)
+CREATE TABLE IF NOT EXISTS stock_cost_layers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    variant_id INT NOT NULL,
+    location_id INT NOT NULL,
+    movement_id INT NULL COMMENT 'IN movement that opened the layer; NULL for opening layers',
+    source_layer_id INT NULL COMMENT 'Layer at the source location for transferred stock',
+    unit_cost DECIMAL(15,2) NOT NULL DEFAULT 0,
+    qty_in INT NOT NULL,
+    qty_remaining INT NOT NULL,
+    received_at DATETIME NOT NULL COMMENT 'FIFO order',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the layer reached this location',
+
+    INDEX idx_stock_cost_layers_open (variant_id, location_id, qty_remaining, received_at),
+    INDEX idx_stock_cost_layers_created (created_at),
+
+    FOREIGN KEY (variant_id) REFERENCES product_color_sizes(id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+    FOREIGN KEY (movement_id) REFERENCES stock_movements(id) ON DELETE SET NULL
+);
+
+-- 2. STOCK_LAYER_CONSUMPTIONS TABLE
+-- What each OUT movement took from each layer; lets valuation be computed as of any date
+CREATE TABLE IF NOT EXISTS stock_layer_consumptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    layer_id INT NOT NULL,
+    movement_id INT NOT NULL COMMENT 'OUT movement',
+    qty INT NOT NULL,
+    unit_cost DECIMAL(15,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_stock_layer_consumptions_layer (layer_id, created_at),
+    INDEX idx_stock_layer_consumptions_movement (movement_id),
+
+    FOREIGN KEY (layer_id) REFERENCES stock_cost_layers(id) ON DELETE CASCADE,
+    FOREIGN KEY (movement_id) REFERENCES stock_movements(id) ON DELETE CASCADE
+);
+
+-- 3. OPENING LAYERS
+-- Stock on hand today becomes one layer per variant/location at its moving average cost
+INSERT INTO stock_cost_layers (variant_id, location_id, unit_cost, qty_in, qty_remaining, received_at)
+SELECT variant_id, location_id, COALESCE(avg_cost, 0), qty_on_hand, qty_on_hand, NOW()
+FROM stock_balances
+WHERE qty_on_hand > 0;
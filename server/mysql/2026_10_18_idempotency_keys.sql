@@ -0,0 +1,23 @@
+-- Kustomproject Finance - Idempotency Keys Migration
+-- MySQL Version - Created: 2026-10-18
+-- Idempotency-Key header on stock movement, transfer and transaction posts: a resubmitted request replays the first response
+
+-- 1. IDEMPOTENCY_KEYS TABLE
+-- One row per key, user and endpoint; failed requests release their key so they can be retried
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    idem_key VARCHAR(100) NOT NULL,
+    user_id INT NOT NULL,
+    endpoint VARCHAR(100) NOT NULL COMMENT 'Method and path, e.g. POST /api/stock/transfer',
+    request_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the request body',
+    status ENUM('PENDING', 'COMPLETED') NOT NULL DEFAULT 'PENDING',
+    response_status INT NULL,
+    response_body LONGTEXT NULL COMMENT 'JSON response replayed to repeats',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+
+    UNIQUE KEY unique_idempotency_key (user_id, endpoint, idem_key),
+    INDEX idx_idempotency_keys_created (created_at),
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,42 @@
+-- Kustomproject Finance - Stock Reservations Migration
+-- MySQL Version - Created: 2026-10-21
+-- Pre-orders and custom orders hold stock until they are sold, released or expire
+
+-- 1. STOCK_RESERVATIONS TABLE
+-- An ACTIVE reservation holds its items until expires_at; converting it into a sale closes it
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reservation_code VARCHAR(50) NOT NULL UNIQUE,
+    order_type ENUM('PRE_ORDER', 'CUSTOM') NOT NULL DEFAULT 'PRE_ORDER',
+    order_ref VARCHAR(100) NULL COMMENT 'Order the stock is held for',
+    customer_name VARCHAR(100) NULL,
+    status ENUM('ACTIVE', 'CONVERTED', 'RELEASED', 'EXPIRED') NOT NULL DEFAULT 'ACTIVE',
+    expires_at DATETIME NULL COMMENT 'NULL holds until released or sold',
+    transaction_id INT NULL COMMENT 'Sale the reservation was converted into',
+    note VARCHAR(255) NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by VARCHAR(100) NULL,
+    closed_at TIMESTAMP NULL,
+
+    INDEX idx_stock_reservations_status (status, expires_at),
+    INDEX idx_stock_reservations_order_ref (order_ref),
+
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+);
+
+-- 2. STOCK_RESERVATION_ITEMS TABLE
+-- Quantity held per variant and location
+CREATE TABLE IF NOT EXISTS stock_reservation_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    reservation_id INT NOT NULL,
+    variant_id INT NOT NULL,
+    location_id INT NOT NULL,
+    qty INT NOT NULL,
+
+    INDEX idx_stock_reservation_items_variant (variant_id, location_id),
+
+    FOREIGN KEY (reservation_id) REFERENCES stock_reservations(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_color_sizes(id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES locations(id)
+);
@@ -0,0 +1,65 @@
+-- Kustomproject Finance - Custom Orders Migration
+-- MySQL Version - Created: 2026-10-22
+-- Custom (kustom) order jobs from quote to delivery; delivering a job records its sale and takes the blanks out of stock
+
+-- 1. CUSTOM_ORDERS TABLE
+-- Status flow: DESIGN → APPROVED → IN_PRODUCTION → QC → READY → DELIVERED (or CANCELLED)
+CREATE TABLE IF NOT EXISTS custom_orders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_code VARCHAR(50) NOT NULL UNIQUE,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(50) NULL,
+    title VARCHAR(150) NOT NULL COMMENT 'Short job description, e.g. "Kaos angkatan SMA 3"',
+    specs JSON NULL COMMENT 'Print/embroidery specs: [{ method, position, size, colors, note }]',
+    design_files JSON NULL COMMENT 'Design file references (links or file names)',
+    quote_amount DECIMAL(15,2) NOT NULL DEFAULT 0 COMMENT 'Agreed price of the whole job',
+    deposit_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    deposit_payment_method VARCHAR(20) NULL,
+    deposit_paid_at DATE NULL,
+    status ENUM('DESIGN', 'APPROVED', 'IN_PRODUCTION', 'QC', 'READY', 'DELIVERED', 'CANCELLED') NOT NULL DEFAULT 'DESIGN',
+    due_date DATE NULL,
+    reservation_id INT NULL COMMENT 'Stock reservation holding the blanks',
+    transaction_id INT NULL COMMENT 'Sale recorded on delivery',
+    note TEXT NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL,
+
+    INDEX idx_custom_orders_status (status, due_date),
+
+    FOREIGN KEY (reservation_id) REFERENCES stock_reservations(id) ON DELETE SET NULL,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+);
+
+-- 2. CUSTOM_ORDER_ITEMS TABLE
+-- Blank garments the job uses; location_id NULL takes them from the sales location order
+CREATE TABLE IF NOT EXISTS custom_order_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    variant_id INT NOT NULL,
+    qty INT NOT NULL,
+    unit_price DECIMAL(15,2) NULL COMMENT 'Price per piece within the quote, if agreed per item',
+    location_id INT NULL,
+
+    INDEX idx_custom_order_items_order (order_id),
+
+    FOREIGN KEY (order_id) REFERENCES custom_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_color_sizes(id),
+    FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
+);
+
+-- 3. CUSTOM_ORDER_STATUS_HISTORY TABLE
+CREATE TABLE IF NOT EXISTS custom_order_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    from_status VARCHAR(20) NULL,
+    to_status VARCHAR(20) NOT NULL,
+    note VARCHAR(255) NULL,
+    changed_by VARCHAR(100) NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_custom_order_status_history_order (order_id, changed_at),
+
+    FOREIGN KEY (order_id) REFERENCES custom_orders(id) ON DELETE CASCADE
+);
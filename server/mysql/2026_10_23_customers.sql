@@ -0,0 +1,35 @@
+-- Kustomproject Finance - Customers Migration
+-- MySQL Version - Created: 2026-10-23
+-- Customer directory linked from sales, gifts and custom orders for purchase history and repeat-customer reporting
+
+-- 1. CUSTOMERS TABLE
+CREATE TABLE IF NOT EXISTS customers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    phone VARCHAR(30) NULL COMMENT 'Phone / WhatsApp number',
+    instagram VARCHAR(100) NULL COMMENT 'Instagram handle without @',
+    address TEXT NULL,
+    notes TEXT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_customers_name (name),
+    INDEX idx_customers_phone (phone),
+    INDEX idx_customers_instagram (instagram)
+);
+
+-- 2. CUSTOMER ON SALES AND GIFTS
+-- Gifts keep their free-text recipient; customer_id links the recipient when they are a customer
+ALTER TABLE transactions
+    ADD COLUMN customer_id INT NULL AFTER recipient,
+    ADD INDEX idx_transactions_customer (customer_id, date),
+    ADD CONSTRAINT fk_transactions_customer FOREIGN KEY (customer_id) REFERENCES customers(id);
+
+-- 3. CUSTOMER ON CUSTOM ORDERS
+-- customer_name / customer_phone stay as given on the order
+ALTER TABLE custom_orders
+    ADD COLUMN customer_id INT NULL AFTER order_code,
+    ADD INDEX idx_custom_orders_customer (customer_id),
+    ADD CONSTRAINT fk_custom_orders_customer FOREIGN KEY (customer_id) REFERENCES customers(id);
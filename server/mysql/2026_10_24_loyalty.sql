@@ -0,0 +1,60 @@
+-- Kustomproject Finance - Loyalty Points Migration
+-- MySQL Version - Created: 2026-10-24
+-- Points ledger per customer (earn/redeem/expire), member tiers with a price level, and points redeemed on sales
+
+-- 1. MEMBER TIERS
+-- A customer is in the highest active tier whose min_points their lifetime earned points reach.
+-- price_level is the product price column the tier's members pay on regular (non-set) sales,
+-- e.g. price_b1g1 sells No Promo items at the B1G1 price without B1G1
+CREATE TABLE IF NOT EXISTS member_tiers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    min_points INT NOT NULL DEFAULT 0 COMMENT 'Lifetime earned points needed',
+    price_level ENUM('price_b1g1', 'price_random') NULL COMMENT 'Price column members pay; NULL = normal prices',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_member_tiers_points (min_points)
+);
+
+INSERT IGNORE INTO member_tiers (name, min_points, price_level) VALUES
+('Member', 0, NULL),
+('Silver', 100, NULL),
+('Gold', 300, 'price_b1g1');
+
+-- 2. LOYALTY POINTS LEDGER
+-- points is signed: EARN and REDEEM_REVERSAL add, REDEEM, EXPIRE and EARN_REVERSAL take away.
+-- Earned points (and their reversals) carry the date they expire
+CREATE TABLE IF NOT EXISTS loyalty_points (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT NOT NULL,
+    entry_type ENUM('EARN', 'REDEEM', 'EXPIRE', 'EARN_REVERSAL', 'REDEEM_REVERSAL') NOT NULL,
+    points INT NOT NULL,
+    transaction_id INT NULL,
+    return_id INT NULL,
+    expires_at DATE NULL,
+    note VARCHAR(255) NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_loyalty_points_customer (customer_id, created_at),
+    INDEX idx_loyalty_points_transaction (transaction_id),
+    CONSTRAINT fk_loyalty_points_customer FOREIGN KEY (customer_id) REFERENCES customers(id),
+    CONSTRAINT fk_loyalty_points_transaction FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+    CONSTRAINT fk_loyalty_points_return FOREIGN KEY (return_id) REFERENCES transaction_returns(id)
+);
+
+-- 3. BALANCES ON CUSTOMERS
+-- Cached from the ledger in the same database transaction as each entry
+ALTER TABLE customers
+    ADD COLUMN points_balance INT NOT NULL DEFAULT 0 AFTER notes,
+    ADD COLUMN lifetime_points INT NOT NULL DEFAULT 0 AFTER points_balance;
+
+-- 4. POINTS AND MEMBER PRICE ON SALES
+-- total is what the customer paid after points_discount; member_price_level is the tier price
+-- the sale was quoted at, kept so edits re-price it the same way
+ALTER TABLE transactions
+    ADD COLUMN points_redeemed INT NOT NULL DEFAULT 0 AFTER customer_id,
+    ADD COLUMN points_discount INT NOT NULL DEFAULT 0 AFTER points_redeemed,
+    ADD COLUMN member_price_level VARCHAR(30) NULL AFTER points_discount;
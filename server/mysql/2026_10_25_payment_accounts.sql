@@ -0,0 +1,75 @@
+-- Kustomproject Finance - Payment Accounts Migration
+-- MySQL Version - Created: 2026-10-25
+-- Payment accounts master (cash drawer, banks, QRIS, e-wallets), split sale payments and transfers between accounts
+
+-- 1. PAYMENT ACCOUNTS
+-- code is what transactions, returns, payouts and orders store as their payment method.
+-- opening_balance is the account's balance before the first recorded transaction
+CREATE TABLE IF NOT EXISTS payment_accounts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    account_type ENUM('CASH', 'BANK', 'QRIS', 'EWALLET') NOT NULL,
+    opening_balance INT NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Opening balances are the starting cash and Mandiri balances the dashboard used to hard-code
+INSERT IGNORE INTO payment_accounts (code, name, account_type, opening_balance, sort_order) VALUES
+('CASH', 'Laci Kas', 'CASH', 6962000, 1),
+('Mandiri', 'Bank Mandiri', 'BANK', 11817400, 2),
+('BCA', 'Bank BCA', 'BANK', 0, 3),
+('QRIS', 'QRIS', 'QRIS', 0, 4),
+('GOPAY', 'GoPay', 'EWALLET', 0, 5),
+('OVO', 'OVO', 'EWALLET', 0, 6),
+('DANA', 'DANA', 'EWALLET', 0, 7),
+('SHOPEEPAY', 'ShopeePay', 'EWALLET', 0, 8);
+
+-- Room for every account code (gifts already store no payment method)
+ALTER TABLE transactions MODIFY COLUMN payment_method VARCHAR(20) NULL;
+
+-- 2. LEGACY "TF" PAYMENTS
+-- Transfers were recorded as TF on expenses, payouts and invoice payments and always went
+-- through Mandiri (the dashboard counted them as Mandiri)
+UPDATE transactions SET payment_method = 'Mandiri' WHERE payment_method = 'TF';
+UPDATE transaction_returns SET refund_method = 'Mandiri' WHERE refund_method = 'TF';
+UPDATE commission_payout_runs SET payment_method = 'Mandiri' WHERE payment_method = 'TF';
+UPDATE custom_orders SET deposit_payment_method = 'Mandiri' WHERE deposit_payment_method = 'TF';
+
+-- 3. SPLIT SALE PAYMENTS
+-- A sale paid through several accounts has payment_method 'SPLIT' and one row per account;
+-- the rows add up to the amount paid on the sale
+CREATE TABLE IF NOT EXISTS transaction_payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id INT NOT NULL,
+    account_id INT NOT NULL,
+    amount INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_transaction_payments_transaction (transaction_id),
+    INDEX idx_transaction_payments_account (account_id),
+    CONSTRAINT fk_transaction_payments_transaction FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE,
+    CONSTRAINT fk_transaction_payments_account FOREIGN KEY (account_id) REFERENCES payment_accounts(id)
+);
+
+-- 4. TRANSFERS BETWEEN ACCOUNTS
+-- e.g. depositing the cash drawer into Mandiri or settling QRIS into BCA; voided transfers stay for audit
+CREATE TABLE IF NOT EXISTS account_transfers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    date DATE NOT NULL,
+    from_account_id INT NOT NULL,
+    to_account_id INT NOT NULL,
+    amount INT NOT NULL,
+    note VARCHAR(255) NULL,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    voided_at TIMESTAMP NULL,
+    voided_by VARCHAR(100) NULL,
+
+    INDEX idx_account_transfers_date (date),
+    CONSTRAINT fk_account_transfers_from FOREIGN KEY (from_account_id) REFERENCES payment_accounts(id),
+    CONSTRAINT fk_account_transfers_to FOREIGN KEY (to_account_id) REFERENCES payment_accounts(id)
+);
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const AuthService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * POST /api/auth/login
+ * Exchange username/password for a bearer token
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: username, password'
+            });
+        }
+
+        console.log('🔐 Login attempt:', { username });
+
+        const session = await AuthService.login({ username, password });
+
+        res.json({
+            success: true,
+            data: session,
+            message: 'Logged in successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error logging in:', error.message);
+        res.status(401).json({
+            success: false,
+            error: 'Invalid username or password'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await AuthService.logout(req.token);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the currently authenticated user
+ */
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,656 @@
+const express = require('express');
+const router = express.Router();
+const CommissionService = require('../services/commissionService');
+const CommissionPayoutService = require('../services/commissionPayoutService');
+const PaymentAccountService = require('../services/paymentAccountService');
+const PricingService = require('../services/pricingService');
+const CustomOrderService = require('../services/customOrderService');
+const { authorize } = require('../middleware/auth');
+
+// Rules can target any priced promo type, and the one custom order deliveries are sold under
+const PROMO_TYPES = [...PricingService.getPromoTypes(), CustomOrderService.getSalePromoType()];
+const RULE_FIELDS = ['name', 'pic', 'product_id', 'promo_type', 'rate', 'effective_from', 'effective_to', 'is_active'];
+const TIER_FIELDS = ['name', 'pic', 'min_sales', 'bonus_rate', 'bonus_amount', 'is_active'];
+
+// Commission rates and statements are owner/admin data
+router.use(authorize('admin'));
+
+/**
+ * Validate rule/tier values shared by create and update
+ * @returns {string|null} Error message
+ */
+function validateValues({ rate, promo_type: promoType, bonus_rate: bonusRate, min_sales: minSales, effective_from: from, effective_to: to }) {
+    if (rate !== undefined && !(Number(rate) >= 0 && Number(rate) <= 1)) {
+        return 'rate must be a fraction between 0 and 1 (e.g. 0.2 for 20%)';
+    }
+    if (bonusRate !== undefined && !(Number(bonusRate) >= 0 && Number(bonusRate) <= 1)) {
+        return 'bonus_rate must be a fraction between 0 and 1';
+    }
+    if (promoType && !PROMO_TYPES.includes(promoType)) {
+        return `Invalid promo_type. Must be one of: ${PROMO_TYPES.join(', ')}`;
+    }
+    if (minSales !== undefined && !(parseInt(minSales) >= 0)) {
+        return 'min_sales must be zero or more';
+    }
+    if (from && to && to < from) {
+        return 'effective_to cannot be before effective_from';
+    }
+    return null;
+}
+
+/**
+ * Pick and normalise the allowed columns from a request body
+ */
+function pickUpdates(body, fields) {
+    const updates = {};
+
+    fields.forEach(field => {
+        if (body[field] === undefined) return;
+
+        let value = body[field];
+        if (field === 'is_active') value = !!value;
+        else if (['rate', 'bonus_rate'].includes(field)) value = Number(value);
+        else if (['min_sales', 'bonus_amount'].includes(field)) value = parseInt(value) || 0;
+        else if (field === 'product_id') value = value ? parseInt(value) : null;
+        else if (typeof value === 'string') value = value.trim() || null;
+
+        updates[field] = value;
+    });
+
+    return updates;
+}
+
+/**
+ * GET /api/commissions
+ * Commission statement per sales PIC with line-level detail (start, end, pic)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { start, end, pic } = req.query;
+
+        if (!start || !end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required query parameters: start, end'
+            });
+        }
+
+        const report = await CommissionService.getStatements({ start, end, pic });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error computing commissions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute commissions',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/rules
+ * List commission rules
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await CommissionService.listRules();
+
+        res.json({
+            success: true,
+            data: rules
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting commission rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get commission rules',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/commissions/rules
+ * Create a rule; leave pic/product_id/promo_type empty to match every value
+ */
+router.post('/rules', async (req, res) => {
+    try {
+        const { name, rate } = req.body;
+
+        if (!name || rate === undefined || rate === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: name, rate'
+            });
+        }
+
+        const validationError = validateValues(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const values = pickUpdates(req.body, RULE_FIELDS);
+
+        console.log('💼 Creating commission rule:', values);
+
+        const rule = await CommissionService.createRule({
+            name: values.name,
+            pic: values.pic || null,
+            productId: values.product_id || null,
+            promoType: values.promo_type || null,
+            rate: values.rate,
+            effectiveFrom: values.effective_from || null,
+            effectiveTo: values.effective_to || null,
+            createdBy: req.user.username
+        });
+
+        res.status(201).json({
+            success: true,
+            data: rule,
+            message: 'Commission rule created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating commission rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create commission rule',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/commissions/rules/:id
+ * Update a rule (send is_active: false to switch it off)
+ */
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const ruleId = parseInt(req.params.id);
+        const existing = await CommissionService.getRule(ruleId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Commission rule not found'
+            });
+        }
+
+        const validationError = validateValues(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const updates = pickUpdates(req.body, RULE_FIELDS);
+        if (updates.name === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'name cannot be empty'
+            });
+        }
+
+        console.log('💼 Updating commission rule:', { ruleId, fields: Object.keys(updates) });
+
+        const rule = await CommissionService.updateRule(ruleId, updates);
+
+        res.json({
+            success: true,
+            data: rule,
+            message: 'Commission rule updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating commission rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update commission rule',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/commissions/rules/:id
+ * Delete a rule
+ */
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        const ruleId = parseInt(req.params.id);
+
+        if (!await CommissionService.getRule(ruleId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Commission rule not found'
+            });
+        }
+
+        await CommissionService.deleteRule(ruleId);
+
+        res.json({
+            success: true,
+            message: 'Commission rule deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting commission rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete commission rule',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/tiers
+ * List tiered target bonuses
+ */
+router.get('/tiers', async (req, res) => {
+    try {
+        const tiers = await CommissionService.listTiers();
+
+        res.json({
+            success: true,
+            data: tiers
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting commission tiers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get commission tiers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/commissions/tiers
+ * Create a target tier; leave pic empty for a tier shared by every PIC
+ */
+router.post('/tiers', async (req, res) => {
+    try {
+        const { name, min_sales: minSales } = req.body;
+
+        if (!name || minSales === undefined || minSales === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: name, min_sales'
+            });
+        }
+
+        const validationError = validateValues(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const values = pickUpdates(req.body, TIER_FIELDS);
+
+        console.log('🎯 Creating commission tier:', values);
+
+        const tier = await CommissionService.createTier({
+            name: values.name,
+            pic: values.pic || null,
+            minSales: values.min_sales,
+            bonusRate: values.bonus_rate || 0,
+            bonusAmount: values.bonus_amount || 0,
+            createdBy: req.user.username
+        });
+
+        res.status(201).json({
+            success: true,
+            data: tier,
+            message: 'Commission tier created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating commission tier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create commission tier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/commissions/tiers/:id
+ * Update a tier
+ */
+router.put('/tiers/:id', async (req, res) => {
+    try {
+        const tierId = parseInt(req.params.id);
+
+        if (!await CommissionService.getTier(tierId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Commission tier not found'
+            });
+        }
+
+        const validationError = validateValues(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const updates = pickUpdates(req.body, TIER_FIELDS);
+        if (updates.name === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'name cannot be empty'
+            });
+        }
+
+        console.log('🎯 Updating commission tier:', { tierId, fields: Object.keys(updates) });
+
+        const tier = await CommissionService.updateTier(tierId, updates);
+
+        res.json({
+            success: true,
+            data: tier,
+            message: 'Commission tier updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating commission tier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update commission tier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/commissions/tiers/:id
+ * Delete a tier
+ */
+router.delete('/tiers/:id', async (req, res) => {
+    try {
+        const tierId = parseInt(req.params.id);
+
+        if (!await CommissionService.getTier(tierId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Commission tier not found'
+            });
+        }
+
+        await CommissionService.deleteTier(tierId);
+
+        res.json({
+            success: true,
+            message: 'Commission tier deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting commission tier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete commission tier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/payout-runs
+ * List payout runs
+ */
+router.get('/payout-runs', async (req, res) => {
+    try {
+        const runs = await CommissionPayoutService.listRuns();
+
+        res.json({
+            success: true,
+            data: runs
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payout runs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payout runs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/commissions/payout-runs
+ * Pay out a period: freeze statements, record Fee Tambahan expenses and lock the period
+ */
+router.post('/payout-runs', async (req, res) => {
+    try {
+        const {
+            start,
+            end,
+            payment_date: paymentDate = new Date().toISOString().split('T')[0],
+            payment_method: paymentMethod,
+            note
+        } = req.body;
+
+        console.log('💰 Creating commission payout run:', { start, end, paymentDate, paymentMethod });
+
+        if (!start || !end || !paymentMethod) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: start, end, payment_method'
+            });
+        }
+
+        const paymentError = await PaymentAccountService.validatePaymentMethod(paymentMethod);
+        if (paymentError) {
+            return res.status(400).json({
+                success: false,
+                error: paymentError
+            });
+        }
+
+        if (end < start) {
+            return res.status(400).json({
+                success: false,
+                error: 'end cannot be before start'
+            });
+        }
+
+        const overlapping = await CommissionPayoutService.findOverlappingRun(start, end);
+        if (overlapping) {
+            return res.status(409).json({
+                success: false,
+                error: `The period overlaps payout run #${overlapping.id}`
+            });
+        }
+
+        const run = await CommissionPayoutService.createRun({
+            start,
+            end,
+            paymentDate,
+            paymentMethod,
+            note: note || null,
+            pic: req.user.name,
+            createdBy: req.user.username
+        });
+
+        console.log('✅ Commission payout run created:', { runId: run.id, total: run.total_amount });
+
+        res.status(201).json({
+            success: true,
+            data: run,
+            message: 'Commission payout recorded and period locked'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating payout run:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payout run',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/payout-runs/:id
+ * Get a payout run with its payouts
+ */
+router.get('/payout-runs/:id', async (req, res) => {
+    try {
+        const run = await CommissionPayoutService.getRun(parseInt(req.params.id));
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payout run not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: run
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payout run:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payout run',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/commissions/payout-runs/:id/cancel
+ * Cancel the latest payout run; its expenses are voided and the period unlocks
+ */
+router.post('/payout-runs/:id/cancel', async (req, res) => {
+    try {
+        const runId = parseInt(req.params.id);
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: reason'
+            });
+        }
+
+        const existing = await CommissionPayoutService.getRun(runId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payout run not found'
+            });
+        }
+
+        if (existing.status !== 'PAID') {
+            return res.status(409).json({
+                success: false,
+                error: 'Payout run is already cancelled'
+            });
+        }
+
+        const runs = await CommissionPayoutService.listRuns();
+        if (runs.some(run => run.status === 'PAID' && run.id > runId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only the latest payout run can be cancelled'
+            });
+        }
+
+        console.log('🚫 Cancelling commission payout run:', { runId, reason, by: req.user.username });
+
+        const run = await CommissionPayoutService.cancelRun(runId, {
+            reason: reason.trim(),
+            username: req.user.username
+        });
+
+        res.json({
+            success: true,
+            data: run,
+            message: 'Payout run cancelled and period unlocked'
+        });
+
+    } catch (error) {
+        console.error('❌ Error cancelling payout run:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel payout run',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/payouts/:id
+ * One PIC's payout with the frozen statement (payslip)
+ */
+router.get('/payouts/:id', async (req, res) => {
+    try {
+        const payout = await CommissionPayoutService.getPayout(parseInt(req.params.id));
+
+        if (!payout) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: payout
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payout:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payout',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/adjustments
+ * Adjustment lines from changes in locked periods (pending=true for unsettled ones)
+ */
+router.get('/adjustments', async (req, res) => {
+    try {
+        const adjustments = await CommissionPayoutService.listAdjustments({ pending: req.query.pending === 'true' });
+
+        res.json({
+            success: true,
+            data: adjustments
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting commission adjustments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get commission adjustments',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
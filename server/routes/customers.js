@@ -0,0 +1,402 @@
+const express = require('express');
+const router = express.Router();
+const CustomerService = require('../services/customerService');
+const LoyaltyService = require('../services/loyaltyService');
+const { authorize } = require('../middleware/auth');
+
+// Columns that PUT /api/customers/:id may change
+const UPDATABLE_FIELDS = ['name', 'phone', 'instagram', 'address', 'notes', 'is_active'];
+// Columns that PUT /api/customers/tiers/:id may change
+const TIER_FIELDS = ['name', 'min_points', 'price_level', 'is_active'];
+
+/**
+ * Validate member tier fields; returns an error message or null
+ */
+function validateTier(data) {
+    if (data.name !== undefined && !String(data.name || '').trim()) {
+        return 'Tier name cannot be empty';
+    }
+
+    if (data.min_points !== undefined && !(parseInt(data.min_points) >= 0)) {
+        return 'min_points must be 0 or more';
+    }
+
+    if (data.price_level && !LoyaltyService.getPriceLevels().includes(data.price_level)) {
+        return `Invalid price_level. Must be one of: ${LoyaltyService.getPriceLevels().join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * GET /api/customers
+ * List customers with sale count, spend and last purchase (q on name, phone or Instagram; active_only)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q, active_only: activeOnly } = req.query;
+
+        const customers = await CustomerService.listCustomers({
+            q,
+            activeOnly: activeOnly === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: customers
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting customers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get customers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/customers/reports/monthly
+ * New (first purchase that month) vs returning customers per month (start, end)
+ */
+router.get('/reports/monthly', authorize('admin'), async (req, res) => {
+    try {
+        const { start, end } = req.query;
+
+        if (!start || !end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required query parameters: start, end'
+            });
+        }
+
+        if (![start, end].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+            return res.status(400).json({
+                success: false,
+                error: 'start and end must be dates (YYYY-MM-DD)'
+            });
+        }
+
+        const report = await CustomerService.getMonthlyReport({ start, end });
+
+        res.json({
+            success: true,
+            data: report,
+            meta: { start, end }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting customer report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get customer report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/customers/tiers
+ * Member tiers with the points earning and redemption rates
+ */
+router.get('/tiers', async (req, res) => {
+    try {
+        const tiers = await LoyaltyService.listTiers();
+
+        res.json({
+            success: true,
+            data: tiers,
+            meta: {
+                settings: LoyaltyService.getSettings(),
+                price_levels: LoyaltyService.getPriceLevels()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting member tiers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get member tiers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/customers/tiers
+ * Create a member tier (name, min_points, price_level)
+ */
+router.post('/tiers', authorize('admin'), async (req, res) => {
+    try {
+        const { name, min_points: minPoints = 0, price_level: priceLevel = null } = req.body;
+
+        const validationError = !name ? 'Missing required field: name' : validateTier(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const tier = await LoyaltyService.createTier({
+            name: String(name).trim(),
+            minPoints: parseInt(minPoints),
+            priceLevel: priceLevel || null
+        });
+
+        res.status(201).json({
+            success: true,
+            data: tier,
+            message: 'Member tier created successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'A member tier with this name already exists'
+            });
+        }
+
+        console.error('❌ Error creating member tier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create member tier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/customers/tiers/:id
+ * Update a member tier or deactivate it (is_active: false)
+ */
+router.put('/tiers/:id', authorize('admin'), async (req, res) => {
+    try {
+        const tierId = parseInt(req.params.id);
+
+        if (!await LoyaltyService.getTier(tierId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member tier not found'
+            });
+        }
+
+        const validationError = validateTier(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const updates = {};
+        TIER_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            let value = req.body[field];
+            if (field === 'is_active') value = !!value;
+            else if (field === 'min_points') value = parseInt(value);
+            else if (field === 'price_level') value = value || null;
+            else value = String(value).trim();
+
+            updates[field] = value;
+        });
+
+        const tier = await LoyaltyService.updateTier(tierId, updates);
+
+        res.json({
+            success: true,
+            data: tier,
+            message: 'Member tier updated successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'A member tier with this name already exists'
+            });
+        }
+
+        console.error('❌ Error updating member tier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update member tier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/customers/:id/points
+ * Points balance, member tier and the points ledger of a customer (newest first)
+ */
+router.get('/:id/points', async (req, res) => {
+    try {
+        const membership = await LoyaltyService.getMembership(parseInt(req.params.id));
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        const ledger = await LoyaltyService.getLedger(membership.customer_id);
+
+        res.json({
+            success: true,
+            data: {
+                ...membership,
+                ledger
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting customer points:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get customer points',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/customers/:id
+ * Get a customer with lifetime spend, favourite products and sizes, past transactions, custom
+ * orders and their points membership
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const customer = await CustomerService.getCustomer(parseInt(req.params.id));
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        const history = await CustomerService.getHistory(customer.id);
+        const membership = await LoyaltyService.getMembership(customer.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...customer,
+                points_balance: membership.points_balance,
+                ...history,
+                membership
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting customer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get customer',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/customers
+ * Create a customer
+ */
+router.post('/', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const { name, phone, instagram, address, notes } = req.body;
+
+        console.log('👤 Creating customer:', { name, phone });
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: name'
+            });
+        }
+
+        const customer = await CustomerService.createCustomer({
+            name: String(name).trim(),
+            phone: phone ? String(phone).trim() : null,
+            instagram,
+            address: address || null,
+            notes: notes || null,
+            createdBy: req.user.username
+        });
+
+        res.status(201).json({
+            success: true,
+            data: customer,
+            message: 'Customer created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating customer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create customer',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/customers/:id
+ * Update customer details or deactivate the customer (is_active: false)
+ */
+router.put('/:id', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const customerId = parseInt(req.params.id);
+
+        const existing = await CustomerService.getCustomer(customerId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        if (req.body.name !== undefined && !String(req.body.name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name cannot be empty'
+            });
+        }
+
+        const updates = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            let value = req.body[field];
+            if (field === 'is_active') value = !!value;
+            else if (typeof value === 'string') value = value.trim() || null;
+
+            updates[field] = value;
+        });
+
+        console.log('👤 Updating customer:', { customerId, fields: Object.keys(updates) });
+
+        const customer = await CustomerService.updateCustomer(customerId, updates);
+
+        res.json({
+            success: true,
+            data: customer,
+            message: 'Customer updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating customer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update customer',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
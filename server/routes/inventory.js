@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const InventoryService = require('../services/inventoryService');
+const ProductPriceService = require('../services/productPriceService');
+const ReservationService = require('../services/reservationService');
+const { authorize } = require('../middleware/auth');
 
 /**
  * GET /api/inventory/tree
@@ -122,7 +125,7 @@ router.get('/locations', async (req, res) => {
  * POST /api/inventory/locations
  * Create new location
  */
-router.post('/locations', async (req, res) => {
+router.post('/locations', authorize('admin', 'warehouse'), async (req, res) => {
     try {
         const { code, name, is_default = false } = req.body;
         const db = require('../db');
@@ -314,7 +317,9 @@ router.get('/colors/:productId', async (req, res) => {
 
 /**
  * GET /api/inventory/sizes/:productId/:colorId
- * Get available sizes for a specific product+color combination
+ * Get available sizes for a specific product+color combination, with the effective
+ * price of each size (variant override, else product price) and the reserved/available
+ * split of its stock per location
  */
 router.get('/sizes/:productId/:colorId', async (req, res) => {
     try {
@@ -322,6 +327,7 @@ router.get('/sizes/:productId/:colorId', async (req, res) => {
 
         const query = `
             SELECT DISTINCT s.id as size_id, s.name as size_name, 
+                   pcs.id as variant_id,
                    SUM(sb.qty_on_hand) as total_qty,
                    l.name as location_name,
                    sb.qty_on_hand as qty_per_location,
@@ -332,7 +338,7 @@ router.get('/sizes/:productId/:colorId', async (req, res) => {
             INNER JOIN stock_balances sb ON pcs.id = sb.variant_id
             INNER JOIN locations l ON sb.location_id = l.id
             WHERE pc.product_id = ? AND pc.color_id = ? AND sb.qty_on_hand > 0
-            GROUP BY s.id, s.name, l.id, l.name, sb.qty_on_hand
+            GROUP BY s.id, s.name, pcs.id, l.id, l.name, sb.qty_on_hand
             ORDER BY 
                 CASE s.name 
                     WHEN 'XS' THEN 1
@@ -345,25 +351,44 @@ router.get('/sizes/:productId/:colorId', async (req, res) => {
                 END ASC
         `;
 
-        const sizes = await db.query(query, [productId, colorId]);
+        const [sizes] = await db.query(query, [productId, colorId]);
+
+        // Stock held for pre-orders and custom orders is on hand but not available to sell
+        const reserved = await ReservationService.getReservedQuantities({ variantIds: [...new Set(sizes.map(row => row.variant_id))] });
+
+        const variantPrices = new Map(
+            (await ProductPriceService.getVariantPrices(productId, { colorId })).map(variant => [variant.size_id, variant])
+        );
 
         // Group by size and aggregate locations
         const sizeMap = {};
         sizes.forEach(row => {
             if (!sizeMap[row.size_id]) {
+                const variant = variantPrices.get(row.size_id);
                 sizeMap[row.size_id] = {
                     size_id: row.size_id,
                     size_name: row.size_name,
+                    variant_id: row.variant_id,
                     total_qty: 0,
+                    total_reserved: 0,
+                    total_available: 0,
+                    prices: variant ? variant.prices : null,
+                    has_price_override: variant ? variant.has_override : false,
                     locations: []
                 };
             }
             
+            const qtyReserved = Math.min(reserved.get(`${row.variant_id}-${row.location_id}`) || 0, row.qty_per_location);
+
             sizeMap[row.size_id].total_qty += row.qty_per_location;
+            sizeMap[row.size_id].total_reserved += qtyReserved;
+            sizeMap[row.size_id].total_available += row.qty_per_location - qtyReserved;
             sizeMap[row.size_id].locations.push({
                 location_id: row.location_id,
                 location_name: row.location_name,
-                qty: row.qty_per_location
+                qty: row.qty_per_location,
+                qty_reserved: qtyReserved,
+                qty_available: row.qty_per_location - qtyReserved
             });
         });
 
@@ -388,7 +413,7 @@ router.get('/sizes/:productId/:colorId', async (req, res) => {
  * DELETE /api/inventory/variant/:id
  * Delete a specific inventory variant and all related data
  */
-router.delete('/variant/:id', async (req, res) => {
+router.delete('/variant/:id', authorize('admin'), async (req, res) => {
     try {
         const variantId = parseInt(req.params.id);
         
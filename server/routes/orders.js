@@ -0,0 +1,450 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const CustomOrderService = require('../services/customOrderService');
+const StaffService = require('../services/staffService');
+const CustomerService = require('../services/customerService');
+const PaymentAccountService = require('../services/paymentAccountService');
+const { authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+// Same switch as sales: a delivery whose blanks cannot all leave stock is not saved
+const STRICT_STOCK_POSTING = process.env.STRICT_STOCK_POSTING !== 'false';
+
+// custom_orders columns PUT /api/orders/:id may change
+const EDITABLE_FIELDS = ['customer_id', 'customer_name', 'customer_phone', 'title', 'specs', 'design_files', 'quote_amount',
+    'deposit_amount', 'deposit_payment_method', 'deposit_paid_at', 'due_date', 'reservation_id', 'note'];
+// Blanks can change until production starts
+const ITEM_EDITABLE_STATUSES = ['DESIGN', 'APPROVED'];
+
+/**
+ * Check the detail fields and items of a job
+ * @param {Object} body - Request body
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function validateOrder(body) {
+    const { specs, design_files: designFiles, quote_amount: quote, deposit_amount: deposit, reservation_id: reservationId, customer_id: customerId, items } = body;
+    const depositPaymentMethod = body.deposit_payment_method;
+
+    if (specs !== undefined && !Array.isArray(specs)) {
+        return 'specs must be an array of { method, position, size, colors, note }';
+    }
+
+    if (designFiles !== undefined && (!Array.isArray(designFiles) || designFiles.some(file => typeof file !== 'string'))) {
+        return 'design_files must be an array of file links or names';
+    }
+
+    if ((quote !== undefined && !(parseFloat(quote) >= 0)) || (deposit !== undefined && !(parseFloat(deposit) >= 0))) {
+        return 'quote_amount and deposit_amount must be non-negative numbers';
+    }
+
+    if (quote !== undefined && deposit !== undefined && parseFloat(deposit) > parseFloat(quote)) {
+        return 'deposit_amount cannot be more than quote_amount';
+    }
+
+    if (customerId && !await CustomerService.getCustomer(customerId)) {
+        return 'Customer not found';
+    }
+
+    if (depositPaymentMethod) {
+        const paymentError = await PaymentAccountService.validatePaymentMethod(depositPaymentMethod);
+        if (paymentError) return paymentError.replace('payment_method', 'deposit_payment_method');
+    }
+
+    if (reservationId) {
+        const [rows] = await db.execute('SELECT id FROM stock_reservations WHERE id = ?', [reservationId]);
+        if (rows.length === 0) {
+            return 'Reservation not found';
+        }
+    }
+
+    if (items !== undefined) {
+        if (!Array.isArray(items)) {
+            return 'items must be an array';
+        }
+
+        if (items.some(item => !item.variant_id || !(parseInt(item.qty) > 0))) {
+            return 'Each item needs variant_id and a positive qty';
+        }
+
+        const variantIds = [...new Set(items.map(item => parseInt(item.variant_id)))];
+        if (variantIds.length > 0) {
+            const [rows] = await db.query('SELECT id FROM product_color_sizes WHERE id IN (?)', [variantIds]);
+            if (rows.length !== variantIds.length) {
+                return 'Unknown variant_id in items';
+            }
+        }
+
+        const locationIds = [...new Set(items.filter(item => item.location_id).map(item => parseInt(item.location_id)))];
+        if (locationIds.length > 0) {
+            const [rows] = await db.query('SELECT id FROM locations WHERE id IN (?)', [locationIds]);
+            if (rows.length !== locationIds.length) {
+                return 'Unknown location_id in items';
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * GET /api/orders
+ * List custom order jobs (status, active_only, search on code, customer or title)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, active_only: activeOnly, search } = req.query;
+
+        const orders = await CustomOrderService.listOrders({ status, activeOnly: activeOnly === 'true', search });
+
+        res.json({
+            success: true,
+            data: orders
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting custom orders:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get custom orders',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/orders/:id
+ * Get a job with its items and status history
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const order = await CustomOrderService.getOrder(parseInt(req.params.id));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...order,
+                allowed_statuses: CustomOrderService.getAllowedStatuses(order.status)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting custom order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get custom order',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/orders
+ * Create a custom order job (starts in DESIGN). With customer_id, the customer's name and
+ * phone are used when customer_name / customer_phone are left out
+ */
+router.post('/', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const { customer_id: customerId, title, items = [] } = req.body;
+        const customer = customerId ? await CustomerService.getCustomer(customerId) : null;
+        const customerName = req.body.customer_name || (customer ? customer.name : null);
+
+        console.log('📝 Creating custom order:', { customerName, title, items: items?.length });
+
+        if (customerId && !customer) {
+            return res.status(400).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        if (!customerName || !title) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: customer_name (or customer_id), title'
+            });
+        }
+
+        const validationError = await validateOrder({ ...req.body, quote_amount: req.body.quote_amount ?? 0, items });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const order = await CustomOrderService.createOrder({
+            customerId: customer ? customer.id : null,
+            customerName,
+            customerPhone: req.body.customer_phone || (customer ? customer.phone : null),
+            title,
+            specs: req.body.specs,
+            designFiles: req.body.design_files,
+            quoteAmount: req.body.quote_amount,
+            depositAmount: req.body.deposit_amount,
+            depositPaymentMethod: req.body.deposit_payment_method,
+            depositPaidAt: req.body.deposit_paid_at,
+            dueDate: req.body.due_date,
+            reservationId: req.body.reservation_id,
+            note: req.body.note,
+            items,
+            createdBy: req.user.username
+        });
+
+        console.log('✅ Custom order created:', order.order_code);
+
+        res.status(201).json({
+            success: true,
+            data: order,
+            message: 'Custom order created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating custom order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create custom order',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/orders/:id
+ * Update an open job: details, quote and deposit any time; items until production starts
+ */
+router.put('/:id', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const order = await CustomOrderService.getOrder(parseInt(req.params.id));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom order not found'
+            });
+        }
+
+        if (['DELIVERED', 'CANCELLED'].includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Custom order is ${order.status} and can no longer be changed`
+            });
+        }
+
+        const items = req.body.items !== undefined ? req.body.items : null;
+        if (items && !ITEM_EDITABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Items can only be changed while the order is ${ITEM_EDITABLE_STATUSES.join(' or ')}`
+            });
+        }
+
+        const updates = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        if (updates.customer_name === '' || updates.title === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'customer_name and title cannot be empty'
+            });
+        }
+
+        // The deposit is checked against the quote as it will be after the update
+        const validationError = await validateOrder({
+            ...req.body,
+            quote_amount: req.body.quote_amount !== undefined ? req.body.quote_amount : order.quote_amount,
+            deposit_amount: req.body.deposit_amount !== undefined ? req.body.deposit_amount : order.deposit_amount
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const updated = await CustomOrderService.updateOrder(order.id, updates, items);
+
+        res.json({
+            success: true,
+            data: updated,
+            message: 'Custom order updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating custom order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update custom order',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/orders/:id/status
+ * Move a job one production step forward or back, or cancel it (releases its reservation)
+ */
+router.post('/:id/status', authorize('admin', 'cashier', 'warehouse'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const order = await CustomOrderService.getOrder(parseInt(req.params.id));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom order not found'
+            });
+        }
+
+        const allowed = CustomOrderService.getAllowedStatuses(order.status);
+        if (!allowed.includes(status)) {
+            return res.status(409).json({
+                success: false,
+                error: status === 'DELIVERED'
+                    ? 'Deliver a READY order with POST /api/orders/:id/complete'
+                    : `Cannot move from ${order.status} to ${status}. Allowed: ${allowed.join(', ') || 'none'}`
+            });
+        }
+
+        const updated = await CustomOrderService.changeStatus({
+            order,
+            toStatus: status,
+            note,
+            changedBy: req.user.username
+        });
+
+        console.log('✅ Custom order status changed:', updated.order_code, order.status, '→', status);
+
+        res.json({
+            success: true,
+            data: updated,
+            message: `Custom order moved to ${status}`
+        });
+
+    } catch (error) {
+        console.error('❌ Error changing custom order status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change custom order status',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/orders/:id/complete
+ * Deliver a READY job: records the sale for the quote and takes the blanks out of stock
+ * (SALES_OUT) in one database transaction; payment_method collects the balance after the
+ * deposit, or SPLIT with payments adding up to it. Honours Idempotency-Key and commission_adjustment
+ */
+router.post('/:id/complete', authorize('admin', 'cashier'), idempotent, async (req, res) => {
+    try {
+        const { payment_method: paymentMethod } = req.body;
+
+        if (!paymentMethod) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: payment_method'
+            });
+        }
+
+        const paymentError = await PaymentAccountService.validatePaymentMethod(paymentMethod, { allowSplit: true });
+        if (paymentError) {
+            return res.status(400).json({
+                success: false,
+                error: paymentError
+            });
+        }
+
+        const staff = await StaffService.resolvePic(req.body.staff_id, req.user);
+        if (!staff) {
+            return res.status(400).json({
+                success: false,
+                error: 'PIC not found or inactive'
+            });
+        }
+
+        const result = await CustomOrderService.completeOrder({
+            orderId: parseInt(req.params.id),
+            date: new Date().toISOString().split('T')[0],
+            paymentMethod,
+            payments: req.body.payments,
+            staff,
+            allowBackorder: req.body.allow_backorder === true,
+            strict: STRICT_STOCK_POSTING,
+            commissionAdjustment: req.body.commission_adjustment,
+            user: req.user
+        });
+
+        if (result.status !== undefined) {
+            return res.status(result.status ? 409 : 404).json({
+                success: false,
+                error: result.status ? `Only READY orders can be delivered (order is ${result.status})` : 'Custom order not found'
+            });
+        }
+
+        if (result.unrecordedDeposit) {
+            return res.status(409).json({
+                success: false,
+                error: `Record the deposit_payment_method and deposit_paid_at of the ${result.unrecordedDeposit} deposit before delivery`
+            });
+        }
+
+        if (result.paymentError) {
+            return res.status(400).json({
+                success: false,
+                error: result.paymentError
+            });
+        }
+
+        if (result.lockError) {
+            return res.status(409).json(result.lockError);
+        }
+
+        if (result.unsoldItems) {
+            return res.status(409).json({
+                success: false,
+                code: 'RESERVATION_NOT_SOLD',
+                error: `${result.unsoldItems.length} reserved item(s) of ${result.reservation.reservation_code} are not among the order's blanks; update the items or release the reservation first`,
+                unsold_items: result.unsoldItems
+            });
+        }
+
+        if (result.errors) {
+            return res.status(422).json({
+                success: false,
+                code: 'STOCK_NOT_MOVED',
+                error: `${result.errors.length} item(s) could not be taken out of stock; the order was not delivered`,
+                stock_errors: result.errors
+            });
+        }
+
+        result.stock_errors.forEach(stockError => console.warn('⚠️ Could not create stock movement for item:', stockError));
+        console.log('✅ Custom order delivered:', result.order.order_code, 'as TXN', result.transaction.id);
+
+        res.status(201).json({
+            success: true,
+            data: result,
+            message: 'Custom order delivered successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error completing custom order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to complete custom order',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
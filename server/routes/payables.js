@@ -0,0 +1,362 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const PayableService = require('../services/payableService');
+const SupplierService = require('../services/supplierService');
+const PaymentAccountService = require('../services/paymentAccountService');
+const { authorize } = require('../middleware/auth');
+
+const PAYMENT_STATUSES = ['UNPAID', 'PARTIAL', 'PAID', 'CANCELLED', 'OUTSTANDING'];
+
+// Payables are finance data for owners and admins
+router.use(authorize('admin'));
+
+/**
+ * GET /api/payables/invoices
+ * List supplier invoices (supplier_id, status, start, end)
+ */
+router.get('/invoices', async (req, res) => {
+    try {
+        const { supplier_id: supplierId, status, start, end } = req.query;
+
+        if (status && !PAYMENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Must be one of: ${PAYMENT_STATUSES.join(', ')}`
+            });
+        }
+
+        const invoices = await PayableService.listInvoices({ supplierId, paymentStatus: status, start, end });
+
+        res.json({
+            success: true,
+            data: invoices
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting supplier invoices:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get supplier invoices',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payables/aging
+ * Outstanding payables per supplier: current, 1-30, 31-60, 61-90 and over 90 days past due (as_of)
+ */
+router.get('/aging', async (req, res) => {
+    try {
+        const { as_of: asOf } = req.query;
+
+        const report = await PayableService.getAgingReport({ asOf });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payables aging:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payables aging',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payables/summary
+ * Total outstanding, overdue and due within 7 days
+ */
+router.get('/summary', async (req, res) => {
+    try {
+        const summary = await PayableService.getSummary();
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payables summary:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payables summary',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payables/invoices/:id
+ * Get an invoice with its payments
+ */
+router.get('/invoices/:id', async (req, res) => {
+    try {
+        const invoice = await PayableService.getInvoice(parseInt(req.params.id));
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Supplier invoice not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: invoice
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting supplier invoice:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get supplier invoice',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payables/invoices
+ * Record a supplier invoice; due_date defaults to invoice_date + the supplier's payment terms
+ */
+router.post('/invoices', async (req, res) => {
+    try {
+        const {
+            invoice_number: invoiceNumber,
+            supplier_id: supplierId,
+            po_id: poId,
+            invoice_date: invoiceDate,
+            due_date: dueDate,
+            amount,
+            note
+        } = req.body;
+
+        console.log('🧾 Creating supplier invoice:', { invoiceNumber, supplierId, amount });
+
+        if (!invoiceNumber || !supplierId || !invoiceDate || !(parseInt(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: invoice_number, supplier_id, invoice_date, amount'
+            });
+        }
+
+        const supplier = await SupplierService.getSupplier(parseInt(supplierId));
+        if (!supplier) {
+            return res.status(400).json({
+                success: false,
+                error: 'Supplier not found'
+            });
+        }
+
+        if (poId) {
+            const [poRows] = await db.execute('SELECT supplier_id FROM purchase_orders WHERE id = ?', [poId]);
+            if (poRows.length === 0 || poRows[0].supplier_id !== supplier.id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Purchase order not found for this supplier'
+                });
+            }
+        }
+
+        if (dueDate && dueDate < invoiceDate) {
+            return res.status(400).json({
+                success: false,
+                error: 'due_date cannot be before invoice_date'
+            });
+        }
+
+        const invoice = await PayableService.createInvoice({
+            invoiceNumber: invoiceNumber.trim(),
+            supplier,
+            poId: poId || null,
+            invoiceDate,
+            dueDate: dueDate || null,
+            amount: parseInt(amount),
+            note: note || null,
+            createdBy: req.user.username
+        });
+
+        res.status(201).json({
+            success: true,
+            data: invoice,
+            message: 'Supplier invoice created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating supplier invoice:', error);
+
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Invoice number already exists for this supplier'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create supplier invoice',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payables/invoices/:id/payments
+ * Pay (part of) an invoice; the payment is recorded as a pengeluaran transaction
+ */
+router.post('/invoices/:id/payments', async (req, res) => {
+    const connection = await db.getConnection();
+
+    try {
+        const invoiceId = parseInt(req.params.id);
+        const {
+            amount,
+            date,
+            payment_method: paymentMethod,
+            expense_category: expenseCategory,
+            description
+        } = req.body;
+
+        console.log('💸 Paying supplier invoice:', { invoiceId, amount, paymentMethod });
+
+        if (!(parseInt(amount) > 0) || !date || !paymentMethod) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: amount, date, payment_method'
+            });
+        }
+
+        const paymentError = await PaymentAccountService.validatePaymentMethod(paymentMethod);
+        if (paymentError) {
+            return res.status(400).json({
+                success: false,
+                error: paymentError
+            });
+        }
+
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            'SELECT * FROM supplier_invoices WHERE id = ? FOR UPDATE',
+            [invoiceId]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({
+                success: false,
+                error: 'Supplier invoice not found'
+            });
+        }
+
+        const invoice = rows[0];
+
+        if (invoice.status === 'CANCELLED') {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: 'Cancelled invoices cannot be paid'
+            });
+        }
+
+        const outstanding = invoice.amount - await PayableService.getAmountPaid(invoiceId, connection);
+        if (parseInt(amount) > outstanding) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: `Payment exceeds the outstanding amount (${outstanding})`
+            });
+        }
+
+        const transactionId = await PayableService.recordPayment({
+            invoice,
+            amount: parseInt(amount),
+            date,
+            paymentMethod,
+            expenseCategory: expenseCategory || undefined,
+            description,
+            pic: req.user.name
+        }, connection);
+
+        await connection.commit();
+
+        console.log('✅ Supplier invoice payment recorded:', { invoiceId, transactionId });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                transaction_id: transactionId,
+                invoice: await PayableService.getInvoice(invoiceId)
+            },
+            message: 'Payment recorded successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('❌ Error recording supplier payment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record payment',
+            message: error.message
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * POST /api/payables/invoices/:id/cancel
+ * Cancel an invoice that has no (non-voided) payments
+ */
+router.post('/invoices/:id/cancel', async (req, res) => {
+    try {
+        const invoiceId = parseInt(req.params.id);
+
+        const [rows] = await db.execute('SELECT status FROM supplier_invoices WHERE id = ?', [invoiceId]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Supplier invoice not found'
+            });
+        }
+
+        if (rows[0].status === 'CANCELLED') {
+            return res.status(409).json({
+                success: false,
+                error: 'Supplier invoice is already cancelled'
+            });
+        }
+
+        if (await PayableService.getAmountPaid(invoiceId) > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Invoice has payments; void them first'
+            });
+        }
+
+        await db.execute("UPDATE supplier_invoices SET status = 'CANCELLED' WHERE id = ?", [invoiceId]);
+
+        res.json({
+            success: true,
+            data: await PayableService.getInvoice(invoiceId),
+            message: 'Supplier invoice cancelled'
+        });
+
+    } catch (error) {
+        console.error('❌ Error cancelling supplier invoice:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel supplier invoice',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
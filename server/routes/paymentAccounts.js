@@ -0,0 +1,407 @@
+const express = require('express');
+const router = express.Router();
+const PaymentAccountService = require('../services/paymentAccountService');
+const { authorize } = require('../middleware/auth');
+
+const ACCOUNT_TYPES = ['CASH', 'BANK', 'QRIS', 'EWALLET'];
+// Columns that PUT /api/payment-accounts/:id may change; the code stays as transactions store it
+const UPDATABLE_FIELDS = ['name', 'account_type', 'opening_balance', 'sort_order', 'is_active'];
+
+/**
+ * Validate payment account fields; returns an error message or null
+ */
+function validateAccount(data) {
+    if (data.name !== undefined && !String(data.name || '').trim()) {
+        return 'Account name cannot be empty';
+    }
+
+    if (data.account_type !== undefined && !ACCOUNT_TYPES.includes(data.account_type)) {
+        return `Invalid account_type. Must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+    }
+
+    if (data.opening_balance !== undefined && isNaN(parseInt(data.opening_balance))) {
+        return 'opening_balance must be a number';
+    }
+
+    return null;
+}
+
+/**
+ * GET /api/payment-accounts
+ * Payment accounts for payment method pickers (active_only)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const accounts = await PaymentAccountService.listAccounts({
+            activeOnly: req.query.active_only === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: accounts,
+            meta: {
+                account_types: ACCOUNT_TYPES,
+                split_code: PaymentAccountService.getSplitCode()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payment accounts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payment accounts',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payment-accounts/balances
+ * Balance of every account at the end of as_of (everything recorded when left out) from its
+ * opening balance, sales receipts, refunds, expense payments and transfers
+ */
+router.get('/balances', authorize('admin'), async (req, res) => {
+    try {
+        const { as_of: asOf } = req.query;
+
+        if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({
+                success: false,
+                error: 'as_of must be a date (YYYY-MM-DD)'
+            });
+        }
+
+        const balances = await PaymentAccountService.getBalances({ asOf: asOf || null });
+
+        res.json({
+            success: true,
+            data: balances,
+            meta: {
+                as_of: asOf || null,
+                total_balance: balances.reduce((sum, account) => sum + account.balance, 0)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payment account balances:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payment account balances',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payment-accounts/transfers
+ * Transfers between accounts, newest first (start, end, account_id)
+ */
+router.get('/transfers', authorize('admin'), async (req, res) => {
+    try {
+        const { start, end, account_id: accountId } = req.query;
+
+        const transfers = await PaymentAccountService.listTransfers({
+            start,
+            end,
+            accountId: accountId ? parseInt(accountId) : null
+        });
+
+        res.json({
+            success: true,
+            data: transfers
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting account transfers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get account transfers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payment-accounts/transfers
+ * Move money between two accounts, e.g. depositing the cash drawer into the bank
+ */
+router.post('/transfers', authorize('admin'), async (req, res) => {
+    try {
+        const {
+            date = new Date().toISOString().split('T')[0],
+            from_account_id: fromAccountId,
+            to_account_id: toAccountId,
+            amount,
+            note
+        } = req.body;
+
+        console.log('🔁 Creating account transfer:', { fromAccountId, toAccountId, amount });
+
+        if (!fromAccountId || !toAccountId || !(parseInt(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: from_account_id, to_account_id, amount (positive)'
+            });
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'date must be a date (YYYY-MM-DD)'
+            });
+        }
+
+        if (parseInt(fromAccountId) === parseInt(toAccountId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transfers need two different accounts'
+            });
+        }
+
+        const fromAccount = await PaymentAccountService.getAccount(parseInt(fromAccountId));
+        const toAccount = await PaymentAccountService.getAccount(parseInt(toAccountId));
+        if (!fromAccount || !toAccount || !fromAccount.is_active || !toAccount.is_active) {
+            return res.status(400).json({
+                success: false,
+                error: 'Payment account not found or inactive'
+            });
+        }
+
+        const transfer = await PaymentAccountService.createTransfer({
+            date,
+            fromAccountId: fromAccount.id,
+            toAccountId: toAccount.id,
+            amount: parseInt(amount),
+            note: note ? String(note).trim() : null,
+            createdBy: req.user.username
+        });
+
+        res.status(201).json({
+            success: true,
+            data: transfer,
+            message: 'Transfer recorded successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating account transfer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create account transfer',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payment-accounts/transfers/:id/void
+ * Void a transfer recorded by mistake
+ */
+router.post('/transfers/:id/void', authorize('admin'), async (req, res) => {
+    try {
+        const transferId = parseInt(req.params.id);
+
+        const transfer = await PaymentAccountService.getTransfer(transferId);
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transfer not found'
+            });
+        }
+
+        if (!await PaymentAccountService.voidTransfer(transferId, req.user.username)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Transfer is already voided'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await PaymentAccountService.getTransfer(transferId),
+            message: 'Transfer voided successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error voiding account transfer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to void account transfer',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/payment-accounts/:id/ledger
+ * Running balance of an account between start and end, starting from its balance the day before
+ */
+router.get('/:id/ledger', authorize('admin'), async (req, res) => {
+    try {
+        const { start, end } = req.query;
+
+        if (!start || !end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required query parameters: start, end'
+            });
+        }
+
+        if (![start, end].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+            return res.status(400).json({
+                success: false,
+                error: 'start and end must be dates (YYYY-MM-DD)'
+            });
+        }
+
+        const ledger = await PaymentAccountService.getLedger({
+            accountId: parseInt(req.params.id),
+            start,
+            end
+        });
+
+        if (!ledger) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment account not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ledger,
+            meta: { start, end }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting payment account ledger:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get payment account ledger',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/payment-accounts
+ * Create a payment account (code, name, account_type, opening_balance, sort_order)
+ */
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const { code, name, account_type: accountType, opening_balance: openingBalance = 0, sort_order: sortOrder = 0 } = req.body;
+
+        if (!code || !name || !accountType) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: code, name, account_type'
+            });
+        }
+
+        const trimmedCode = String(code).trim();
+        if (!/^[A-Za-z0-9_-]{1,20}$/.test(trimmedCode) || trimmedCode === PaymentAccountService.getSplitCode()) {
+            return res.status(400).json({
+                success: false,
+                error: `code must be up to 20 letters, digits, - or _ and cannot be ${PaymentAccountService.getSplitCode()}`
+            });
+        }
+
+        const validationError = validateAccount(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const account = await PaymentAccountService.createAccount({
+            code: trimmedCode,
+            name: String(name).trim(),
+            accountType,
+            openingBalance: parseInt(openingBalance) || 0,
+            sortOrder: parseInt(sortOrder) || 0
+        });
+
+        res.status(201).json({
+            success: true,
+            data: account,
+            message: 'Payment account created successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'A payment account with this code already exists'
+            });
+        }
+
+        console.error('❌ Error creating payment account:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payment account',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/payment-accounts/:id
+ * Update a payment account or deactivate it (is_active: false) so it is no longer offered
+ */
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const accountId = parseInt(req.params.id);
+
+        if (!await PaymentAccountService.getAccount(accountId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment account not found'
+            });
+        }
+
+        if (req.body.code !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'The code of a payment account cannot be changed'
+            });
+        }
+
+        const validationError = validateAccount(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const updates = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            let value = req.body[field];
+            if (field === 'is_active') value = !!value;
+            else if (['opening_balance', 'sort_order'].includes(field)) value = parseInt(value) || 0;
+            else value = String(value).trim();
+
+            updates[field] = value;
+        });
+
+        const account = await PaymentAccountService.updateAccount(accountId, updates);
+
+        res.json({
+            success: true,
+            data: account,
+            message: 'Payment account updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating payment account:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update payment account',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const PricingService = require('../services/pricingService');
+const PromotionService = require('../services/promotionService');
+const LoyaltyService = require('../services/loyaltyService');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * POST /api/pricing/quote
+ * Price sale items under a promo type, optionally with a campaign (promotion_id, date);
+ * pass total to check it against the allowed override. With customer_id the items are priced
+ * at the customer's member tier price and the quote carries their points balance
+ */
+router.post('/quote', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const {
+            promo_type: promoType = 'No Promo',
+            items,
+            manual_price: manualPrice,
+            total,
+            promotion_id: promotionId,
+            customer_id: customerId,
+            date = new Date().toISOString().split('T')[0]
+        } = req.body;
+
+        if (!PricingService.getPromoTypes().includes(promoType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid promo_type. Must be one of: ${PricingService.getPromoTypes().join(', ')}`
+            });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: items'
+            });
+        }
+
+        let promotion = null;
+        if (promotionId) {
+            promotion = await PromotionService.getActivePromotion(promotionId, date);
+
+            if (!promotion) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Promotion not found or not running on this date'
+                });
+            }
+        }
+
+        let membership = null;
+        if (customerId) {
+            membership = await LoyaltyService.getMembership(customerId);
+
+            if (!membership) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Customer not found'
+                });
+            }
+        }
+
+        const quote = await PricingService.quote({
+            promoType: promotion ? promotion.base_promo_type : promoType,
+            items,
+            manualPrice,
+            promotion,
+            memberPriceLevel: membership ? membership.price_level : null
+        });
+        quote.membership = membership;
+
+        if (total !== undefined && total !== null) {
+            quote.check = PricingService.checkTotal(quote, total);
+        }
+
+        res.json({
+            success: true,
+            data: quote
+        });
+
+    } catch (error) {
+        console.error('❌ Error quoting prices:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to quote prices',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,38 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const ProductPriceService = require('../services/productPriceService');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Pick the price columns sent for a product or variant
+ * @param {Object} source - Request object
+ * @param {boolean} allowNull - Variants may clear an override with null
+ * @returns {Object} { values, error }
+ */
+function pickPrices(source, allowNull) {
+    const values = {};
+
+    for (const column of ProductPriceService.getPriceColumns()) {
+        if (source[column] === undefined) continue;
+
+        if (source[column] === null || source[column] === '') {
+            if (!allowNull) {
+                return { error: `${column} cannot be empty` };
+            }
+            values[column] = null;
+            continue;
+        }
+
+        const value = Number(source[column]);
+        if (!Number.isInteger(value) || value < 0) {
+            return { error: `${column} must be a whole amount of 0 or more` };
+        }
+        values[column] = value;
+    }
+
+    return { values };
+}
 
 // GET products
 router.get('/', async (req, res) => {
@@ -15,7 +47,9 @@ router.get('/', async (req, res) => {
 });
 
 // POST new product
-router.post('/', async (req, res) => {
+router.post('/', authorize('admin'), async (req, res) => {
+    const connection = await db.getConnection();
+
     try {
         const { name, price } = req.body;
         
@@ -23,26 +57,42 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Missing required fields: name, price' });
         }
 
-        const [result] = await db.execute(
-            'INSERT INTO products (name, price) VALUES (?, ?)',
-            [name, price]
+        const prices = pickPrices(req.body, false);
+        if (prices.error) {
+            return res.status(400).json({ error: prices.error });
+        }
+        const columns = Object.keys(prices.values);
+
+        // The product and the opening row of its price history are saved together
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            `INSERT INTO products (name, price${columns.map(column => `, ${column}`).join('')})
+             VALUES (?, ?${columns.map(() => ', ?').join('')})`,
+            [name, price, ...columns.map(column => prices.values[column])]
         );
+        await ProductPriceService.recordOpeningPrices(result.insertId, req.user.username, connection);
+
+        await connection.commit();
 
         res.status(201).json({
             message: 'Product created successfully',
             id: result.insertId
         });
     } catch (error) {
+        await connection.rollback();
         if (error.code === 'ER_DUP_ENTRY') {
             return res.status(409).json({ error: 'Product name already exists' });
         }
         console.error('Error creating product:', error);
         res.status(500).json({ error: 'Failed to create product' });
+    } finally {
+        connection.release();
     }
 });
 
 // PUT update product
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('admin'), async (req, res) => {
     try {
         const { id } = req.params;
         const { name, price } = req.body;
@@ -70,8 +120,121 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/products/:id/prices
+ * Current product prices, effective price per variant and the price history;
+ * at=YYYY-MM-DD also returns the prices in effect then
+ */
+router.get('/:id/prices', async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+        const product = await ProductPriceService.getProduct(productId);
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const [variants, history] = await Promise.all([
+            ProductPriceService.getVariantPrices(productId),
+            ProductPriceService.getPriceHistory(productId)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...product,
+                variants,
+                history,
+                prices_at: req.query.at ? await ProductPriceService.getPricesAt(productId, req.query.at) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting product prices:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get product prices',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/products/:id/prices
+ * Change product prices and/or variant overrides ({ prices, variants: [{ variant_id, ... }], note });
+ * a null override makes the variant sell at the product price again
+ */
+router.put('/:id/prices', authorize('admin'), async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+        const product = await ProductPriceService.getProduct(productId);
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+
+        const prices = pickPrices(req.body.prices || {}, false);
+        if (prices.error) {
+            return res.status(400).json({
+                success: false,
+                error: prices.error
+            });
+        }
+
+        const variants = [];
+        for (const variant of Array.isArray(req.body.variants) ? req.body.variants : []) {
+            const overrides = pickPrices(variant, true);
+            if (!parseInt(variant.variant_id) || overrides.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: overrides.error || 'Missing required field: variant_id'
+                });
+            }
+            variants.push({ variant_id: parseInt(variant.variant_id), ...overrides.values });
+        }
+
+        const validVariantIds = new Set((await ProductPriceService.getVariantPrices(productId)).map(row => row.variant_id));
+        const foreign = variants.find(variant => !validVariantIds.has(variant.variant_id));
+        if (foreign) {
+            return res.status(400).json({
+                success: false,
+                error: `Variant ${foreign.variant_id} does not belong to this product`
+            });
+        }
+
+        console.log('💲 Updating product prices:', { productId, prices: prices.values, variants: variants.length });
+
+        const result = await ProductPriceService.setPrices(
+            productId,
+            { prices: prices.values, variants },
+            req.user.username,
+            req.body.note || null
+        );
+
+        res.json({
+            success: true,
+            data: result,
+            message: 'Prices updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating product prices:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update product prices',
+            message: error.message
+        });
+    }
+});
+
 // DELETE product
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('admin'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+const PromotionService = require('../services/promotionService');
+const PricingService = require('../services/pricingService');
+const TransactionService = require('../services/transactionService');
+const { authorize } = require('../middleware/auth');
+
+const DISCOUNT_TYPES = ['PERCENT', 'FIXED', 'BUY_X_GET_Y'];
+const PROMOTION_FIELDS = ['name', 'base_promo_type', 'discount_type', 'discount_value', 'buy_qty', 'get_qty', 'min_qty', 'start_date', 'end_date', 'is_active', 'note'];
+
+/**
+ * Validate a promotion as it will be saved (existing values merged with the changes)
+ * @returns {string|null} Error message
+ */
+function validatePromotion(promotion) {
+    const baseTypes = PricingService.getCampaignBaseTypes();
+
+    if (!baseTypes.includes(promotion.base_promo_type)) {
+        return `Invalid base_promo_type. Must be one of: ${baseTypes.join(', ')}`;
+    }
+    if (!DISCOUNT_TYPES.includes(promotion.discount_type)) {
+        return `Invalid discount_type. Must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+    }
+    if (promotion.discount_type === 'PERCENT' && !(promotion.discount_value > 0 && promotion.discount_value <= 100)) {
+        return 'discount_value must be a percentage between 0 and 100';
+    }
+    if (promotion.discount_type === 'FIXED' && !(promotion.discount_value > 0)) {
+        return 'discount_value must be a positive amount';
+    }
+    if (promotion.discount_type === 'BUY_X_GET_Y' && !(promotion.buy_qty > 0 && promotion.get_qty > 0)) {
+        return 'buy_qty and get_qty are required for BUY_X_GET_Y';
+    }
+    if (!(promotion.min_qty >= 1)) {
+        return 'min_qty must be at least 1';
+    }
+    if (!promotion.start_date || !promotion.end_date) {
+        return 'start_date and end_date are required';
+    }
+    if (String(promotion.end_date) < String(promotion.start_date)) {
+        return 'end_date cannot be before start_date';
+    }
+    return null;
+}
+
+/**
+ * Pick and normalise the allowed columns from a request body
+ */
+function pickUpdates(body) {
+    const updates = {};
+
+    PROMOTION_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+
+        let value = body[field];
+        if (field === 'is_active') value = !!value;
+        else if (field === 'discount_value') value = Number(value) || 0;
+        else if (['buy_qty', 'get_qty'].includes(field)) value = parseInt(value) || null;
+        else if (field === 'min_qty') value = parseInt(value) || 1;
+        else if (typeof value === 'string') value = value.trim() || null;
+
+        updates[field] = value;
+    });
+
+    return updates;
+}
+
+/**
+ * Normalise the eligible product list of a request body
+ * @returns {Array|undefined} [{ product_id, color_id }], or undefined when not sent
+ */
+function pickProducts(body) {
+    if (!Array.isArray(body.products)) return undefined;
+
+    return body.products
+        .filter(product => parseInt(product.product_id))
+        .map(product => ({
+            product_id: parseInt(product.product_id),
+            color_id: parseInt(product.color_id) || null
+        }));
+}
+
+/**
+ * GET /api/promotions
+ * List campaigns (active_on=YYYY-MM-DD for the sales form, active_only=true)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const promotions = await PromotionService.listPromotions({
+            activeOn: req.query.active_on,
+            activeOnly: req.query.active_only === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: promotions
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting promotions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get promotions',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/promotions/report
+ * Revenue, discount and refunds per campaign for a period
+ */
+router.get('/report', authorize('admin'), async (req, res) => {
+    try {
+        const { start, end } = req.query;
+
+        if (!start || !end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required query parameters: start, end'
+            });
+        }
+
+        const report = await PromotionService.getRevenueReport({ start, end });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting promotion report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get promotion report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/promotions/:id
+ * Get a campaign with its eligible products
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const promotion = await PromotionService.getPromotion(parseInt(req.params.id));
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: promotion
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get promotion',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/promotions
+ * Create a campaign
+ */
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const values = {
+            base_promo_type: 'No Promo',
+            min_qty: 1,
+            ...pickUpdates(req.body)
+        };
+
+        if (!values.name) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: name'
+            });
+        }
+
+        const validationError = validatePromotion(values);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        console.log('🎯 Creating promotion:', values);
+
+        const promotion = await PromotionService.createPromotion({
+            ...values,
+            products: pickProducts(req.body) || []
+        }, req.user.username);
+
+        res.status(201).json({
+            success: true,
+            data: promotion,
+            message: 'Promotion created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create promotion',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/promotions/:id
+ * Update a campaign (is_active: false ends it early); products replaces the eligible list
+ */
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const promotionId = parseInt(req.params.id);
+        const existing = await PromotionService.getPromotion(promotionId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+
+        const updates = pickUpdates(req.body);
+        if (updates.name === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'name cannot be empty'
+            });
+        }
+
+        const validationError = validatePromotion({
+            ...existing,
+            start_date: TransactionService.toPlainValue(existing.start_date),
+            end_date: TransactionService.toPlainValue(existing.end_date),
+            ...updates
+        });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        // Sales already recorded keep the discount they were given
+        const products = pickProducts(req.body);
+
+        console.log('🎯 Updating promotion:', { promotionId, fields: Object.keys(updates), products: products && products.length });
+
+        const promotion = await PromotionService.updatePromotion(promotionId, { ...updates, products });
+
+        res.json({
+            success: true,
+            data: promotion,
+            message: 'Promotion updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update promotion',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/promotions/:id
+ * Delete a campaign with no sales; otherwise deactivate it instead
+ */
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const promotionId = parseInt(req.params.id);
+        const existing = await PromotionService.getPromotion(promotionId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+
+        if (await PromotionService.countSales(promotionId) > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Promotion has sales; deactivate it instead'
+            });
+        }
+
+        await PromotionService.deletePromotion(promotionId);
+
+        console.log('🗑️ Promotion deleted:', promotionId);
+
+        res.json({
+            success: true,
+            message: 'Promotion deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete promotion',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const SupplierService = require('../services/supplierService');
+const { authorize } = require('../middleware/auth');
+
+const ORDER_TYPES = ['PRODUCTION', 'PURCHASE'];
+
+/**
+ * GET /api/purchase-orders
+ * List purchase/production orders (status, start, end, supplier_id)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, start, end, supplier_id: supplierId } = req.query;
+
+        const orders = await PurchaseOrderService.listOrders({ status, start, end, supplierId });
+
+        res.json({
+            success: true,
+            data: orders
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting purchase orders:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get purchase orders',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/purchase-orders/:id
+ * Get an order with its items and goods receipts
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const order = await PurchaseOrderService.getOrder(parseInt(req.params.id));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting purchase order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get purchase order',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/purchase-orders
+ * Create an order for a supplier or convection vendor
+ */
+router.post('/', authorize('admin', 'warehouse'), async (req, res) => {
+    try {
+        const {
+            po_number: poNumber,
+            order_type: orderType = 'PRODUCTION',
+            supplier_id: supplierId,
+            order_date: orderDate,
+            expected_date: expectedDate,
+            note,
+            items
+        } = req.body;
+
+        console.log('📝 Creating purchase order:', { poNumber, orderType, supplierId, items: items?.length });
+
+        if (!supplierId || !orderDate || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: supplier_id, order_date, items'
+            });
+        }
+
+        const supplier = await SupplierService.getSupplier(parseInt(supplierId));
+        if (!supplier || !supplier.is_active) {
+            return res.status(400).json({
+                success: false,
+                error: 'Supplier not found or inactive'
+            });
+        }
+
+        if (!ORDER_TYPES.includes(orderType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid order_type. Must be one of: ${ORDER_TYPES.join(', ')}`
+            });
+        }
+
+        const invalidItem = items.find(item => !item.variant_id || !(parseInt(item.qty_ordered) > 0) || parseFloat(item.unit_cost) < 0);
+        if (invalidItem) {
+            return res.status(400).json({
+                success: false,
+                error: 'Each item needs variant_id, a positive qty_ordered and a non-negative unit_cost'
+            });
+        }
+
+        const variantIds = items.map(item => parseInt(item.variant_id));
+        if (new Set(variantIds).size !== variantIds.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Each variant can only appear once per order'
+            });
+        }
+
+        if (poNumber) {
+            const [existing] = await db.execute('SELECT id FROM purchase_orders WHERE po_number = ?', [poNumber]);
+            if (existing.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'PO number already exists'
+                });
+            }
+        }
+
+        const order = await PurchaseOrderService.createOrder({
+            poNumber,
+            orderType,
+            supplierId: supplier.id,
+            supplierName: supplier.name,
+            orderDate,
+            expectedDate,
+            note,
+            items,
+            createdBy: req.user.username
+        });
+
+        console.log('✅ Purchase order created:', order.po_number);
+
+        res.status(201).json({
+            success: true,
+            data: order,
+            message: 'Purchase order created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating purchase order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create purchase order',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/purchase-orders/:id/receive
+ * Record a (partial) goods receipt; posts OVERPROD_IN or PURCHASE_IN with the unit cost
+ */
+router.post('/:id/receive', authorize('admin', 'warehouse'), async (req, res) => {
+    try {
+        const poId = parseInt(req.params.id);
+        const {
+            location_id: locationId,
+            receipt_date: receiptDate,
+            lines,
+            note
+        } = req.body;
+
+        console.log('📦 Receiving goods for PO:', { poId, locationId, lines: lines?.length });
+
+        if (!locationId || !Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: location_id, lines'
+            });
+        }
+
+        const order = await PurchaseOrderService.getOrder(poId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (['RECEIVED', 'CANCELLED'].includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Purchase order is already ${order.status.toLowerCase()}`
+            });
+        }
+
+        const itemsById = new Map(order.items.map(item => [item.id, item]));
+        for (const line of lines) {
+            const item = itemsById.get(parseInt(line.po_item_id));
+            const qty = parseInt(line.qty) || 0;
+
+            if (!item) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Item ${line.po_item_id} is not part of this purchase order`
+                });
+            }
+
+            if (qty < 0 || qty > item.qty_remaining) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid quantity for ${item.product_name} ${item.color_name} ${item.size_name}: ${item.qty_remaining} remaining`
+                });
+            }
+        }
+
+        if (!lines.some(line => parseInt(line.qty) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing to receive'
+            });
+        }
+
+        const result = await PurchaseOrderService.receive({
+            poId,
+            locationId: parseInt(locationId),
+            receiptDate: receiptDate || new Date().toISOString().split('T')[0],
+            lines,
+            note,
+            pic: req.user.name,
+            createdBy: req.user.username
+        });
+
+        console.log('✅ Goods received:', { receiptId: result.receipt.id, status: result.order.status });
+
+        res.status(201).json({
+            success: true,
+            data: result,
+            message: 'Goods received successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error receiving goods:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to receive goods',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/purchase-orders/:id/cancel
+ * Cancel an order; anything not yet received stops counting as incoming
+ */
+router.post('/:id/cancel', authorize('admin'), async (req, res) => {
+    try {
+        const poId = parseInt(req.params.id);
+
+        const [rows] = await db.execute('SELECT status FROM purchase_orders WHERE id = ?', [poId]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (['RECEIVED', 'CANCELLED'].includes(rows[0].status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Purchase order is already ${rows[0].status.toLowerCase()}`
+            });
+        }
+
+        await db.execute("UPDATE purchase_orders SET status = 'CANCELLED' WHERE id = ?", [poId]);
+
+        console.log('🚫 Purchase order cancelled:', poId);
+
+        res.json({
+            success: true,
+            data: await PurchaseOrderService.getOrder(poId),
+            message: 'Purchase order cancelled'
+        });
+
+    } catch (error) {
+        console.error('❌ Error cancelling purchase order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel purchase order',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const ReportService = require('../services/reportService');
+const CostLayerService = require('../services/costLayerService');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * GET /api/reports/margin
+ * Revenue, COGS, gross profit and margin % of sales in a period
+ * (group_by: product, color, pic, promo_type or day)
+ */
+router.get('/margin', authorize('admin'), async (req, res) => {
+    try {
+        const { start, end, group_by: groupBy = 'day' } = req.query;
+
+        if (!start || !end) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required query parameters: start, end'
+            });
+        }
+
+        if (!ReportService.getMarginGroups().includes(groupBy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid group_by. Must be one of: ${ReportService.getMarginGroups().join(', ')}`
+            });
+        }
+
+        const report = await ReportService.getMarginReport({ start, end, groupBy });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting margin report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get margin report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/reports/valuation
+ * Inventory quantity and value per variant, location and product as of the end of a day
+ * (as_of=YYYY-MM-DD, default today; location_id; method=AVERAGE|FIFO, default COSTING_METHOD)
+ */
+router.get('/valuation', authorize('admin'), async (req, res) => {
+    try {
+        const asOf = req.query.as_of || new Date().toISOString().split('T')[0];
+        const method = (req.query.method || CostLayerService.getCostingMethod()).toUpperCase();
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({
+                success: false,
+                error: 'as_of must be a date (YYYY-MM-DD)'
+            });
+        }
+
+        if (!['AVERAGE', 'FIFO'].includes(method)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid method. Must be one of: AVERAGE, FIFO'
+            });
+        }
+
+        const report = await ReportService.getValuation({
+            asOf,
+            locationId: parseInt(req.query.location_id) || null,
+            method
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting inventory valuation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get inventory valuation',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/reports/valuation/compare
+ * Inventory value as of a date (as_of=YYYY-MM-DD, default today; location_id) under
+ * moving average and FIFO side by side
+ */
+router.get('/valuation/compare', authorize('admin'), async (req, res) => {
+    try {
+        const asOf = req.query.as_of || new Date().toISOString().split('T')[0];
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({
+                success: false,
+                error: 'as_of must be a date (YYYY-MM-DD)'
+            });
+        }
+
+        const report = await ReportService.getValuationComparison({
+            asOf,
+            locationId: parseInt(req.query.location_id) || null
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting valuation comparison:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get valuation comparison',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
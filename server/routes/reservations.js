@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const ReservationService = require('../services/reservationService');
+const TransactionService = require('../services/transactionService');
+const { authorize } = require('../middleware/auth');
+
+const ORDER_TYPES = ['PRE_ORDER', 'CUSTOM'];
+const STATUSES = ['ACTIVE', 'CONVERTED', 'RELEASED', 'EXPIRED'];
+
+/**
+ * Resolve reservation items (product + color/size, like sale items) to variant and location.
+ * An item without location_id is held where a sale would take it from
+ * @param {Array} items - [{ product_id, color_id|color, size_id|size, quantity, location_id? }]
+ * @returns {Promise<Object>} { lines: [{ line, variant_id, location_id, qty }], errors }
+ */
+async function resolveReservationLines(items) {
+    const [locationRows] = await db.execute('SELECT id, code, name, is_default FROM locations ORDER BY id');
+    const candidates = TransactionService.getSalesLocationOrder(locationRows);
+
+    const lines = [];
+    const errors = [];
+
+    for (const [index, item] of items.entries()) {
+        const line = `items[${index}]`;
+        const qty = parseInt(item.quantity) || 0;
+        const lineError = (code, error) => errors.push({
+            line,
+            product_id: item.product_id || null,
+            color: item.color || null,
+            size: item.size || null,
+            quantity: qty,
+            code,
+            error
+        });
+
+        if (!(qty > 0)) {
+            lineError('INVALID_QUANTITY', 'Quantity must be positive');
+            continue;
+        }
+
+        const variant = await TransactionService.findItemVariant(item, db);
+        if (!variant.variantId) {
+            lineError(variant.code, variant.error);
+            continue;
+        }
+
+        let location;
+        if (item.location_id) {
+            location = locationRows.find(row => row.id === parseInt(item.location_id));
+        } else {
+            location = await TransactionService.pickSalesLocation(variant.variantId, qty, candidates, db);
+        }
+
+        if (!location) {
+            lineError('UNKNOWN_LOCATION', item.location_id ? `Unknown location ${item.location_id}` : 'No location to hold stock at');
+            continue;
+        }
+
+        lines.push({ line, variant_id: variant.variantId, location_id: location.id, qty });
+    }
+
+    return { lines, errors };
+}
+
+/**
+ * GET /api/reservations
+ * List reservations (status, search on code, order ref or customer)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, search } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Must be one of: ${STATUSES.join(', ')}`
+            });
+        }
+
+        const reservations = await ReservationService.listReservations({ status, search });
+
+        res.json({
+            success: true,
+            data: reservations
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting reservations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get reservations',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/reservations/:id
+ * Get a reservation with its items
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        await ReservationService.expireDue();
+        const reservation = await ReservationService.getReservation(parseInt(req.params.id));
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reservation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: reservation
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting reservation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get reservation',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/reservations
+ * Hold stock for a pre-order or custom order until it is sold, released or expires.
+ * Sell it with POST /api/transactions/create and reservation_id
+ */
+router.post('/', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const {
+            order_type: orderType = 'PRE_ORDER',
+            order_ref: orderRef,
+            customer_name: customerName,
+            expires_at: expiresAt,
+            note,
+            items
+        } = req.body;
+
+        console.log('📝 Creating reservation:', { orderType, orderRef, items: items?.length });
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: items'
+            });
+        }
+
+        if (!ORDER_TYPES.includes(orderType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid order_type. Must be one of: ${ORDER_TYPES.join(', ')}`
+            });
+        }
+
+        // expires_at: null holds until released; left out, the hold lasts RESERVATION_HOLD_DAYS
+        let expiry = expiresAt === undefined ? ReservationService.getDefaultExpiry() : null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (isNaN(expiry) || expiry <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'expires_at must be a date in the future'
+                });
+            }
+        }
+
+        const { lines, errors } = await resolveReservationLines(items);
+        const result = errors.length === 0
+            ? await ReservationService.createReservation({
+                orderType,
+                orderRef,
+                customerName,
+                expiresAt: expiry,
+                note,
+                lines,
+                createdBy: req.user.username
+            })
+            : { errors };
+
+        if (result.errors) {
+            return res.status(422).json({
+                success: false,
+                code: 'STOCK_NOT_RESERVED',
+                error: `${result.errors.length} item(s) could not be reserved; nothing was reserved`,
+                stock_errors: result.errors
+            });
+        }
+
+        console.log('✅ Reservation created:', result.reservation.reservation_code);
+
+        res.status(201).json({
+            success: true,
+            data: result.reservation,
+            message: 'Reservation created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating reservation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create reservation',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/reservations/:id/release
+ * Give up a hold (order cancelled); the stock becomes available again
+ */
+router.post('/:id/release', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const reservation = await ReservationService.release(parseInt(req.params.id), req.user.username);
+
+        if (!reservation) {
+            return res.status(409).json({
+                success: false,
+                error: 'Reservation not found or no longer active'
+            });
+        }
+
+        console.log('✅ Reservation released:', reservation.reservation_code);
+
+        res.json({
+            success: true,
+            data: reservation,
+            message: 'Reservation released successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error releasing reservation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to release reservation',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const StaffService = require('../services/staffService');
+const { authorize } = require('../middleware/auth');
+
+// Columns that PUT /api/staff/:id may change
+const UPDATABLE_FIELDS = ['name', 'join_date', 'is_active', 'note'];
+
+/**
+ * GET /api/staff
+ * List staff (active_only=true for PIC selects)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const staff = await StaffService.listStaff({ activeOnly: req.query.active_only === 'true' });
+
+        res.json({
+            success: true,
+            data: staff
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting staff:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get staff',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/staff/:id
+ * Get a staff member
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const staff = await StaffService.getStaff(parseInt(req.params.id));
+
+        if (!staff) {
+            return res.status(404).json({
+                success: false,
+                error: 'Staff not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: staff
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting staff member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get staff member',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/staff
+ * Create a staff member
+ */
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const { name, join_date: joinDate, note } = req.body;
+
+        console.log('🧑‍💼 Creating staff:', { name, joinDate });
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: name'
+            });
+        }
+
+        const staff = await StaffService.createStaff({
+            name: name.trim(),
+            joinDate: joinDate || null,
+            note: note || null
+        });
+
+        res.status(201).json({
+            success: true,
+            data: staff,
+            message: 'Staff created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating staff:', error);
+
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Staff name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create staff',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/staff/:id
+ * Rename, set the join date or deactivate (is_active: false) a staff member
+ */
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const staffId = parseInt(req.params.id);
+
+        const existing = await StaffService.getStaff(staffId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Staff not found'
+            });
+        }
+
+        if (req.body.name !== undefined && !String(req.body.name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name cannot be empty'
+            });
+        }
+
+        const updates = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            let value = req.body[field];
+            if (field === 'is_active') value = !!value;
+            else if (typeof value === 'string') value = value.trim() || null;
+
+            updates[field] = value;
+        });
+
+        console.log('🧑‍💼 Updating staff:', { staffId, fields: Object.keys(updates) });
+
+        const staff = await StaffService.updateStaff(staffId, updates);
+
+        res.json({
+            success: true,
+            data: staff,
+            message: 'Staff updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating staff:', error);
+
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Staff name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update staff',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/staff/:id
+ * Delete a staff member with no history; otherwise deactivate them instead
+ */
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const staffId = parseInt(req.params.id);
+
+        const existing = await StaffService.getStaff(staffId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Staff not found'
+            });
+        }
+
+        const references = await StaffService.countReferences(staffId);
+        if (references > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Staff member has transactions, movements or a user account; deactivate them instead'
+            });
+        }
+
+        await StaffService.deleteStaff(staffId);
+
+        console.log('🗑️ Staff deleted:', staffId);
+
+        res.json({
+            success: true,
+            message: 'Staff deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting staff:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete staff',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 const MovementService = require('../services/movementService');
 const InventoryService = require('../services/inventoryService');
+const StaffService = require('../services/staffService');
+const ReconciliationService = require('../services/reconciliationService');
+const { authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 // Configure multer for CSV file uploads
 const upload = multer({
@@ -77,9 +81,9 @@ router.get('/card', async (req, res) => {
 
 /**
  * POST /api/stock/movements
- * Create a stock movement
+ * Create a stock movement (honours Idempotency-Key)
  */
-router.post('/movements', async (req, res) => {
+router.post('/movements', authorize('admin', 'warehouse'), idempotent, async (req, res) => {
     try {
         const {
             variant_id: variantId,
@@ -91,9 +95,8 @@ router.post('/movements', async (req, res) => {
             reason_code: reasonCode,
             qty,
             unit_cost: unitCost,
-            note,
-            pic,
-            created_by: createdBy
+            staff_id: staffId,
+            note
         } = req.body;
 
         console.log('📦 Creating stock movement:', {
@@ -115,10 +118,18 @@ router.post('/movements', async (req, res) => {
             });
         }
 
+        const staff = await StaffService.resolvePic(staffId, req.user);
+        if (!staff) {
+            return res.status(400).json({
+                success: false,
+                error: 'PIC not found or inactive'
+            });
+        }
+
         // Resolve variant ID if not provided
         let resolvedVariantId = variantId;
         if (!variantId && productId && colorId && sizeId) {
-            resolvedVariantId = await MovementService.resolveVariantId({
+            resolvedVariantId = await MovementService.resolveVariantIdByIds({
                 productId: parseInt(productId),
                 colorId: parseInt(colorId),
                 sizeId: parseInt(sizeId)
@@ -139,9 +150,11 @@ router.post('/movements', async (req, res) => {
             reasonCode,
             qty: parseInt(qty),
             unitCost: unitCost ? parseFloat(unitCost) : null,
+            // Stock held by reservations cannot be taken out by hand
+            respectReservations: movementType === 'OUT',
             note,
-            pic,
-            createdBy
+            pic: staff.name,
+            createdBy: req.user.username
         });
 
         res.status(201).json({
@@ -151,6 +164,15 @@ router.post('/movements', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(422).json({
+                success: false,
+                code: error.code,
+                error: 'Insufficient stock',
+                message: error.message
+            });
+        }
+
         console.error('❌ Error creating stock movement:', error);
         res.status(500).json({
             success: false,
@@ -215,11 +237,65 @@ router.get('/movements', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/stock/reconcile
+ * Recompute qty and average cost per variant/location from the ledger and list the
+ * balances that differ (location_id optional)
+ */
+router.get('/reconcile', authorize('admin'), async (req, res) => {
+    try {
+        const report = await ReconciliationService.getReport({
+            locationId: parseInt(req.query.location_id) || null
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Error reconciling stock balances:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reconcile stock balances',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/stock/reconcile/rebuild
+ * Rewrite stock balances (qty and average cost) from the ledger (location_id optional)
+ */
+router.post('/reconcile/rebuild', authorize('admin'), async (req, res) => {
+    try {
+        const locationId = parseInt(req.body.location_id) || null;
+
+        console.log('🔧 Rebuilding stock balances from ledger:', { locationId, by: req.user.username });
+
+        const result = await ReconciliationService.rebuild({ locationId });
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Rebuilt ${result.fixed} of ${result.checked} stock balances from the ledger`
+        });
+
+    } catch (error) {
+        console.error('❌ Error rebuilding stock balances:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rebuild stock balances',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /api/stock/transfer
- * Transfer stock between locations
+ * Transfer stock between locations (honours Idempotency-Key)
  */
-router.post('/transfer', async (req, res) => {
+router.post('/transfer', authorize('admin', 'warehouse'), idempotent, async (req, res) => {
     try {
         const {
             variant_id: variantId,
@@ -230,8 +306,7 @@ router.post('/transfer', async (req, res) => {
             to_location_id: toLocationId,
             qty,
             ref_code: refCode,
-            pic,
-            created_by: createdBy,
+            staff_id: staffId,
             note
         } = req.body;
 
@@ -253,10 +328,18 @@ router.post('/transfer', async (req, res) => {
             });
         }
 
+        const staff = await StaffService.resolvePic(staffId, req.user);
+        if (!staff) {
+            return res.status(400).json({
+                success: false,
+                error: 'PIC not found or inactive'
+            });
+        }
+
         // Resolve variant ID if not provided
         let resolvedVariantId = variantId;
         if (!variantId && productId && colorId && sizeId) {
-            resolvedVariantId = await MovementService.resolveVariantId({
+            resolvedVariantId = await MovementService.resolveVariantIdByIds({
                 productId: parseInt(productId),
                 colorId: parseInt(colorId),
                 sizeId: parseInt(sizeId)
@@ -276,8 +359,8 @@ router.post('/transfer', async (req, res) => {
             toLocationId: parseInt(toLocationId),
             qty: parseInt(qty),
             refCode: refCode || `TRANSFER-${Date.now()}`,
-            pic,
-            createdBy,
+            pic: staff.name,
+            createdBy: req.user.username,
             note
         });
 
@@ -291,6 +374,15 @@ router.post('/transfer', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(422).json({
+                success: false,
+                code: error.code,
+                error: 'Insufficient stock',
+                message: error.message
+            });
+        }
+
         console.error('❌ Error creating stock transfer:', error);
         res.status(500).json({
             success: false,
@@ -304,13 +396,13 @@ router.post('/transfer', async (req, res) => {
  * POST /api/stock/opname/start
  * Start a stock opname (physical count session)
  */
-router.post('/opname/start', async (req, res) => {
+router.post('/opname/start', authorize('admin', 'warehouse'), async (req, res) => {
     try {
         const {
             opname_code: opnameCode,
-            location_id: locationId,
-            created_by: createdBy
+            location_id: locationId
         } = req.body;
+        const createdBy = req.user.username;
 
         console.log('📊 Starting stock opname:', {
             opnameCode,
@@ -318,10 +410,10 @@ router.post('/opname/start', async (req, res) => {
             createdBy
         });
 
-        if (!opnameCode || !createdBy) {
+        if (!opnameCode) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: opname_code, created_by'
+                error: 'Missing required field: opname_code'
             });
         }
 
@@ -378,14 +470,14 @@ router.get('/opname/:id', async (req, res) => {
  * PUT /api/stock/opname/:id/count
  * Update physical count for an opname item
  */
-router.put('/opname/:id/count', async (req, res) => {
+router.put('/opname/:id/count', authorize('admin', 'warehouse'), async (req, res) => {
     try {
         const { id: opnameId } = req.params;
         const {
             variant_id: variantId,
             location_id: locationId,
             counted_qty: countedQty,
-            counted_by: countedBy,
+            staff_id: staffId,
             note
         } = req.body;
 
@@ -394,13 +486,21 @@ router.put('/opname/:id/count', async (req, res) => {
             variantId,
             locationId,
             countedQty,
-            countedBy
+            staffId
         });
 
-        if (!variantId || !locationId || countedQty === undefined || !countedBy) {
+        if (!variantId || !locationId || countedQty === undefined) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: variant_id, location_id, counted_qty, counted_by'
+                error: 'Missing required fields: variant_id, location_id, counted_qty'
+            });
+        }
+
+        const countedBy = await StaffService.resolvePic(staffId, req.user);
+        if (!countedBy) {
+            return res.status(400).json({
+                success: false,
+                error: 'PIC not found or inactive'
             });
         }
 
@@ -409,7 +509,8 @@ router.put('/opname/:id/count', async (req, res) => {
             variantId: parseInt(variantId),
             locationId: parseInt(locationId),
             countedQty: parseInt(countedQty),
-            countedBy,
+            countedBy: countedBy.name,
+            countedByStaffId: countedBy.id,
             note
         });
 
@@ -433,20 +534,13 @@ router.put('/opname/:id/count', async (req, res) => {
  * POST /api/stock/opname/:id/commit
  * Commit opname and generate adjustments
  */
-router.post('/opname/:id/commit', async (req, res) => {
+router.post('/opname/:id/commit', authorize('admin', 'warehouse'), async (req, res) => {
     try {
         const { id: opnameId } = req.params;
-        const { created_by: createdBy } = req.body;
+        const createdBy = req.user.username;
 
         console.log('📊 Committing stock opname:', { opnameId, createdBy });
 
-        if (!createdBy) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required field: created_by'
-            });
-        }
-
         const result = await InventoryService.commitOpname({
             opnameId: parseInt(opnameId),
             createdBy
@@ -541,7 +635,7 @@ router.get('/opname', async (req, res) => {
  * POST /api/stock/import-csv
  * Import stock data from CSV file
  */
-router.post('/import-csv', upload.single('file'), async (req, res) => {
+router.post('/import-csv', authorize('admin', 'warehouse'), upload.single('file'), async (req, res) => {
     try {
         const { mode = 'add' } = req.body;
 
@@ -659,7 +753,8 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
                             qty: qty,
                             unitCost: cost,
                             refCode: 'CSV_IMPORT',
-                            pic: 'CSV_IMPORT',
+                            pic: req.user.name,
+                            createdBy: req.user.username,
                             note: `CSV Import: ${productName} ${colorName} ${sizeName}`
                         });
                     }
@@ -680,7 +775,8 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
                             qty: Math.abs(difference),
                             unitCost: cost,
                             refCode: 'CSV_SET',
-                            pic: 'CSV_IMPORT',
+                            pic: req.user.name,
+                            createdBy: req.user.username,
                             note: `CSV Set Stock: ${productName} ${colorName} ${sizeName} -> ${qty}`
                         });
                     }
@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const SupplierService = require('../services/supplierService');
+const { authorize } = require('../middleware/auth');
+
+const SUPPLIER_TYPES = ['CONVECTION', 'SUPPLIER'];
+
+// Columns that PUT /api/suppliers/:id may change
+const UPDATABLE_FIELDS = [
+    'name', 'supplier_type', 'contact_person', 'phone', 'email', 'address',
+    'payment_terms_days', 'payment_terms_note', 'note', 'is_active'
+];
+
+/**
+ * GET /api/suppliers
+ * List suppliers (q, type, active_only)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q, type, active_only: activeOnly } = req.query;
+
+        const suppliers = await SupplierService.listSuppliers({
+            q,
+            type,
+            activeOnly: activeOnly === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: suppliers
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting suppliers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get suppliers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/suppliers/reports/spend
+ * Expenses paid and goods value received per supplier (start, end)
+ */
+router.get('/reports/spend', authorize('admin'), async (req, res) => {
+    try {
+        const { start, end } = req.query;
+
+        const report = await SupplierService.getSpendReport({ start, end });
+
+        res.json({
+            success: true,
+            data: report,
+            meta: { start, end }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting supplier spend report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get supplier spend report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/suppliers/reports/deliveries
+ * Delivered quantity, unit cost, lead time and on-time rate per supplier (start, end)
+ */
+router.get('/reports/deliveries', authorize('admin', 'warehouse'), async (req, res) => {
+    try {
+        const { start, end } = req.query;
+
+        const report = await SupplierService.getDeliveryReport({ start, end });
+
+        res.json({
+            success: true,
+            data: report,
+            meta: { start, end }
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting supplier delivery report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get supplier delivery report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/suppliers/:id
+ * Get a supplier
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const supplier = await SupplierService.getSupplier(parseInt(req.params.id));
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                error: 'Supplier not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: supplier
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting supplier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get supplier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/suppliers
+ * Create a supplier or convection vendor
+ */
+router.post('/', authorize('admin', 'warehouse'), async (req, res) => {
+    try {
+        const {
+            name,
+            supplier_type: supplierType = 'CONVECTION',
+            contact_person: contactPerson,
+            phone,
+            email,
+            address,
+            payment_terms_days: paymentTermsDays,
+            payment_terms_note: paymentTermsNote,
+            note
+        } = req.body;
+
+        console.log('🏭 Creating supplier:', { name, supplierType });
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: name'
+            });
+        }
+
+        if (!SUPPLIER_TYPES.includes(supplierType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid supplier_type. Must be one of: ${SUPPLIER_TYPES.join(', ')}`
+            });
+        }
+
+        const supplier = await SupplierService.createSupplier({
+            name: name.trim(),
+            supplierType,
+            contactPerson: contactPerson || null,
+            phone: phone || null,
+            email: email || null,
+            address: address || null,
+            paymentTermsDays,
+            paymentTermsNote: paymentTermsNote || null,
+            note: note || null
+        });
+
+        res.status(201).json({
+            success: true,
+            data: supplier,
+            message: 'Supplier created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating supplier:', error);
+
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Supplier name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create supplier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/suppliers/:id
+ * Update supplier details or deactivate it (is_active: false)
+ */
+router.put('/:id', authorize('admin', 'warehouse'), async (req, res) => {
+    try {
+        const supplierId = parseInt(req.params.id);
+
+        const existing = await SupplierService.getSupplier(supplierId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Supplier not found'
+            });
+        }
+
+        if (req.body.supplier_type !== undefined && !SUPPLIER_TYPES.includes(req.body.supplier_type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid supplier_type. Must be one of: ${SUPPLIER_TYPES.join(', ')}`
+            });
+        }
+
+        if (req.body.name !== undefined && !String(req.body.name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name cannot be empty'
+            });
+        }
+
+        const updates = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            let value = req.body[field];
+            if (field === 'payment_terms_days') value = parseInt(value) || 0;
+            else if (field === 'is_active') value = !!value;
+            else if (typeof value === 'string') value = value.trim() || null;
+
+            updates[field] = value;
+        });
+
+        console.log('🏭 Updating supplier:', { supplierId, fields: Object.keys(updates) });
+
+        const supplier = await SupplierService.updateSupplier(supplierId, updates);
+
+        res.json({
+            success: true,
+            data: supplier,
+            message: 'Supplier updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating supplier:', error);
+
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Supplier name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update supplier',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/suppliers/:id
+ * Delete a supplier that nothing references yet; otherwise deactivate it instead
+ */
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const supplierId = parseInt(req.params.id);
+
+        const existing = await SupplierService.getSupplier(supplierId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Supplier not found'
+            });
+        }
+
+        const references = await SupplierService.countReferences(supplierId);
+        if (references > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Supplier is used by expenses or purchase orders; deactivate it instead'
+            });
+        }
+
+        await SupplierService.deleteSupplier(supplierId);
+
+        console.log('🗑️ Supplier deleted:', supplierId);
+
+        res.json({
+            success: true,
+            message: 'Supplier deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting supplier:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete supplier',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
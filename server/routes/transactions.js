@@ -3,42 +3,99 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const MovementService = require('../services/movementService');
+const TransactionService = require('../services/transactionService');
+const PayableService = require('../services/payableService');
+const CommissionService = require('../services/commissionService');
+const CommissionPayoutService = require('../services/commissionPayoutService');
+const StaffService = require('../services/staffService');
+const PricingService = require('../services/pricingService');
+const PromotionService = require('../services/promotionService');
+const ReservationService = require('../services/reservationService');
+const CustomerService = require('../services/customerService');
+const LoyaltyService = require('../services/loyaltyService');
+const PaymentAccountService = require('../services/paymentAccountService');
+const { authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+// Sales and gifts roll back when any item cannot be taken out of stock; "false" saves them
+// anyway and only logs the failed lines. allow_backorder on a request lets stock go negative
+const STRICT_STOCK_POSTING = process.env.STRICT_STOCK_POSTING !== 'false';
 
 // GET all transactions with optional filters
-router.get('/', async (req, res) => {
+router.get('/', authorize('admin', 'cashier'), async (req, res) => {
     try {
-        const { type, pic, start, end } = req.query;
+        const { type, pic, staff_id: staffId, start, end, exclude_voided: excludeVoided, supplier_id: supplierId, promotion_id: promotionId, customer_id: customerId } = req.query;
         
-        let query = 'SELECT * FROM transactions WHERE 1=1';
+        let query = `
+            SELECT t.*, s.name AS supplier_name, pr.name AS promotion_name, cu.name AS customer_name
+            FROM transactions t
+            LEFT JOIN suppliers s ON t.supplier_id = s.id
+            LEFT JOIN promotions pr ON t.promotion_id = pr.id
+            LEFT JOIN customers cu ON t.customer_id = cu.id
+            WHERE 1=1
+        `;
         const params = [];
         
         // Add filters
         if (type) {
-            query += ' AND type = ?';
+            query += ' AND t.type = ?';
             params.push(type);
         }
         
         if (pic) {
-            query += ' AND (pic_sales = ? OR pic = ?)';
+            query += ' AND (t.pic_sales = ? OR t.pic = ?)';
             params.push(pic, pic);
         }
+
+        if (staffId) {
+            query += ' AND (t.pic_sales_staff_id = ? OR t.pic_staff_id = ?)';
+            params.push(staffId, staffId);
+        }
         
         if (start) {
-            query += ' AND date >= ?';
+            query += ' AND t.date >= ?';
             params.push(start);
         }
         
         if (end) {
-            query += ' AND date <= ?';
+            query += ' AND t.date <= ?';
             params.push(end);
         }
+
+        if (excludeVoided === 'true') {
+            query += ' AND t.voided_at IS NULL';
+        }
+
+        if (supplierId) {
+            query += ' AND t.supplier_id = ?';
+            params.push(supplierId);
+        }
+
+        if (promotionId) {
+            query += ' AND t.promotion_id = ?';
+            params.push(promotionId);
+        }
+
+        if (customerId) {
+            query += ' AND t.customer_id = ?';
+            params.push(customerId);
+        }
         
-        query += ' ORDER BY created_at DESC';
+        query += ' ORDER BY t.created_at DESC';
         
         console.log('🔍 Query:', query);
         console.log('📊 Params:', params);
         
         const [rows] = await db.execute(query, params);
+
+        // Split sales carry the accounts they were paid through
+        const payments = await PaymentAccountService.getPayments(rows
+            .filter(row => row.payment_method === PaymentAccountService.getSplitCode())
+            .map(row => row.id));
+        rows.forEach(row => {
+            if (payments.has(row.id)) row.payments = payments.get(row.id);
+        });
+
         res.json(rows);
     } catch (error) {
         console.error('Error fetching transactions:', error);
@@ -47,7 +104,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST new transaction
-router.post('/', async (req, res) => {
+router.post('/', authorize('admin', 'cashier'), async (req, res) => {
     try {
         console.log('📝 Received transaction data:', req.body);
         const { type, date, payment_method } = req.body;
@@ -57,6 +114,16 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Missing required fields: type, date, payment_method' });
         }
 
+        const paymentError = await PaymentAccountService.validatePaymentMethod(payment_method);
+        if (paymentError) {
+            return res.status(400).json({ error: paymentError });
+        }
+
+        const staff = await StaffService.resolvePic(req.body.staff_id, req.user);
+        if (!staff) {
+            return res.status(400).json({ error: 'PIC not found or inactive' });
+        }
+
         let result;
 
         if (type === 'penjualan') {
@@ -67,20 +134,20 @@ router.post('/', async (req, res) => {
                 quantity,
                 price_per_pcs,
                 total,
-                pic_sales,
                 free_item
             } = req.body;
+            const pic_sales = staff.name;
 
             // Validate sales-specific required fields
-            if (!product || !promo_type || !quantity || !price_per_pcs || !pic_sales) {
+            if (!product || !promo_type || !quantity || !price_per_pcs) {
                 return res.status(400).json({ error: 'Missing required sales fields' });
             }
 
             const [insertResult] = await db.execute(
                 `INSERT INTO transactions 
-                 (type, date, product, promo_type, quantity, price_per_pcs, total, payment_method, pic_sales, free_item) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [type, date, product, promo_type, quantity, price_per_pcs, total, payment_method, pic_sales, free_item || null]
+                 (type, date, product, promo_type, quantity, price_per_pcs, total, payment_method, pic_sales, pic_sales_staff_id, free_item) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [type, date, product, promo_type, quantity, price_per_pcs, total, payment_method, pic_sales, staff.id, free_item || null]
             );
             result = insertResult;
 
@@ -89,9 +156,9 @@ router.post('/', async (req, res) => {
             const {
                 expense_category,
                 description,
-                amount,
-                pic
+                amount
             } = req.body;
+            const pic = staff.name;
 
             // Validate expense-specific required fields
             if (!expense_category || !description || !amount) {
@@ -100,9 +167,9 @@ router.post('/', async (req, res) => {
 
             const [insertResult] = await db.execute(
                 `INSERT INTO transactions 
-                 (type, date, expense_category, description, amount, payment_method, pic) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [type, date, expense_category, description, amount, payment_method, pic || null]
+                 (type, date, expense_category, description, amount, payment_method, pic, pic_staff_id) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [type, date, expense_category, description, amount, payment_method, pic, staff.id]
             );
             result = insertResult;
 
@@ -124,8 +191,9 @@ router.post('/', async (req, res) => {
     }
 });
 
-// POST new transaction (Enhanced with stock integration)
-router.post('/create', async (req, res) => {
+// POST new transaction (Enhanced with stock integration); honours Idempotency-Key.
+// A sale with reservation_id converts that reservation: its stock is sold and the hold closed
+router.post('/create', authorize('admin', 'cashier'), idempotent, async (req, res) => {
     const connection = await db.getConnection();
     
     try {
@@ -136,170 +204,331 @@ router.post('/create', async (req, res) => {
 
         // Validate common required fields
         if (!type || !date) {
+            await connection.rollback();
             return res.status(400).json({ 
                 success: false,
                 error: 'Missing required fields: type, date' 
             });
         }
 
+        // PIC chosen on the form, defaulting to the staff member behind the account
+        const staff = await StaffService.resolvePic(req.body.staff_id, req.user, connection);
+        if (!staff) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: 'PIC not found or inactive'
+            });
+        }
+
+        // Sales and expenses are paid through an active payment account; a sale may be SPLIT across several
+        if (['penjualan', 'pengeluaran'].includes(type)) {
+            const paymentError = await PaymentAccountService.validatePaymentMethod(payment_method, {
+                allowSplit: type === 'penjualan'
+            }, connection);
+
+            if (paymentError) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: paymentError
+                });
+            }
+        }
+
+        // Sales and gifts may name the customer they were for
+        let customer = null;
+        if (req.body.customer_id && ['penjualan', 'gift'].includes(type)) {
+            customer = await CustomerService.getCustomer(req.body.customer_id, connection);
+
+            if (!customer) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: 'Customer not found'
+                });
+            }
+        }
+
         let transactionId;
         let stockMovements = [];
+        let stockErrors = [];
+        let priceCheck = null;
+        let loyaltyEntries = [];
+        let payments = [];
 
         if (type === 'penjualan') {
             // Handle sales transaction
             const {
                 promo_type,
-                pic_sales,
                 free_items,
                 manual_price
             } = req.body;
+            const pic_sales = staff.name;
 
             if (!items || !Array.isArray(items) || items.length === 0) {
+                await connection.rollback();
                 return res.status(400).json({ 
                     success: false,
                     error: 'Sales transactions must have items' 
                 });
             }
 
-            if (!pic_sales) {
-                return res.status(400).json({ 
+            if (!PricingService.getPromoTypes().includes(promo_type)) {
+                await connection.rollback();
+                return res.status(400).json({
                     success: false,
-                    error: 'Missing required field: pic_sales' 
+                    error: `Invalid promo_type. Must be one of: ${PricingService.getPromoTypes().join(', ')}`
                 });
             }
 
+            // A pre-order or custom order being picked up is sold from the stock reserved for it
+            let reservation = null;
+            if (req.body.reservation_id) {
+                reservation = await ReservationService.getReservation(req.body.reservation_id, connection, { forUpdate: true });
+
+                if (!reservation) {
+                    await connection.rollback();
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Reservation not found'
+                    });
+                }
+
+                if (!reservation.is_holding) {
+                    await connection.rollback();
+                    return res.status(409).json({
+                        success: false,
+                        error: `Reservation ${reservation.reservation_code} is ${reservation.status === 'ACTIVE' ? 'EXPIRED' : reservation.status} and can no longer be sold`
+                    });
+                }
+
+                // Converting closes the whole hold, so nothing reserved may be left unsold
+                const unsoldItems = await TransactionService.getUnsoldReservedItems(reservation, { items, freeItems: free_items }, connection);
+                if (unsoldItems.length > 0) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        code: 'RESERVATION_NOT_SOLD',
+                        error: `${unsoldItems.length} reserved item(s) of ${reservation.reservation_code} are not sold in full; sell every reserved item or release the reservation first`,
+                        unsold_items: unsoldItems
+                    });
+                }
+            }
+
+            // A campaign must be running on the sale date and is priced on top of its promo type
+            let promotion = null;
+            if (req.body.promotion_id) {
+                promotion = await PromotionService.getActivePromotion(req.body.promotion_id, date, connection);
+
+                if (!promotion) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Promotion not found or not running on this date'
+                    });
+                }
+
+                if (promotion.base_promo_type !== promo_type) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: `Promotion "${promotion.name}" is sold as ${promotion.base_promo_type}`
+                    });
+                }
+            }
+
+            // Points are redeemed as a discount off the total; the customer must hold them
+            const pointsRedeemed = parseInt(req.body.redeem_points) || 0;
+            if (pointsRedeemed < 0 || (pointsRedeemed > 0 && !customer)) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: 'Points can only be redeemed (a positive number) on a sale with a customer'
+                });
+            }
+
+            if (pointsRedeemed > 0) {
+                const available = await LoyaltyService.lockBalance(customer.id, connection);
+
+                if (pointsRedeemed > available) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: `Customer has only ${available} point(s) to redeem`
+                    });
+                }
+            }
+
+            const pointsDiscount = LoyaltyService.pointsValue(pointsRedeemed);
+
+            // Members are priced at their tier's price level
+            const membership = customer ? await LoyaltyService.getMembership(customer.id, connection) : null;
+
+            // Price the sale server-side; the total before points may only differ within the allowed override
+            const quote = await PricingService.quote({
+                promoType: promo_type,
+                items,
+                manualPrice: manual_price,
+                promotion,
+                memberPriceLevel: membership ? membership.price_level : null
+            }, connection);
+
+            if (promotion && !quote.promotion.applied) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `Promotion "${promotion.name}" does not apply: ${quote.promotion.reason}`,
+                    data: { quote }
+                });
+            }
+
+            // A manual set price is the checked total; it cannot carry a different (e.g. undiscounted) price
+            if (Number(manual_price) > 0 && Math.round(Number(manual_price)) !== Math.round(Number(total) + pointsDiscount)) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: 'manual_price must equal the total before points'
+                });
+            }
+
+            priceCheck = PricingService.checkTotal(quote, Number(total) + pointsDiscount);
+
+            if (!priceCheck.allowed) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: priceCheck.reason,
+                    data: { quote, price_check: priceCheck }
+                });
+            }
+
+            // Points pay for at most the quoted price, and the total paid after them cannot be negative
+            if (pointsDiscount > quote.total || Number(total) < 0) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `Points discount Rp ${pointsDiscount} is more than the sale price Rp ${quote.total}`
+                });
+            }
+
+            // A manual set price is recorded as paid, after points, like the total
+            const paidManualPrice = Number(manual_price) > 0 ? Number(manual_price) - pointsDiscount : (manual_price ?? null);
+
+            // A split sale lists what was paid through each account, adding up to the amount paid
+            if (payment_method === PaymentAccountService.getSplitCode()) {
+                const split = await PaymentAccountService.resolvePayments(
+                    req.body.payments,
+                    Number(paidManualPrice) > 0 ? paidManualPrice : total,
+                    connection
+                );
+
+                if (split.error) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: split.error
+                    });
+                }
+
+                payments = split.payments;
+            }
+
             // Create transaction record
             const [insertResult] = await connection.execute(
                 `INSERT INTO transactions 
-                 (type, date, promo_type, items, total, manual_price, payment_method, pic_sales, free_items) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [type, date, promo_type, JSON.stringify(items), total, manual_price, payment_method, pic_sales, 
-                 free_items ? JSON.stringify(free_items) : null]
+                 (type, date, promo_type, promotion_id, promotion_discount, items, total, manual_price, quoted_total, price_override, payment_method, pic_sales, pic_sales_staff_id, free_items, customer_id, points_redeemed, points_discount, member_price_level) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [type, date, promo_type, promotion ? promotion.id : null, promotion ? quote.promotion.discount : 0,
+                 JSON.stringify(items), total, paidManualPrice, priceCheck.quoted_total, priceCheck.override,
+                 payment_method, pic_sales, staff.id, free_items ? JSON.stringify(free_items) : null, customer ? customer.id : null,
+                 pointsRedeemed, pointsDiscount, quote.member_price_level]
             );
             transactionId = insertResult.insertId;
 
-            // Create stock movements for sold items
-            for (const item of items) {
-                if (item.product_id && item.quantity > 0) {
-                    try {
-                        // Resolve color and size IDs from names if needed
-                        let colorId = item.color_id;
-                        let sizeId = item.size_id;
-
-                        if (!colorId && item.color) {
-                            const [colorRows] = await connection.execute(
-                                'SELECT id FROM colors WHERE name = ?',
-                                [item.color]
-                            );
-                            colorId = colorRows[0]?.id;
-                        }
-
-                        if (!sizeId && item.size) {
-                            const [sizeRows] = await connection.execute(
-                                'SELECT id FROM sizes WHERE name = ?',
-                                [item.size]
-                            );
-                            sizeId = sizeRows[0]?.id;
-                        }
-
-                        if (colorId && sizeId) {
-                            const variantId = await MovementService.resolveVariantId({
-                                productId: item.product_id,
-                                colorId,
-                                sizeId
-                            });
-
-                            // Get default location (DISPLAY)
-                            const [locationRows] = await connection.execute(
-                                'SELECT id FROM locations WHERE is_default = TRUE LIMIT 1'
-                            );
-                            const locationId = locationRows[0]?.id || 1;
-
-                            const movement = await MovementService.createMovement({
-                                variantId,
-                                locationId,
-                                movementType: 'OUT',
-                                reasonCode: 'SALES_OUT',
-                                qty: item.quantity,
-                                refTable: 'transactions',
-                                refId: transactionId,
-                                refCode: `TXN-${transactionId}`,
-                                pic: pic_sales,
-                                createdBy: pic_sales
-                            }, connection);
-
-                            stockMovements.push(movement);
-                        }
-                    } catch (stockError) {
-                        console.warn('⚠️ Could not create stock movement for item:', item, stockError.message);
-                    }
-                }
+            await PaymentAccountService.savePayments(transactionId, payments, connection);
+
+            const lockError = await CommissionPayoutService.applyLock({
+                dates: [date],
+                pic: pic_sales,
+                transactionId,
+                adjustment: req.body.commission_adjustment,
+                suggest: async () => (await CommissionService.getSaleCommission({
+                    id: transactionId, date, promo_type, items, total, manual_price: paidManualPrice, pic_sales
+                })).commission,
+                user: req.user
+            }, connection);
+
+            if (lockError) {
+                await connection.rollback();
+                return res.status(409).json(lockError);
             }
 
-            // Create stock movements for free items (treated as SALES_OUT)
-            if (free_items && Array.isArray(free_items)) {
-                for (const freeItem of free_items) {
-                    if (freeItem.product_id) {
-                        try {
-                            let colorId = freeItem.color_id;
-                            let sizeId = freeItem.size_id;
-
-                            if (!colorId && freeItem.color) {
-                                const [colorRows] = await connection.execute(
-                                    'SELECT id FROM colors WHERE name = ?',
-                                    [freeItem.color]
-                                );
-                                colorId = colorRows[0]?.id;
-                            }
-
-                            if (!sizeId && freeItem.size) {
-                                const [sizeRows] = await connection.execute(
-                                    'SELECT id FROM sizes WHERE name = ?',
-                                    [freeItem.size]
-                                );
-                                sizeId = sizeRows[0]?.id;
-                            }
-
-                            if (colorId && sizeId) {
-                                const variantId = await MovementService.resolveVariantId({
-                                    productId: freeItem.product_id,
-                                    colorId,
-                                    sizeId
-                                });
-
-                                const [locationRows] = await connection.execute(
-                                    'SELECT id FROM locations WHERE is_default = TRUE LIMIT 1'
-                                );
-                                const locationId = locationRows[0]?.id || 1;
-
-                                const movement = await MovementService.createMovement({
-                                    variantId,
-                                    locationId,
-                                    movementType: 'OUT',
-                                    reasonCode: 'SALES_OUT',
-                                    qty: 1,
-                                    refTable: 'transactions',
-                                    refId: transactionId,
-                                    refCode: `TXN-${transactionId}-FREE`,
-                                    note: `Free item: ${freeItem.name}`,
-                                    pic: pic_sales,
-                                    createdBy: pic_sales
-                                }, connection);
-
-                                stockMovements.push(movement);
-                            }
-                        } catch (stockError) {
-                            console.warn('⚠️ Could not create stock movement for free item:', freeItem, stockError.message);
-                        }
-                    }
-                }
+            // Take sold and free items out of stock (free items count as one piece each; free
+            // extras given without a color or size, like stickers, are not stock items)
+            const stockResult = await TransactionService.postSaleMovements({
+                transactionId,
+                lines: [
+                    ...items.map((item, index) => ({
+                        line: `items[${index}]`,
+                        item,
+                        qty: parseInt(item.quantity) || 0,
+                        refCode: `TXN-${transactionId}`
+                    })),
+                    ...(Array.isArray(free_items) ? free_items : []).map((freeItem, index) => ({
+                        line: `free_items[${index}]`,
+                        item: freeItem,
+                        qty: 1,
+                        refCode: `TXN-${transactionId}-FREE`,
+                        note: `Free item: ${freeItem.name}`
+                    })).filter(({ item }) => item.color_id || item.color || item.size_id || item.size)
+                ],
+                pic: pic_sales,
+                createdBy: req.user.username,
+                allowBackorder: req.body.allow_backorder === true,
+                reservation
+            }, connection);
+
+            stockMovements = stockResult.movements;
+            stockErrors = stockResult.errors;
+
+            // The hold ends with the sale, in the same database transaction as its movements
+            if (reservation) {
+                await ReservationService.markConverted(reservation.id, transactionId, req.user.username, connection);
+            }
+
+            // Keep the location each line was taken from on the transaction
+            await connection.execute(
+                'UPDATE transactions SET items = ?, free_items = ? WHERE id = ?',
+                [JSON.stringify(TransactionService.withPlacements(items, 'items', stockResult.placements)),
+                 free_items ? JSON.stringify(TransactionService.withPlacements(free_items, 'free_items', stockResult.placements)) : null,
+                 transactionId]
+            );
+
+            // Points are spent and earned with the sale
+            if (pointsRedeemed > 0) {
+                loyaltyEntries.push(await LoyaltyService.redeem({
+                    customerId: customer.id,
+                    points: pointsRedeemed,
+                    transactionId,
+                    createdBy: req.user.username
+                }, connection));
             }
 
+            loyaltyEntries.push(...await LoyaltyService.syncSaleEarn({
+                sale: { id: transactionId, type, date, customer_id: customer ? customer.id : null, total, manual_price: paidManualPrice },
+                createdBy: req.user.username
+            }, connection));
+
         } else if (type === 'gift') {
             // Handle gift transaction
-            const { reason, pic, recipient } = req.body;
+            const { reason } = req.body;
+            // A gift to a known customer is recorded under their name unless a recipient is typed
+            const recipient = req.body.recipient || (customer ? customer.name : null);
+            const pic = staff.name;
 
             if (!items || !Array.isArray(items) || items.length === 0) {
+                await connection.rollback();
                 return res.status(400).json({ 
                     success: false,
                     error: 'Gift transactions must have items' 
@@ -309,95 +538,90 @@ router.post('/create', async (req, res) => {
             // Create transaction record
             const [insertResult] = await connection.execute(
                 `INSERT INTO transactions 
-                 (type, date, items, reason, recipient, pic, total, payment_method) 
-                 VALUES (?, ?, ?, ?, ?, ?, 0, NULL)`,
-                [type, date, JSON.stringify(items), reason, recipient, pic]
+                 (type, date, items, reason, recipient, customer_id, pic, pic_staff_id, total, payment_method) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, NULL)`,
+                [type, date, JSON.stringify(items), reason, recipient, customer ? customer.id : null, pic, staff.id]
             );
             transactionId = insertResult.insertId;
 
-            // Create stock movements for gift items
-            for (const item of items) {
-                if (item.product_id && item.quantity > 0) {
-                    try {
-                        let colorId = item.color_id;
-                        let sizeId = item.size_id;
-
-                        if (!colorId && item.color) {
-                            const [colorRows] = await connection.execute(
-                                'SELECT id FROM colors WHERE name = ?',
-                                [item.color]
-                            );
-                            colorId = colorRows[0]?.id;
-                        }
-
-                        if (!sizeId && item.size) {
-                            const [sizeRows] = await connection.execute(
-                                'SELECT id FROM sizes WHERE name = ?',
-                                [item.size]
-                            );
-                            sizeId = sizeRows[0]?.id;
-                        }
-
-                        if (colorId && sizeId) {
-                            const variantId = await MovementService.resolveVariantId({
-                                productId: item.product_id,
-                                colorId,
-                                sizeId
-                            });
-
-                            const [locationRows] = await connection.execute(
-                                'SELECT id FROM locations WHERE is_default = TRUE LIMIT 1'
-                            );
-                            const locationId = locationRows[0]?.id || 1;
-
-                            const movement = await MovementService.createMovement({
-                                variantId,
-                                locationId,
-                                movementType: 'OUT',
-                                reasonCode: 'SALES_OUT', // Per specification: gifts use SALES_OUT
-                                qty: item.quantity,
-                                refTable: 'transactions',
-                                refId: transactionId,
-                                refCode: `GIFT-${transactionId}`,
-                                note: `Gift: ${reason || 'Gift transaction'}`,
-                                pic,
-                                createdBy: pic
-                            }, connection);
-
-                            stockMovements.push(movement);
-                        }
-                    } catch (stockError) {
-                        console.warn('⚠️ Could not create stock movement for gift item:', item, stockError.message);
-                    }
-                }
-            }
+            // Take gift items out of stock (gifts use SALES_OUT)
+            const stockResult = await TransactionService.postSaleMovements({
+                transactionId,
+                lines: items.map((item, index) => ({
+                    line: `items[${index}]`,
+                    item,
+                    qty: parseInt(item.quantity) || 0,
+                    refCode: `GIFT-${transactionId}`,
+                    note: `Gift: ${reason || 'Gift transaction'}`
+                })),
+                pic,
+                createdBy: req.user.username,
+                allowBackorder: req.body.allow_backorder === true
+            }, connection);
+
+            stockMovements = stockResult.movements;
+            stockErrors = stockResult.errors;
+
+            await connection.execute(
+                'UPDATE transactions SET items = ? WHERE id = ?',
+                [JSON.stringify(TransactionService.withPlacements(items, 'items', stockResult.placements)), transactionId]
+            );
 
         } else if (type === 'pengeluaran') {
             // Handle expense transaction (no stock movement)
-            const { expense_category, description, amount, pic } = req.body;
+            const { expense_category, description, amount, supplier_id } = req.body;
+            const pic = staff.name;
 
             if (!expense_category || !description || !amount) {
+                await connection.rollback();
                 return res.status(400).json({ 
                     success: false,
                     error: 'Missing required expense fields' 
                 });
             }
 
+            if (supplier_id) {
+                const [supplierRows] = await connection.execute('SELECT id FROM suppliers WHERE id = ?', [supplier_id]);
+                if (supplierRows.length === 0) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Supplier not found'
+                    });
+                }
+            }
+
             const [insertResult] = await connection.execute(
                 `INSERT INTO transactions 
-                 (type, date, expense_category, description, amount, payment_method, pic) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [type, date, expense_category, description, amount, payment_method, pic]
+                 (type, date, expense_category, description, amount, payment_method, pic, pic_staff_id, supplier_id) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [type, date, expense_category, description, amount, payment_method, pic, staff.id, supplier_id || null]
             );
             transactionId = insertResult.insertId;
 
         } else {
+            await connection.rollback();
             return res.status(400).json({ 
                 success: false,
                 error: 'Invalid transaction type. Must be "penjualan", "gift", or "pengeluaran"' 
             });
         }
 
+        // Strict mode: a sale or gift whose items cannot all leave stock is not saved
+        if (stockErrors.length > 0) {
+            if (STRICT_STOCK_POSTING) {
+                await connection.rollback();
+                return res.status(422).json({
+                    success: false,
+                    code: 'STOCK_NOT_MOVED',
+                    error: `${stockErrors.length} item(s) could not be taken out of stock; the transaction was not saved`,
+                    stock_errors: stockErrors
+                });
+            }
+
+            stockErrors.forEach(stockError => console.warn('⚠️ Could not create stock movement for item:', stockError));
+        }
+
         await connection.commit();
 
         // Get created transaction
@@ -410,7 +634,11 @@ router.post('/create', async (req, res) => {
             success: true,
             data: {
                 transaction: newTransaction[0],
-                stock_movements: stockMovements
+                stock_movements: stockMovements,
+                stock_errors: stockErrors,
+                price_check: priceCheck,
+                loyalty_points: loyaltyEntries,
+                payments
             },
             message: 'Transaction created successfully'
         });
@@ -428,8 +656,929 @@ router.post('/create', async (req, res) => {
     }
 });
 
-// DELETE all transactions (clear database)
-router.delete('/clear-all', async (req, res) => {
+// Fields that PUT /api/transactions/:id may change, per transaction type
+const EDITABLE_FIELDS = {
+    penjualan: ['date', 'promo_type', 'items', 'free_items', 'total', 'manual_price', 'payment_method', 'customer_id'],
+    gift: ['date', 'items', 'reason', 'recipient', 'customer_id'],
+    pengeluaran: ['date', 'expense_category', 'description', 'amount', 'payment_method', 'supplier_id']
+};
+const JSON_FIELDS = ['items', 'free_items'];
+// Sale fields that change the commission earned
+const COMMISSION_FIELDS = ['date', 'promo_type', 'items', 'total', 'manual_price'];
+// Sale fields that are re-priced by PricingService
+const PRICING_FIELDS = ['promo_type', 'items', 'total', 'manual_price'];
+
+/**
+ * PUT /api/transactions/:id
+ * Edit a transaction; stock is re-posted as net movements against the original ref code
+ */
+router.put('/:id', authorize('admin', 'cashier'), async (req, res) => {
+    const connection = await db.getConnection();
+
+    try {
+        const transactionId = parseInt(req.params.id);
+        const { note } = req.body;
+
+        console.log('✏️ Editing transaction:', { transactionId, body: req.body });
+
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            'SELECT * FROM transactions WHERE id = ? FOR UPDATE',
+            [transactionId]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        const transaction = rows[0];
+
+        if (transaction.voided_at) {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: 'Voided transactions cannot be edited'
+            });
+        }
+
+        const editableFields = EDITABLE_FIELDS[transaction.type];
+        if (!editableFields) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: `Transactions of type "${transaction.type}" cannot be edited`
+            });
+        }
+
+        if (req.body.items !== undefined && transaction.type !== 'pengeluaran'
+            && (!Array.isArray(req.body.items) || req.body.items.length === 0)) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: 'Sales and gift transactions must have items'
+            });
+        }
+
+        // Collect changed fields as { field: { from, to } }
+        const changes = {};
+        for (const field of editableFields) {
+            if (req.body[field] === undefined) continue;
+
+            const from = JSON_FIELDS.includes(field)
+                ? TransactionService.parseJson(transaction[field])
+                : TransactionService.toPlainValue(transaction[field]);
+            const to = req.body[field] ?? null;
+
+            if (!TransactionService.isSameValue(from, to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        // The split payments of a sale are replaced as a whole
+        if (transaction.type === 'penjualan' && req.body.payments !== undefined) {
+            const from = ((await PaymentAccountService.getPayments([transactionId], connection)).get(transactionId) || [])
+                .map(payment => ({ account_id: payment.account_id, amount: payment.amount }));
+            const to = (Array.isArray(req.body.payments) ? req.body.payments : [])
+                .map(payment => ({ account_id: parseInt(payment.account_id), amount: parseInt(payment.amount) }));
+
+            if (!TransactionService.isSameValue(from, to)) {
+                changes.payments = { from, to };
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: 'No changes to save'
+            });
+        }
+
+        if (changes.supplier_id && changes.supplier_id.to) {
+            const [supplierRows] = await connection.execute('SELECT id FROM suppliers WHERE id = ?', [changes.supplier_id.to]);
+            if (supplierRows.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: 'Supplier not found'
+                });
+            }
+        }
+
+        if (changes.customer_id && changes.customer_id.to && !await CustomerService.getCustomer(changes.customer_id.to, connection)) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+
+        if (changes.customer_id && transaction.points_redeemed > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: `${transaction.points_redeemed} point(s) of the customer were redeemed on this sale; void it instead of changing the customer`
+            });
+        }
+
+        if (transaction.type === 'pengeluaran' && await CommissionPayoutService.isPayoutTransaction(transactionId, connection)) {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: 'Commission payouts cannot be edited; cancel the payout run instead'
+            });
+        }
+
+        if (changes.promo_type && !PricingService.getPromoTypes().includes(changes.promo_type.to)) {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: `Invalid promo_type. Must be one of: ${PricingService.getPromoTypes().join(', ')}`
+            });
+        }
+
+        // Legacy sales with other promo types keep their recorded prices
+        let priceCheck = null;
+        let promotionDiscount = 0;
+        const pricedSale = {};
+        PRICING_FIELDS.forEach(field => {
+            pricedSale[field] = changes[field] ? changes[field].to
+                : (JSON_FIELDS.includes(field) ? TransactionService.parseJson(transaction[field]) : transaction[field]);
+        });
+
+        if (transaction.type === 'penjualan' && PRICING_FIELDS.some(field => changes[field])
+            && PricingService.getPromoTypes().includes(pricedSale.promo_type)) {
+            // The sale keeps its campaign; its discount is recomputed for the edited lines
+            const promotion = transaction.promotion_id
+                ? await PromotionService.getPromotion(transaction.promotion_id, connection)
+                : null;
+
+            // It also keeps the member price it was sold at, and the points redeemed on it
+            // (manual set prices are stored after points already)
+            const quote = await PricingService.quote({
+                promoType: pricedSale.promo_type,
+                items: pricedSale.items,
+                manualPrice: pricedSale.manual_price,
+                promotion,
+                memberPriceLevel: transaction.member_price_level
+            }, connection);
+            priceCheck = PricingService.checkTotal(quote, Number(pricedSale.total)
+                + (quote.manual_price === null ? transaction.points_discount : 0));
+            promotionDiscount = quote.promotion ? quote.promotion.discount : 0;
+
+            if (!priceCheck.allowed) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: priceCheck.reason,
+                    data: { quote, price_check: priceCheck }
+                });
+            }
+        }
+
+        if (changes.payment_method) {
+            const paymentError = await PaymentAccountService.validatePaymentMethod(changes.payment_method.to, {
+                allowSplit: transaction.type === 'penjualan'
+            }, connection);
+
+            if (paymentError) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: paymentError
+                });
+            }
+        }
+
+        // A split sale's payments must still add up after the edit; leaving SPLIT drops them
+        let splitPayments = null;
+        if (transaction.type === 'penjualan') {
+            const paymentMethod = changes.payment_method ? changes.payment_method.to : transaction.payment_method;
+
+            if (paymentMethod === PaymentAccountService.getSplitCode()) {
+                if (['payments', 'payment_method', 'total', 'manual_price'].some(field => changes[field])) {
+                    const currentPayments = changes.payments
+                        ? changes.payments.to
+                        : ((await PaymentAccountService.getPayments([transactionId], connection)).get(transactionId) || []);
+                    const amountPaid = await PaymentAccountService.getAmountPaid({ ...pricedSale, id: transactionId }, connection);
+                    const split = await PaymentAccountService.resolvePayments(currentPayments, amountPaid, connection);
+
+                    if (split.error) {
+                        await connection.rollback();
+                        return res.status(400).json({
+                            success: false,
+                            error: changes.payments ? split.error : `${split.error}; include the new payments`
+                        });
+                    }
+
+                    splitPayments = split.payments;
+                }
+            } else if (changes.payments) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `payments are only recorded on ${PaymentAccountService.getSplitCode()} sales`
+                });
+            } else if (transaction.payment_method === PaymentAccountService.getSplitCode()) {
+                splitPayments = [];
+            }
+        }
+
+        if (transaction.type === 'penjualan' && COMMISSION_FIELDS.some(field => changes[field])) {
+            const updatedSale = { ...transaction };
+            COMMISSION_FIELDS.forEach(field => {
+                if (changes[field]) updatedSale[field] = changes[field].to;
+            });
+
+            const lockError = await CommissionPayoutService.applyLock({
+                dates: [transaction.date, changes.date && changes.date.to],
+                pic: transaction.pic_sales,
+                transactionId,
+                adjustment: req.body.commission_adjustment,
+                suggest: async () => (await CommissionService.getSaleCommission(updatedSale)).commission
+                    - (await CommissionService.getSaleCommission(transaction)).commission,
+                user: req.user
+            }, connection);
+
+            if (lockError) {
+                await connection.rollback();
+                return res.status(409).json(lockError);
+            }
+        }
+
+        if (transaction.supplier_invoice_id) {
+            // Invoice payments stay with the invoice's supplier and cannot overpay it
+            if (changes.supplier_id) {
+                await connection.rollback();
+                return res.status(409).json({
+                    success: false,
+                    error: 'Supplier of an invoice payment cannot be changed'
+                });
+            }
+
+            if (changes.amount) {
+                const [invoiceRows] = await connection.execute(
+                    'SELECT amount FROM supplier_invoices WHERE id = ? FOR UPDATE',
+                    [transaction.supplier_invoice_id]
+                );
+                const paidElsewhere = await PayableService.getAmountPaid(transaction.supplier_invoice_id, connection)
+                    - transaction.amount;
+
+                if (paidElsewhere + parseInt(changes.amount.to) > invoiceRows[0].amount) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: `Payment exceeds the invoice's outstanding amount (${invoiceRows[0].amount - paidElsewhere})`
+                    });
+                }
+            }
+        }
+
+        if ((changes.items || changes.free_items) && transaction.type === 'penjualan') {
+            // Returns point at sales lines by index, so lines cannot change underneath them
+            const returned = await TransactionService.getReturnedQuantities(transactionId, connection);
+            if (returned.size > 0) {
+                await connection.rollback();
+                return res.status(409).json({
+                    success: false,
+                    error: 'Items of a sale with returns cannot be edited; record another return instead'
+                });
+            }
+        }
+
+        // Split payments live in their own table
+        const columns = Object.keys(changes).filter(field => field !== 'payments');
+        const setClause = columns.map(field => `${field} = ?`).join(', ');
+        const values = columns.map(field => {
+            const value = changes[field].to;
+            return JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+        });
+
+        if (columns.length > 0) {
+            await connection.execute(
+                `UPDATE transactions SET ${setClause} WHERE id = ?`,
+                [...values, transactionId]
+            );
+        }
+
+        if (splitPayments) {
+            await PaymentAccountService.savePayments(transactionId, splitPayments, connection);
+        }
+
+        if (priceCheck) {
+            await connection.execute(
+                'UPDATE transactions SET quoted_total = ?, price_override = ?, promotion_discount = ? WHERE id = ?',
+                [priceCheck.quoted_total, priceCheck.override, promotionDiscount, transactionId]
+            );
+        }
+
+        let stockMovements = [];
+        let stockErrors = [];
+        if (transaction.type !== 'pengeluaran' && (changes.items || changes.free_items)) {
+            const editedItems = changes.items ? changes.items.to : TransactionService.parseJson(transaction.items);
+            const editedFreeItems = changes.free_items ? changes.free_items.to : TransactionService.parseJson(transaction.free_items);
+
+            const stockResult = await TransactionService.repostStock({
+                transaction,
+                items: editedItems,
+                freeItems: editedFreeItems,
+                note: `Edit of ${TransactionService.getRefCode(transaction)}${note ? `: ${note}` : ''}`,
+                pic: req.user.name,
+                createdBy: req.user.username,
+                allowBackorder: req.body.allow_backorder === true
+            }, connection);
+
+            // Edited lines must name variants that exist; they are never created from a sale
+            if (stockResult.unknownVariants.length > 0) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `${stockResult.unknownVariants.length} item(s) do not match an existing product variant`,
+                    stock_errors: stockResult.unknownVariants
+                });
+            }
+
+            // Added quantity that cannot leave stock fails the edit as it would fail a new sale
+            stockErrors = stockResult.errors;
+            if (stockErrors.length > 0) {
+                if (STRICT_STOCK_POSTING) {
+                    await connection.rollback();
+                    return res.status(422).json({
+                        success: false,
+                        code: 'STOCK_NOT_MOVED',
+                        error: `${stockErrors.length} item(s) could not be taken out of stock; the edit was not saved`,
+                        stock_errors: stockErrors
+                    });
+                }
+
+                stockErrors.forEach(stockError => console.warn('⚠️ Could not create stock movement for item:', stockError));
+            }
+
+            stockMovements = stockResult.movements;
+
+            // Keep the location each line's stock is held at on the transaction
+            await connection.execute(
+                'UPDATE transactions SET items = ?, free_items = ? WHERE id = ?',
+                [JSON.stringify(TransactionService.withPlacements(editedItems, 'items', stockResult.placements)),
+                 editedFreeItems ? JSON.stringify(TransactionService.withPlacements(editedFreeItems, 'free_items', stockResult.placements)) : null,
+                 transactionId]
+            );
+        }
+
+        // Points earned follow the customer and the amount paid
+        let loyaltyEntries = [];
+        if (transaction.type === 'penjualan' && ['customer_id', 'total', 'manual_price'].some(field => changes[field])) {
+            const [savedRows] = await connection.execute('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+            loyaltyEntries = await LoyaltyService.syncSaleEarn({
+                sale: savedRows[0],
+                note: `Edit of TXN-${transactionId}`,
+                createdBy: req.user.username
+            }, connection);
+        }
+
+        await connection.execute(
+            `INSERT INTO transaction_edits (transaction_id, changes, note, edited_by)
+             VALUES (?, ?, ?, ?)`,
+            [transactionId, JSON.stringify(changes), note || null, req.user.username]
+        );
+
+        await connection.commit();
+
+        const [updatedRows] = await db.execute('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+
+        res.json({
+            success: true,
+            data: {
+                transaction: updatedRows[0],
+                changes,
+                stock_movements: stockMovements,
+                stock_errors: stockErrors,
+                loyalty_points: loyaltyEntries
+            },
+            message: 'Transaction updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('❌ Error editing transaction:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update transaction',
+            message: error.message
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * GET /api/transactions/:id/history
+ * Edit history of a transaction, newest first
+ */
+router.get('/:id/history', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const transactionId = parseInt(req.params.id);
+        const history = await TransactionService.getEditHistory(transactionId);
+
+        res.json({
+            success: true,
+            data: history
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting transaction history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get transaction history',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/transactions/returns
+ * List returns/exchanges (query: start, end, exclude_voided)
+ */
+router.get('/returns', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const { start, end, exclude_voided: excludeVoided } = req.query;
+
+        const returns = await TransactionService.getReturns({
+            start,
+            end,
+            excludeVoided: excludeVoided === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: returns
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting returns:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get returns',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/transactions/:id/returns
+ * Returns recorded against a sale
+ */
+router.get('/:id/returns', authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const returns = await TransactionService.getReturns({ transactionId: parseInt(req.params.id) });
+
+        res.json({
+            success: true,
+            data: returns
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting transaction returns:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get transaction returns',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/transactions/:id/returns
+ * Return lines of a sale into a location (RETURN_IN), with a refund and/or
+ * replacement items issued as SALES_OUT in the same DB transaction
+ */
+router.post('/:id/returns', authorize('admin', 'cashier'), async (req, res) => {
+    const connection = await db.getConnection();
+
+    try {
+        const transactionId = parseInt(req.params.id);
+        const {
+            date = new Date().toISOString().split('T')[0],
+            lines,
+            location_id: locationIdParam,
+            refund_amount: refundAmount = 0,
+            refund_method: refundMethod = null,
+            replacement_items: replacementItems = [],
+            reason = null
+        } = req.body;
+
+        console.log('↩️ Creating return:', { transactionId, lines, locationIdParam, refundAmount, replacementItems });
+
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Select at least one line to return'
+            });
+        }
+
+        if (Number(refundAmount) < 0 || (Number(refundAmount) > 0 && !refundMethod)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refunds need a non-negative refund_amount and a refund_method'
+            });
+        }
+
+        // Refunds are paid out of one account, even on split sales
+        const refundMethodError = Number(refundAmount) > 0
+            ? await PaymentAccountService.validatePaymentMethod(refundMethod)
+            : null;
+        if (refundMethodError) {
+            return res.status(400).json({
+                success: false,
+                error: refundMethodError.replace('payment_method', 'refund_method')
+            });
+        }
+
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            'SELECT * FROM transactions WHERE id = ? FOR UPDATE',
+            [transactionId]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        const transaction = rows[0];
+
+        if (transaction.type !== 'penjualan') {
+            await connection.rollback();
+            return res.status(400).json({
+                success: false,
+                error: 'Only sales transactions can be returned'
+            });
+        }
+
+        if (transaction.voided_at) {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: 'Voided transactions cannot be returned'
+            });
+        }
+
+        // A sale cannot refund more than was paid on it, across all its returns
+        if (Number(refundAmount) > 0) {
+            const amountPaid = Number(transaction.manual_price) > 0 ? Number(transaction.manual_price) : (Number(transaction.total) || 0);
+            const refundable = Math.max(amountPaid - await TransactionService.getRefundedAmount(transactionId, connection), 0);
+
+            if (Number(refundAmount) > refundable) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `refund_amount is more than what is left to refund on this sale. Refundable: ${refundable}`
+                });
+            }
+        }
+
+        // Refunds are charged back on the commission of the period they are dated in
+        if (Number(refundAmount) > 0) {
+            const lockError = await CommissionPayoutService.applyLock({
+                dates: [date],
+                pic: transaction.pic_sales,
+                transactionId,
+                adjustment: req.body.commission_adjustment,
+                suggest: async () => {
+                    const sale = await CommissionService.getSaleCommission(transaction);
+                    return sale.amount > 0 ? -Math.round(Number(refundAmount) * sale.commission / sale.amount) : 0;
+                },
+                user: req.user
+            }, connection);
+
+            if (lockError) {
+                await connection.rollback();
+                return res.status(409).json(lockError);
+            }
+        }
+
+        // Check each line against what is left after earlier returns
+        const items = TransactionService.parseJson(transaction.items) || [];
+        const returned = await TransactionService.getReturnedQuantities(transactionId, connection);
+        const returnLines = [];
+
+        for (const line of lines) {
+            const lineIndex = parseInt(line.line_index);
+            const qty = parseInt(line.quantity) || 0;
+            const item = items[lineIndex];
+            const remaining = item ? (parseInt(item.quantity) || 0) - (returned.get(lineIndex) || 0) : 0;
+
+            if (!item || qty <= 0 || qty > remaining) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid return quantity for line ${line.line_index}. Returnable: ${remaining}`
+                });
+            }
+
+            returnLines.push({ ...item, line_index: lineIndex, quantity: qty });
+            returned.set(lineIndex, (returned.get(lineIndex) || 0) + qty);
+        }
+
+        // Returned goods go to the chosen location, or the default one
+        let locationId = parseInt(locationIdParam);
+        if (!locationId) {
+            const [locationRows] = await connection.execute(
+                'SELECT id FROM locations WHERE is_default = TRUE LIMIT 1'
+            );
+            locationId = locationRows[0]?.id || 1;
+        }
+
+        const replacements = (replacementItems || []).filter(item => item.product_id && parseInt(item.quantity) > 0);
+
+        // Returned lines and replacements must name variants that exist; none are created here
+        const returnVariants = [];
+        for (const line of [...returnLines, ...replacements]) {
+            const variant = await TransactionService.findItemVariant(line, connection);
+            if (!variant.variantId) {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    error: line.line_index !== undefined
+                        ? `Returned line ${line.line_index}: ${variant.error}`
+                        : `Replacement ${line.product_name || line.product_id}: ${variant.error}`
+                });
+            }
+
+            returnVariants.push(variant.variantId);
+        }
+
+        const [insertResult] = await connection.execute(
+            `INSERT INTO transaction_returns
+             (transaction_id, date, location_id, items, replacement_items, refund_amount, refund_method, reason, pic, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [transactionId, date, locationId, JSON.stringify(returnLines),
+             replacements.length > 0 ? JSON.stringify(replacements) : null,
+             parseInt(refundAmount) || 0, refundMethod, reason, req.user.name, req.user.username]
+        );
+        const returnId = insertResult.insertId;
+
+        // Refunds take back the points earned on the refunded amount
+        const loyaltyEntries = Number(refundAmount) > 0
+            ? await LoyaltyService.syncSaleEarn({
+                sale: transaction,
+                returnId,
+                note: `Refund RET-${returnId} of TXN-${transactionId}`,
+                createdBy: req.user.username
+            }, connection)
+            : [];
+
+        const stockMovements = [];
+
+        for (const [index, line] of returnLines.entries()) {
+            const variantId = returnVariants[index];
+
+            stockMovements.push(await MovementService.createMovement({
+                variantId,
+                locationId,
+                movementType: 'IN',
+                reasonCode: 'RETURN_IN',
+                qty: line.quantity,
+                unitCost: await TransactionService.getSoldUnitCost(transactionId, variantId, connection),
+                refTable: 'transaction_returns',
+                refId: returnId,
+                refCode: `RET-${returnId}`,
+                note: `Return from TXN-${transactionId}${reason ? `: ${reason}` : ''}`,
+                pic: req.user.name,
+                createdBy: req.user.username
+            }, connection));
+        }
+
+        // Replacements leave stock like a sale: from their own location_id or the sales location
+        // order, never out of stock held by reservations
+        let stockErrors = [];
+        if (replacements.length > 0) {
+            const stockResult = await TransactionService.postSaleMovements({
+                transactionId,
+                refTable: 'transaction_returns',
+                refId: returnId,
+                lines: replacements.map((item, index) => ({
+                    line: `replacement_items[${index}]`,
+                    item,
+                    qty: parseInt(item.quantity),
+                    refCode: `RET-${returnId}`,
+                    note: `Exchange for TXN-${transactionId}`
+                })),
+                pic: req.user.name,
+                createdBy: req.user.username,
+                allowBackorder: req.body.allow_backorder === true
+            }, connection);
+
+            stockMovements.push(...stockResult.movements);
+            stockErrors = stockResult.errors;
+
+            if (stockErrors.length > 0 && STRICT_STOCK_POSTING) {
+                await connection.rollback();
+                return res.status(422).json({
+                    success: false,
+                    code: 'STOCK_NOT_MOVED',
+                    error: `${stockErrors.length} replacement item(s) could not be taken out of stock; the exchange was not saved`,
+                    stock_errors: stockErrors
+                });
+            }
+
+            stockErrors.forEach(stockError => console.warn('⚠️ Could not create stock movement for replacement:', stockError));
+
+            await connection.execute(
+                'UPDATE transaction_returns SET replacement_items = ? WHERE id = ?',
+                [JSON.stringify(TransactionService.withPlacements(replacements, 'replacement_items', stockResult.placements)), returnId]
+            );
+        }
+
+        await connection.commit();
+
+        const [returnRows] = await db.execute('SELECT * FROM transaction_returns WHERE id = ?', [returnId]);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                return: returnRows[0],
+                stock_movements: stockMovements,
+                stock_errors: stockErrors,
+                loyalty_points: loyaltyEntries
+            },
+            message: replacements.length > 0 ? 'Exchange recorded successfully' : 'Return recorded successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('❌ Error creating return:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record return',
+            message: error.message
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+/**
+ * POST /api/transactions/:id/void
+ * Void a transaction and return its stock with compensating movements
+ */
+router.post('/:id/void', authorize('admin'), async (req, res) => {
+    const connection = await db.getConnection();
+
+    try {
+        const transactionId = parseInt(req.params.id);
+        const { reason } = req.body;
+
+        console.log('🚫 Voiding transaction:', { transactionId, reason, by: req.user.username });
+
+        if (!transactionId || !reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: transaction id, reason'
+            });
+        }
+
+        await connection.beginTransaction();
+
+        // Lock the row so two voids of the same transaction cannot both post reversals
+        const [rows] = await connection.execute(
+            'SELECT * FROM transactions WHERE id = ? FOR UPDATE',
+            [transactionId]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        if (rows[0].voided_at) {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: 'Transaction is already voided'
+            });
+        }
+
+        const transaction = rows[0];
+
+        if (transaction.type === 'pengeluaran' && await CommissionPayoutService.isPayoutTransaction(transactionId, connection)) {
+            await connection.rollback();
+            return res.status(409).json({
+                success: false,
+                error: 'Commission payouts cannot be voided; cancel the payout run instead'
+            });
+        }
+
+        if (transaction.type === 'penjualan') {
+            // Voiding drops the sale and its refunds from the statements of their periods
+            const [saleReturns] = await connection.execute(
+                'SELECT date, refund_amount FROM transaction_returns WHERE transaction_id = ?',
+                [transactionId]
+            );
+
+            const lockError = await CommissionPayoutService.applyLock({
+                dates: [transaction.date, ...saleReturns.filter(ret => ret.refund_amount > 0).map(ret => ret.date)],
+                pic: transaction.pic_sales,
+                transactionId,
+                adjustment: req.body.commission_adjustment,
+                suggest: async () => {
+                    const sale = await CommissionService.getSaleCommission(transaction);
+                    const refunds = saleReturns.reduce((sum, ret) => sum + ret.refund_amount, 0);
+                    const refundCommission = sale.amount > 0 ? Math.round(refunds * sale.commission / sale.amount) : 0;
+                    return -sale.commission + refundCommission;
+                },
+                user: req.user
+            }, connection);
+
+            if (lockError) {
+                await connection.rollback();
+                return res.status(409).json(lockError);
+            }
+        }
+
+        await connection.execute(
+            `UPDATE transactions
+             SET voided_at = CURRENT_TIMESTAMP, voided_by = ?, void_reason = ?
+             WHERE id = ?`,
+            [req.user.username, reason.trim(), transactionId]
+        );
+
+        const stockMovements = await MovementService.reverseMovements({
+            refTable: 'transactions',
+            refId: transactionId,
+            refCode: `VOID-${transactionId}`,
+            note: `Void: ${reason.trim()}`,
+            pic: req.user.name,
+            createdBy: req.user.username
+        }, connection);
+
+        // Returns against this sale already moved stock back; undo those too so the sale nets to zero
+        const [returnRows] = await connection.execute(
+            'SELECT id FROM transaction_returns WHERE transaction_id = ?',
+            [transactionId]
+        );
+
+        for (const returnRow of returnRows) {
+            const returnMovements = await MovementService.reverseMovements({
+                refTable: 'transaction_returns',
+                refId: returnRow.id,
+                refCode: `VOID-${transactionId}`,
+                note: `Void: ${reason.trim()}`,
+                pic: req.user.name,
+                createdBy: req.user.username
+            }, connection);
+
+            stockMovements.push(...returnMovements);
+        }
+
+        // The sale's earned points are taken back and its redeemed points given back
+        const voidedSale = { ...transaction, voided_at: new Date() };
+        const loyaltyEntries = [
+            ...await LoyaltyService.syncSaleEarn({ sale: voidedSale, note: `Void of TXN-${transactionId}`, createdBy: req.user.username }, connection),
+            ...await LoyaltyService.restoreRedeemed({ sale: voidedSale, note: `Void of TXN-${transactionId}`, createdBy: req.user.username }, connection)
+        ];
+
+        await connection.commit();
+
+        const [updatedRows] = await db.execute('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+
+        res.json({
+            success: true,
+            data: {
+                transaction: updatedRows[0],
+                stock_movements: stockMovements,
+                loyalty_points: loyaltyEntries
+            },
+            message: 'Transaction voided successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('❌ Error voiding transaction:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to void transaction',
+            message: error.message
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE all transactions (clear database) - owner only
+router.delete('/clear-all', authorize(), async (req, res) => {
     try {
         // Delete all transactions
         const [result] = await db.query('DELETE FROM transactions');
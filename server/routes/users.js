@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const AuthService = require('../services/authService');
+const { authorize } = require('../middleware/auth');
+
+// User management is limited to owners and admins
+router.use(authorize('admin'));
+
+/**
+ * GET /api/users
+ * List user accounts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const users = await AuthService.listUsers();
+
+        res.json({
+            success: true,
+            data: users
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting users:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get users',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users
+ * Create a user account
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { username, name, password, role = 'cashier' } = req.body;
+
+        console.log('👤 Creating user:', { username, name, role });
+
+        if (!username || !name || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: username, name, password'
+            });
+        }
+
+        if (role === 'owner' && req.user.role !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                error: 'Only owners can create owner accounts'
+            });
+        }
+
+        const user = await AuthService.createUser({ username, name, password, role });
+
+        res.status(201).json({
+            success: true,
+            data: user,
+            message: 'User created successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating user:', error);
+
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                error: 'Username already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:id
+ * Update name, role, password, active status or linked staff member (staff_id)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const { name, password, role, is_active: isActive, staff_id: staffId } = req.body;
+
+        console.log('👤 Updating user:', { userId, name, role, isActive, staffId });
+
+        const [existingRows] = await db.execute('SELECT role FROM users WHERE id = ?', [userId]);
+
+        if (existingRows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (req.user.role !== 'owner' && (existingRows[0].role === 'owner' || role === 'owner')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only owners can modify owner accounts'
+            });
+        }
+
+        const user = await AuthService.updateUser(userId, { name, password, role, isActive, staffId });
+
+        res.json({
+            success: true,
+            data: user,
+            message: 'User updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update user',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Create a user account from the command line (used to bootstrap the first owner)
+ * Usage: npm run create-user -- <username> <password> [role] [name]
+ */
+const db = require('../db');
+const AuthService = require('../services/authService');
+
+async function main() {
+    const [username, password, role = 'owner', name] = process.argv.slice(2);
+
+    if (!username || !password) {
+        console.error('Usage: npm run create-user -- <username> <password> [role] [name]');
+        process.exit(1);
+    }
+
+    try {
+        const user = await AuthService.createUser({
+            username,
+            password,
+            role,
+            name: name || username
+        });
+        console.log(`✅ Created ${user.role} account: ${user.username} (id ${user.id})`);
+    } catch (error) {
+        console.error('❌ Failed to create user:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.end();
+    }
+}
+
+main();
@@ -13,6 +13,22 @@ const transactionsRouter = require('./routes/transactions');
 const productsRouter = require('./routes/products');
 const inventoryRouter = require('./routes/inventory');
 const stockRouter = require('./routes/stock');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const purchaseOrdersRouter = require('./routes/purchaseOrders');
+const suppliersRouter = require('./routes/suppliers');
+const payablesRouter = require('./routes/payables');
+const commissionsRouter = require('./routes/commissions');
+const staffRouter = require('./routes/staff');
+const pricingRouter = require('./routes/pricing');
+const promotionsRouter = require('./routes/promotions');
+const reportsRouter = require('./routes/reports');
+const reservationsRouter = require('./routes/reservations');
+const ordersRouter = require('./routes/orders');
+const customersRouter = require('./routes/customers');
+const paymentAccountsRouter = require('./routes/paymentAccounts');
+const ReconciliationService = require('./services/reconciliationService');
+const { authenticate } = require('./middleware/auth');
 
 app.use(cors());
 app.use(express.json());
@@ -34,11 +50,25 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Use routes
-app.use('/api/transactions', transactionsRouter);
-app.use('/api/products', productsRouter);
-app.use('/api/inventory', inventoryRouter);
-app.use('/api/stock', stockRouter);
+// Use routes (everything except login requires a session)
+app.use('/api/auth', authRouter);
+app.use('/api/users', authenticate, usersRouter);
+app.use('/api/transactions', authenticate, transactionsRouter);
+app.use('/api/products', authenticate, productsRouter);
+app.use('/api/inventory', authenticate, inventoryRouter);
+app.use('/api/stock', authenticate, stockRouter);
+app.use('/api/purchase-orders', authenticate, purchaseOrdersRouter);
+app.use('/api/suppliers', authenticate, suppliersRouter);
+app.use('/api/payables', authenticate, payablesRouter);
+app.use('/api/commissions', authenticate, commissionsRouter);
+app.use('/api/staff', authenticate, staffRouter);
+app.use('/api/pricing', authenticate, pricingRouter);
+app.use('/api/promotions', authenticate, promotionsRouter);
+app.use('/api/reports', authenticate, reportsRouter);
+app.use('/api/reservations', authenticate, reservationsRouter);
+app.use('/api/orders', authenticate, ordersRouter);
+app.use('/api/customers', authenticate, customersRouter);
+app.use('/api/payment-accounts', authenticate, paymentAccountsRouter);
 
 // Test database connection on startup
 db.execute('SELECT 1')
@@ -47,6 +77,7 @@ db.execute('SELECT 1')
         app.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
             console.log(`📡 API available at http://localhost:${PORT}/api`);
+            ReconciliationService.scheduleNightlyCheck();
         });
     })
     .catch((error) => {
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const ROLES = ['owner', 'admin', 'cashier', 'warehouse'];
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+/**
+ * Auth Service
+ * Handles password hashing, user accounts and bearer-token sessions
+ */
+class AuthService {
+    /**
+     * Hash a password with a random salt (scrypt)
+     * @param {string} password - Plain text password
+     * @returns {Promise<string>} Encoded hash: scrypt$<salt>$<hash>
+     */
+    static hashPassword(password) {
+        return new Promise((resolve, reject) => {
+            const salt = crypto.randomBytes(16).toString('hex');
+            crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+                if (error) return reject(error);
+                resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+            });
+        });
+    }
+
+    /**
+     * Verify a password against an encoded hash
+     * @param {string} password - Plain text password
+     * @param {string} encoded - Stored hash from hashPassword
+     * @returns {Promise<boolean>} True when the password matches
+     */
+    static verifyPassword(password, encoded) {
+        return new Promise((resolve, reject) => {
+            const [scheme, salt, hash] = (encoded || '').split('$');
+            if (scheme !== 'scrypt' || !salt || !hash) {
+                return resolve(false);
+            }
+
+            crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+                if (error) return reject(error);
+                const expected = Buffer.from(hash, 'hex');
+                resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+            });
+        });
+    }
+
+    /**
+     * Hash a session token for storage/lookup
+     * @param {string} token - Raw bearer token
+     * @returns {string} SHA-256 hex digest
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Strip secrets from a user row
+     * @param {Object} user - Row from users table
+     * @returns {Object} Public user fields
+     */
+    static toPublicUser(user) {
+        if (!user) return null;
+        const { password_hash, ...publicUser } = user;
+        return publicUser;
+    }
+
+    /**
+     * Check credentials and open a new session
+     * @param {Object} params - Login credentials
+     * @returns {Promise<Object>} { token, expires_at, user }
+     */
+    static async login({ username, password }) {
+        const [rows] = await db.execute(
+            'SELECT * FROM users WHERE username = ? AND is_active = TRUE',
+            [username]
+        );
+
+        const user = rows[0];
+        const valid = user ? await this.verifyPassword(password, user.password_hash) : false;
+
+        if (!valid) {
+            throw new Error('Invalid username or password');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+        await db.execute(
+            'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+            [user.id, this.hashToken(token), expiresAt]
+        );
+
+        await db.execute(
+            'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [user.id]
+        );
+
+        return {
+            token,
+            expires_at: expiresAt,
+            user: this.toPublicUser(user)
+        };
+    }
+
+    /**
+     * Resolve the active user for a bearer token
+     * @param {string} token - Raw bearer token
+     * @returns {Promise<Object|null>} Public user or null if the session is invalid
+     */
+    static async getSessionUser(token) {
+        if (!token) return null;
+
+        const [rows] = await db.execute(`
+            SELECT u.*
+            FROM user_sessions us
+            JOIN users u ON us.user_id = u.id
+            WHERE us.token_hash = ? AND us.expires_at > CURRENT_TIMESTAMP AND u.is_active = TRUE
+        `, [this.hashToken(token)]);
+
+        return this.toPublicUser(rows[0]);
+    }
+
+    /**
+     * Revoke a session
+     * @param {string} token - Raw bearer token
+     */
+    static async logout(token) {
+        await db.execute(
+            'DELETE FROM user_sessions WHERE token_hash = ?',
+            [this.hashToken(token)]
+        );
+    }
+
+    /**
+     * List all users
+     * @returns {Promise<Array>} Public user rows
+     */
+    static async listUsers() {
+        const [rows] = await db.execute('SELECT * FROM users ORDER BY is_active DESC, name ASC');
+        return rows.map(user => this.toPublicUser(user));
+    }
+
+    /**
+     * Create a user account; it is linked to the staff member with the same name, if any
+     * @param {Object} params - User fields
+     * @returns {Promise<Object>} Created public user
+     */
+    static async createUser({ username, name, password, role = 'cashier' }) {
+        if (!username || !name || !password) {
+            throw new Error('Missing required fields: username, name, password');
+        }
+
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role ${role}. Must be one of: ${ROLES.join(', ')}`);
+        }
+
+        const passwordHash = await this.hashPassword(password);
+        const [result] = await db.execute(
+            `INSERT INTO users (username, name, staff_id, password_hash, role)
+             VALUES (?, ?, (SELECT id FROM staff WHERE name = ?), ?, ?)`,
+            [username, name, name, passwordHash, role]
+        );
+
+        const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [result.insertId]);
+        return this.toPublicUser(rows[0]);
+    }
+
+    /**
+     * Update a user account; changing the password or deactivating revokes sessions
+     * @param {number} userId - User ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated public user or null if not found
+     */
+    static async updateUser(userId, { name, password, role, isActive, staffId }) {
+        const fields = [];
+        const params = [];
+
+        if (name !== undefined) {
+            fields.push('name = ?');
+            params.push(name);
+        }
+
+        if (role !== undefined) {
+            if (!ROLES.includes(role)) {
+                throw new Error(`Invalid role ${role}. Must be one of: ${ROLES.join(', ')}`);
+            }
+            fields.push('role = ?');
+            params.push(role);
+        }
+
+        if (isActive !== undefined) {
+            fields.push('is_active = ?');
+            params.push(!!isActive);
+        }
+
+        if (staffId !== undefined) {
+            fields.push('staff_id = ?');
+            params.push(staffId || null);
+        }
+
+        if (password) {
+            fields.push('password_hash = ?');
+            params.push(await this.hashPassword(password));
+        }
+
+        if (fields.length > 0) {
+            params.push(userId);
+            await db.execute(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, params);
+        }
+
+        if (password || isActive === false) {
+            await db.execute('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+        }
+
+        const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [userId]);
+        return this.toPublicUser(rows[0]);
+    }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
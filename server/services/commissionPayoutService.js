@@ -0,0 +1,369 @@
+const db = require('../db');
+const CommissionService = require('./commissionService');
+const TransactionService = require('./transactionService');
+
+const PAYOUT_EXPENSE_CATEGORY = 'Fee Tambahan';
+
+/**
+ * Commission Payout Service
+ * Payout runs that freeze commission statements, pay them as expenses and lock their period
+ */
+class CommissionPayoutService {
+    /**
+     * Paid run whose period contains any of the given dates
+     * @param {Array} dates - Dates (Date or YYYY-MM-DD); empty values are ignored
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Locking run
+     */
+    static async findLockedRun(dates, connection = db) {
+        for (const date of dates) {
+            if (!date) continue;
+
+            const plainDate = TransactionService.toPlainValue(date);
+            const [rows] = await connection.execute(
+                `SELECT * FROM commission_payout_runs
+                 WHERE status = 'PAID' AND period_start <= ? AND period_end >= ?
+                 LIMIT 1`,
+                [plainDate, plainDate]
+            );
+
+            if (rows.length > 0) {
+                return rows[0];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Paid run overlapping a period
+     * @param {string} start - YYYY-MM-DD
+     * @param {string} end - YYYY-MM-DD
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Overlapping run
+     */
+    static async findOverlappingRun(start, end, connection = db) {
+        const [rows] = await connection.execute(
+            `SELECT * FROM commission_payout_runs
+             WHERE status = 'PAID' AND period_start <= ? AND period_end >= ?
+             LIMIT 1`,
+            [end, start]
+        );
+
+        return rows[0] || null;
+    }
+
+    /**
+     * Whether a transaction is the expense that paid a commission payout
+     * @param {number} transactionId - Transaction ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<boolean>}
+     */
+    static async isPayoutTransaction(transactionId, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT id FROM commission_payouts WHERE transaction_id = ? LIMIT 1',
+            [transactionId]
+        );
+
+        return rows.length > 0;
+    }
+
+    /**
+     * Sales dated inside a paid commission period are locked: changing them needs an explicit
+     * commission_adjustment ({ amount, reason }) which the next payout run settles.
+     * Records the adjustment when one is given.
+     * @param {Object} params - { dates, pic, transactionId, adjustment, suggest, user }
+     *   suggest is an async function returning the commission difference to propose
+     * @param {Object} connection - Database connection inside the caller's transaction
+     * @returns {Promise<Object|null>} 409 response body when the adjustment is missing
+     */
+    static async applyLock({ dates, pic, transactionId, adjustment, suggest, user }, connection) {
+        const lockedRun = await this.findLockedRun(dates, connection);
+        if (!lockedRun || !pic) return null;
+
+        if (!adjustment || isNaN(parseInt(adjustment.amount)) || !adjustment.reason || !String(adjustment.reason).trim()) {
+            const period = `${TransactionService.toPlainValue(lockedRun.period_start)} - ${TransactionService.toPlainValue(lockedRun.period_end)}`;
+            return {
+                success: false,
+                code: 'COMMISSION_PERIOD_LOCKED',
+                error: `Commissions for ${period} have been paid (payout run #${lockedRun.id}); include a commission_adjustment`,
+                locked_run_id: lockedRun.id,
+                suggested_adjustment: await suggest()
+            };
+        }
+
+        await this.recordAdjustment({
+            lockedRunId: lockedRun.id,
+            pic,
+            transactionId,
+            amount: parseInt(adjustment.amount),
+            reason: String(adjustment.reason).trim(),
+            createdBy: user.username
+        }, connection);
+
+        return null;
+    }
+
+    /**
+     * Record an adjustment line for a change inside a locked period
+     * @param {Object} params - { lockedRunId, pic, transactionId, amount, reason, createdBy }
+     * @param {Object} connTx - Database connection/transaction (required, caller commits)
+     * @returns {Promise<number>} Adjustment ID
+     */
+    static async recordAdjustment({ lockedRunId = null, pic, transactionId = null, amount, reason, createdBy }, connTx) {
+        const [result] = await connTx.execute(
+            `INSERT INTO commission_adjustments (pic, amount, reason, locked_run_id, transaction_id, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [pic, amount, reason, lockedRunId, transactionId, createdBy]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * List adjustment lines
+     * @param {Object} params - { pending } (true = not yet settled by a payout run)
+     * @returns {Promise<Array>} Adjustments, newest first
+     */
+    static async listAdjustments({ pending = false } = {}) {
+        const [rows] = await db.execute(`
+            SELECT * FROM commission_adjustments
+            ${pending ? 'WHERE settled_run_id IS NULL' : ''}
+            ORDER BY created_at DESC, id DESC
+        `);
+
+        return rows;
+    }
+
+    /**
+     * List payout runs
+     * @returns {Promise<Array>} Runs with payout count, newest period first
+     */
+    static async listRuns() {
+        const [rows] = await db.execute(`
+            SELECT r.*, COUNT(p.id) AS payout_count
+            FROM commission_payout_runs r
+            LEFT JOIN commission_payouts p ON p.run_id = r.id
+            GROUP BY r.id
+            ORDER BY r.period_start DESC, r.id DESC
+        `);
+
+        return rows;
+    }
+
+    /**
+     * Get a payout run with its payouts (without the frozen line detail)
+     * @param {number} runId - Run ID
+     * @returns {Promise<Object|null>} Run, or null when not found
+     */
+    static async getRun(runId) {
+        const [runs] = await db.execute('SELECT * FROM commission_payout_runs WHERE id = ?', [runId]);
+        if (runs.length === 0) {
+            return null;
+        }
+
+        const [payouts] = await db.execute(
+            `SELECT id, run_id, pic, net_sales, commission, adjustments, amount_paid, transaction_id, created_at
+             FROM commission_payouts
+             WHERE run_id = ?
+             ORDER BY pic ASC`,
+            [runId]
+        );
+
+        return { ...runs[0], payouts };
+    }
+
+    /**
+     * Get one PIC's payout with the frozen statement (payslip data)
+     * @param {number} payoutId - Payout ID
+     * @returns {Promise<Object|null>} Payout with run period and statement
+     */
+    static async getPayout(payoutId) {
+        const [rows] = await db.execute(`
+            SELECT p.*,
+                   r.period_start, r.period_end, r.payment_date, r.payment_method,
+                   r.status AS run_status
+            FROM commission_payouts p
+            JOIN commission_payout_runs r ON p.run_id = r.id
+            WHERE p.id = ?
+        `, [payoutId]);
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        return { ...rows[0], statement: TransactionService.parseJson(rows[0].statement) };
+    }
+
+    /**
+     * Pay out a period: freeze each PIC's statement, settle pending adjustments and record
+     * one Fee Tambahan expense per PIC. A negative balance is carried forward as an adjustment.
+     * @param {Object} params - { start, end, paymentDate, paymentMethod, note, pic, createdBy }
+     * @returns {Promise<Object>} Created run
+     */
+    static async createRun({ start, end, paymentDate, paymentMethod, note = null, pic, createdBy }) {
+        const report = await CommissionService.getStatements({ start, end });
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            if (await this.findOverlappingRun(start, end, connection)) {
+                throw new Error('The period overlaps a paid commission payout');
+            }
+
+            const [adjustments] = await connection.execute(
+                'SELECT * FROM commission_adjustments WHERE settled_run_id IS NULL FOR UPDATE'
+            );
+
+            const [runResult] = await connection.execute(
+                `INSERT INTO commission_payout_runs (period_start, period_end, payment_date, payment_method, note, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [start, end, paymentDate, paymentMethod, note, createdBy]
+            );
+            const runId = runResult.insertId;
+
+            const statements = new Map(report.statements.map(statement => [statement.pic, statement]));
+            const pics = [...new Set([...statements.keys(), ...adjustments.map(adjustment => adjustment.pic)])];
+            let totalAmount = 0;
+
+            for (const payoutPic of pics) {
+                const statement = statements.get(payoutPic) || null;
+                const picAdjustments = adjustments.filter(adjustment => adjustment.pic === payoutPic);
+                const commission = statement ? statement.total_commission : 0;
+                const adjustmentTotal = picAdjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+                const balance = commission + adjustmentTotal;
+                let transactionId = null;
+                const amountPaid = Math.max(balance, 0);
+
+                if (amountPaid > 0) {
+                    const [expenseResult] = await connection.execute(
+                        `INSERT INTO transactions
+                         (type, date, expense_category, description, amount, payment_method, pic, pic_staff_id)
+                         VALUES ('pengeluaran', ?, ?, ?, ?, ?, ?, (SELECT id FROM staff WHERE name = ?))`,
+                        [paymentDate, PAYOUT_EXPENSE_CATEGORY, `Komisi ${payoutPic} ${start} s/d ${end}`, amountPaid, paymentMethod, pic, pic]
+                    );
+                    transactionId = expenseResult.insertId;
+                }
+
+                await connection.execute(
+                    `INSERT INTO commission_payouts
+                     (run_id, pic, net_sales, commission, adjustments, amount_paid, statement, transaction_id)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        runId,
+                        payoutPic,
+                        statement ? statement.net_sales : 0,
+                        commission,
+                        adjustmentTotal,
+                        amountPaid,
+                        JSON.stringify({ ...(statement || { pic: payoutPic, lines: [], refund_lines: [] }), adjustment_lines: picAdjustments }),
+                        transactionId
+                    ]
+                );
+
+                if (picAdjustments.length > 0) {
+                    await connection.execute(
+                        'UPDATE commission_adjustments SET settled_run_id = ? WHERE settled_run_id IS NULL AND pic = ?',
+                        [runId, payoutPic]
+                    );
+                }
+
+                if (balance < 0) {
+                    await connection.execute(
+                        `INSERT INTO commission_adjustments (pic, amount, reason, source_run_id, created_by)
+                         VALUES (?, ?, ?, ?, ?)`,
+                        [payoutPic, balance, `Saldo negatif dari payout #${runId}`, runId, createdBy]
+                    );
+                }
+
+                totalAmount += amountPaid;
+            }
+
+            await connection.execute(
+                'UPDATE commission_payout_runs SET total_amount = ? WHERE id = ?',
+                [totalAmount, runId]
+            );
+
+            await connection.commit();
+
+            return this.getRun(runId);
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Cancel the latest payout run: void its expenses, reopen its adjustments and unlock the period
+     * @param {number} runId - Run ID
+     * @param {Object} params - { reason, username }
+     * @returns {Promise<Object>} Cancelled run
+     */
+    static async cancelRun(runId, { reason, username }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [runs] = await connection.execute(
+                'SELECT * FROM commission_payout_runs WHERE id = ? FOR UPDATE',
+                [runId]
+            );
+
+            if (runs.length === 0 || runs[0].status !== 'PAID') {
+                throw new Error('Only paid payout runs can be cancelled');
+            }
+
+            // Adjustments created after this run may already be settled by a later one
+            const [laterRuns] = await connection.execute(
+                "SELECT id FROM commission_payout_runs WHERE status = 'PAID' AND id > ? LIMIT 1",
+                [runId]
+            );
+            if (laterRuns.length > 0) {
+                throw new Error('Only the latest payout run can be cancelled');
+            }
+
+            await connection.execute(`
+                UPDATE transactions t
+                JOIN commission_payouts p ON p.transaction_id = t.id
+                SET t.voided_at = CURRENT_TIMESTAMP, t.voided_by = ?, t.void_reason = ?
+                WHERE p.run_id = ? AND t.voided_at IS NULL
+            `, [username, `Payout komisi #${runId} dibatalkan: ${reason}`, runId]);
+
+            await connection.execute(
+                'UPDATE commission_adjustments SET settled_run_id = NULL WHERE settled_run_id = ?',
+                [runId]
+            );
+
+            // Lines recorded against this period are part of the live statement again once it unlocks
+            await connection.execute(
+                `DELETE FROM commission_adjustments
+                 WHERE settled_run_id IS NULL AND (locked_run_id = ? OR source_run_id = ?)`,
+                [runId, runId]
+            );
+
+            await connection.execute(
+                `UPDATE commission_payout_runs
+                 SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP, cancelled_by = ?, cancel_reason = ?
+                 WHERE id = ?`,
+                [username, reason, runId]
+            );
+
+            await connection.commit();
+
+            return this.getRun(runId);
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = CommissionPayoutService;
@@ -0,0 +1,423 @@
+const db = require('../db');
+const TransactionService = require('./transactionService');
+
+/**
+ * Commission Service
+ * Commission rules/tiers and per-PIC commission statements computed from sales lines
+ */
+class CommissionService {
+    /**
+     * List commission rules
+     * @param {Object} params - { activeOnly }
+     * @returns {Promise<Array>} Rules with product name
+     */
+    static async listRules({ activeOnly = false } = {}) {
+        const [rows] = await db.execute(`
+            SELECT cr.*, p.name AS product_name
+            FROM commission_rules cr
+            LEFT JOIN products p ON cr.product_id = p.id
+            ${activeOnly ? 'WHERE cr.is_active = TRUE' : ''}
+            ORDER BY cr.pic IS NULL, cr.pic, cr.product_id IS NULL, cr.promo_type IS NULL, cr.id
+        `);
+
+        return rows.map(row => ({ ...row, rate: Number(row.rate) }));
+    }
+
+    /**
+     * Get a commission rule by ID
+     * @param {number} ruleId - Rule ID
+     * @returns {Promise<Object|null>} Rule, or null when not found
+     */
+    static async getRule(ruleId) {
+        const [rows] = await db.execute('SELECT * FROM commission_rules WHERE id = ?', [ruleId]);
+        return rows[0] ? { ...rows[0], rate: Number(rows[0].rate) } : null;
+    }
+
+    /**
+     * Create a commission rule
+     * @param {Object} data - { name, pic, productId, promoType, rate, effectiveFrom, effectiveTo, createdBy }
+     * @returns {Promise<Object>} Created rule
+     */
+    static async createRule({ name, pic = null, productId = null, promoType = null, rate, effectiveFrom = null, effectiveTo = null, createdBy }) {
+        const [result] = await db.execute(`
+            INSERT INTO commission_rules
+            (name, pic, product_id, promo_type, rate, effective_from, effective_to, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [name, pic, productId, promoType, rate, effectiveFrom, effectiveTo, createdBy]);
+
+        return this.getRule(result.insertId);
+    }
+
+    /**
+     * Update a commission rule; only the given columns change
+     * @param {number} ruleId - Rule ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated rule
+     */
+    static async updateRule(ruleId, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            await db.execute(
+                `UPDATE commission_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), ruleId]
+            );
+        }
+
+        return this.getRule(ruleId);
+    }
+
+    /**
+     * Delete a commission rule
+     * @param {number} ruleId - Rule ID
+     */
+    static async deleteRule(ruleId) {
+        await db.execute('DELETE FROM commission_rules WHERE id = ?', [ruleId]);
+    }
+
+    /**
+     * List commission tiers
+     * @param {Object} params - { activeOnly }
+     * @returns {Promise<Array>} Tiers, lowest target first
+     */
+    static async listTiers({ activeOnly = false } = {}) {
+        const [rows] = await db.execute(`
+            SELECT * FROM commission_tiers
+            ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+            ORDER BY pic IS NULL, pic, min_sales ASC
+        `);
+
+        return rows.map(row => ({ ...row, bonus_rate: Number(row.bonus_rate) }));
+    }
+
+    /**
+     * Get a commission tier by ID
+     * @param {number} tierId - Tier ID
+     * @returns {Promise<Object|null>} Tier, or null when not found
+     */
+    static async getTier(tierId) {
+        const [rows] = await db.execute('SELECT * FROM commission_tiers WHERE id = ?', [tierId]);
+        return rows[0] ? { ...rows[0], bonus_rate: Number(rows[0].bonus_rate) } : null;
+    }
+
+    /**
+     * Create a commission tier
+     * @param {Object} data - { name, pic, minSales, bonusRate, bonusAmount, createdBy }
+     * @returns {Promise<Object>} Created tier
+     */
+    static async createTier({ name, pic = null, minSales, bonusRate = 0, bonusAmount = 0, createdBy }) {
+        const [result] = await db.execute(`
+            INSERT INTO commission_tiers (name, pic, min_sales, bonus_rate, bonus_amount, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [name, pic, minSales, bonusRate, bonusAmount, createdBy]);
+
+        return this.getTier(result.insertId);
+    }
+
+    /**
+     * Update a commission tier; only the given columns change
+     * @param {number} tierId - Tier ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated tier
+     */
+    static async updateTier(tierId, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            await db.execute(
+                `UPDATE commission_tiers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), tierId]
+            );
+        }
+
+        return this.getTier(tierId);
+    }
+
+    /**
+     * Delete a commission tier
+     * @param {number} tierId - Tier ID
+     */
+    static async deleteTier(tierId) {
+        await db.execute('DELETE FROM commission_tiers WHERE id = ?', [tierId]);
+    }
+
+    /**
+     * Pick the most specific rule for a sales line (PIC > product > promo type, newest rule on ties)
+     * @param {Array} rules - Active rules
+     * @param {Object} line - { pic, productId, promoType, date } (date as YYYY-MM-DD)
+     * @returns {Object|null} Matching rule
+     */
+    static findRule(rules, { pic, productId, promoType, date }) {
+        let best = null;
+        let bestScore = -1;
+
+        for (const rule of rules) {
+            if (rule.pic !== null && rule.pic !== pic) continue;
+            if (rule.product_id !== null && rule.product_id !== productId) continue;
+            if (rule.promo_type !== null && rule.promo_type !== promoType) continue;
+            if (rule.effective_from && TransactionService.toPlainValue(rule.effective_from) > date) continue;
+            if (rule.effective_to && TransactionService.toPlainValue(rule.effective_to) < date) continue;
+
+            const score = (rule.pic !== null ? 4 : 0) + (rule.product_id !== null ? 2 : 0) + (rule.promo_type !== null ? 1 : 0);
+            if (score > bestScore || (score === bestScore && rule.id > best.id)) {
+                best = rule;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Highest tier a PIC reached; PIC-specific tiers replace the shared ones
+     * @param {Array} tiers - Active tiers
+     * @param {string} pic - Sales PIC
+     * @param {number} netSales - Net sales in the period
+     * @returns {Object|null} Tier reached
+     */
+    static findTier(tiers, pic, netSales) {
+        const own = tiers.filter(tier => tier.pic === pic);
+        const candidates = own.length > 0 ? own : tiers.filter(tier => tier.pic === null);
+
+        return candidates
+            .filter(tier => netSales >= tier.min_sales)
+            .sort((a, b) => b.min_sales - a.min_sales)[0] || null;
+    }
+
+    /**
+     * Split a sale into commission lines; the sale amount (manual price when set) is spread
+     * over the items by their price × qty, or by qty for bundles without item prices
+     * @param {Object} sale - Transaction row
+     * @returns {Array} Lines with amount (free items are not commissioned)
+     */
+    static getSaleLines(sale) {
+        const saleAmount = Number(sale.manual_price) > 0 ? Number(sale.manual_price) : Number(sale.total) || 0;
+        const items = TransactionService.parseJson(sale.items);
+
+        // Legacy single-product sales have no items JSON
+        if (!Array.isArray(items) || items.length === 0) {
+            return [{
+                line_index: 0,
+                product_id: null,
+                product_name: sale.product || null,
+                color: null,
+                size: null,
+                quantity: Number(sale.quantity) || 0,
+                amount: saleAmount
+            }];
+        }
+
+        const hasPrices = items.some(item => Number(item.price) > 0);
+        const weights = items.map(item => (hasPrices ? Number(item.price) || 0 : 1) * (Number(item.quantity) || 0));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        let allocated = 0;
+        return items.map((item, index) => {
+            const isLast = index === items.length - 1;
+            const amount = isLast
+                ? saleAmount - allocated
+                : (totalWeight > 0 ? Math.round(saleAmount * weights[index] / totalWeight) : 0);
+            allocated += amount;
+
+            return {
+                line_index: index,
+                product_id: item.product_id ? parseInt(item.product_id) : null,
+                product_name: item.product_name || item.name || null,
+                color: item.color || null,
+                size: item.size || null,
+                quantity: Number(item.quantity) || 0,
+                amount
+            };
+        });
+    }
+
+    /**
+     * Sales lines of a sale with the rule, rate and commission applied
+     * @param {Object} sale - Transaction row (id, date, promo_type, items, total, manual_price, pic_sales)
+     * @param {Array} rules - Active rules
+     * @returns {Array} Commission lines
+     */
+    static computeSaleLines(sale, rules) {
+        const date = TransactionService.toPlainValue(sale.date);
+
+        return this.getSaleLines(sale).map(line => {
+            const rule = this.findRule(rules, {
+                pic: sale.pic_sales,
+                productId: line.product_id,
+                promoType: sale.promo_type,
+                date
+            });
+            const rate = rule ? rule.rate : 0;
+
+            return {
+                transaction_id: sale.id,
+                date,
+                promo_type: sale.promo_type,
+                ...line,
+                rule_id: rule ? rule.id : null,
+                rule_name: rule ? rule.name : null,
+                rate,
+                commission: Math.round(line.amount * rate)
+            };
+        });
+    }
+
+    /**
+     * Commission earned by a single sale (without tier bonuses)
+     * @param {Object} sale - Transaction row
+     * @returns {Promise<Object>} { amount, commission } where amount is the sale amount
+     */
+    static async getSaleCommission(sale) {
+        const rules = await this.listRules({ activeOnly: true });
+        const lines = this.computeSaleLines(sale, rules);
+
+        return {
+            amount: lines.reduce((sum, line) => sum + line.amount, 0),
+            commission: lines.reduce((sum, line) => sum + line.commission, 0)
+        };
+    }
+
+    /**
+     * Commission statements per sales PIC for a period.
+     * Only non-voided sales count (gifts and free items earn nothing); refunds paid in the
+     * period are charged back at the average rate of the original sale
+     * @param {Object} params - { start, end, pic } (YYYY-MM-DD)
+     * @returns {Promise<Object>} { start, end, statements, totals }
+     */
+    static async getStatements({ start, end, pic } = {}) {
+        const [rules, tiers] = await Promise.all([
+            this.listRules({ activeOnly: true }),
+            this.listTiers({ activeOnly: true })
+        ]);
+
+        let query = `
+            SELECT id, date, product, promo_type, items, quantity, total, manual_price, pic_sales
+            FROM transactions
+            WHERE type = 'penjualan'
+              AND voided_at IS NULL
+              AND pic_sales IS NOT NULL
+              AND date >= ? AND date <= ?
+        `;
+        const params = [start, end];
+
+        if (pic) {
+            query += ' AND pic_sales = ?';
+            params.push(pic);
+        }
+
+        query += ' ORDER BY date ASC, id ASC';
+
+        const [sales] = await db.execute(query, params);
+        const returns = (await TransactionService.getReturns({ start, end, excludeVoided: true }))
+            .filter(ret => ret.pic_sales && (!pic || ret.pic_sales === pic) && Number(ret.refund_amount) > 0);
+
+        // Refunds may be against sales from earlier periods
+        const saleIds = new Set(sales.map(sale => sale.id));
+        const missingIds = [...new Set(returns.map(ret => ret.transaction_id))].filter(id => !saleIds.has(id));
+        let originalSales = [];
+        if (missingIds.length > 0) {
+            const [rows] = await db.query(
+                'SELECT id, date, product, promo_type, items, quantity, total, manual_price, pic_sales FROM transactions WHERE id IN (?)',
+                [missingIds]
+            );
+            originalSales = rows;
+        }
+
+        const statements = new Map();
+        const getStatement = name => {
+            if (!statements.has(name)) {
+                statements.set(name, {
+                    pic: name,
+                    transaction_count: 0,
+                    items_sold: 0,
+                    gross_sales: 0,
+                    refunds: 0,
+                    net_sales: 0,
+                    base_commission: 0,
+                    refund_commission: 0,
+                    tier: null,
+                    tier_bonus: 0,
+                    total_commission: 0,
+                    lines: [],
+                    refund_lines: []
+                });
+            }
+            return statements.get(name);
+        };
+
+        const linesBySale = new Map();
+
+        for (const sale of sales) {
+            const statement = getStatement(sale.pic_sales);
+            const lines = this.computeSaleLines(sale, rules);
+            linesBySale.set(sale.id, lines);
+
+            statement.transaction_count += 1;
+            for (const line of lines) {
+                statement.items_sold += line.quantity;
+                statement.gross_sales += line.amount;
+                statement.base_commission += line.commission;
+                statement.lines.push(line);
+            }
+        }
+
+        for (const sale of originalSales) {
+            linesBySale.set(sale.id, this.computeSaleLines(sale, rules));
+        }
+
+        for (const ret of returns) {
+            const statement = getStatement(ret.pic_sales);
+            const lines = linesBySale.get(ret.transaction_id) || [];
+            const saleAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+            const saleCommission = lines.reduce((sum, line) => sum + line.commission, 0);
+            const rate = saleAmount > 0 ? saleCommission / saleAmount : 0;
+            const refund = Number(ret.refund_amount);
+            const commission = -Math.round(refund * rate);
+
+            statement.refunds += refund;
+            statement.refund_commission += commission;
+            statement.refund_lines.push({
+                return_id: ret.id,
+                transaction_id: ret.transaction_id,
+                date: TransactionService.toPlainValue(ret.date),
+                refund_amount: refund,
+                rate: Math.round(rate * 10000) / 10000,
+                commission
+            });
+        }
+
+        const totals = { gross_sales: 0, refunds: 0, net_sales: 0, total_commission: 0 };
+
+        for (const statement of statements.values()) {
+            statement.net_sales = statement.gross_sales - statement.refunds;
+
+            const tier = this.findTier(tiers, statement.pic, statement.net_sales);
+            if (tier) {
+                statement.tier = {
+                    id: tier.id,
+                    name: tier.name,
+                    min_sales: tier.min_sales,
+                    bonus_rate: tier.bonus_rate,
+                    bonus_amount: tier.bonus_amount
+                };
+                statement.tier_bonus = Math.round(statement.net_sales * tier.bonus_rate) + tier.bonus_amount;
+            }
+
+            statement.total_commission = statement.base_commission + statement.refund_commission + statement.tier_bonus;
+
+            totals.gross_sales += statement.gross_sales;
+            totals.refunds += statement.refunds;
+            totals.net_sales += statement.net_sales;
+            totals.total_commission += statement.total_commission;
+        }
+
+        return {
+            start,
+            end,
+            statements: Array.from(statements.values()).sort((a, b) => b.net_sales - a.net_sales),
+            totals
+        };
+    }
+}
+
+module.exports = CommissionService;
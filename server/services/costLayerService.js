@@ -0,0 +1,220 @@
+const db = require('../db');
+
+// Cost OUT movements record as their unit_cost (and so the COGS of sales): AVERAGE or FIFO.
+// Layers are kept under both methods so the setting can be changed and compared
+const COSTING_METHODS = ['AVERAGE', 'FIFO'];
+const COSTING_METHOD = COSTING_METHODS.includes(String(process.env.COSTING_METHOD).toUpperCase())
+    ? String(process.env.COSTING_METHOD).toUpperCase()
+    : 'AVERAGE';
+
+/**
+ * Cost Layer Service
+ * FIFO cost layers opened by IN movements and consumed oldest first by OUT movements
+ */
+class CostLayerService {
+    /**
+     * Costing method in use
+     * @returns {string} AVERAGE | FIFO
+     */
+    static getCostingMethod() {
+        return COSTING_METHOD;
+    }
+
+    /**
+     * Work out which open layers an OUT movement takes, oldest first (rows are locked)
+     * @param {Object} params - { variantId, locationId, qty }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} { layers: [{ layer_id, qty, unit_cost, received_at }], uncovered_qty }
+     */
+    static async planConsumption({ variantId, locationId, qty }, connection = db) {
+        const [rows] = await connection.execute(
+            `SELECT id, unit_cost, qty_remaining, received_at
+             FROM stock_cost_layers
+             WHERE variant_id = ? AND location_id = ? AND qty_remaining > 0
+             ORDER BY received_at ASC, id ASC
+             FOR UPDATE`,
+            [variantId, locationId]
+        );
+
+        const layers = [];
+        let needed = qty;
+
+        for (const row of rows) {
+            if (needed <= 0) break;
+
+            const take = Math.min(needed, row.qty_remaining);
+            layers.push({
+                layer_id: row.id,
+                qty: take,
+                unit_cost: parseFloat(row.unit_cost) || 0,
+                received_at: row.received_at
+            });
+            needed -= take;
+        }
+
+        return { layers, uncovered_qty: needed };
+    }
+
+    /**
+     * Unit cost of a consumption plan; stock not covered by layers (negative stock) is
+     * costed at the fallback cost
+     * @param {Object} plan - Result of planConsumption()
+     * @param {number|null} fallbackCost - Moving average cost
+     * @returns {number|null} Weighted unit cost, or null when nothing is costed
+     */
+    static getPlanCost(plan, fallbackCost) {
+        const layerQty = plan.layers.reduce((sum, layer) => sum + layer.qty, 0);
+        const layerValue = plan.layers.reduce((sum, layer) => sum + layer.qty * layer.unit_cost, 0);
+        const coveredByFallback = fallbackCost !== null ? plan.uncovered_qty : 0;
+        const qty = layerQty + coveredByFallback;
+
+        if (qty === 0) {
+            return null;
+        }
+
+        return (layerValue + coveredByFallback * (fallbackCost || 0)) / qty;
+    }
+
+    /**
+     * Take a consumption plan off its layers and record it against the OUT movement
+     * @param {Object} plan - Result of planConsumption()
+     * @param {number} movementId - OUT movement ID
+     * @param {Object} connection - Database connection
+     */
+    static async applyConsumption(plan, movementId, connection = db) {
+        for (const layer of plan.layers) {
+            await connection.execute(
+                'UPDATE stock_cost_layers SET qty_remaining = qty_remaining - ? WHERE id = ?',
+                [layer.qty, layer.layer_id]
+            );
+
+            await connection.execute(
+                `INSERT INTO stock_layer_consumptions (layer_id, movement_id, qty, unit_cost)
+                 VALUES (?, ?, ?, ?)`,
+                [layer.layer_id, movementId, layer.qty, layer.unit_cost]
+            );
+        }
+    }
+
+    /**
+     * Settle stock that left while the balance was negative (backorders) against the layers an
+     * IN movement just opened, so layers never hold more than is on hand. The uncovered part of
+     * the latest OUT movements is consumed oldest layer first and recorded against those movements
+     * @param {Object} params - { variantId, locationId, qty } qty is how far below zero the balance was
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number>} Quantity settled
+     */
+    static async settleBackorders({ variantId, locationId, qty }, connection = db) {
+        if (!(qty > 0)) return 0;
+
+        // Each uncovered movement holds at least one unit, so qty rows are enough
+        const [outRows] = await connection.execute(
+            `SELECT m.id, m.qty - COALESCE(SUM(c.qty), 0) AS uncovered_qty
+             FROM stock_movements m
+             LEFT JOIN stock_layer_consumptions c ON c.movement_id = m.id
+             WHERE m.variant_id = ? AND m.location_id = ? AND m.movement_type = 'OUT'
+             GROUP BY m.id, m.qty
+             HAVING uncovered_qty > 0
+             ORDER BY m.id DESC
+             LIMIT ${parseInt(qty)}`,
+            [variantId, locationId]
+        );
+
+        const backorders = outRows.reverse().map(row => ({ movementId: row.id, qty: parseInt(row.uncovered_qty) }));
+        const pendingQty = Math.min(qty, backorders.reduce((sum, backorder) => sum + backorder.qty, 0));
+        const plan = await this.planConsumption({ variantId, locationId, qty: pendingQty }, connection);
+
+        let settled = 0;
+        for (const layer of plan.layers) {
+            let layerQty = layer.qty;
+
+            while (layerQty > 0 && backorders.length > 0) {
+                const backorder = backorders[0];
+                const take = Math.min(layerQty, backorder.qty);
+
+                await this.applyConsumption({ layers: [{ ...layer, qty: take }] }, backorder.movementId, connection);
+
+                layerQty -= take;
+                backorder.qty -= take;
+                settled += take;
+                if (backorder.qty === 0) backorders.shift();
+            }
+        }
+
+        return settled;
+    }
+
+    /**
+     * Open layers for an IN movement. Transferred stock copies the source layers (cost and
+     * received_at); anything else is one layer at the movement's cost
+     * @param {Object} params - { variantId, locationId, movementId, qty, unitCost, sourceLayers }
+     * @param {Object} connection - Database connection
+     */
+    static async addLayers({ variantId, locationId, movementId, qty, unitCost, sourceLayers = [] }, connection = db) {
+        const now = new Date();
+        let remaining = qty;
+
+        for (const source of sourceLayers) {
+            if (remaining <= 0) break;
+
+            const layerQty = Math.min(source.qty, remaining);
+            await connection.execute(
+                `INSERT INTO stock_cost_layers
+                 (variant_id, location_id, movement_id, source_layer_id, unit_cost, qty_in, qty_remaining, received_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [variantId, locationId, movementId, source.layer_id, source.unit_cost, layerQty, layerQty, source.received_at]
+            );
+            remaining -= layerQty;
+        }
+
+        if (remaining > 0) {
+            await connection.execute(
+                `INSERT INTO stock_cost_layers
+                 (variant_id, location_id, movement_id, unit_cost, qty_in, qty_remaining, received_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [variantId, locationId, movementId, unitCost || 0, remaining, remaining, now]
+            );
+        }
+    }
+
+    /**
+     * FIFO quantity and value per variant/location as of a moment, from the layers that had
+     * arrived by then less what had been consumed by then
+     * @param {Object} params - { asOf (datetime), locationId }
+     * @returns {Promise<Map>} "variantId-locationId" → { variant_id, location_id, qty, value }
+     */
+    static async getFifoBalances({ asOf, locationId = null }) {
+        let query = `
+            SELECT l.variant_id, l.location_id,
+                   SUM(l.qty_in - COALESCE(c.consumed, 0)) AS qty,
+                   SUM((l.qty_in - COALESCE(c.consumed, 0)) * l.unit_cost) AS value
+            FROM stock_cost_layers l
+            LEFT JOIN (
+                SELECT layer_id, SUM(qty) AS consumed
+                FROM stock_layer_consumptions
+                WHERE created_at <= ?
+                GROUP BY layer_id
+            ) c ON c.layer_id = l.id
+            WHERE l.created_at <= ?
+        `;
+        const params = [asOf, asOf];
+
+        if (locationId) {
+            query += ' AND l.location_id = ?';
+            params.push(locationId);
+        }
+
+        query += ' GROUP BY l.variant_id, l.location_id';
+
+        const [rows] = await db.execute(query, params);
+
+        return new Map(rows.map(row => [`${row.variant_id}-${row.location_id}`, {
+            variant_id: row.variant_id,
+            location_id: row.location_id,
+            qty: parseInt(row.qty) || 0,
+            value: parseFloat(row.value) || 0
+        }]));
+    }
+}
+
+module.exports = CostLayerService;
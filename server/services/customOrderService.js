@@ -0,0 +1,485 @@
+const db = require('../db');
+const TransactionService = require('./transactionService');
+const ReservationService = require('./reservationService');
+const LoyaltyService = require('./loyaltyService');
+const CommissionService = require('./commissionService');
+const CommissionPayoutService = require('./commissionPayoutService');
+const PaymentAccountService = require('./paymentAccountService');
+
+// Production steps in order; a job moves one step forward or back (QC sending it back to
+// production), and only POST /api/orders/:id/complete takes it from READY to DELIVERED
+const STATUS_FLOW = ['DESIGN', 'APPROVED', 'IN_PRODUCTION', 'QC', 'READY', 'DELIVERED'];
+
+// Promo type the delivery sale is recorded under; commission rules can target it, and sale
+// edits keep its price since it is not one of the priced promo types
+const SALE_PROMO_TYPE = 'Kustom';
+
+/**
+ * Custom Order Service
+ * Custom (kustom) order jobs from quote to delivery, and the sale each delivered job becomes
+ */
+class CustomOrderService {
+    /**
+     * Production statuses in order
+     * @returns {Array<string>} Status names
+     */
+    static getStatusFlow() {
+        return STATUS_FLOW;
+    }
+
+    /**
+     * Promo type delivery sales are recorded under
+     * @returns {string} Promo type name
+     */
+    static getSalePromoType() {
+        return SALE_PROMO_TYPE;
+    }
+
+    /**
+     * Statuses a job may be moved to by hand from its current status
+     * @param {string} status - Current status
+     * @returns {Array<string>} Allowed statuses
+     */
+    static getAllowedStatuses(status) {
+        const index = STATUS_FLOW.indexOf(status);
+        if (index === -1 || status === 'DELIVERED') {
+            return [];
+        }
+
+        return [
+            index > 0 ? STATUS_FLOW[index - 1] : null,
+            status !== 'READY' ? STATUS_FLOW[index + 1] : null,
+            'CANCELLED'
+        ].filter(Boolean);
+    }
+
+    /**
+     * List jobs with their total quantity
+     * @param {Object} params - { status, activeOnly (not delivered or cancelled), search }
+     * @returns {Promise<Array>} Jobs, soonest due first
+     */
+    static async listOrders({ status, activeOnly = false, search } = {}) {
+        let query = `
+            SELECT o.*, COALESCE(SUM(oi.qty), 0) AS total_qty,
+                   (o.due_date IS NOT NULL AND o.due_date < CURDATE() AND o.status NOT IN ('DELIVERED', 'CANCELLED')) AS is_overdue
+            FROM custom_orders o
+            LEFT JOIN custom_order_items oi ON oi.order_id = o.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            query += ' AND o.status = ?';
+            params.push(status);
+        }
+
+        if (activeOnly) {
+            query += " AND o.status NOT IN ('DELIVERED', 'CANCELLED')";
+        }
+
+        if (search) {
+            query += ' AND (o.order_code LIKE ? OR o.customer_name LIKE ? OR o.title LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        query += ' GROUP BY o.id ORDER BY o.due_date IS NULL, o.due_date ASC, o.id DESC';
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => this.formatOrder({
+            ...row,
+            total_qty: parseInt(row.total_qty) || 0,
+            is_overdue: Boolean(row.is_overdue)
+        }));
+    }
+
+    /**
+     * Decode JSON columns and amounts of a job row
+     * @param {Object} row - custom_orders row
+     * @returns {Object} Job
+     */
+    static formatOrder(row) {
+        const quote = parseFloat(row.quote_amount) || 0;
+        const deposit = parseFloat(row.deposit_amount) || 0;
+
+        return {
+            ...row,
+            specs: TransactionService.parseJson(row.specs) || [],
+            design_files: TransactionService.parseJson(row.design_files) || [],
+            quote_amount: quote,
+            deposit_amount: deposit,
+            balance_due: Math.max(quote - deposit, 0)
+        };
+    }
+
+    /**
+     * Get a job with its items and status history
+     * @param {number} orderId - Job ID
+     * @param {Object} connection - Database connection
+     * @param {Object} options - { forUpdate } locks the job row until commit
+     * @returns {Promise<Object|null>} Job, or null when not found
+     */
+    static async getOrder(orderId, connection = db, { forUpdate = false } = {}) {
+        const [rows] = await connection.execute(
+            `SELECT * FROM custom_orders WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+            [orderId]
+        );
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const [items] = await connection.execute(`
+            SELECT oi.*,
+                   p.id AS product_id,
+                   p.name AS product_name,
+                   c.id AS color_id,
+                   c.name AS color_name,
+                   s.id AS size_id,
+                   s.name AS size_name,
+                   l.name AS location_name
+            FROM custom_order_items oi
+            JOIN product_color_sizes pcs ON oi.variant_id = pcs.id
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN products p ON pc.product_id = p.id
+            JOIN colors c ON pc.color_id = c.id
+            JOIN sizes s ON pcs.size_id = s.id
+            LEFT JOIN locations l ON oi.location_id = l.id
+            WHERE oi.order_id = ?
+            ORDER BY oi.id
+        `, [orderId]);
+
+        const [history] = await connection.execute(
+            'SELECT * FROM custom_order_status_history WHERE order_id = ? ORDER BY changed_at ASC, id ASC',
+            [orderId]
+        );
+
+        return {
+            ...this.formatOrder(rows[0]),
+            items: items.map(item => ({
+                ...item,
+                unit_price: item.unit_price === null ? null : parseFloat(item.unit_price)
+            })),
+            history
+        };
+    }
+
+    /**
+     * Replace the blank garments of a job
+     * @param {number} orderId - Job ID
+     * @param {Array} items - [{ variant_id, qty, unit_price, location_id }]
+     * @param {Object} connTx - Database connection/transaction (required, caller commits)
+     */
+    static async saveItems(orderId, items, connTx) {
+        await connTx.execute('DELETE FROM custom_order_items WHERE order_id = ?', [orderId]);
+
+        for (const item of items) {
+            await connTx.execute(`
+                INSERT INTO custom_order_items (order_id, variant_id, qty, unit_price, location_id)
+                VALUES (?, ?, ?, ?, ?)
+            `, [orderId, parseInt(item.variant_id), parseInt(item.qty),
+                item.unit_price === undefined || item.unit_price === null || item.unit_price === '' ? null : parseFloat(item.unit_price),
+                item.location_id ? parseInt(item.location_id) : null]);
+        }
+    }
+
+    /**
+     * Record a status change
+     * @param {Object} params - { orderId, fromStatus, toStatus, note, changedBy }
+     * @param {Object} connTx - Database connection/transaction (required, caller commits)
+     */
+    static async addHistory({ orderId, fromStatus = null, toStatus, note = null, changedBy }, connTx) {
+        await connTx.execute(`
+            INSERT INTO custom_order_status_history (order_id, from_status, to_status, note, changed_by)
+            VALUES (?, ?, ?, ?, ?)
+        `, [orderId, fromStatus, toStatus, note || null, changedBy]);
+    }
+
+    /**
+     * Create a job in DESIGN
+     * @param {Object} params - { customerId, customerName, customerPhone, title, specs, designFiles, quoteAmount, depositAmount,
+     *   depositPaymentMethod, depositPaidAt, dueDate, reservationId, note, items, createdBy }
+     * @returns {Promise<Object>} Created job
+     */
+    static async createOrder({ customerId = null, customerName, customerPhone = null, title, specs = [], designFiles = [], quoteAmount = 0, depositAmount = 0,
+        depositPaymentMethod = null, depositPaidAt = null, dueDate = null, reservationId = null, note = null, items = [], createdBy }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(`
+                INSERT INTO custom_orders
+                (order_code, customer_id, customer_name, customer_phone, title, specs, design_files, quote_amount, deposit_amount,
+                 deposit_payment_method, deposit_paid_at, due_date, reservation_id, note, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [`TMP-${Date.now()}`, customerId || null, customerName, customerPhone || null, title, JSON.stringify(specs), JSON.stringify(designFiles),
+                parseFloat(quoteAmount) || 0, parseFloat(depositAmount) || 0, depositPaymentMethod || null, depositPaidAt || null,
+                dueDate || null, reservationId || null, note || null, createdBy]);
+
+            const orderId = result.insertId;
+
+            // Code follows the PREFIX-{id} pattern used for other reference codes
+            await connection.execute(
+                'UPDATE custom_orders SET order_code = ? WHERE id = ?',
+                [`KO-${orderId}`, orderId]
+            );
+
+            await this.saveItems(orderId, items, connection);
+            await this.addHistory({ orderId, toStatus: 'DESIGN', note: 'Order created', changedBy: createdBy }, connection);
+
+            await connection.commit();
+
+            return this.getOrder(orderId);
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Update the details of an open job; items are replaced when given
+     * @param {number} orderId - Job ID
+     * @param {Object} updates - Column → value (customer_id, customer_name, customer_phone, title, specs, design_files,
+     *   quote_amount, deposit_amount, deposit_payment_method, deposit_paid_at, due_date, reservation_id, note)
+     * @param {Array|null} items - New items, or null to keep them
+     * @returns {Promise<Object>} Updated job
+     */
+    static async updateOrder(orderId, updates, items = null) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const fields = Object.keys(updates);
+            if (fields.length > 0) {
+                const values = fields.map(field => (['specs', 'design_files'].includes(field)
+                    ? JSON.stringify(updates[field] || [])
+                    : (updates[field] === '' ? null : updates[field])));
+
+                await connection.execute(
+                    `UPDATE custom_orders SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                    [...values, orderId]
+                );
+            }
+
+            if (items) {
+                await this.saveItems(orderId, items, connection);
+            }
+
+            await connection.commit();
+
+            return this.getOrder(orderId);
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Move a job to another status. Cancelling releases the reservation holding its blanks
+     * @param {Object} params - { order, toStatus, note, changedBy }
+     * @returns {Promise<Object>} Updated job
+     */
+    static async changeStatus({ order, toStatus, note = null, changedBy }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            await connection.execute(
+                'UPDATE custom_orders SET status = ? WHERE id = ?',
+                [toStatus, order.id]
+            );
+            await this.addHistory({ orderId: order.id, fromStatus: order.status, toStatus, note, changedBy }, connection);
+
+            await connection.commit();
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        if (toStatus === 'CANCELLED' && order.reservation_id) {
+            await ReservationService.release(order.reservation_id, changedBy);
+        }
+
+        return this.getOrder(order.id);
+    }
+
+    /**
+     * Deliver a READY job: record its sale (the quote, under the Kustom promo type, for the job's customer) and take
+     * the blank garments out of stock with SALES_OUT, selling the linked reservation when it
+     * still holds. The deposit stays a receipt of its own (deposit_payment_method on
+     * deposit_paid_at), so paymentMethod only collects the balance due; a SPLIT payment's
+     * parts must add up to it. A delivery dated in a
+     * paid commission period needs a commission adjustment like any sale. Everything commits
+     * together; when strict and any item cannot leave stock, nothing is saved
+     * @param {Object} params - { orderId, date, paymentMethod, payments, staff: { id, name }, allowBackorder, strict, commissionAdjustment, user }
+     * @returns {Promise<Object>} { order, transaction, balance_due, stock_movements, stock_errors, loyalty_points }, { errors } when
+     *   not moved, { unsoldItems, reservation } when the blanks do not cover the reservation, { lockError } (409 body) when the
+     *   commission period is locked, { unrecordedDeposit } when the deposit has no payment method or date, { paymentError } when
+     *   the split payments do not add up to the balance due, or { status } when
+     *   the job is not READY
+     */
+    static async completeOrder({ orderId, date, paymentMethod, payments = [], staff, allowBackorder = false, strict = true, commissionAdjustment = null, user }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const order = await this.getOrder(orderId, connection, { forUpdate: true });
+            if (!order || order.status !== 'READY') {
+                await connection.rollback();
+                return { status: order ? order.status : null };
+            }
+
+            if (order.deposit_amount > 0 && (!order.deposit_payment_method || !order.deposit_paid_at)) {
+                await connection.rollback();
+                return { unrecordedDeposit: order.deposit_amount };
+            }
+
+            let splitPayments = [];
+            if (paymentMethod === PaymentAccountService.getSplitCode()) {
+                const split = await PaymentAccountService.resolvePayments(payments, order.balance_due, connection);
+                if (split.error) {
+                    await connection.rollback();
+                    return { paymentError: split.error };
+                }
+                splitPayments = split.payments;
+            }
+
+            const reservation = order.reservation_id
+                ? await ReservationService.getReservation(order.reservation_id, connection, { forUpdate: true })
+                : null;
+
+            const items = order.items.map(item => ({
+                product_id: item.product_id,
+                name: item.product_name,
+                color_id: item.color_id,
+                color: item.color_name,
+                size_id: item.size_id,
+                size: item.size_name,
+                quantity: item.qty,
+                price: item.unit_price || 0,
+                ...(item.location_id ? { location_id: item.location_id } : {})
+            }));
+
+            // Selling the reservation closes its whole hold, so the blanks must cover it
+            if (reservation && reservation.is_holding) {
+                const unsoldItems = await TransactionService.getUnsoldReservedItems(reservation, { items }, connection);
+                if (unsoldItems.length > 0) {
+                    await connection.rollback();
+                    return { unsoldItems, reservation };
+                }
+            }
+
+            const [insertResult] = await connection.execute(
+                `INSERT INTO transactions
+                 (type, date, promo_type, items, total, quoted_total, payment_method, pic_sales, pic_sales_staff_id, customer_id)
+                 VALUES ('penjualan', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [date, SALE_PROMO_TYPE, JSON.stringify(items), order.quote_amount, order.quote_amount,
+                 paymentMethod, staff.name, staff.id, order.customer_id || null]
+            );
+            const transactionId = insertResult.insertId;
+
+            await PaymentAccountService.savePayments(transactionId, splitPayments, connection);
+
+            const lockError = await CommissionPayoutService.applyLock({
+                dates: [date],
+                pic: staff.name,
+                transactionId,
+                adjustment: commissionAdjustment,
+                suggest: async () => (await CommissionService.getSaleCommission({
+                    id: transactionId, date, promo_type: SALE_PROMO_TYPE, items, total: order.quote_amount, pic_sales: staff.name
+                })).commission,
+                user
+            }, connection);
+
+            if (lockError) {
+                await connection.rollback();
+                return { lockError };
+            }
+
+            const stockResult = await TransactionService.postSaleMovements({
+                transactionId,
+                lines: items.map((item, index) => ({
+                    line: `items[${index}]`,
+                    item,
+                    qty: item.quantity,
+                    refCode: `TXN-${transactionId}`,
+                    note: `Custom order ${order.order_code}`
+                })),
+                pic: staff.name,
+                createdBy: user.username,
+                allowBackorder,
+                reservation: reservation && reservation.is_holding ? reservation : null
+            }, connection);
+
+            if (stockResult.errors.length > 0 && strict) {
+                await connection.rollback();
+                return { errors: stockResult.errors };
+            }
+
+            if (reservation && reservation.is_holding) {
+                await ReservationService.markConverted(reservation.id, transactionId, user.username, connection);
+            }
+
+            await connection.execute(
+                'UPDATE transactions SET items = ? WHERE id = ?',
+                [JSON.stringify(TransactionService.withPlacements(items, 'items', stockResult.placements)), transactionId]
+            );
+
+            // The customer earns points on the quote like on any sale
+            const loyaltyEntries = await LoyaltyService.syncSaleEarn({
+                sale: { id: transactionId, type: 'penjualan', date, customer_id: order.customer_id || null, total: order.quote_amount },
+                createdBy: user.username
+            }, connection);
+
+            await connection.execute(
+                `UPDATE custom_orders
+                 SET status = 'DELIVERED', transaction_id = ?, delivered_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [transactionId, orderId]
+            );
+            await this.addHistory({
+                orderId,
+                fromStatus: order.status,
+                toStatus: 'DELIVERED',
+                note: order.deposit_amount > 0
+                    ? `Sale TXN-${transactionId}; balance ${order.balance_due} paid on delivery after a deposit of ${order.deposit_amount}`
+                    : `Sale TXN-${transactionId}`,
+                changedBy: user.username
+            }, connection);
+
+            await connection.commit();
+
+            const [transactionRows] = await db.execute('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+
+            return {
+                order: await this.getOrder(orderId),
+                transaction: transactionRows[0],
+                balance_due: order.balance_due,
+                stock_movements: stockResult.movements,
+                stock_errors: stockResult.errors,
+                loyalty_points: loyaltyEntries
+            };
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = CustomOrderService;
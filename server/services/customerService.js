@@ -0,0 +1,300 @@
+const db = require('../db');
+const TransactionService = require('./transactionService');
+
+// Sale amount actually charged; manual prices override the computed total (as in the margin report)
+const SALE_REVENUE = 'CASE WHEN t.manual_price > 0 THEN t.manual_price ELSE t.total END';
+// How many favourite products and sizes the customer history lists
+const FAVOURITES_LIMIT = 5;
+
+/**
+ * Customer Service
+ * Customer directory, purchase history per customer and new vs returning customer reports
+ */
+class CustomerService {
+    /**
+     * Normalize an Instagram handle: trimmed, without the leading @
+     * @param {string|null} handle - Handle as typed
+     * @returns {string|null} Handle, or null when empty
+     */
+    static normalizeInstagram(handle) {
+        if (handle === undefined || handle === null) return null;
+        const value = String(handle).trim().replace(/^@+/, '');
+        return value || null;
+    }
+
+    /**
+     * List customers with their sale count, spend and last purchase
+     * @param {Object} params - { q (name, phone or Instagram), activeOnly }
+     * @returns {Promise<Array>} Customers ordered by name
+     */
+    static async listCustomers({ q, activeOnly = false } = {}) {
+        let query = `
+            SELECT c.*,
+                   COUNT(t.id) AS sale_count,
+                   COALESCE(SUM(${SALE_REVENUE}), 0) AS sales_total,
+                   MAX(t.date) AS last_purchase
+            FROM customers c
+            LEFT JOIN transactions t
+                   ON t.customer_id = c.id AND t.type = 'penjualan' AND t.voided_at IS NULL
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (q) {
+            query += ' AND (c.name LIKE ? OR c.phone LIKE ? OR c.instagram LIKE ?)';
+            const searchTerm = `%${q}%`;
+            params.push(searchTerm, searchTerm, `%${this.normalizeInstagram(q) || q}%`);
+        }
+
+        if (activeOnly) {
+            query += ' AND c.is_active = TRUE';
+        }
+
+        query += ' GROUP BY c.id ORDER BY c.name ASC';
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => ({
+            ...row,
+            sale_count: parseInt(row.sale_count) || 0,
+            sales_total: parseInt(row.sales_total) || 0
+        }));
+    }
+
+    /**
+     * Get a customer by ID
+     * @param {number} customerId - Customer ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Customer, or null when not found
+     */
+    static async getCustomer(customerId, connection = db) {
+        const [rows] = await connection.execute('SELECT * FROM customers WHERE id = ?', [customerId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Create a customer
+     * @param {Object} data - { name, phone, instagram, address, notes, createdBy }
+     * @returns {Promise<Object>} Created customer
+     */
+    static async createCustomer({ name, phone = null, instagram = null, address = null, notes = null, createdBy = null }) {
+        const [result] = await db.execute(`
+            INSERT INTO customers (name, phone, instagram, address, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [name, phone, this.normalizeInstagram(instagram), address, notes, createdBy]);
+
+        return this.getCustomer(result.insertId);
+    }
+
+    /**
+     * Update a customer; only the given columns change
+     * @param {number} customerId - Customer ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated customer
+     */
+    static async updateCustomer(customerId, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            await db.execute(
+                `UPDATE customers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => (column === 'instagram' ? this.normalizeInstagram(updates[column]) : updates[column])), customerId]
+            );
+        }
+
+        return this.getCustomer(customerId);
+    }
+
+    /**
+     * Purchase history of a customer: lifetime spend (non-voided sales less refunds), favourite
+     * products and sizes by pieces bought, past sales and gifts, and custom orders
+     * @param {number} customerId - Customer ID
+     * @returns {Promise<Object>} { summary, favourite_products, favourite_sizes, transactions, custom_orders }
+     */
+    static async getHistory(customerId) {
+        const [transactions] = await db.execute(`
+            SELECT t.id, t.type, t.date, t.promo_type, t.items, t.free_items, t.total, t.manual_price,
+                   t.payment_method, t.pic_sales, t.pic, t.reason, t.recipient, t.voided_at, t.points_redeemed, t.points_discount,
+                   ${SALE_REVENUE} AS revenue,
+                   pr.name AS promotion_name,
+                   COALESCE(r.refunds, 0) AS refunds
+            FROM transactions t
+            LEFT JOIN promotions pr ON t.promotion_id = pr.id
+            LEFT JOIN (
+                SELECT transaction_id, SUM(refund_amount) AS refunds
+                FROM transaction_returns
+                GROUP BY transaction_id
+            ) r ON r.transaction_id = t.id
+            WHERE t.customer_id = ?
+            ORDER BY t.date DESC, t.id DESC
+        `, [customerId]);
+
+        const [customOrders] = await db.execute(`
+            SELECT id, order_code, title, status, quote_amount, due_date, delivered_at, transaction_id
+            FROM custom_orders
+            WHERE customer_id = ?
+            ORDER BY created_at DESC
+        `, [customerId]);
+
+        const summary = {
+            sale_count: 0,
+            gift_count: 0,
+            gross_spend: 0,
+            refunds: 0,
+            lifetime_spend: 0,
+            average_sale: 0,
+            pieces_bought: 0,
+            first_purchase: null,
+            last_purchase: null
+        };
+        const products = new Map();
+        const sizes = new Map();
+
+        const rows = transactions.map(row => {
+            const transaction = {
+                ...row,
+                items: TransactionService.parseJson(row.items) || [],
+                free_items: TransactionService.parseJson(row.free_items),
+                revenue: parseInt(row.revenue) || 0,
+                refunds: parseInt(row.refunds) || 0
+            };
+
+            if (transaction.voided_at) {
+                return transaction;
+            }
+
+            if (transaction.type === 'gift') {
+                summary.gift_count += 1;
+                return transaction;
+            }
+
+            if (transaction.type !== 'penjualan') {
+                return transaction;
+            }
+
+            const date = TransactionService.toPlainValue(transaction.date);
+            summary.sale_count += 1;
+            summary.gross_spend += transaction.revenue;
+            summary.refunds += transaction.refunds;
+            if (!summary.first_purchase || date < summary.first_purchase) summary.first_purchase = date;
+            if (!summary.last_purchase || date > summary.last_purchase) summary.last_purchase = date;
+
+            transaction.items.forEach(item => {
+                const qty = parseInt(item.quantity) || 0;
+                summary.pieces_bought += qty;
+
+                const productKey = item.product_id || item.name;
+                if (productKey) {
+                    const product = products.get(productKey) || { product_id: item.product_id || null, name: item.name || '-', quantity: 0, sale_count: 0 };
+                    product.quantity += qty;
+                    product.sale_count += 1;
+                    products.set(productKey, product);
+                }
+
+                if (item.size) {
+                    const size = sizes.get(item.size) || { size: item.size, quantity: 0 };
+                    size.quantity += qty;
+                    sizes.set(item.size, size);
+                }
+            });
+
+            return transaction;
+        });
+
+        summary.lifetime_spend = summary.gross_spend - summary.refunds;
+        summary.average_sale = summary.sale_count > 0 ? Math.round(summary.lifetime_spend / summary.sale_count) : 0;
+
+        const byQuantity = (a, b) => b.quantity - a.quantity;
+
+        return {
+            summary,
+            favourite_products: [...products.values()].sort(byQuantity).slice(0, FAVOURITES_LIMIT),
+            favourite_sizes: [...sizes.values()].sort(byQuantity).slice(0, FAVOURITES_LIMIT),
+            transactions: rows,
+            custom_orders: customOrders.map(order => ({ ...order, quote_amount: parseFloat(order.quote_amount) || 0 }))
+        };
+    }
+
+    /**
+     * Customers buying per month, split into new (first ever sale in that month) and returning.
+     * Only non-voided sales linked to a customer count; unlinked sales are reported separately
+     * @param {Object} params - { start, end } on the sale date
+     * @returns {Promise<Array>} One row per month of the period, oldest first
+     */
+    static async getMonthlyReport({ start, end }) {
+        const [rows] = await db.execute(`
+            SELECT DATE_FORMAT(t.date, '%Y-%m') AS month,
+                   t.customer_id,
+                   DATE_FORMAT(f.first_date, '%Y-%m') AS first_month,
+                   COUNT(*) AS sale_count,
+                   SUM(${SALE_REVENUE}) AS revenue
+            FROM transactions t
+            JOIN (
+                SELECT customer_id, MIN(date) AS first_date
+                FROM transactions
+                WHERE type = 'penjualan' AND voided_at IS NULL AND customer_id IS NOT NULL
+                GROUP BY customer_id
+            ) f ON f.customer_id = t.customer_id
+            WHERE t.type = 'penjualan' AND t.voided_at IS NULL AND t.date >= ? AND t.date <= ?
+            GROUP BY month, t.customer_id, first_month
+        `, [start, end]);
+
+        const [unlinkedRows] = await db.execute(`
+            SELECT DATE_FORMAT(t.date, '%Y-%m') AS month,
+                   COUNT(*) AS sale_count,
+                   SUM(${SALE_REVENUE}) AS revenue
+            FROM transactions t
+            WHERE t.type = 'penjualan' AND t.voided_at IS NULL AND t.customer_id IS NULL
+              AND t.date >= ? AND t.date <= ?
+            GROUP BY month
+        `, [start, end]);
+
+        const months = new Map();
+        const getMonth = month => {
+            if (!months.has(month)) {
+                months.set(month, {
+                    month,
+                    new_customers: 0,
+                    returning_customers: 0,
+                    new_revenue: 0,
+                    returning_revenue: 0,
+                    unlinked_sales: 0,
+                    unlinked_revenue: 0
+                });
+            }
+            return months.get(month);
+        };
+
+        // Months without sales still get a row
+        const cursor = new Date(`${String(start).slice(0, 7)}-01T00:00:00`);
+        while (TransactionService.toPlainValue(cursor).slice(0, 7) <= String(end).slice(0, 7)) {
+            getMonth(TransactionService.toPlainValue(cursor).slice(0, 7));
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+
+        rows.forEach(row => {
+            const bucket = getMonth(row.month);
+            const revenue = parseInt(row.revenue) || 0;
+
+            if (row.first_month === row.month) {
+                bucket.new_customers += 1;
+                bucket.new_revenue += revenue;
+            } else {
+                bucket.returning_customers += 1;
+                bucket.returning_revenue += revenue;
+            }
+        });
+
+        unlinkedRows.forEach(row => {
+            const bucket = getMonth(row.month);
+            bucket.unlinked_sales = parseInt(row.sale_count) || 0;
+            bucket.unlinked_revenue = parseInt(row.revenue) || 0;
+        });
+
+        return [...months.values()]
+            .map(row => ({ ...row, total_customers: row.new_customers + row.returning_customers }))
+            .sort((a, b) => a.month.localeCompare(b.month));
+    }
+}
+
+module.exports = CustomerService;
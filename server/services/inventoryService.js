@@ -1,4 +1,6 @@
 const db = require('../db');
+const PurchaseOrderService = require('./purchaseOrderService');
+const ReservationService = require('./reservationService');
 
 /**
  * Inventory Service
@@ -88,8 +90,13 @@ class InventoryService {
 
             const [rows] = await db.execute(query, queryParams);
 
-            // Group results into tree structure
-            return this.buildInventoryTree(rows);
+            // Group results into tree structure, splitting on-hand stock into reserved and available
+            const reserved = await ReservationService.getReservedQuantities({ variantIds: [...new Set(rows.map(row => row.variant_id))] });
+            const tree = this.buildInventoryTree(rows, reserved);
+
+            // Open purchase orders show as incoming on the product-color groups already listed
+            const incoming = await PurchaseOrderService.getIncomingQuantities();
+            return this.attachIncoming(tree, incoming);
 
         } catch (error) {
             console.error('Error getting inventory tree:', error);
@@ -100,9 +107,10 @@ class InventoryService {
     /**
      * Build hierarchical inventory tree from flat rows
      * @param {Array} rows - Flat inventory rows
+     * @param {Map} reserved - From ReservationService.getReservedQuantities()
      * @returns {Array} Hierarchical tree structure
      */
-    static buildInventoryTree(rows) {
+    static buildInventoryTree(rows, reserved = new Map()) {
         const tree = {};
 
         rows.forEach(row => {
@@ -117,6 +125,8 @@ class InventoryService {
                     color_name: row.color_name,
                     color_hex: row.color_hex,
                     total_qty: 0,
+                    total_reserved: 0,
+                    total_available: 0,
                     locations: {}
                 };
             }
@@ -131,10 +141,16 @@ class InventoryService {
                     location_name: row.location_name,
                     location_is_default: row.location_is_default,
                     total_qty: 0,
+                    total_reserved: 0,
+                    total_available: 0,
                     sizes: []
                 };
             }
 
+            // Reservations cannot hold more than is on hand
+            const qtyReserved = Math.min(reserved.get(`${row.variant_id}-${row.location_id}`) || 0, Math.max(row.qty_on_hand, 0));
+            const qtyAvailable = row.qty_on_hand - qtyReserved;
+
             // Add size data
             tree[productColorKey].locations[locationKey].sizes.push({
                 size_id: row.size_id,
@@ -142,13 +158,19 @@ class InventoryService {
                 size_sort: row.size_sort,
                 variant_id: row.variant_id,
                 qty_on_hand: row.qty_on_hand,
+                qty_reserved: qtyReserved,
+                qty_available: qtyAvailable,
                 avg_cost: parseFloat(row.avg_cost) || 0,
                 balance_updated_at: row.balance_updated_at
             });
 
             // Update totals
             tree[productColorKey].locations[locationKey].total_qty += row.qty_on_hand;
+            tree[productColorKey].locations[locationKey].total_reserved += qtyReserved;
+            tree[productColorKey].locations[locationKey].total_available += qtyAvailable;
             tree[productColorKey].total_qty += row.qty_on_hand;
+            tree[productColorKey].total_reserved += qtyReserved;
+            tree[productColorKey].total_available += qtyAvailable;
         });
 
         // Convert to array and sort
@@ -161,6 +183,33 @@ class InventoryService {
         })).sort((a, b) => a.product_name.localeCompare(b.product_name) || a.color_name.localeCompare(b.color_name));
     }
 
+    /**
+     * Add incoming (ordered, not yet received) quantities to inventory tree groups
+     * @param {Array} tree - Result of buildInventoryTree
+     * @param {Array} incoming - Rows from PurchaseOrderService.getIncomingQuantities
+     * @returns {Array} Tree with qty_incoming and incoming_sizes on each group
+     */
+    static attachIncoming(tree, incoming) {
+        return tree.map(productColor => {
+            const sizes = incoming
+                .filter(row => row.product_id === productColor.product_id && row.color_id === productColor.color_id)
+                .sort((a, b) => a.size_sort - b.size_sort)
+                .map(row => ({
+                    size_id: row.size_id,
+                    size_name: row.size_name,
+                    variant_id: row.variant_id,
+                    qty_incoming: row.qty_incoming,
+                    next_expected_date: row.next_expected_date
+                }));
+
+            return {
+                ...productColor,
+                qty_incoming: sizes.reduce((sum, size) => sum + size.qty_incoming, 0),
+                incoming_sizes: sizes
+            };
+        });
+    }
+
     /**
      * Get stock card (movement history) for a specific variant and location
      * @param {Object} params - Filter parameters
@@ -357,13 +406,13 @@ class InventoryService {
      * @param {Object} params - Count parameters
      * @returns {Promise<Object>} Updated opname item
      */
-    static async updateOpnameCount({ opnameId, variantId, locationId, countedQty, countedBy, note = null }) {
+    static async updateOpnameCount({ opnameId, variantId, locationId, countedQty, countedBy, countedByStaffId = null, note = null }) {
         try {
             const [result] = await db.execute(
                 `UPDATE stock_opname_items 
-                 SET counted_qty = ?, counted_by = ?, counted_at = CURRENT_TIMESTAMP, note = ?
+                 SET counted_qty = ?, counted_by = ?, counted_by_staff_id = ?, counted_at = CURRENT_TIMESTAMP, note = ?
                  WHERE opname_id = ? AND variant_id = ? AND location_id = ?`,
-                [countedQty, countedBy, note, opnameId, variantId, locationId]
+                [countedQty, countedBy, countedByStaffId, note, opnameId, variantId, locationId]
             );
 
             if (result.affectedRows === 0) {
@@ -524,7 +573,8 @@ class InventoryService {
     }
 
     /**
-     * Get inventory summary statistics
+     * Get inventory summary statistics; total_value and avg_unit_cost are weighted by the
+     * quantity on hand at the current moving average cost
      * @returns {Promise<Object>} Inventory statistics
      */
     static async getInventoryStats() {
@@ -539,7 +589,9 @@ class InventoryService {
                     SUM(sb.qty_on_hand) as total_qty,
                     COUNT(CASE WHEN sb.qty_on_hand > 0 THEN 1 END) as variants_with_stock,
                     COUNT(CASE WHEN sb.qty_on_hand = 0 THEN 1 END) as variants_out_of_stock,
-                    AVG(sb.avg_cost) as avg_unit_cost
+                    SUM(CASE WHEN sb.qty_on_hand > 0 THEN sb.qty_on_hand * COALESCE(sb.avg_cost, 0) ELSE 0 END) as total_value,
+                    SUM(CASE WHEN sb.qty_on_hand > 0 THEN sb.qty_on_hand * COALESCE(sb.avg_cost, 0) ELSE 0 END)
+                        / NULLIF(SUM(CASE WHEN sb.qty_on_hand > 0 THEN sb.qty_on_hand ELSE 0 END), 0) as avg_unit_cost
                 FROM stock_balances sb
                 JOIN product_color_sizes pcs ON sb.variant_id = pcs.id
                 JOIN product_colors pc ON pcs.product_color_id = pc.id
@@ -0,0 +1,410 @@
+const db = require('../db');
+const TransactionService = require('./transactionService');
+
+// Rupiah paid on a sale (after points are taken off) for each point earned
+const RUPIAH_PER_POINT = parseInt(process.env.LOYALTY_RUPIAH_PER_POINT) > 0 ? parseInt(process.env.LOYALTY_RUPIAH_PER_POINT) : 10000;
+// Rupiah one point takes off a sale when redeemed at checkout
+const POINT_VALUE = parseInt(process.env.LOYALTY_POINT_VALUE) > 0 ? parseInt(process.env.LOYALTY_POINT_VALUE) : 100;
+// Days earned points stay redeemable after the sale date; 0 keeps them forever
+const EXPIRY_DAYS = parseInt(process.env.LOYALTY_POINTS_EXPIRY_DAYS) >= 0 ? parseInt(process.env.LOYALTY_POINTS_EXPIRY_DAYS) : 365;
+
+// Product price columns a member tier can unlock
+const PRICE_LEVELS = ['price_b1g1', 'price_random'];
+// Entries that count towards lifetime points (and so the member tier)
+const EARN_TYPES = ['EARN', 'EARN_REVERSAL'];
+
+/**
+ * Loyalty Service
+ * Points ledger per customer: points earned on sales, redeemed as a discount at checkout and
+ * expired after EXPIRY_DAYS, with member tiers by lifetime points
+ */
+class LoyaltyService {
+    /**
+     * Earning and redemption rates
+     * @returns {Object} { rupiah_per_point, point_value, expiry_days }
+     */
+    static getSettings() {
+        return {
+            rupiah_per_point: RUPIAH_PER_POINT,
+            point_value: POINT_VALUE,
+            expiry_days: EXPIRY_DAYS
+        };
+    }
+
+    /**
+     * Price columns a tier may use as its price level
+     * @returns {Array<string>} Column names
+     */
+    static getPriceLevels() {
+        return PRICE_LEVELS;
+    }
+
+    /**
+     * Points earned on an amount paid
+     * @param {number} amount - Rupiah
+     * @returns {number} Whole points
+     */
+    static pointsForAmount(amount) {
+        return Math.max(0, Math.floor((Number(amount) || 0) / RUPIAH_PER_POINT));
+    }
+
+    /**
+     * Rupiah discount for redeemed points
+     * @param {number} points - Points redeemed
+     * @returns {number} Discount
+     */
+    static pointsValue(points) {
+        return (parseInt(points) || 0) * POINT_VALUE;
+    }
+
+    /**
+     * Amount paid on a sale row; manual prices override the total (as in the commission rules)
+     * @param {Object} sale - Transaction row
+     * @returns {number} Rupiah
+     */
+    static getSaleAmount(sale) {
+        return Number(sale.manual_price) > 0 ? Number(sale.manual_price) : Number(sale.total) || 0;
+    }
+
+    /**
+     * List member tiers
+     * @param {Object} params - { activeOnly }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Array>} Tiers from the lowest threshold up
+     */
+    static async listTiers({ activeOnly = false } = {}, connection = db) {
+        const [rows] = await connection.execute(
+            `SELECT * FROM member_tiers ${activeOnly ? 'WHERE is_active = TRUE' : ''} ORDER BY min_points ASC, id ASC`
+        );
+        return rows;
+    }
+
+    /**
+     * Get a member tier by ID
+     * @param {number} tierId - Tier ID
+     * @returns {Promise<Object|null>} Tier, or null when not found
+     */
+    static async getTier(tierId) {
+        const [rows] = await db.execute('SELECT * FROM member_tiers WHERE id = ?', [tierId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Create a member tier
+     * @param {Object} data - { name, minPoints, priceLevel }
+     * @returns {Promise<Object>} Created tier
+     */
+    static async createTier({ name, minPoints = 0, priceLevel = null }) {
+        const [result] = await db.execute(
+            'INSERT INTO member_tiers (name, min_points, price_level) VALUES (?, ?, ?)',
+            [name, minPoints, priceLevel]
+        );
+        return this.getTier(result.insertId);
+    }
+
+    /**
+     * Update a member tier; only the given columns change
+     * @param {number} tierId - Tier ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated tier
+     */
+    static async updateTier(tierId, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            await db.execute(
+                `UPDATE member_tiers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), tierId]
+            );
+        }
+
+        return this.getTier(tierId);
+    }
+
+    /**
+     * Tier of a customer: the highest active tier their lifetime points reach, and the next one
+     * @param {Object} customer - Customer row with lifetime_points
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} { tier, next_tier, points_to_next_tier }
+     */
+    static async resolveTier(customer, connection = db) {
+        const tiers = await this.listTiers({ activeOnly: true }, connection);
+        const lifetimePoints = parseInt(customer.lifetime_points) || 0;
+
+        const reached = tiers.filter(tier => tier.min_points <= lifetimePoints);
+        const nextTier = tiers.find(tier => tier.min_points > lifetimePoints) || null;
+
+        return {
+            tier: reached.length > 0 ? reached[reached.length - 1] : null,
+            next_tier: nextTier,
+            points_to_next_tier: nextTier ? nextTier.min_points - lifetimePoints : null
+        };
+    }
+
+    /**
+     * Points balance and tier of a customer, less the points that are due to expire. Nothing is
+     * written: the EXPIRE entry is posted when the balance is locked for a redemption
+     * @param {number} customerId - Customer ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Membership, or null when the customer does not exist
+     */
+    static async getMembership(customerId, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT id, points_balance, lifetime_points FROM customers WHERE id = ?',
+            [customerId]
+        );
+        if (rows.length === 0) return null;
+
+        const customer = rows[0];
+        const tier = await this.resolveTier(customer, connection);
+        const pointsBalance = customer.points_balance - await this.getExpiringPoints(customerId, connection);
+
+        return {
+            customer_id: customer.id,
+            points_balance: pointsBalance,
+            lifetime_points: customer.lifetime_points,
+            points_value: this.pointsValue(Math.max(pointsBalance, 0)),
+            price_level: tier.tier ? tier.tier.price_level : null,
+            ...tier,
+            settings: this.getSettings()
+        };
+    }
+
+    /**
+     * Lock a customer's balance for a redemption, after expiring points that are due
+     * @param {number} customerId - Customer ID
+     * @param {Object} connection - Database connection inside the caller's transaction
+     * @returns {Promise<number>} Points that can be redeemed
+     */
+    static async lockBalance(customerId, connection) {
+        await connection.execute('SELECT id FROM customers WHERE id = ? FOR UPDATE', [customerId]);
+        await this.expireDue(customerId, connection);
+
+        const [rows] = await connection.execute('SELECT points_balance FROM customers WHERE id = ?', [customerId]);
+        return Math.max(rows[0] ? rows[0].points_balance : 0, 0);
+    }
+
+    /**
+     * Post a ledger entry and move the customer's cached balance with it
+     * @param {Object} entry - { customerId, entryType, points (signed), transactionId, returnId, expiresAt, note, createdBy }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} Posted entry
+     */
+    static async post({ customerId, entryType, points, transactionId = null, returnId = null, expiresAt = null, note = null, createdBy = null }, connection = db) {
+        const [result] = await connection.execute(
+            `INSERT INTO loyalty_points
+             (customer_id, entry_type, points, transaction_id, return_id, expires_at, note, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [customerId, entryType, points, transactionId, returnId, expiresAt, note, createdBy]
+        );
+
+        await connection.execute(
+            'UPDATE customers SET points_balance = points_balance + ?, lifetime_points = lifetime_points + ? WHERE id = ?',
+            [points, EARN_TYPES.includes(entryType) ? points : 0, customerId]
+        );
+
+        return {
+            id: result.insertId,
+            customer_id: customerId,
+            entry_type: entryType,
+            points,
+            transaction_id: transactionId,
+            return_id: returnId,
+            expires_at: expiresAt,
+            note
+        };
+    }
+
+    /**
+     * Redeem points against a sale
+     * @param {Object} params - { customerId, points, transactionId, createdBy }
+     * @param {Object} connection - Database connection inside the caller's transaction
+     * @returns {Promise<Object>} REDEEM entry
+     */
+    static async redeem({ customerId, points, transactionId, createdBy }, connection) {
+        return this.post({
+            customerId,
+            entryType: 'REDEEM',
+            points: -points,
+            transactionId,
+            note: `Redeemed on TXN-${transactionId} (Rp ${this.pointsValue(points)})`,
+            createdBy
+        }, connection);
+    }
+
+    /**
+     * Bring the points a sale has earned in line with the sale: its customer holds
+     * pointsForAmount(amount paid - refunds), nothing when it is voided. Differences are posted as
+     * EARN or EARN_REVERSAL entries, and points earned for a previous customer are taken back
+     * @param {Object} params - { sale (transaction row as saved), returnId, note, createdBy }
+     * @param {Object} connection - Database connection inside the caller's transaction
+     * @returns {Promise<Array>} Posted entries
+     */
+    static async syncSaleEarn({ sale, returnId = null, note = null, createdBy = null }, connection) {
+        const [entries] = await connection.query(
+            `SELECT customer_id, SUM(points) AS points, MAX(expires_at) AS expires_at
+             FROM loyalty_points
+             WHERE transaction_id = ? AND entry_type IN (?)
+             GROUP BY customer_id`,
+            [sale.id, EARN_TYPES]
+        );
+
+        let target = 0;
+        if (sale.customer_id && !sale.voided_at && sale.type === 'penjualan') {
+            const [refundRows] = await connection.execute(
+                'SELECT COALESCE(SUM(refund_amount), 0) AS refunds FROM transaction_returns WHERE transaction_id = ?',
+                [sale.id]
+            );
+            target = this.pointsForAmount(this.getSaleAmount(sale) - (parseInt(refundRows[0].refunds) || 0));
+        }
+
+        const posted = [];
+        const current = entries.find(entry => entry.customer_id === sale.customer_id);
+
+        for (const entry of entries) {
+            const points = parseInt(entry.points) || 0;
+            if (entry === current || points === 0) continue;
+
+            posted.push(await this.post({
+                customerId: entry.customer_id,
+                entryType: 'EARN_REVERSAL',
+                points: -points,
+                transactionId: sale.id,
+                returnId,
+                expiresAt: entry.expires_at,
+                note: note || `Sale TXN-${sale.id} moved to another customer`,
+                createdBy
+            }, connection));
+        }
+
+        if (!sale.customer_id) return posted;
+
+        const difference = target - (current ? parseInt(current.points) || 0 : 0);
+
+        if (difference > 0) {
+            let expiresAt = null;
+            if (EXPIRY_DAYS > 0) {
+                const expiry = new Date(`${TransactionService.toPlainValue(sale.date)}T00:00:00`);
+                expiry.setDate(expiry.getDate() + EXPIRY_DAYS);
+                expiresAt = TransactionService.toPlainValue(expiry);
+            }
+
+            posted.push(await this.post({
+                customerId: sale.customer_id,
+                entryType: 'EARN',
+                points: difference,
+                transactionId: sale.id,
+                expiresAt,
+                note: note || `Earned on TXN-${sale.id}`,
+                createdBy
+            }, connection));
+        } else if (difference < 0) {
+            posted.push(await this.post({
+                customerId: sale.customer_id,
+                entryType: 'EARN_REVERSAL',
+                points: difference,
+                transactionId: sale.id,
+                returnId,
+                expiresAt: current.expires_at,
+                note: note || `Adjusted for TXN-${sale.id}`,
+                createdBy
+            }, connection));
+        }
+
+        return posted;
+    }
+
+    /**
+     * Give back the points redeemed on a sale (when it is voided)
+     * @param {Object} params - { sale, note, createdBy }
+     * @param {Object} connection - Database connection inside the caller's transaction
+     * @returns {Promise<Array>} Posted REDEEM_REVERSAL entries
+     */
+    static async restoreRedeemed({ sale, note = null, createdBy = null }, connection) {
+        const [entries] = await connection.execute(
+            `SELECT customer_id, SUM(points) AS points
+             FROM loyalty_points
+             WHERE transaction_id = ? AND entry_type IN ('REDEEM', 'REDEEM_REVERSAL')
+             GROUP BY customer_id`,
+            [sale.id]
+        );
+
+        const posted = [];
+        for (const entry of entries) {
+            const points = -(parseInt(entry.points) || 0);
+            if (points <= 0) continue;
+
+            posted.push(await this.post({
+                customerId: entry.customer_id,
+                entryType: 'REDEEM_REVERSAL',
+                points,
+                transactionId: sale.id,
+                note: note || `Points of TXN-${sale.id} given back`,
+                createdBy
+            }, connection));
+        }
+
+        return posted;
+    }
+
+    /**
+     * Earned points past their expires_at that have not been used or expired yet.
+     * Redemptions use the oldest points first, so the points due are the earned points due less
+     * everything redeemed or expired so far
+     * @param {number} customerId - Customer ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number>} Points due to expire
+     */
+    static async getExpiringPoints(customerId, connection = db) {
+        const [rows] = await connection.execute(
+            `SELECT
+                COALESCE(SUM(CASE WHEN entry_type IN ('EARN', 'EARN_REVERSAL') AND expires_at < CURDATE() THEN points ELSE 0 END), 0) AS due,
+                COALESCE(-SUM(CASE WHEN entry_type IN ('REDEEM', 'REDEEM_REVERSAL', 'EXPIRE') THEN points ELSE 0 END), 0) AS used,
+                COALESCE(SUM(points), 0) AS balance
+             FROM loyalty_points
+             WHERE customer_id = ?`,
+            [customerId]
+        );
+
+        const { due, used, balance } = rows[0];
+        return Math.max(Math.min(parseInt(due) - parseInt(used), parseInt(balance)), 0);
+    }
+
+    /**
+     * Expire a customer's points that are due
+     * @param {number} customerId - Customer ID
+     * @param {Object} connection - Database connection inside a transaction holding the customer row FOR UPDATE
+     * @returns {Promise<Object|null>} EXPIRE entry, or null when nothing was due
+     */
+    static async expireDue(customerId, connection) {
+        const points = await this.getExpiringPoints(customerId, connection);
+        if (points === 0) return null;
+
+        return this.post({
+            customerId,
+            entryType: 'EXPIRE',
+            points: -points,
+            note: `${points} point(s) expired`,
+            createdBy: 'system'
+        }, connection);
+    }
+
+    /**
+     * Ledger entries of a customer with the sale they belong to
+     * @param {number} customerId - Customer ID
+     * @returns {Promise<Array>} Entries, newest first
+     */
+    static async getLedger(customerId) {
+        const [rows] = await db.execute(`
+            SELECT lp.*, t.date AS transaction_date
+            FROM loyalty_points lp
+            LEFT JOIN transactions t ON lp.transaction_id = t.id
+            WHERE lp.customer_id = ?
+            ORDER BY lp.created_at DESC, lp.id DESC
+        `, [customerId]);
+
+        return rows;
+    }
+}
+
+module.exports = LoyaltyService;
@@ -1,4 +1,7 @@
 const db = require('../db');
+const CostLayerService = require('./costLayerService');
+const ReservationService = require('./reservationService');
+const ProductPriceService = require('./productPriceService');
 
 /**
  * Stock Movement Service
@@ -7,14 +10,31 @@ const db = require('../db');
  */
 class MovementService {
     /**
-     * Create a stock movement and update balance
+     * Create a stock movement and update balance. The balance row is locked for the rest of
+     * the transaction, so concurrent movements on the same variant/location queue up
      * @param {Object} payload - Movement data
-     * @param {Object} connTx - Database connection/transaction
+     * @param {Object} connTx - Database connection/transaction; without one the movement runs in its own
      * @returns {Promise<Object>} Created movement record
      */
     static async createMovement(payload, connTx = null) {
-        const connection = connTx || db;
-        const isTransaction = !!connTx;
+        if (!connTx) {
+            const ownConnection = await db.getConnection();
+
+            try {
+                await ownConnection.beginTransaction();
+                const movement = await this.createMovement(payload, ownConnection);
+                await ownConnection.commit();
+                return movement;
+
+            } catch (error) {
+                await ownConnection.rollback();
+                throw error;
+            } finally {
+                ownConnection.release();
+            }
+        }
+
+        const connection = connTx;
         
         try {
             const {
@@ -24,7 +44,11 @@ class MovementService {
                 reasonCode,
                 qty,
                 unit = 'pcs',
-                unitCost = null,
+                unitCost = null, // IN only; OUT takes the average or FIFO cost (COSTING_METHOD)
+                sourceLayers = [], // IN only; cost layers carried over by a transfer
+                allowNegative = process.env.ALLOW_NEGATIVE === 'true', // OUT only; e.g. deliberate backorders
+                respectReservations = false, // OUT only; stock held by reservations is not available
+                reservationId = null, // OUT only; reservation being sold, whose own hold may be used
                 currency = 'IDR',
                 refTable = null,
                 refId = null,
@@ -45,7 +69,7 @@ class MovementService {
 
             // Validate movement type and reason code alignment
             const validReasons = {
-                'IN': ['OVERPROD_IN', 'RETURN_IN', 'ADJUSTMENT_IN', 'TRANSFER_IN'],
+                'IN': ['OVERPROD_IN', 'PURCHASE_IN', 'RETURN_IN', 'ADJUSTMENT_IN', 'TRANSFER_IN'],
                 'OUT': ['SALES_OUT', 'GIFT_OUT', 'ADJUSTMENT_OUT', 'TRANSFER_OUT']
             };
 
@@ -53,31 +77,66 @@ class MovementService {
                 throw new Error(`Invalid reason code ${reasonCode} for movement type ${movementType}`);
             }
 
-            // Check current balance for OUT movements
+            // OUT movements leave at the moving average or FIFO cost (the COGS of sales);
+            // NULL when no cost was ever recorded for the variant at this location
+            let movementCost = unitCost;
+            let averageCost = null;
+            let consumption = null;
+
+            // Check current balance for OUT movements (locked until commit)
             if (movementType === 'OUT') {
-                const allowNegative = process.env.ALLOW_NEGATIVE === 'true';
-                if (!allowNegative) {
-                    const [balanceRows] = await connection.execute(
-                        `SELECT qty_on_hand FROM stock_balances 
-                         WHERE variant_id = ? AND location_id = ?`,
-                        [variantId, locationId]
-                    );
+                const [balanceRows] = await connection.execute(
+                    `SELECT qty_on_hand, avg_cost FROM stock_balances 
+                     WHERE variant_id = ? AND location_id = ?
+                     FOR UPDATE`,
+                    [variantId, locationId]
+                );
+
+                const avgCost = parseFloat(balanceRows[0]?.avg_cost) || 0;
+                averageCost = avgCost > 0 ? avgCost : null;
 
-                    const currentQty = balanceRows[0]?.qty_on_hand || 0;
+                // FIFO layers are consumed under either method so both stay comparable
+                consumption = await CostLayerService.planConsumption({ variantId, locationId, qty }, connection);
+                movementCost = CostLayerService.getCostingMethod() === 'FIFO'
+                    ? CostLayerService.getPlanCost(consumption, averageCost)
+                    : averageCost;
+
+                if (!allowNegative) {
+                    const onHand = balanceRows[0]?.qty_on_hand || 0;
+                    const reservedQty = respectReservations
+                        ? await ReservationService.getReservedQty(variantId, locationId, { excludeReservationId: reservationId }, connection)
+                        : 0;
+                    const currentQty = onHand - reservedQty;
                     if (currentQty < qty) {
-                        throw new Error(`Insufficient stock. Available: ${currentQty}, Required: ${qty}`);
+                        const held = reservedQty > 0 ? ` (${reservedQty} reserved)` : '';
+                        const error = new Error(`Insufficient stock. Available: ${Math.max(currentQty, 0)}${held}, Required: ${qty}`);
+                        error.code = 'INSUFFICIENT_STOCK';
+                        throw error;
                     }
                 }
             }
 
-            // Insert stock movement
+            // Stock coming in while the balance is negative first settles the backordered quantity
+            let backorderQty = 0;
+            if (movementType === 'IN') {
+                const [balanceRows] = await connection.execute(
+                    `SELECT qty_on_hand FROM stock_balances
+                     WHERE variant_id = ? AND location_id = ?
+                     FOR UPDATE`,
+                    [variantId, locationId]
+                );
+
+                backorderQty = Math.min(qty, Math.max(0, -(balanceRows[0]?.qty_on_hand || 0)));
+            }
+
+            // Insert stock movement (PIC names are unique, so the staff link follows from the name)
             const [movementResult] = await connection.execute(
                 `INSERT INTO stock_movements 
                 (variant_id, location_id, movement_type, reason_code, qty, unit, unit_cost, currency, 
-                 ref_table, ref_id, ref_code, note, pic, created_by) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [variantId, locationId, movementType, reasonCode, qty, unit, unitCost, currency,
-                 refTable, refId, refCode, note, pic, createdBy]
+                 ref_table, ref_id, ref_code, note, pic, pic_staff_id, created_by) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT id FROM staff WHERE name = ?), ?)`,
+                [variantId, locationId, movementType, reasonCode, qty, unit, movementCost, currency,
+                 refTable, refId, refCode, note, pic, pic, createdBy]
             );
 
             // Update or create stock balance
@@ -86,16 +145,46 @@ class MovementService {
                 locationId,
                 movementType,
                 qty,
-                unitCost
+                unitCost: movementCost
             }, connection);
 
+            if (consumption) {
+                await CostLayerService.applyConsumption(consumption, movementResult.insertId, connection);
+            } else {
+                // Stock entered without a cost joins at the (unchanged) average cost
+                let layerCost = movementCost;
+                if (!(layerCost > 0)) {
+                    const [costRows] = await connection.execute(
+                        'SELECT avg_cost FROM stock_balances WHERE variant_id = ? AND location_id = ?',
+                        [variantId, locationId]
+                    );
+                    layerCost = parseFloat(costRows[0]?.avg_cost) || 0;
+                }
+
+                await CostLayerService.addLayers({
+                    variantId,
+                    locationId,
+                    movementId: movementResult.insertId,
+                    qty,
+                    unitCost: layerCost,
+                    sourceLayers
+                }, connection);
+
+                await CostLayerService.settleBackorders({ variantId, locationId, qty: backorderQty }, connection);
+            }
+
             // Get created movement
             const [movementRows] = await connection.execute(
                 'SELECT * FROM stock_movements WHERE id = ?',
                 [movementResult.insertId]
             );
 
-            return movementRows[0];
+            // Layers taken and the average cost let a transfer carry its cost to the destination
+            return {
+                ...movementRows[0],
+                average_cost: averageCost,
+                cost_layers: consumption ? consumption.layers : []
+            };
 
         } catch (error) {
             console.error('Error creating stock movement:', error);
@@ -104,57 +193,81 @@ class MovementService {
     }
 
     /**
-     * Update stock balance after movement
+     * Update stock balance after movement, as a single atomic upsert (no read-modify-write)
      * @param {Object} params - Update parameters
      * @param {Object} connection - Database connection
      */
     static async updateStockBalance({ variantId, locationId, movementType, qty, unitCost }, connection) {
-        // Get current balance
-        const [balanceRows] = await connection.execute(
-            `SELECT qty_on_hand, avg_cost FROM stock_balances 
-             WHERE variant_id = ? AND location_id = ?`,
-            [variantId, locationId]
+        const delta = movementType === 'IN' ? qty : -qty;
+
+        // Moving average cost changes only for IN movements with a cost. avg_cost is assigned
+        // before qty_on_hand so it still sees the quantity before this movement
+        const cost = movementType === 'IN' && unitCost > 0 ? unitCost : 0;
+
+        await connection.execute(
+            `INSERT INTO stock_balances (variant_id, location_id, qty_on_hand, avg_cost)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                 avg_cost = IF(? > 0 AND qty_on_hand + ? > 0,
+                     (qty_on_hand * COALESCE(avg_cost, 0) + ? * ?) / (qty_on_hand + ?),
+                     avg_cost),
+                 qty_on_hand = qty_on_hand + ?,
+                 updated_at = CURRENT_TIMESTAMP`,
+            [variantId, locationId, delta, cost, cost, delta, delta, cost, delta, delta]
         );
+    }
 
-        let currentQty = 0;
-        let currentAvgCost = 0;
+    /**
+     * Replay the ledger up to a moment: quantity and moving average cost per variant/location,
+     * computed the same way as updateStockBalance()
+     * @param {Object} params - { asOf (datetime, optional), locationId }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Map>} "variantId-locationId" → { variant_id, location_id, qty, avg_cost }
+     */
+    static async replayLedger({ asOf = null, locationId = null } = {}, connection = db) {
+        let query = `
+            SELECT variant_id, location_id, movement_type, qty, unit_cost
+            FROM stock_movements
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (asOf) {
+            query += ' AND created_at <= ?';
+            params.push(asOf);
+        }
 
-        if (balanceRows.length > 0) {
-            currentQty = balanceRows[0].qty_on_hand || 0;
-            currentAvgCost = parseFloat(balanceRows[0].avg_cost) || 0;
+        if (locationId) {
+            query += ' AND location_id = ?';
+            params.push(locationId);
         }
 
-        let newQty = currentQty;
-        let newAvgCost = currentAvgCost;
+        query += ' ORDER BY id ASC';
 
-        if (movementType === 'IN') {
-            newQty = currentQty + qty;
-            
-            // Calculate moving average cost for IN movements with cost
-            if (unitCost && unitCost > 0) {
-                const totalValue = (currentQty * currentAvgCost) + (qty * unitCost);
-                newAvgCost = totalValue / newQty;
+        const [rows] = await connection.execute(query, params);
+        const balances = new Map();
+
+        rows.forEach(row => {
+            const key = `${row.variant_id}-${row.location_id}`;
+            if (!balances.has(key)) {
+                balances.set(key, { variant_id: row.variant_id, location_id: row.location_id, qty: 0, avg_cost: 0 });
             }
-        } else if (movementType === 'OUT') {
-            newQty = currentQty - qty;
-            // Average cost remains the same for OUT movements
-        }
 
-        // Upsert balance
-        if (balanceRows.length > 0) {
-            await connection.execute(
-                `UPDATE stock_balances 
-                 SET qty_on_hand = ?, avg_cost = ?, updated_at = CURRENT_TIMESTAMP
-                 WHERE variant_id = ? AND location_id = ?`,
-                [newQty, newAvgCost, variantId, locationId]
-            );
-        } else {
-            await connection.execute(
-                `INSERT INTO stock_balances (variant_id, location_id, qty_on_hand, avg_cost)
-                 VALUES (?, ?, ?, ?)`,
-                [variantId, locationId, newQty, newAvgCost]
-            );
-        }
+            const balance = balances.get(key);
+            const unitCost = parseFloat(row.unit_cost) || 0;
+
+            if (row.movement_type === 'IN') {
+                const newQty = balance.qty + row.qty;
+                if (unitCost > 0 && newQty > 0) {
+                    balance.avg_cost = (balance.qty * balance.avg_cost + row.qty * unitCost) / newQty;
+                }
+                balance.qty = newQty;
+            } else {
+                balance.qty -= row.qty;
+            }
+        });
+
+        return balances;
     }
 
     /**
@@ -173,26 +286,29 @@ class MovementService {
                 throw new Error('Source and destination locations cannot be the same');
             }
 
-            // Create OUT movement from source
+            // Create OUT movement from source; reserved stock stays where it is held
             const outMovement = await this.createMovement({
                 variantId,
                 locationId: fromLocationId,
                 movementType: 'OUT',
                 reasonCode: 'TRANSFER_OUT',
                 qty,
+                respectReservations: true,
                 refCode,
                 pic,
                 createdBy,
                 note: note || `Transfer to location ${toLocationId}`
             }, connection);
 
-            // Create IN movement to destination
+            // Create IN movement to destination, carrying the source average cost and FIFO layers
             const inMovement = await this.createMovement({
                 variantId,
                 locationId: toLocationId,
                 movementType: 'IN',
                 reasonCode: 'TRANSFER_IN',
                 qty,
+                unitCost: outMovement.average_cost,
+                sourceLayers: outMovement.cost_layers,
                 refCode,
                 pic,
                 createdBy,
@@ -210,6 +326,50 @@ class MovementService {
         }
     }
 
+    /**
+     * Post compensating movements for every movement referencing a record
+     * OUT movements come back as RETURN_IN (sales/gifts) or ADJUSTMENT_IN; IN movements go out as ADJUSTMENT_OUT
+     * @param {Object} params - Reference and audit fields
+     * @param {Object} connTx - Database connection/transaction (required, caller commits)
+     * @returns {Promise<Array>} Created compensating movements
+     */
+    static async reverseMovements({ refTable, refId, refCode, note = null, pic = null, createdBy = null }, connTx) {
+        const [movements] = await connTx.execute(
+            `SELECT * FROM stock_movements
+             WHERE ref_table = ? AND ref_id = ?
+             ORDER BY id`,
+            [refTable, refId]
+        );
+
+        const reversals = [];
+
+        for (const movement of movements) {
+            const isOut = movement.movement_type === 'OUT';
+            const reasonCode = !isOut
+                ? 'ADJUSTMENT_OUT'
+                : ['SALES_OUT', 'GIFT_OUT'].includes(movement.reason_code) ? 'RETURN_IN' : 'ADJUSTMENT_IN';
+
+            const reversal = await this.createMovement({
+                variantId: movement.variant_id,
+                locationId: movement.location_id,
+                movementType: isOut ? 'IN' : 'OUT',
+                reasonCode,
+                qty: movement.qty,
+                unitCost: movement.unit_cost !== null ? parseFloat(movement.unit_cost) : null,
+                refTable,
+                refId,
+                refCode,
+                note: note ? `${note} (reverses #${movement.id})` : `Reversal of movement #${movement.id}`,
+                pic,
+                createdBy
+            }, connTx);
+
+            reversals.push(reversal);
+        }
+
+        return reversals;
+    }
+
     /**
      * Resolve variant ID from product, color, and size names (for CSV import)
      * @param {Object} params - Variant names
@@ -375,6 +535,7 @@ class MovementService {
                     [mappedProductName, 50000] // Default price
                 );
                 productId = productResult.insertId;
+                await ProductPriceService.recordOpeningPrices(productId, 'system', connection);
             } else {
                 productId = productRows[0].id;
             }
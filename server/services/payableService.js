@@ -0,0 +1,274 @@
+const db = require('../db');
+
+// Aging buckets by days past due; "current" is not yet due
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Belum jatuh tempo', min: null, max: 0 },
+    { key: 'days_1_30', label: '1-30 hari', min: 1, max: 30 },
+    { key: 'days_31_60', label: '31-60 hari', min: 31, max: 60 },
+    { key: 'days_61_90', label: '61-90 hari', min: 61, max: 90 },
+    { key: 'days_over_90', label: '> 90 hari', min: 91, max: null }
+];
+
+/**
+ * Payable Service
+ * Supplier invoices, their payments (pengeluaran rows) and the aging of what is still owed
+ */
+class PayableService {
+    /**
+     * Payment status derived from the invoice and what has been paid
+     * @param {Object} invoice - Row with status, amount and amount_paid
+     * @returns {string} CANCELLED | PAID | PARTIAL | UNPAID
+     */
+    static getPaymentStatus(invoice) {
+        if (invoice.status === 'CANCELLED') return 'CANCELLED';
+        if (invoice.amount_paid >= invoice.amount) return 'PAID';
+        if (invoice.amount_paid > 0) return 'PARTIAL';
+        return 'UNPAID';
+    }
+
+    /**
+     * Get the aging bucket key for a number of days past due
+     * @param {number} daysOverdue - Days since the due date (negative when not yet due)
+     * @returns {string} Bucket key
+     */
+    static getAgingBucket(daysOverdue) {
+        const bucket = AGING_BUCKETS.find(b =>
+            (b.min === null || daysOverdue >= b.min) && (b.max === null || daysOverdue <= b.max)
+        );
+        return bucket.key;
+    }
+
+    /**
+     * List supplier invoices with amount paid and outstanding
+     * @param {Object} params - { supplierId, paymentStatus, start, end, asOf }
+     *   paymentStatus may be UNPAID, PARTIAL, PAID, CANCELLED or OUTSTANDING (unpaid + partial)
+     *   asOf (YYYY-MM-DD) ignores invoices and payments dated after it
+     * @returns {Promise<Array>} Invoices, oldest due date first
+     */
+    static async listInvoices({ supplierId, paymentStatus, start, end, asOf } = {}) {
+        const referenceDate = asOf || new Date().toISOString().split('T')[0];
+        const params = [referenceDate, referenceDate];
+
+        let query = `
+            SELECT si.*,
+                   s.name AS supplier_name,
+                   po.po_number,
+                   COALESCE(paid.total, 0) AS amount_paid,
+                   DATEDIFF(?, si.due_date) AS days_overdue
+            FROM supplier_invoices si
+            JOIN suppliers s ON si.supplier_id = s.id
+            LEFT JOIN purchase_orders po ON si.po_id = po.id
+            LEFT JOIN (
+                SELECT supplier_invoice_id, SUM(amount) AS total
+                FROM transactions
+                WHERE supplier_invoice_id IS NOT NULL
+                  AND voided_at IS NULL
+                  AND date <= ?
+                GROUP BY supplier_invoice_id
+            ) paid ON paid.supplier_invoice_id = si.id
+            WHERE 1=1
+        `;
+
+        if (supplierId) {
+            query += ' AND si.supplier_id = ?';
+            params.push(supplierId);
+        }
+
+        if (start) {
+            query += ' AND si.invoice_date >= ?';
+            params.push(start);
+        }
+
+        if (end) {
+            query += ' AND si.invoice_date <= ?';
+            params.push(end);
+        }
+
+        if (asOf) {
+            query += ' AND si.invoice_date <= ?';
+            params.push(asOf);
+        }
+
+        query += ' ORDER BY si.due_date ASC, si.id ASC';
+
+        const [rows] = await db.execute(query, params);
+
+        const invoices = rows.map(row => {
+            const invoice = {
+                ...row,
+                amount_paid: parseInt(row.amount_paid) || 0,
+                days_overdue: parseInt(row.days_overdue) || 0
+            };
+            invoice.payment_status = this.getPaymentStatus(invoice);
+            invoice.amount_outstanding = invoice.status === 'CANCELLED'
+                ? 0
+                : Math.max(invoice.amount - invoice.amount_paid, 0);
+            return invoice;
+        });
+
+        if (paymentStatus === 'OUTSTANDING') {
+            return invoices.filter(invoice => invoice.amount_outstanding > 0);
+        }
+
+        return paymentStatus
+            ? invoices.filter(invoice => invoice.payment_status === paymentStatus)
+            : invoices;
+    }
+
+    /**
+     * Get an invoice with its payments
+     * @param {number} invoiceId - Supplier invoice ID
+     * @returns {Promise<Object|null>} Invoice, or null when not found
+     */
+    static async getInvoice(invoiceId) {
+        const [rows] = await db.execute('SELECT supplier_id FROM supplier_invoices WHERE id = ?', [invoiceId]);
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const invoices = await this.listInvoices({ supplierId: rows[0].supplier_id });
+        const invoice = invoices.find(i => i.id === invoiceId);
+
+        const [payments] = await db.execute(
+            `SELECT id, date, amount, payment_method, description, pic, voided_at, void_reason, created_at
+             FROM transactions
+             WHERE supplier_invoice_id = ?
+             ORDER BY date ASC, id ASC`,
+            [invoiceId]
+        );
+
+        return { ...invoice, payments };
+    }
+
+    /**
+     * Sum of non-voided payments on an invoice
+     * @param {number} invoiceId - Supplier invoice ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number>} Amount paid
+     */
+    static async getAmountPaid(invoiceId, connection = db) {
+        const [rows] = await connection.execute(
+            `SELECT COALESCE(SUM(amount), 0) AS total
+             FROM transactions
+             WHERE supplier_invoice_id = ? AND voided_at IS NULL`,
+            [invoiceId]
+        );
+
+        return parseInt(rows[0].total) || 0;
+    }
+
+    /**
+     * Create a supplier invoice; the due date defaults to the supplier's payment terms
+     * @param {Object} params - { invoiceNumber, supplier, poId, invoiceDate, dueDate, amount, note, createdBy }
+     * @returns {Promise<Object>} Created invoice
+     */
+    static async createInvoice({ invoiceNumber, supplier, poId = null, invoiceDate, dueDate = null, amount, note = null, createdBy }) {
+        let due = dueDate;
+        if (!due) {
+            const date = new Date(`${invoiceDate}T00:00:00`);
+            date.setDate(date.getDate() + (parseInt(supplier.payment_terms_days) || 0));
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            due = `${date.getFullYear()}-${month}-${day}`;
+        }
+
+        const [result] = await db.execute(`
+            INSERT INTO supplier_invoices
+            (invoice_number, supplier_id, po_id, invoice_date, due_date, amount, note, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [invoiceNumber, supplier.id, poId, invoiceDate, due, amount, note, createdBy]);
+
+        return this.getInvoice(result.insertId);
+    }
+
+    /**
+     * Record a payment as a pengeluaran transaction linked to the invoice
+     * @param {Object} params - { invoice, amount, date, paymentMethod, expenseCategory, description, pic }
+     * @param {Object} connTx - Database connection/transaction (required, caller commits)
+     * @returns {Promise<number>} Created transaction ID
+     */
+    static async recordPayment({ invoice, amount, date, paymentMethod, expenseCategory = 'Produksi', description = null, pic }, connTx) {
+        const [result] = await connTx.execute(
+            `INSERT INTO transactions
+             (type, date, expense_category, description, amount, payment_method, pic, pic_staff_id, supplier_id, supplier_invoice_id)
+             VALUES ('pengeluaran', ?, ?, ?, ?, ?, ?, (SELECT id FROM staff WHERE name = ?), ?, ?)`,
+            [
+                date,
+                expenseCategory,
+                description || `Pembayaran invoice ${invoice.invoice_number}`,
+                amount,
+                paymentMethod,
+                pic,
+                pic,
+                invoice.supplier_id,
+                invoice.id
+            ]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * Outstanding payables per supplier bucketed by days past due
+     * @param {Object} params - { asOf } (YYYY-MM-DD, defaults to today)
+     * @returns {Promise<Object>} { as_of, buckets, suppliers, totals }
+     */
+    static async getAgingReport({ asOf } = {}) {
+        const referenceDate = asOf || new Date().toISOString().split('T')[0];
+        const invoices = await this.listInvoices({ paymentStatus: 'OUTSTANDING', asOf: referenceDate });
+
+        const emptyTotals = () => AGING_BUCKETS.reduce((totals, bucket) => ({ ...totals, [bucket.key]: 0 }), { total: 0 });
+        const suppliers = new Map();
+        const totals = emptyTotals();
+
+        for (const invoice of invoices) {
+            if (!suppliers.has(invoice.supplier_id)) {
+                suppliers.set(invoice.supplier_id, {
+                    supplier_id: invoice.supplier_id,
+                    supplier_name: invoice.supplier_name,
+                    invoice_count: 0,
+                    ...emptyTotals()
+                });
+            }
+
+            const bucket = this.getAgingBucket(invoice.days_overdue);
+            const row = suppliers.get(invoice.supplier_id);
+            row.invoice_count += 1;
+            row[bucket] += invoice.amount_outstanding;
+            row.total += invoice.amount_outstanding;
+            totals[bucket] += invoice.amount_outstanding;
+            totals.total += invoice.amount_outstanding;
+        }
+
+        return {
+            as_of: referenceDate,
+            buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            suppliers: Array.from(suppliers.values()).sort((a, b) => b.total - a.total),
+            totals,
+            invoices
+        };
+    }
+
+    /**
+     * Headline payables figures for the dashboard
+     * @returns {Promise<Object>} { total_outstanding, overdue, due_in_7_days, invoice_count }
+     */
+    static async getSummary() {
+        const invoices = await this.listInvoices({ paymentStatus: 'OUTSTANDING' });
+
+        return invoices.reduce((summary, invoice) => {
+            summary.total_outstanding += invoice.amount_outstanding;
+            summary.invoice_count += 1;
+
+            if (invoice.days_overdue > 0) {
+                summary.overdue += invoice.amount_outstanding;
+            } else if (invoice.days_overdue >= -7) {
+                summary.due_in_7_days += invoice.amount_outstanding;
+            }
+
+            return summary;
+        }, { total_outstanding: 0, overdue: 0, due_in_7_days: 0, invoice_count: 0 });
+    }
+}
+
+module.exports = PayableService;
@@ -0,0 +1,450 @@
+const db = require('../db');
+
+// payment_method of a sale paid through several accounts; its parts are in transaction_payments
+const SPLIT_PAYMENT = 'SPLIT';
+
+// Amount paid on a sale (t) through its payment method: a custom order delivery (o) only collects
+// the balance after the deposit, which is received of its own
+const SALE_AMOUNT_PAID = `
+    GREATEST(CASE WHEN t.manual_price > 0 THEN t.manual_price ELSE t.total END - COALESCE(o.deposit_amount, 0), 0)
+`;
+const SALE_DEPOSIT_JOIN = `
+    LEFT JOIN custom_orders o ON o.transaction_id = t.id AND o.deposit_payment_method IS NOT NULL
+`;
+
+// Every movement of money per account, one row each: sales receipts (split sales by their parts),
+// custom order deposits (on the day they were paid), refunds, expense payments (invoice payments
+// and commission payouts included) and transfers. Voided sales take their refunds with them
+const ACCOUNT_FLOWS = `
+    SELECT pa.id AS account_id, t.date, 'SALE' AS entry_type, t.id AS ref_id, CONCAT('TXN-', t.id) AS ref_code,
+           COALESCE(t.promo_type, 'Penjualan') AS description,
+           ${SALE_AMOUNT_PAID} AS amount
+    FROM transactions t
+    JOIN payment_accounts pa ON pa.code = t.payment_method
+    ${SALE_DEPOSIT_JOIN}
+    WHERE t.type = 'penjualan' AND t.voided_at IS NULL
+
+    UNION ALL
+
+    SELECT tp.account_id, t.date, 'SALE', t.id, CONCAT('TXN-', t.id),
+           CONCAT(COALESCE(t.promo_type, 'Penjualan'), ' (split)'), tp.amount
+    FROM transaction_payments tp
+    JOIN transactions t ON tp.transaction_id = t.id
+    WHERE t.type = 'penjualan' AND t.voided_at IS NULL AND t.payment_method = '${SPLIT_PAYMENT}'
+
+    UNION ALL
+
+    SELECT pa.id, COALESCE(o.deposit_paid_at, DATE(o.created_at)), 'DEPOSIT', o.id, o.order_code,
+           CONCAT('DP ', o.order_code, ': ', o.customer_name), o.deposit_amount
+    FROM custom_orders o
+    JOIN payment_accounts pa ON pa.code = o.deposit_payment_method
+    WHERE o.deposit_amount > 0
+
+    UNION ALL
+
+    SELECT pa.id, r.date, 'REFUND', r.id, CONCAT('RET-', r.id),
+           CONCAT('Refund TXN-', r.transaction_id), -r.refund_amount
+    FROM transaction_returns r
+    JOIN transactions t ON r.transaction_id = t.id
+    JOIN payment_accounts pa ON pa.code = r.refund_method
+    WHERE r.refund_amount > 0 AND t.voided_at IS NULL
+
+    UNION ALL
+
+    SELECT pa.id, t.date, 'EXPENSE', t.id, CONCAT('TXN-', t.id),
+           CONCAT(COALESCE(t.expense_category, 'Pengeluaran'), ': ', COALESCE(t.description, '')), -t.amount
+    FROM transactions t
+    JOIN payment_accounts pa ON pa.code = t.payment_method
+    WHERE t.type = 'pengeluaran' AND t.voided_at IS NULL
+
+    UNION ALL
+
+    SELECT at.from_account_id, at.date, 'TRANSFER_OUT', at.id, CONCAT('TRF-', at.id),
+           CONCAT('Ke ', pa.name, COALESCE(CONCAT(': ', at.note), '')), -at.amount
+    FROM account_transfers at
+    JOIN payment_accounts pa ON pa.id = at.to_account_id
+    WHERE at.voided_at IS NULL
+
+    UNION ALL
+
+    SELECT at.to_account_id, at.date, 'TRANSFER_IN', at.id, CONCAT('TRF-', at.id),
+           CONCAT('Dari ', pa.name, COALESCE(CONCAT(': ', at.note), '')), at.amount
+    FROM account_transfers at
+    JOIN payment_accounts pa ON pa.id = at.from_account_id
+    WHERE at.voided_at IS NULL
+`;
+
+/**
+ * Payment Account Service
+ * Accounts money is paid into and out of (cash drawer, banks, QRIS, e-wallets), split sale
+ * payments, transfers between accounts and running balances per account
+ */
+class PaymentAccountService {
+    /**
+     * payment_method stored on sales paid through several accounts
+     * @returns {string} Split marker
+     */
+    static getSplitCode() {
+        return SPLIT_PAYMENT;
+    }
+
+    /**
+     * List payment accounts
+     * @param {Object} params - { activeOnly }
+     * @returns {Promise<Array>} Accounts in display order
+     */
+    static async listAccounts({ activeOnly = false } = {}) {
+        const [rows] = await db.execute(
+            `SELECT * FROM payment_accounts ${activeOnly ? 'WHERE is_active = TRUE' : ''} ORDER BY sort_order ASC, name ASC`
+        );
+        return rows;
+    }
+
+    /**
+     * Get a payment account by ID
+     * @param {number} accountId - Account ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Account, or null when not found
+     */
+    static async getAccount(accountId, connection = db) {
+        const [rows] = await connection.execute('SELECT * FROM payment_accounts WHERE id = ?', [accountId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Find an active account by the code stored as payment method
+     * @param {string} code - Account code
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Account, or null when unknown or inactive
+     */
+    static async findActiveByCode(code, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT * FROM payment_accounts WHERE code = ? AND is_active = TRUE',
+            [code]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Check a payment method against the active accounts
+     * @param {string} code - Payment method (account code)
+     * @param {Object} options - { allowSplit } whether SPLIT is accepted (sales only)
+     * @param {Object} connection - Database connection
+     * @returns {Promise<string|null>} Error message, or null when valid
+     */
+    static async validatePaymentMethod(code, { allowSplit = false } = {}, connection = db) {
+        if (allowSplit && code === SPLIT_PAYMENT) return null;
+
+        if (!code || !await this.findActiveByCode(code, connection)) {
+            return `Invalid payment_method "${code || ''}". Must be the code of an active payment account${allowSplit ? ` or ${SPLIT_PAYMENT}` : ''}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a payment account
+     * @param {Object} data - { code, name, accountType, openingBalance, sortOrder }
+     * @returns {Promise<Object>} Created account
+     */
+    static async createAccount({ code, name, accountType, openingBalance = 0, sortOrder = 0 }) {
+        const [result] = await db.execute(
+            `INSERT INTO payment_accounts (code, name, account_type, opening_balance, sort_order)
+             VALUES (?, ?, ?, ?, ?)`,
+            [code, name, accountType, openingBalance, sortOrder]
+        );
+        return this.getAccount(result.insertId);
+    }
+
+    /**
+     * Update a payment account; only the given columns change
+     * @param {number} accountId - Account ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated account
+     */
+    static async updateAccount(accountId, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            await db.execute(
+                `UPDATE payment_accounts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), accountId]
+            );
+        }
+
+        return this.getAccount(accountId);
+    }
+
+    /**
+     * Check the parts of a split payment: active accounts, positive amounts adding up to the
+     * amount paid
+     * @param {Array} payments - [{ account_id, amount }]
+     * @param {number} amountPaid - Amount paid on the sale
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} { payments: [{ account_id, code, amount }] } or { error }
+     */
+    static async resolvePayments(payments, amountPaid, connection = db) {
+        if (!Array.isArray(payments) || payments.length < 2) {
+            return { error: 'A split payment needs at least two payments' };
+        }
+
+        const resolved = [];
+        for (const [index, payment] of payments.entries()) {
+            const amount = parseInt(payment.amount);
+            const account = await this.getAccount(parseInt(payment.account_id) || 0, connection);
+
+            if (!account || !account.is_active) {
+                return { error: `payments[${index}]: payment account not found or inactive` };
+            }
+            if (!(amount > 0)) {
+                return { error: `payments[${index}]: amount must be positive` };
+            }
+
+            resolved.push({ account_id: account.id, code: account.code, amount });
+        }
+
+        const sum = resolved.reduce((total, payment) => total + payment.amount, 0);
+        if (sum !== Math.round(Number(amountPaid) || 0)) {
+            return { error: `Payments add up to ${sum} but ${Math.round(Number(amountPaid) || 0)} was paid` };
+        }
+
+        return { payments: resolved };
+    }
+
+    /**
+     * Amount paid on a sale through its payment method (or its split), after the deposit of the
+     * custom order it delivered
+     * @param {Object} sale - Sale with id, total and manual_price
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number>} Amount paid
+     */
+    static async getAmountPaid(sale, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT deposit_amount FROM custom_orders WHERE transaction_id = ? AND deposit_payment_method IS NOT NULL',
+            [sale.id]
+        );
+        const amount = Number(sale.manual_price) > 0 ? Number(sale.manual_price) : (Number(sale.total) || 0);
+        const deposit = rows.length > 0 ? (parseFloat(rows[0].deposit_amount) || 0) : 0;
+
+        return Math.max(Math.round(amount - deposit), 0);
+    }
+
+    /**
+     * Replace the split payment parts of a sale
+     * @param {number} transactionId - Sale ID
+     * @param {Array} payments - Resolved payments (empty when the sale is paid through one account)
+     * @param {Object} connection - Database connection inside the caller's transaction
+     */
+    static async savePayments(transactionId, payments, connection) {
+        await connection.execute('DELETE FROM transaction_payments WHERE transaction_id = ?', [transactionId]);
+
+        for (const payment of payments) {
+            await connection.execute(
+                'INSERT INTO transaction_payments (transaction_id, account_id, amount) VALUES (?, ?, ?)',
+                [transactionId, payment.account_id, payment.amount]
+            );
+        }
+    }
+
+    /**
+     * Split payment parts of sales
+     * @param {Array<number>} transactionIds - Sale IDs
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Map>} Transaction ID → [{ account_id, code, name, amount }]
+     */
+    static async getPayments(transactionIds, connection = db) {
+        const payments = new Map();
+        if (transactionIds.length === 0) return payments;
+
+        const [rows] = await connection.query(`
+            SELECT tp.transaction_id, tp.account_id, pa.code, pa.name, tp.amount
+            FROM transaction_payments tp
+            JOIN payment_accounts pa ON tp.account_id = pa.id
+            WHERE tp.transaction_id IN (?)
+            ORDER BY tp.id ASC
+        `, [transactionIds]);
+
+        rows.forEach(row => {
+            if (!payments.has(row.transaction_id)) payments.set(row.transaction_id, []);
+            payments.get(row.transaction_id).push({
+                account_id: row.account_id,
+                code: row.code,
+                name: row.name,
+                amount: row.amount
+            });
+        });
+
+        return payments;
+    }
+
+    /**
+     * Record a transfer between two accounts
+     * @param {Object} data - { date, fromAccountId, toAccountId, amount, note, createdBy }
+     * @returns {Promise<Object>} Created transfer
+     */
+    static async createTransfer({ date, fromAccountId, toAccountId, amount, note = null, createdBy }) {
+        const [result] = await db.execute(
+            `INSERT INTO account_transfers (date, from_account_id, to_account_id, amount, note, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [date, fromAccountId, toAccountId, amount, note, createdBy]
+        );
+        return this.getTransfer(result.insertId);
+    }
+
+    /**
+     * Get a transfer with its account names
+     * @param {number} transferId - Transfer ID
+     * @returns {Promise<Object|null>} Transfer, or null when not found
+     */
+    static async getTransfer(transferId) {
+        const transfers = await this.listTransfers({ transferId });
+        return transfers[0] || null;
+    }
+
+    /**
+     * List transfers between accounts
+     * @param {Object} params - { start, end, accountId, transferId }
+     * @returns {Promise<Array>} Transfers, newest first
+     */
+    static async listTransfers({ start, end, accountId, transferId } = {}) {
+        let query = `
+            SELECT at.*, fa.name AS from_account_name, fa.code AS from_account_code,
+                   ta.name AS to_account_name, ta.code AS to_account_code
+            FROM account_transfers at
+            JOIN payment_accounts fa ON at.from_account_id = fa.id
+            JOIN payment_accounts ta ON at.to_account_id = ta.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (transferId) {
+            query += ' AND at.id = ?';
+            params.push(transferId);
+        }
+        if (start) {
+            query += ' AND at.date >= ?';
+            params.push(start);
+        }
+        if (end) {
+            query += ' AND at.date <= ?';
+            params.push(end);
+        }
+        if (accountId) {
+            query += ' AND (at.from_account_id = ? OR at.to_account_id = ?)';
+            params.push(accountId, accountId);
+        }
+
+        query += ' ORDER BY at.date DESC, at.id DESC';
+
+        const [rows] = await db.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * Void a transfer; it stays listed but no longer moves money
+     * @param {number} transferId - Transfer ID
+     * @param {string} voidedBy - Username
+     * @returns {Promise<boolean>} False when the transfer was already voided or does not exist
+     */
+    static async voidTransfer(transferId, voidedBy) {
+        const [result] = await db.execute(
+            `UPDATE account_transfers SET voided_at = CURRENT_TIMESTAMP, voided_by = ?
+             WHERE id = ? AND voided_at IS NULL`,
+            [voidedBy, transferId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Balance of every account at the end of a day, with the flows making it up
+     * @param {Object} params - { asOf } (defaults to all dates)
+     * @returns {Promise<Array>} Accounts with opening_balance, sales, deposits, refunds, expenses, transfers_in, transfers_out, balance
+     */
+    static async getBalances({ asOf = null } = {}) {
+        const [rows] = await db.execute(`
+            SELECT f.account_id, f.entry_type, SUM(f.amount) AS amount
+            FROM (${ACCOUNT_FLOWS}) f
+            ${asOf ? 'WHERE f.date <= ?' : ''}
+            GROUP BY f.account_id, f.entry_type
+        `, asOf ? [asOf] : []);
+
+        const accounts = await this.listAccounts();
+        const columns = {
+            SALE: 'sales',
+            DEPOSIT: 'deposits',
+            REFUND: 'refunds',
+            EXPENSE: 'expenses',
+            TRANSFER_IN: 'transfers_in',
+            TRANSFER_OUT: 'transfers_out'
+        };
+
+        return accounts.map(account => {
+            const balance = {
+                ...account,
+                sales: 0,
+                deposits: 0,
+                refunds: 0,
+                expenses: 0,
+                transfers_in: 0,
+                transfers_out: 0
+            };
+
+            rows.filter(row => row.account_id === account.id).forEach(row => {
+                // Outflows are shown as positive amounts
+                balance[columns[row.entry_type]] = Math.abs(parseInt(row.amount) || 0);
+            });
+
+            balance.balance = account.opening_balance + balance.sales + balance.deposits - balance.refunds - balance.expenses
+                + balance.transfers_in - balance.transfers_out;
+            return balance;
+        });
+    }
+
+    /**
+     * Running balance of one account over a period
+     * @param {Object} params - { accountId, start, end }
+     * @returns {Promise<Object>} { account, opening_balance (at the start), entries with balance after each, closing_balance, total_in, total_out }
+     */
+    static async getLedger({ accountId, start, end }) {
+        const account = await this.getAccount(accountId);
+        if (!account) return null;
+
+        const [beforeRows] = await db.execute(`
+            SELECT COALESCE(SUM(f.amount), 0) AS amount
+            FROM (${ACCOUNT_FLOWS}) f
+            WHERE f.account_id = ? AND f.date < ?
+        `, [accountId, start]);
+
+        const [rows] = await db.execute(`
+            SELECT f.*
+            FROM (${ACCOUNT_FLOWS}) f
+            WHERE f.account_id = ? AND f.date >= ? AND f.date <= ?
+            ORDER BY f.date ASC, f.entry_type ASC, f.ref_id ASC
+        `, [accountId, start, end]);
+
+        const openingBalance = account.opening_balance + (parseInt(beforeRows[0].amount) || 0);
+        let balance = openingBalance;
+        let totalIn = 0;
+        let totalOut = 0;
+
+        const entries = rows.map(row => {
+            const amount = parseInt(row.amount) || 0;
+            balance += amount;
+            if (amount >= 0) totalIn += amount;
+            else totalOut -= amount;
+
+            return { ...row, amount, balance };
+        });
+
+        return {
+            account,
+            opening_balance: openingBalance,
+            entries,
+            total_in: totalIn,
+            total_out: totalOut,
+            closing_balance: balance
+        };
+    }
+}
+
+module.exports = PaymentAccountService;
@@ -0,0 +1,317 @@
+const db = require('../db');
+const ProductPriceService = require('./productPriceService');
+
+// How far (percent of the quoted total) a cashier may move a sale's total before it is rejected
+const PRICE_OVERRIDE_PERCENT = parseFloat(process.env.PRICE_OVERRIDE_PERCENT) || 10;
+
+// Product price column each promo type sells at. Set promos are priced as one total for all
+// items: Bundling is half the B1G1 prices, Family and Random take the price entered at the till
+const PROMO_PRICING = {
+    'No Promo': { priceColumn: 'price_no_promo', set: false },
+    'B1G1': { priceColumn: 'price_b1g1', set: false },
+    'Bundling': { priceColumn: 'price_b1g1', set: true, divisor: 2 },
+    'Family': { priceColumn: null, set: true, manual: true },
+    'Random': { priceColumn: 'price_random', set: true, manual: true }
+};
+
+/**
+ * Pricing Service
+ * Server-side promo price math shared by the sales form, the create endpoint and quotes
+ */
+class PricingService {
+    /**
+     * Promo types that can be quoted
+     * @returns {Array<string>} Promo type names
+     */
+    static getPromoTypes() {
+        return Object.keys(PROMO_PRICING);
+    }
+
+    /**
+     * Promo types a campaign can be layered on; manual set prices have nothing to discount
+     * @returns {Array<string>} Promo type names
+     */
+    static getCampaignBaseTypes() {
+        return Object.keys(PROMO_PRICING).filter(promoType => !PROMO_PRICING[promoType].manual);
+    }
+
+    /**
+     * Quote a sale: line prices, discount against No Promo prices and the promo total,
+     * less the campaign discount when a promotion is given. Items with a color and size sell at
+     * their variant's override prices where set. A member price level (a member tier's price
+     * column) lowers the prices of per-item promos to that column's price where it is cheaper
+     * @param {Object} params - { promoType, items: [{ product_id, color_id, color, size_id, size, quantity }], manualPrice, promotion, memberPriceLevel }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} Quote; total is null when a product has no price for the promo
+     */
+    static async quote({ promoType, items, manualPrice = null, promotion = null, memberPriceLevel = null }, connection = db) {
+        const pricing = PROMO_PRICING[promoType];
+        if (!pricing) {
+            throw new Error(`Unknown promo type: ${promoType}`);
+        }
+
+        const productIds = [...new Set(items.map(item => parseInt(item.product_id)).filter(Boolean))];
+        const products = new Map();
+
+        if (productIds.length > 0) {
+            const [rows] = await connection.execute(
+                `SELECT id, name, price_no_promo, price_b1g1, price_random
+                 FROM products WHERE id IN (${productIds.map(() => '?').join(', ')})`,
+                productIds
+            );
+            rows.forEach(row => products.set(row.id, row));
+        }
+
+        const overrides = await ProductPriceService.getVariantOverrides(productIds, connection);
+
+        const lines = items.map(item => {
+            const product = products.get(parseInt(item.product_id));
+            const quantity = parseInt(item.quantity) || 0;
+            const variant = product ? this.findVariantOverride(overrides, product.id, item) : null;
+            const priceOf = column => {
+                const value = variant && variant.overrides[column] !== null ? variant.overrides[column] : product[column];
+                return Number(value) || null;
+            };
+            const listPrice = product ? priceOf('price_no_promo') : null;
+            let promoPrice = product && pricing.priceColumn ? priceOf(pricing.priceColumn) : null;
+
+            const memberPrice = product && memberPriceLevel && !pricing.set ? priceOf(memberPriceLevel) : null;
+            const memberPriced = memberPrice !== null && promoPrice !== null && memberPrice < promoPrice;
+            if (memberPriced) promoPrice = memberPrice;
+
+            return {
+                product_id: product ? product.id : (parseInt(item.product_id) || null),
+                product_name: product ? product.name : (item.product_name || null),
+                color_id: parseInt(item.color_id) || null,
+                color: item.color || null,
+                size_id: parseInt(item.size_id) || null,
+                size: item.size || null,
+                variant_price: !!variant,
+                quantity,
+                list_price: listPrice,
+                promo_price: promoPrice,
+                member_price: memberPriced,
+                priced: !!product && (pricing.priceColumn === null || promoPrice !== null)
+            };
+        });
+
+        const manual = pricing.manual && manualPrice !== null && manualPrice !== undefined && manualPrice !== '';
+        const unpriced = lines.filter(line => !line.priced);
+
+        let total = null;
+        if (manual) {
+            total = Math.round(Number(manualPrice)) || 0;
+        } else if (unpriced.length === 0 && pricing.priceColumn) {
+            const promoTotal = lines.reduce((sum, line) => sum + line.promo_price * line.quantity, 0);
+            total = pricing.divisor ? Math.floor(promoTotal / pricing.divisor) : promoTotal;
+        }
+
+        this.allocateLineTotals(lines, pricing, total);
+
+        let promotionResult = null;
+        if (promotion) {
+            promotionResult = this.applyPromotion(lines, promotion, total !== null);
+            total = total !== null ? total - promotionResult.discount : null;
+        }
+
+        const subtotal = lines.every(line => line.list_price !== null)
+            ? lines.reduce((sum, line) => sum + line.list_price * line.quantity, 0)
+            : null;
+
+        return {
+            promo_type: promoType,
+            set_price: pricing.set,
+            manual_price: manual ? total : null,
+            member_price_level: lines.some(line => line.member_price) ? memberPriceLevel : null,
+            lines,
+            unpriced_products: unpriced.map(line => line.product_name || line.product_id),
+            subtotal,
+            discount: subtotal !== null && total !== null ? subtotal - total : null,
+            total,
+            promotion: promotionResult
+        };
+    }
+
+    /**
+     * Find the override prices of an item's variant, matched by color/size id or name
+     * @param {Array} overrides - Result of ProductPriceService.getVariantOverrides()
+     * @param {number} productId - Product ID
+     * @param {Object} item - { color_id, color, size_id, size }
+     * @returns {Object|null} Override row, or null when the item sells at the product price
+     */
+    static findVariantOverride(overrides, productId, item) {
+        const colorId = parseInt(item.color_id) || null;
+        const sizeId = parseInt(item.size_id) || null;
+
+        return overrides.find(variant => variant.product_id === productId
+            && (colorId ? variant.color_id === colorId : variant.color_name === item.color)
+            && (sizeId ? variant.size_id === sizeId : variant.size_name === item.size)) || null;
+    }
+
+    /**
+     * Take a campaign's discount off its eligible lines (line_total, unit_price and discount
+     * are updated in place)
+     * @param {Array} lines - Priced quote lines
+     * @param {Object} promotion - Promotion with its eligible products
+     * @param {boolean} priced - Whether the lines have totals to discount
+     * @returns {Object} { id, name, discount_type, applied, discount, reason }
+     */
+    static applyPromotion(lines, promotion, priced) {
+        const result = {
+            id: promotion.id,
+            name: promotion.name,
+            discount_type: promotion.discount_type,
+            applied: false,
+            discount: 0,
+            reason: null
+        };
+
+        const eligible = lines.filter(line => line.quantity > 0 && (promotion.products.length === 0
+            || promotion.products.some(product => product.product_id === line.product_id
+                && (!product.color_id || product.color_id === line.color_id || product.color_name === line.color))));
+        const eligibleQty = eligible.reduce((sum, line) => sum + line.quantity, 0);
+
+        if (!priced) {
+            result.reason = 'Some products have no price for this promo';
+            return result;
+        }
+
+        if (eligibleQty === 0 || eligibleQty < promotion.min_qty) {
+            result.reason = `Needs at least ${Math.max(promotion.min_qty, 1)} eligible item(s)`;
+            return result;
+        }
+
+        const lineDiscounts = new Map(eligible.map(line => [line, 0]));
+        const eligibleTotal = eligible.reduce((sum, line) => sum + line.line_total, 0);
+
+        if (promotion.discount_type === 'PERCENT') {
+            eligible.forEach(line => {
+                lineDiscounts.set(line, Math.round(line.line_total * promotion.discount_value / 100));
+            });
+        } else if (promotion.discount_type === 'FIXED') {
+            // One amount off the eligible subtotal, spread by line value
+            const amount = Math.min(Math.round(promotion.discount_value), eligibleTotal);
+            let allocated = 0;
+            eligible.forEach((line, index) => {
+                const share = index === eligible.length - 1
+                    ? amount - allocated
+                    : (eligibleTotal > 0 ? Math.round(amount * line.line_total / eligibleTotal) : 0);
+                lineDiscounts.set(line, share);
+                allocated += share;
+            });
+        } else if (promotion.discount_type === 'BUY_X_GET_Y') {
+            // For every buy_qty + get_qty units, the cheapest get_qty units are free
+            const groupSize = (promotion.buy_qty || 0) + (promotion.get_qty || 0);
+            let freeUnits = groupSize > 0 ? Math.floor(eligibleQty / groupSize) * promotion.get_qty : 0;
+            const cheapestFirst = [...eligible].sort((a, b) => a.line_total / a.quantity - b.line_total / b.quantity);
+
+            cheapestFirst.forEach(line => {
+                const free = Math.min(freeUnits, line.quantity);
+                lineDiscounts.set(line, free * line.line_total / line.quantity);
+                freeUnits -= free;
+            });
+        }
+
+        lineDiscounts.forEach((discount, line) => {
+            const amount = Math.round(discount);
+            line.promotion_discount = amount;
+            line.line_total -= amount;
+            line.unit_price = Math.round(line.line_total / line.quantity);
+            if (line.discount !== null) line.discount += amount;
+            result.discount += amount;
+        });
+
+        if (result.discount === 0) {
+            result.reason = 'Nothing to discount';
+            return result;
+        }
+
+        result.applied = true;
+        return result;
+    }
+
+    /**
+     * Fill unit_price, line_total and discount on quote lines. Set promos spread the total over
+     * the lines by promo (or No Promo) value, with rounding left on the last line
+     * @param {Array} lines - Quote lines
+     * @param {Object} pricing - PROMO_PRICING entry
+     * @param {number|null} total - Promo total
+     */
+    static allocateLineTotals(lines, pricing, total) {
+        if (total === null) {
+            lines.forEach(line => {
+                line.unit_price = null;
+                line.line_total = null;
+                line.discount = null;
+            });
+            return;
+        }
+
+        if (!pricing.set) {
+            lines.forEach(line => {
+                line.unit_price = line.promo_price;
+                line.line_total = line.promo_price * line.quantity;
+            });
+        } else {
+            const weights = lines.map(line => (line.promo_price || line.list_price || 1) * line.quantity);
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+            let allocated = 0;
+
+            lines.forEach((line, index) => {
+                line.line_total = index === lines.length - 1
+                    ? total - allocated
+                    : (totalWeight > 0 ? Math.round(total * weights[index] / totalWeight) : 0);
+                line.unit_price = line.quantity > 0 ? Math.round(line.line_total / line.quantity) : 0;
+                allocated += line.line_total;
+            });
+        }
+
+        lines.forEach(line => {
+            line.discount = line.list_price !== null ? line.list_price * line.quantity - line.line_total : null;
+        });
+    }
+
+    /**
+     * Compare a requested sale total with its quote. A quote without a total (a product with no
+     * price for the promo, or a manual set price that was not entered) has nothing to override,
+     * so no total is allowed
+     * @param {Object} quote - Result of quote()
+     * @param {number} requestedTotal - Total sent by the client
+     * @returns {Object} { quoted_total, requested_total, difference, override, allowed, allowed_percent, reason }
+     *   reason says why the total is not allowed
+     */
+    static checkTotal(quote, requestedTotal) {
+        const requested = Math.round(Number(requestedTotal)) || 0;
+
+        if (quote.total === null) {
+            return {
+                quoted_total: null,
+                requested_total: requested,
+                difference: null,
+                override: false,
+                allowed: false,
+                allowed_percent: PRICE_OVERRIDE_PERCENT,
+                reason: quote.unpriced_products.length > 0
+                    ? `No ${quote.promo_type} price for: ${quote.unpriced_products.join(', ')}`
+                    : `${quote.promo_type} sales need a manual_price`
+            };
+        }
+
+        const difference = requested - quote.total;
+        const allowed = Math.abs(difference) <= quote.total * PRICE_OVERRIDE_PERCENT / 100;
+
+        return {
+            quoted_total: quote.total,
+            requested_total: requested,
+            difference,
+            override: difference !== 0,
+            allowed,
+            allowed_percent: PRICE_OVERRIDE_PERCENT,
+            reason: allowed
+                ? null
+                : `Total ${requested} differs from the ${quote.promo_type} price ${quote.total} by more than ${PRICE_OVERRIDE_PERCENT}%`
+        };
+    }
+}
+
+module.exports = PricingService;
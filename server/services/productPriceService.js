@@ -0,0 +1,333 @@
+const db = require('../db');
+
+// Promo price columns shared by products, variant overrides and price_history
+const PRICE_COLUMNS = ['price_no_promo', 'price_b1g1', 'price_random'];
+
+/**
+ * Product Price Service
+ * Product prices, per-variant overrides and the dated price history used for audits
+ */
+class ProductPriceService {
+    /**
+     * Price columns that can be set on a product or a variant
+     * @returns {Array<string>} Column names
+     */
+    static getPriceColumns() {
+        return PRICE_COLUMNS;
+    }
+
+    /**
+     * Pick the price columns of a row into a plain object
+     * @param {Object} row - Database row
+     * @param {string} prefix - Column alias prefix
+     * @returns {Object} column → number|null
+     */
+    static pickPrices(row, prefix = '') {
+        const prices = {};
+        PRICE_COLUMNS.forEach(column => {
+            const value = row[`${prefix}${column}`];
+            prices[column] = value === null || value === undefined ? null : Number(value);
+        });
+        return prices;
+    }
+
+    /**
+     * Get a product's current prices
+     * @param {number} productId - Product ID
+     * @returns {Promise<Object|null>} { product_id, product_name, prices }, or null when not found
+     */
+    static async getProduct(productId) {
+        const [rows] = await db.execute(
+            `SELECT id, name, ${PRICE_COLUMNS.join(', ')} FROM products WHERE id = ?`,
+            [productId]
+        );
+        if (rows.length === 0) {
+            return null;
+        }
+
+        return {
+            product_id: rows[0].id,
+            product_name: rows[0].name,
+            prices: this.pickPrices(rows[0])
+        };
+    }
+
+    /**
+     * Variants of a product with their overrides and effective prices (override, else product price)
+     * @param {number} productId - Product ID
+     * @param {Object} filters - { colorId }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Array>} [{ variant_id, color_id, color_name, size_id, size_name, overrides, prices, has_override }]
+     */
+    static async getVariantPrices(productId, { colorId = null } = {}, connection = db) {
+        let query = `
+            SELECT pcs.id AS variant_id, c.id AS color_id, c.name AS color_name, s.id AS size_id, s.name AS size_name,
+                   ${PRICE_COLUMNS.map(column => `pcs.${column} AS override_${column}, p.${column} AS product_${column}`).join(', ')}
+            FROM product_color_sizes pcs
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN products p ON pc.product_id = p.id
+            JOIN colors c ON pc.color_id = c.id
+            JOIN sizes s ON pcs.size_id = s.id
+            WHERE pc.product_id = ?
+        `;
+        const params = [productId];
+
+        if (colorId) {
+            query += ' AND pc.color_id = ?';
+            params.push(colorId);
+        }
+
+        query += ' ORDER BY c.name ASC, s.id ASC';
+
+        const [rows] = await connection.execute(query, params);
+
+        return rows.map(row => {
+            const overrides = this.pickPrices(row, 'override_');
+            const productPrices = this.pickPrices(row, 'product_');
+            const prices = {};
+            PRICE_COLUMNS.forEach(column => {
+                prices[column] = overrides[column] !== null ? overrides[column] : productPrices[column];
+            });
+
+            return {
+                variant_id: row.variant_id,
+                color_id: row.color_id,
+                color_name: row.color_name,
+                size_id: row.size_id,
+                size_name: row.size_name,
+                overrides,
+                prices,
+                has_override: PRICE_COLUMNS.some(column => overrides[column] !== null)
+            };
+        });
+    }
+
+    /**
+     * Variants with at least one price override, for the pricing service
+     * @param {Array<number>} productIds - Product IDs
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Array>} [{ variant_id, product_id, color_id, color_name, size_id, size_name, overrides }]
+     */
+    static async getVariantOverrides(productIds, connection = db) {
+        if (productIds.length === 0) {
+            return [];
+        }
+
+        const [rows] = await connection.execute(`
+            SELECT pcs.id AS variant_id, pc.product_id, c.id AS color_id, c.name AS color_name,
+                   s.id AS size_id, s.name AS size_name, ${PRICE_COLUMNS.map(column => `pcs.${column}`).join(', ')}
+            FROM product_color_sizes pcs
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN colors c ON pc.color_id = c.id
+            JOIN sizes s ON pcs.size_id = s.id
+            WHERE pc.product_id IN (${productIds.map(() => '?').join(', ')})
+              AND (${PRICE_COLUMNS.map(column => `pcs.${column} IS NOT NULL`).join(' OR ')})
+        `, productIds);
+
+        return rows.map(row => ({
+            variant_id: row.variant_id,
+            product_id: row.product_id,
+            color_id: row.color_id,
+            color_name: row.color_name,
+            size_id: row.size_id,
+            size_name: row.size_name,
+            overrides: this.pickPrices(row)
+        }));
+    }
+
+    /**
+     * Product and variant prices in effect at a point in time, from price_history
+     * @param {number} productId - Product ID
+     * @param {string|Date} at - Date or datetime
+     * @returns {Promise<Object>} { at, product, variants: [{ variant_id, overrides, prices }] }
+     */
+    static async getPricesAt(productId, at) {
+        // A bare date means the prices at the end of that day
+        const moment = typeof at === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(at) ? `${at} 23:59:59` : at;
+
+        const [rows] = await db.execute(`
+            SELECT * FROM price_history
+            WHERE product_id = ? AND effective_from <= ? AND (effective_to IS NULL OR effective_to > ?)
+            ORDER BY effective_from ASC, id ASC
+        `, [productId, moment, moment]);
+
+        const productRow = rows.filter(row => row.variant_id === null).pop();
+        const product = productRow ? this.pickPrices(productRow) : null;
+
+        const variants = new Map();
+        rows.filter(row => row.variant_id !== null).forEach(row => variants.set(row.variant_id, row));
+
+        return {
+            at: moment,
+            product,
+            variants: [...variants.values()].map(row => {
+                const overrides = this.pickPrices(row);
+                const prices = {};
+                PRICE_COLUMNS.forEach(column => {
+                    prices[column] = overrides[column] !== null ? overrides[column] : (product ? product[column] : null);
+                });
+
+                return { variant_id: row.variant_id, overrides, prices };
+            })
+        };
+    }
+
+    /**
+     * Price changes of a product and its variants, newest first
+     * @param {number} productId - Product ID
+     * @param {number} limit - Max rows
+     * @returns {Promise<Array>} History rows with color/size names for variant rows
+     */
+    static async getPriceHistory(productId, limit = 100) {
+        const [rows] = await db.execute(`
+            SELECT ph.*, c.name AS color_name, s.name AS size_name
+            FROM price_history ph
+            LEFT JOIN product_color_sizes pcs ON ph.variant_id = pcs.id
+            LEFT JOIN product_colors pc ON pcs.product_color_id = pc.id
+            LEFT JOIN colors c ON pc.color_id = c.id
+            LEFT JOIN sizes s ON pcs.size_id = s.id
+            WHERE ph.product_id = ?
+            ORDER BY ph.effective_from DESC, ph.id DESC
+            LIMIT ${parseInt(limit) || 100}
+        `, [productId]);
+
+        return rows;
+    }
+
+    /**
+     * Change product prices and/or variant overrides; every change closes the current
+     * price_history row and opens a new one
+     * @param {number} productId - Product ID
+     * @param {Object} changes - { prices: { column → number }, variants: [{ variant_id, column → number|null }] }
+     * @param {string} changedBy - Username
+     * @param {string} note - Reason for the change
+     * @returns {Promise<Object>} { product_changed, variants_changed }
+     */
+    static async setPrices(productId, { prices = {}, variants = [] }, changedBy, note = null) {
+        const connection = await db.getConnection();
+        const now = new Date();
+
+        try {
+            await connection.beginTransaction();
+
+            const [productRows] = await connection.execute(
+                `SELECT id, ${PRICE_COLUMNS.join(', ')} FROM products WHERE id = ? FOR UPDATE`,
+                [productId]
+            );
+            if (productRows.length === 0) {
+                throw new Error('Product not found');
+            }
+
+            let productChanged = false;
+            const productColumns = Object.keys(prices).filter(column => PRICE_COLUMNS.includes(column));
+
+            if (productColumns.some(column => Number(productRows[0][column]) !== prices[column])) {
+                await connection.execute(
+                    `UPDATE products SET ${productColumns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...productColumns.map(column => prices[column]), productId]
+                );
+
+                await this.recordHistory({
+                    productId,
+                    variantId: null,
+                    prices: { ...this.pickPrices(productRows[0]), ...prices },
+                    changedBy,
+                    note,
+                    now
+                }, connection);
+                productChanged = true;
+            }
+
+            let variantsChanged = 0;
+            for (const variant of variants) {
+                const [variantRows] = await connection.execute(`
+                    SELECT pcs.id, ${PRICE_COLUMNS.map(column => `pcs.${column}`).join(', ')}
+                    FROM product_color_sizes pcs
+                    JOIN product_colors pc ON pcs.product_color_id = pc.id
+                    WHERE pcs.id = ? AND pc.product_id = ?
+                    FOR UPDATE
+                `, [variant.variant_id, productId]);
+
+                if (variantRows.length === 0) {
+                    throw new Error(`Variant ${variant.variant_id} does not belong to product ${productId}`);
+                }
+
+                const current = this.pickPrices(variantRows[0]);
+                const columns = PRICE_COLUMNS.filter(column => variant[column] !== undefined);
+                if (!columns.some(column => current[column] !== variant[column])) continue;
+
+                await connection.execute(
+                    `UPDATE product_color_sizes SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...columns.map(column => variant[column]), variant.variant_id]
+                );
+
+                const overrides = { ...current };
+                columns.forEach(column => { overrides[column] = variant[column]; });
+
+                await this.recordHistory({
+                    productId,
+                    variantId: variant.variant_id,
+                    prices: overrides,
+                    changedBy,
+                    note,
+                    now
+                }, connection);
+                variantsChanged++;
+            }
+
+            await connection.commit();
+
+            return { product_changed: productChanged, variants_changed: variantsChanged };
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Open the price history of a new product with its prices at creation; its variants sell
+     * at these prices until they get overrides
+     * @param {number} productId - Product ID
+     * @param {string} changedBy - Username
+     * @param {Object} connection - Database connection (in the transaction creating the product)
+     */
+    static async recordOpeningPrices(productId, changedBy, connection) {
+        const [rows] = await connection.execute(
+            `SELECT ${PRICE_COLUMNS.join(', ')} FROM products WHERE id = ?`,
+            [productId]
+        );
+
+        await this.recordHistory({
+            productId,
+            variantId: null,
+            prices: this.pickPrices(rows[0]),
+            changedBy,
+            note: 'Opening price',
+            now: new Date()
+        }, connection);
+    }
+
+    /**
+     * Close the open price_history row of a product (variantId null) or variant and open a new one
+     * @param {Object} params - { productId, variantId, prices, changedBy, note, now }
+     * @param {Object} connection - Database connection (in a transaction)
+     */
+    static async recordHistory({ productId, variantId, prices, changedBy, note, now }, connection) {
+        await connection.execute(
+            `UPDATE price_history SET effective_to = ?
+             WHERE product_id = ? AND variant_id <=> ? AND effective_to IS NULL`,
+            [now, productId, variantId]
+        );
+
+        await connection.execute(
+            `INSERT INTO price_history (product_id, variant_id, ${PRICE_COLUMNS.join(', ')}, effective_from, changed_by, note)
+             VALUES (?, ?, ${PRICE_COLUMNS.map(() => '?').join(', ')}, ?, ?, ?)`,
+            [productId, variantId, ...PRICE_COLUMNS.map(column => prices[column] ?? null), now, changedBy, note]
+        );
+    }
+}
+
+module.exports = ProductPriceService;
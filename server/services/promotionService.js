@@ -0,0 +1,245 @@
+const db = require('../db');
+
+/**
+ * Promotion Service
+ * Seasonal promotion campaigns, their eligible products and revenue per campaign
+ */
+class PromotionService {
+    /**
+     * List promotions
+     * @param {Object} params - { activeOn (YYYY-MM-DD), activeOnly }
+     * @returns {Promise<Array>} Promotions with eligible products, latest start first
+     */
+    static async listPromotions({ activeOn, activeOnly = false } = {}) {
+        let query = 'SELECT * FROM promotions WHERE 1=1';
+        const params = [];
+
+        if (activeOn) {
+            query += ' AND is_active = TRUE AND start_date <= ? AND end_date >= ?';
+            params.push(activeOn, activeOn);
+        } else if (activeOnly) {
+            query += ' AND is_active = TRUE';
+        }
+
+        query += ' ORDER BY start_date DESC, id DESC';
+
+        const [rows] = await db.execute(query, params);
+        return this.attachProducts(rows);
+    }
+
+    /**
+     * Get a promotion by ID
+     * @param {number} promotionId - Promotion ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Promotion with eligible products, or null when not found
+     */
+    static async getPromotion(promotionId, connection = db) {
+        const [rows] = await connection.execute('SELECT * FROM promotions WHERE id = ?', [promotionId]);
+        if (rows.length === 0) {
+            return null;
+        }
+
+        return (await this.attachProducts(rows, connection))[0];
+    }
+
+    /**
+     * Get a promotion only if it runs on a date
+     * @param {number} promotionId - Promotion ID
+     * @param {string} date - Transaction date (YYYY-MM-DD)
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Promotion, or null when unknown, inactive or out of its date range
+     */
+    static async getActivePromotion(promotionId, date, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT id FROM promotions WHERE id = ? AND is_active = TRUE AND start_date <= ? AND end_date >= ?',
+            [promotionId, date, date]
+        );
+
+        return rows.length > 0 ? this.getPromotion(promotionId, connection) : null;
+    }
+
+    /**
+     * Load eligible products (with product and color names) onto promotions
+     * @param {Array} promotions - Promotion rows
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Array>} Promotions with a products array
+     */
+    static async attachProducts(promotions, connection = db) {
+        if (promotions.length === 0) {
+            return promotions;
+        }
+
+        const [rows] = await connection.query(`
+            SELECT pp.promotion_id, pp.product_id, pp.color_id, p.name AS product_name, c.name AS color_name
+            FROM promotion_products pp
+            JOIN products p ON pp.product_id = p.id
+            LEFT JOIN colors c ON pp.color_id = c.id
+            WHERE pp.promotion_id IN (?)
+            ORDER BY p.name ASC, c.name ASC
+        `, [promotions.map(promotion => promotion.id)]);
+
+        return promotions.map(promotion => ({
+            ...promotion,
+            discount_value: Number(promotion.discount_value),
+            products: rows
+                .filter(row => row.promotion_id === promotion.id)
+                .map(({ promotion_id, ...product }) => product)
+        }));
+    }
+
+    /**
+     * Create a promotion
+     * @param {Object} data - Promotion columns plus products: [{ product_id, color_id }]
+     * @param {string} createdBy - Username
+     * @returns {Promise<Object>} Created promotion
+     */
+    static async createPromotion({ products = [], ...columns }, createdBy) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const names = Object.keys(columns);
+            const [result] = await connection.execute(
+                `INSERT INTO promotions (${names.join(', ')}, created_by) VALUES (${names.map(() => '?').join(', ')}, ?)`,
+                [...names.map(name => columns[name]), createdBy]
+            );
+
+            await this.replaceProducts(result.insertId, products, connection);
+            await connection.commit();
+
+            return this.getPromotion(result.insertId);
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Update a promotion; only the given columns change, and products (when given) replace
+     * the eligible product list
+     * @param {number} promotionId - Promotion ID
+     * @param {Object} updates - Column → value, plus optional products
+     * @returns {Promise<Object>} Updated promotion
+     */
+    static async updatePromotion(promotionId, { products, ...updates }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const columns = Object.keys(updates);
+            if (columns.length > 0) {
+                await connection.execute(
+                    `UPDATE promotions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...columns.map(column => updates[column]), promotionId]
+                );
+            }
+
+            if (products !== undefined) {
+                await this.replaceProducts(promotionId, products, connection);
+            }
+
+            await connection.commit();
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        return this.getPromotion(promotionId);
+    }
+
+    /**
+     * Replace the eligible products of a promotion
+     * @param {number} promotionId - Promotion ID
+     * @param {Array} products - [{ product_id, color_id }]
+     * @param {Object} connection - Database connection
+     */
+    static async replaceProducts(promotionId, products, connection) {
+        await connection.execute('DELETE FROM promotion_products WHERE promotion_id = ?', [promotionId]);
+
+        for (const product of products) {
+            await connection.execute(
+                'INSERT INTO promotion_products (promotion_id, product_id, color_id) VALUES (?, ?, ?)',
+                [promotionId, product.product_id, product.color_id || null]
+            );
+        }
+    }
+
+    /**
+     * Delete a promotion (callers check countSales first)
+     * @param {number} promotionId - Promotion ID
+     */
+    static async deletePromotion(promotionId) {
+        await db.execute('DELETE FROM promotions WHERE id = ?', [promotionId]);
+    }
+
+    /**
+     * Count sales recorded under a promotion
+     * @param {number} promotionId - Promotion ID
+     * @returns {Promise<number>} Transactions linked to the promotion
+     */
+    static async countSales(promotionId) {
+        const [rows] = await db.execute('SELECT COUNT(*) AS total FROM transactions WHERE promotion_id = ?', [promotionId]);
+        return parseInt(rows[0].total) || 0;
+    }
+
+    /**
+     * Revenue per campaign: non-voided sales dated in the period, net of refunds paid in the period
+     * @param {Object} params - { start, end } (YYYY-MM-DD)
+     * @returns {Promise<Array>} One row per campaign with sales, highest net revenue first
+     */
+    static async getRevenueReport({ start, end }) {
+        const [rows] = await db.execute(`
+            SELECT p.id, p.name, p.base_promo_type, p.discount_type, p.start_date, p.end_date,
+                   COALESCE(s.transaction_count, 0) AS transaction_count,
+                   COALESCE(s.revenue, 0) AS revenue,
+                   COALESCE(s.discount, 0) AS discount,
+                   COALESCE(r.refunds, 0) AS refunds
+            FROM promotions p
+            LEFT JOIN (
+                SELECT promotion_id,
+                       COUNT(*) AS transaction_count,
+                       SUM(CASE WHEN manual_price > 0 THEN manual_price ELSE total END) AS revenue,
+                       SUM(promotion_discount) AS discount
+                FROM transactions
+                WHERE type = 'penjualan' AND voided_at IS NULL AND promotion_id IS NOT NULL
+                  AND date >= ? AND date <= ?
+                GROUP BY promotion_id
+            ) s ON s.promotion_id = p.id
+            LEFT JOIN (
+                SELECT t.promotion_id, SUM(r.refund_amount) AS refunds
+                FROM transaction_returns r
+                JOIN transactions t ON r.transaction_id = t.id
+                WHERE t.voided_at IS NULL AND t.promotion_id IS NOT NULL
+                  AND r.date >= ? AND r.date <= ?
+                GROUP BY t.promotion_id
+            ) r ON r.promotion_id = p.id
+            WHERE s.promotion_id IS NOT NULL OR r.promotion_id IS NOT NULL
+        `, [start, end, start, end]);
+
+        return rows
+            .map(row => {
+                const revenue = parseInt(row.revenue) || 0;
+                const refunds = parseInt(row.refunds) || 0;
+
+                return {
+                    ...row,
+                    transaction_count: parseInt(row.transaction_count) || 0,
+                    revenue,
+                    discount: parseInt(row.discount) || 0,
+                    refunds,
+                    net_revenue: revenue - refunds
+                };
+            })
+            .sort((a, b) => b.net_revenue - a.net_revenue);
+    }
+}
+
+module.exports = PromotionService;
@@ -0,0 +1,317 @@
+const db = require('../db');
+const MovementService = require('./movementService');
+
+/**
+ * Purchase Order Service
+ * Production/purchase orders and the goods receipts that bring them into stock
+ */
+class PurchaseOrderService {
+    /**
+     * Stock reason code posted when goods for an order arrive
+     * @param {string} orderType - PRODUCTION | PURCHASE
+     * @returns {string} OVERPROD_IN for own production, PURCHASE_IN for bought-in goods
+     */
+    static getReceiptReason(orderType) {
+        return orderType === 'PURCHASE' ? 'PURCHASE_IN' : 'OVERPROD_IN';
+    }
+
+    /**
+     * List purchase orders with ordered/received totals
+     * @param {Object} params - { status, start, end, supplierId }
+     * @returns {Promise<Array>} Orders, newest first
+     */
+    static async listOrders({ status, start, end, supplierId } = {}) {
+        let query = `
+            SELECT po.*,
+                   COALESCE(SUM(poi.qty_ordered), 0) AS total_ordered,
+                   COALESCE(SUM(poi.qty_received), 0) AS total_received,
+                   COALESCE(SUM(poi.qty_ordered * poi.unit_cost), 0) AS total_cost
+            FROM purchase_orders po
+            LEFT JOIN purchase_order_items poi ON poi.po_id = po.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            query += ' AND po.status = ?';
+            params.push(status);
+        }
+
+        if (supplierId) {
+            query += ' AND po.supplier_id = ?';
+            params.push(supplierId);
+        }
+
+        if (start) {
+            query += ' AND po.order_date >= ?';
+            params.push(start);
+        }
+
+        if (end) {
+            query += ' AND po.order_date <= ?';
+            params.push(end);
+        }
+
+        query += ' GROUP BY po.id ORDER BY po.order_date DESC, po.id DESC';
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => ({
+            ...row,
+            total_ordered: parseInt(row.total_ordered) || 0,
+            total_received: parseInt(row.total_received) || 0,
+            total_cost: parseFloat(row.total_cost) || 0
+        }));
+    }
+
+    /**
+     * Get a purchase order with its items and receipts
+     * @param {number} poId - Purchase order ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Order, or null when not found
+     */
+    static async getOrder(poId, connection = db) {
+        const [orderRows] = await connection.execute(
+            'SELECT * FROM purchase_orders WHERE id = ?',
+            [poId]
+        );
+
+        if (orderRows.length === 0) {
+            return null;
+        }
+
+        const [items] = await connection.execute(`
+            SELECT poi.*,
+                   p.id AS product_id,
+                   p.name AS product_name,
+                   c.id AS color_id,
+                   c.name AS color_name,
+                   s.id AS size_id,
+                   s.name AS size_name
+            FROM purchase_order_items poi
+            JOIN product_color_sizes pcs ON poi.variant_id = pcs.id
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN products p ON pc.product_id = p.id
+            JOIN colors c ON pc.color_id = c.id
+            JOIN sizes s ON pcs.size_id = s.id
+            WHERE poi.po_id = ?
+            ORDER BY p.name, c.name, s.sort_order
+        `, [poId]);
+
+        const [receipts] = await connection.execute(`
+            SELECT gr.*, l.code AS location_code, l.name AS location_name
+            FROM goods_receipts gr
+            JOIN locations l ON gr.location_id = l.id
+            WHERE gr.po_id = ?
+            ORDER BY gr.receipt_date DESC, gr.id DESC
+        `, [poId]);
+
+        return {
+            ...orderRows[0],
+            items: items.map(item => ({
+                ...item,
+                unit_cost: parseFloat(item.unit_cost) || 0,
+                qty_remaining: Math.max(item.qty_ordered - item.qty_received, 0)
+            })),
+            receipts: receipts.map(receipt => ({
+                ...receipt,
+                items: typeof receipt.items === 'string' ? JSON.parse(receipt.items) : receipt.items
+            }))
+        };
+    }
+
+    /**
+     * Create a purchase order
+     * @param {Object} params - { poNumber, orderType, supplierId, supplierName, orderDate, expectedDate, note, items, createdBy }
+     * @returns {Promise<Object>} Created order
+     */
+    static async createOrder({ poNumber, orderType = 'PRODUCTION', supplierId, supplierName, orderDate, expectedDate = null, note = null, items, createdBy }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(`
+                INSERT INTO purchase_orders
+                (po_number, order_type, supplier_id, supplier_name, order_date, expected_date, note, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [poNumber || `TMP-${Date.now()}`, orderType, supplierId, supplierName, orderDate, expectedDate || null, note || null, createdBy]);
+
+            const poId = result.insertId;
+
+            // Default number follows the PO-{id} pattern used for other reference codes
+            if (!poNumber) {
+                await connection.execute(
+                    'UPDATE purchase_orders SET po_number = ? WHERE id = ?',
+                    [`PO-${poId}`, poId]
+                );
+            }
+
+            for (const item of items) {
+                await connection.execute(`
+                    INSERT INTO purchase_order_items (po_id, variant_id, qty_ordered, unit_cost)
+                    VALUES (?, ?, ?, ?)
+                `, [poId, item.variant_id, parseInt(item.qty_ordered), parseFloat(item.unit_cost) || 0]);
+            }
+
+            await connection.commit();
+
+            return this.getOrder(poId);
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Receive goods against an order
+     * Each line posts an IN movement with the PO unit cost so the moving average reflects the real cost
+     * @param {Object} params - { poId, locationId, receiptDate, lines: [{ po_item_id, qty, unit_cost? }], note, pic, createdBy }
+     * @returns {Promise<Object>} { receipt, movements, order }
+     */
+    static async receive({ poId, locationId, receiptDate, lines, note = null, pic = null, createdBy = null }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [orderRows] = await connection.execute(
+                'SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE',
+                [poId]
+            );
+            const order = orderRows[0];
+
+            if (!order) {
+                throw new Error('Purchase order not found');
+            }
+
+            if (['RECEIVED', 'CANCELLED'].includes(order.status)) {
+                throw new Error(`Purchase order is already ${order.status.toLowerCase()}`);
+            }
+
+            const [itemRows] = await connection.execute(
+                'SELECT * FROM purchase_order_items WHERE po_id = ? FOR UPDATE',
+                [poId]
+            );
+            const itemsById = new Map(itemRows.map(item => [item.id, item]));
+
+            const receivedLines = [];
+
+            for (const line of lines) {
+                const item = itemsById.get(parseInt(line.po_item_id));
+                const qty = parseInt(line.qty) || 0;
+
+                if (!item) {
+                    throw new Error(`Item ${line.po_item_id} is not part of this purchase order`);
+                }
+
+                if (qty <= 0) continue;
+
+                const remaining = item.qty_ordered - item.qty_received;
+                if (qty > remaining) {
+                    throw new Error(`Cannot receive ${qty} for item ${item.id}; only ${remaining} remaining`);
+                }
+
+                const unitCost = line.unit_cost !== undefined && line.unit_cost !== null && line.unit_cost !== ''
+                    ? parseFloat(line.unit_cost)
+                    : parseFloat(item.unit_cost);
+
+                receivedLines.push({ po_item_id: item.id, variant_id: item.variant_id, qty, unit_cost: unitCost });
+                item.qty_received += qty;
+            }
+
+            if (receivedLines.length === 0) {
+                throw new Error('Nothing to receive');
+            }
+
+            const [receiptResult] = await connection.execute(`
+                INSERT INTO goods_receipts
+                (po_id, receipt_date, location_id, items, note, pic, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [poId, receiptDate, locationId, JSON.stringify(receivedLines), note, pic, createdBy]);
+
+            const receiptId = receiptResult.insertId;
+            const reasonCode = this.getReceiptReason(order.order_type);
+            const movements = [];
+
+            for (const line of receivedLines) {
+                await connection.execute(
+                    'UPDATE purchase_order_items SET qty_received = qty_received + ? WHERE id = ?',
+                    [line.qty, line.po_item_id]
+                );
+
+                const movement = await MovementService.createMovement({
+                    variantId: line.variant_id,
+                    locationId,
+                    movementType: 'IN',
+                    reasonCode,
+                    qty: line.qty,
+                    unitCost: line.unit_cost,
+                    refTable: 'goods_receipts',
+                    refId: receiptId,
+                    refCode: `GR-${receiptId}`,
+                    note: note || `Receipt for ${order.po_number}`,
+                    pic,
+                    createdBy
+                }, connection);
+
+                movements.push(movement);
+            }
+
+            const fullyReceived = itemRows.every(item => item.qty_received >= item.qty_ordered);
+            await connection.execute(
+                'UPDATE purchase_orders SET status = ? WHERE id = ?',
+                [fullyReceived ? 'RECEIVED' : 'PARTIAL', poId]
+            );
+
+            await connection.commit();
+
+            return {
+                receipt: { id: receiptId, po_id: poId, receipt_date: receiptDate, location_id: locationId, items: receivedLines },
+                movements,
+                order: await this.getOrder(poId)
+            };
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Remaining quantity on open/partial orders per variant
+     * @returns {Promise<Array>} [{ variant_id, product_id, color_id, size_id, size_name, qty_incoming, next_expected_date }]
+     */
+    static async getIncomingQuantities() {
+        const [rows] = await db.execute(`
+            SELECT poi.variant_id,
+                   pc.product_id,
+                   pc.color_id,
+                   s.id AS size_id,
+                   s.name AS size_name,
+                   s.sort_order AS size_sort,
+                   SUM(GREATEST(poi.qty_ordered - poi.qty_received, 0)) AS qty_incoming,
+                   MIN(po.expected_date) AS next_expected_date
+            FROM purchase_order_items poi
+            JOIN purchase_orders po ON poi.po_id = po.id
+            JOIN product_color_sizes pcs ON poi.variant_id = pcs.id
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN sizes s ON pcs.size_id = s.id
+            WHERE po.status IN ('OPEN', 'PARTIAL')
+            GROUP BY poi.variant_id, pc.product_id, pc.color_id, s.id, s.name, s.sort_order
+            HAVING qty_incoming > 0
+        `);
+
+        return rows.map(row => ({
+            ...row,
+            qty_incoming: parseInt(row.qty_incoming) || 0
+        }));
+    }
+}
+
+module.exports = PurchaseOrderService;
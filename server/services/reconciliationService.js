@@ -0,0 +1,194 @@
+const db = require('../db');
+const MovementService = require('./movementService');
+const ReportService = require('./reportService');
+
+// Balances store avg_cost rounded to 2 decimals after every movement while the replay keeps
+// full precision, so average costs within a rupiah of each other are treated as matching
+const COST_TOLERANCE = 1;
+
+// Hour of the day (server time) the nightly check runs; "off" disables it
+const RECONCILE_HOUR = process.env.STOCK_RECONCILE_HOUR === 'off'
+    ? null
+    : (parseInt(process.env.STOCK_RECONCILE_HOUR) >= 0 && parseInt(process.env.STOCK_RECONCILE_HOUR) < 24
+        ? parseInt(process.env.STOCK_RECONCILE_HOUR)
+        : 2);
+
+/**
+ * Reconciliation Service
+ * Compares the cached stock_balances with the stock_movements ledger and rebuilds them from it
+ */
+class ReconciliationService {
+    /**
+     * Variant/location balances that differ from the ledger
+     * @param {Object} params - { locationId }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} { checked, discrepancies: [{ variant_id, location_id, ledger_qty, balance_qty, qty_difference, ledger_avg_cost, balance_avg_cost, missing_balance }] }
+     */
+    static async findDiscrepancies({ locationId = null } = {}, connection = db) {
+        const ledger = await MovementService.replayLedger({ locationId }, connection);
+
+        let query = 'SELECT variant_id, location_id, qty_on_hand, avg_cost FROM stock_balances';
+        const params = [];
+        if (locationId) {
+            query += ' WHERE location_id = ?';
+            params.push(locationId);
+        }
+        const [balanceRows] = await connection.execute(query, params);
+        const balances = new Map(balanceRows.map(row => [`${row.variant_id}-${row.location_id}`, row]));
+
+        const keys = new Set([...ledger.keys(), ...balances.keys()]);
+        const discrepancies = [];
+
+        keys.forEach(key => {
+            const [variantId, locationIdOfRow] = key.split('-').map(Number);
+            const expected = ledger.get(key) || { qty: 0, avg_cost: 0 };
+            const balance = balances.get(key);
+            const balanceQty = balance ? balance.qty_on_hand || 0 : 0;
+            const balanceCost = balance ? parseFloat(balance.avg_cost) || 0 : 0;
+
+            // A ledger with nothing on hand needs no balance row
+            if (!balance && expected.qty === 0) return;
+
+            const qtyMatches = expected.qty === balanceQty;
+            const costMatches = Math.abs(expected.avg_cost - balanceCost) < COST_TOLERANCE;
+            if (balance && qtyMatches && costMatches) return;
+
+            discrepancies.push({
+                variant_id: variantId,
+                location_id: locationIdOfRow,
+                ledger_qty: expected.qty,
+                balance_qty: balance ? balanceQty : null,
+                qty_difference: balanceQty - expected.qty,
+                ledger_avg_cost: Math.round(expected.avg_cost * 100) / 100,
+                balance_avg_cost: balance ? balanceCost : null,
+                missing_balance: !balance
+            });
+        });
+
+        return { checked: keys.size, discrepancies };
+    }
+
+    /**
+     * Discrepancies with product, color, size and location names for display
+     * @param {Object} params - { locationId }
+     * @returns {Promise<Object>} { checked_at, checked, discrepancy_count, discrepancies }
+     */
+    static async getReport({ locationId = null } = {}) {
+        const { checked, discrepancies } = await this.findDiscrepancies({ locationId });
+
+        return {
+            checked_at: new Date().toISOString(),
+            checked,
+            discrepancy_count: discrepancies.length,
+            discrepancies: await this.withNames(discrepancies)
+        };
+    }
+
+    /**
+     * Rewrite stock_balances (qty and average cost) from the ledger. Movements in scope are
+     * share-locked and balances locked for update, so no movement can post mid-rebuild.
+     * FIFO cost layers are not touched
+     * @param {Object} params - { locationId }
+     * @returns {Promise<Object>} { rebuilt_at, checked, fixed, discrepancies }
+     */
+    static async rebuild({ locationId = null } = {}) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const scope = locationId ? ' WHERE location_id = ?' : '';
+            const params = locationId ? [locationId] : [];
+            await connection.execute(`SELECT COUNT(*) FROM stock_movements${scope} LOCK IN SHARE MODE`, params);
+            await connection.execute(`SELECT id FROM stock_balances${scope} FOR UPDATE`, params);
+
+            const { checked, discrepancies } = await this.findDiscrepancies({ locationId }, connection);
+
+            for (const row of discrepancies) {
+                await connection.execute(
+                    `INSERT INTO stock_balances (variant_id, location_id, qty_on_hand, avg_cost)
+                     VALUES (?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE qty_on_hand = VALUES(qty_on_hand), avg_cost = VALUES(avg_cost),
+                         updated_at = CURRENT_TIMESTAMP`,
+                    [row.variant_id, row.location_id, row.ledger_qty, row.ledger_avg_cost]
+                );
+            }
+
+            await connection.commit();
+
+            return {
+                rebuilt_at: new Date().toISOString(),
+                checked,
+                fixed: discrepancies.length,
+                discrepancies: await this.withNames(discrepancies)
+            };
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Add product, color, size and location names to discrepancy rows
+     * @param {Array} rows - Discrepancy rows
+     * @returns {Promise<Array>} Rows with names
+     */
+    static async withNames(rows) {
+        if (rows.length === 0) {
+            return rows;
+        }
+
+        const names = await ReportService.getVariantNames(rows.map(row => row.variant_id));
+        const [locationRows] = await db.execute('SELECT id, name FROM locations');
+        const locationNames = new Map(locationRows.map(location => [location.id, location.name]));
+
+        return rows.map(row => ({
+            ...row,
+            ...(names.get(row.variant_id) || { product_id: null, product_name: null, color_name: null, size_name: null }),
+            location_name: locationNames.get(row.location_id) || null
+        }));
+    }
+
+    /**
+     * Run the ledger check every night at STOCK_RECONCILE_HOUR and log what drifted
+     */
+    static scheduleNightlyCheck() {
+        if (RECONCILE_HOUR === null) {
+            console.log('⏸️ Nightly stock reconciliation disabled');
+            return;
+        }
+
+        const next = new Date();
+        next.setHours(RECONCILE_HOUR, 0, 0, 0);
+        if (next <= new Date()) {
+            next.setDate(next.getDate() + 1);
+        }
+
+        setTimeout(async () => {
+            try {
+                const report = await this.getReport();
+                if (report.discrepancy_count === 0) {
+                    console.log(`✅ Stock reconciliation: ${report.checked} balances match the ledger`);
+                } else {
+                    console.warn(`⚠️ Stock reconciliation: ${report.discrepancy_count} of ${report.checked} balances differ from the ledger`);
+                    report.discrepancies.forEach(row => {
+                        console.warn(`   - ${row.product_name} ${row.color_name} ${row.size_name} @ ${row.location_name}: ` +
+                            `balance ${row.balance_qty ?? 'missing'} / ledger ${row.ledger_qty}, ` +
+                            `avg cost ${row.balance_avg_cost ?? '-'} / ${row.ledger_avg_cost}`);
+                    });
+                }
+            } catch (error) {
+                console.error('❌ Error running stock reconciliation:', error);
+            }
+
+            this.scheduleNightlyCheck();
+        }, next - new Date());
+
+        console.log(`🕑 Next stock reconciliation at ${next.toLocaleString()}`);
+    }
+}
+
+module.exports = ReconciliationService;
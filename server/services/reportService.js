@@ -0,0 +1,368 @@
+const db = require('../db');
+const TransactionService = require('./transactionService');
+const MovementService = require('./movementService');
+const CostLayerService = require('./costLayerService');
+
+// Dimensions the margin report can be grouped by → { key, label } of a report line
+const MARGIN_GROUPS = {
+    product: line => ({ key: line.product_id, label: line.product_name }),
+    color: line => ({ key: line.color_name, label: line.color_name }),
+    pic: line => ({ key: line.pic_sales, label: line.pic_sales }),
+    promo_type: line => ({ key: line.promo_type, label: line.promo_type }),
+    day: line => ({ key: line.date, label: line.date })
+};
+
+/**
+ * Report Service
+ * Financial reports built from transactions and the stock ledger
+ */
+class ReportService {
+    /**
+     * Dimensions accepted by getMarginReport()
+     * @returns {Array<string>} Group names
+     */
+    static getMarginGroups() {
+        return Object.keys(MARGIN_GROUPS);
+    }
+
+    /**
+     * Revenue, COGS and gross profit of sales in a period. COGS comes from the unit_cost of the
+     * sales' OUT movements net of goods put back by edits; returns dated in the period take off
+     * their refund and the cost of the returned goods (exchanges add the replacement's cost)
+     * @param {Object} params - { start, end, groupBy }
+     * @returns {Promise<Object>} { start, end, group_by, totals, rows }
+     */
+    static async getMarginReport({ start, end, groupBy = 'day' }) {
+        const group = MARGIN_GROUPS[groupBy];
+        if (!group) {
+            throw new Error(`Unknown margin group: ${groupBy}`);
+        }
+
+        const [sales] = await db.execute(`
+            SELECT id, date, promo_type, pic_sales,
+                   CASE WHEN manual_price > 0 THEN manual_price ELSE total END AS revenue
+            FROM transactions
+            WHERE type = 'penjualan' AND voided_at IS NULL AND date >= ? AND date <= ?
+        `, [start, end]);
+
+        const [returns] = await db.execute(`
+            SELECT r.id, r.date, r.refund_amount AS revenue, t.promo_type, t.pic_sales
+            FROM transaction_returns r
+            JOIN transactions t ON r.transaction_id = t.id
+            WHERE t.voided_at IS NULL AND r.date >= ? AND r.date <= ?
+        `, [start, end]);
+
+        const saleLines = await this.getMovementLines('transactions', sales.map(sale => sale.id));
+        const returnLines = await this.getMovementLines('transaction_returns', returns.map(ret => ret.id));
+
+        const lines = [
+            ...sales.flatMap(sale => this.splitRevenue(sale, saleLines.get(sale.id) || [], 1)),
+            ...returns.flatMap(ret => this.splitRevenue(ret, returnLines.get(ret.id) || [], -1))
+        ];
+
+        const totals = { revenue: 0, cogs: 0, quantity: 0, uncosted_qty: 0 };
+        const groups = new Map();
+
+        lines.forEach(line => {
+            const { key, label } = group(line);
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: label ?? '-', revenue: 0, cogs: 0, quantity: 0, uncosted_qty: 0 });
+            }
+
+            [groups.get(key), totals].forEach(bucket => {
+                bucket.revenue += line.revenue;
+                bucket.cogs += line.cogs;
+                bucket.quantity += line.quantity;
+                bucket.uncosted_qty += line.uncosted_qty;
+            });
+        });
+
+        const rows = [...groups.values()].map(row => this.summarize(row));
+        if (groupBy === 'day') {
+            rows.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+        } else {
+            rows.sort((a, b) => b.revenue - a.revenue);
+        }
+
+        return {
+            start,
+            end,
+            group_by: groupBy,
+            totals: this.summarize(totals),
+            rows
+        };
+    }
+
+    /**
+     * Inventory value per variant/location as of the end of a day under both costing methods:
+     * moving average (ledger replay) and FIFO (cost layers)
+     * @param {Object} params - { asOf (YYYY-MM-DD), locationId }
+     * @returns {Promise<Object>} { as_of, method, fifo_available_from, totals, rows }
+     */
+    static async getValuationComparison({ asOf, locationId = null }) {
+        const moment = `${asOf} 23:59:59`;
+
+        const [average, fifo] = await Promise.all([
+            MovementService.replayLedger({ asOf: moment, locationId }),
+            CostLayerService.getFifoBalances({ asOf: moment, locationId })
+        ]);
+
+        const keys = [...new Set([...average.keys(), ...fifo.keys()])].filter(key =>
+            (average.get(key)?.qty || 0) !== 0 || (fifo.get(key)?.qty || 0) !== 0
+        );
+        const names = await this.getVariantNames(keys.map(key => parseInt(key.split('-')[0])));
+
+        const [[layerStart]] = await db.execute('SELECT MIN(created_at) AS first_layer FROM stock_cost_layers');
+        const [locationRows] = await db.execute('SELECT id, name FROM locations');
+        const locationNames = new Map(locationRows.map(location => [location.id, location.name]));
+
+        const totals = { qty: 0, average_value: 0, fifo_qty: 0, fifo_value: 0 };
+        const rows = keys.map(key => {
+            const avg = average.get(key) || { qty: 0, avg_cost: 0 };
+            const layers = fifo.get(key) || { qty: 0, value: 0 };
+            const [variantId, locationIdOfRow] = key.split('-').map(Number);
+
+            const row = {
+                variant_id: variantId,
+                location_id: locationIdOfRow,
+                location_name: locationNames.get(locationIdOfRow) || null,
+                ...names.get(variantId),
+                qty: avg.qty,
+                average_cost: Math.round(avg.avg_cost * 100) / 100,
+                average_value: Math.round(avg.qty * avg.avg_cost),
+                fifo_qty: layers.qty,
+                fifo_value: Math.round(layers.value)
+            };
+            row.difference = row.fifo_value - row.average_value;
+
+            totals.qty += row.qty;
+            totals.average_value += row.average_value;
+            totals.fifo_qty += row.fifo_qty;
+            totals.fifo_value += row.fifo_value;
+            return row;
+        });
+
+        totals.difference = totals.fifo_value - totals.average_value;
+
+        rows.sort((a, b) => String(a.product_name).localeCompare(String(b.product_name))
+            || String(a.color_name).localeCompare(String(b.color_name))
+            || a.variant_id - b.variant_id
+            || a.location_id - b.location_id);
+
+        return {
+            as_of: asOf,
+            method: CostLayerService.getCostingMethod(),
+            fifo_available_from: layerStart.first_layer,
+            totals,
+            rows
+        };
+    }
+
+    /**
+     * Inventory valuation as of the end of a day: quantity and value per variant/location,
+     * per location and per product, at the moving average (ledger replay) or FIFO cost
+     * @param {Object} params - { asOf (YYYY-MM-DD), locationId, method (AVERAGE | FIFO, default COSTING_METHOD) }
+     * @returns {Promise<Object>} { as_of, location_id, method, totals, variants, locations, products }
+     */
+    static async getValuation({ asOf, locationId = null, method = CostLayerService.getCostingMethod() }) {
+        const comparison = await this.getValuationComparison({ asOf, locationId });
+
+        const variants = comparison.rows
+            .filter(row => row.qty !== 0)
+            .map(row => {
+                const value = method === 'FIFO' ? row.fifo_value : row.average_value;
+                return {
+                    variant_id: row.variant_id,
+                    product_id: row.product_id,
+                    product_name: row.product_name,
+                    color_name: row.color_name,
+                    size_name: row.size_name,
+                    location_id: row.location_id,
+                    location_name: row.location_name,
+                    qty: row.qty,
+                    unit_cost: row.qty > 0 ? Math.round(value / row.qty) : null,
+                    value
+                };
+            });
+
+        const sumBy = (keyOf, labelOf) => {
+            const groups = new Map();
+            variants.forEach(row => {
+                const key = keyOf(row);
+                if (!groups.has(key)) groups.set(key, { ...labelOf(row), qty: 0, value: 0, variant_count: 0 });
+                const group = groups.get(key);
+                group.qty += row.qty;
+                group.value += row.value;
+                group.variant_count++;
+            });
+            return [...groups.values()].sort((a, b) => b.value - a.value);
+        };
+
+        return {
+            as_of: asOf,
+            location_id: locationId,
+            method,
+            totals: {
+                qty: variants.reduce((sum, row) => sum + row.qty, 0),
+                value: variants.reduce((sum, row) => sum + row.value, 0),
+                variant_count: variants.length
+            },
+            variants,
+            locations: sumBy(row => row.location_id, row => ({ location_id: row.location_id, location_name: row.location_name })),
+            products: sumBy(row => row.product_id, row => ({ product_id: row.product_id, product_name: row.product_name }))
+        };
+    }
+
+    /**
+     * Product, color and size names of variants
+     * @param {Array<number>} variantIds - Variant IDs
+     * @returns {Promise<Map>} variantId → { product_id, product_name, color_name, size_name }
+     */
+    static async getVariantNames(variantIds) {
+        if (variantIds.length === 0) {
+            return new Map();
+        }
+
+        const [rows] = await db.query(`
+            SELECT pcs.id AS variant_id, p.id AS product_id, p.name AS product_name,
+                   c.name AS color_name, s.name AS size_name
+            FROM product_color_sizes pcs
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN products p ON pc.product_id = p.id
+            JOIN colors c ON pc.color_id = c.id
+            JOIN sizes s ON pcs.size_id = s.id
+            WHERE pcs.id IN (?)
+        `, [[...new Set(variantIds)]]);
+
+        return new Map(rows.map(row => [row.variant_id, {
+            product_id: row.product_id,
+            product_name: row.product_name,
+            color_name: row.color_name,
+            size_name: row.size_name
+        }]));
+    }
+
+    /**
+     * Net quantity and cost per variant of the movements referencing a set of records
+     * @param {string} refTable - transactions | transaction_returns
+     * @param {Array<number>} refIds - Record IDs
+     * @returns {Promise<Map>} refId → [{ variant_id, product_id, product_name, color_name, list_price, quantity, cogs, returned_qty, uncosted_qty }]
+     */
+    static async getMovementLines(refTable, refIds) {
+        const lines = new Map();
+        if (refIds.length === 0) {
+            return lines;
+        }
+
+        const [rows] = await db.query(`
+            SELECT sm.ref_id, sm.variant_id, p.id AS product_id, p.name AS product_name, c.name AS color_name,
+                   p.price_no_promo AS list_price,
+                   SUM(CASE WHEN sm.movement_type = 'OUT' THEN sm.qty ELSE 0 END) AS out_qty,
+                   SUM(CASE WHEN sm.movement_type = 'OUT' AND sm.unit_cost IS NOT NULL THEN sm.qty ELSE 0 END) AS costed_qty,
+                   SUM(CASE WHEN sm.movement_type = 'OUT' THEN sm.qty * COALESCE(sm.unit_cost, 0) ELSE 0 END) AS out_cost,
+                   SUM(CASE WHEN sm.movement_type = 'IN' THEN sm.qty ELSE 0 END) AS in_qty,
+                   SUM(CASE WHEN sm.movement_type = 'IN' THEN sm.qty * COALESCE(sm.unit_cost, 0) ELSE 0 END) AS in_cost
+            FROM stock_movements sm
+            JOIN product_color_sizes pcs ON sm.variant_id = pcs.id
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN products p ON pc.product_id = p.id
+            JOIN colors c ON pc.color_id = c.id
+            WHERE sm.ref_table = ? AND sm.ref_id IN (?)
+            GROUP BY sm.ref_id, sm.variant_id, p.id, p.name, c.name, p.price_no_promo
+        `, [refTable, refIds]);
+
+        rows.forEach(row => {
+            const outQty = parseInt(row.out_qty) || 0;
+            const costedQty = parseInt(row.costed_qty) || 0;
+            const inQty = parseInt(row.in_qty) || 0;
+            const outCost = parseFloat(row.out_cost) || 0;
+            const inCost = parseFloat(row.in_cost) || 0;
+
+            // Sales: goods put back by edits leave at the average cost they went out at.
+            // Returns: returned goods (IN) carry their own cost, replacements (OUT) theirs
+            const cogs = refTable === 'transactions'
+                ? (costedQty > 0 ? outCost / costedQty : 0) * (outQty - inQty)
+                : outCost - inCost;
+
+            if (!lines.has(row.ref_id)) lines.set(row.ref_id, []);
+            lines.get(row.ref_id).push({
+                variant_id: row.variant_id,
+                product_id: row.product_id,
+                product_name: row.product_name,
+                color_name: row.color_name,
+                list_price: parseInt(row.list_price) || 0,
+                quantity: outQty - inQty,
+                returned_qty: inQty,
+                cogs,
+                uncosted_qty: outQty - costedQty
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Spread a sale's revenue (or a return's refund, sign -1) over its lines by list value;
+     * a sale with no stock movements becomes one line without a product
+     * @param {Object} record - Sale or return row { date, revenue, promo_type, pic_sales }
+     * @param {Array} movementLines - Lines from getMovementLines()
+     * @param {number} sign - 1 for sales, -1 for returns
+     * @returns {Array} Report lines
+     */
+    static splitRevenue(record, movementLines, sign) {
+        const amount = (parseInt(record.revenue) || 0) * sign;
+        const base = {
+            date: TransactionService.toPlainValue(record.date),
+            promo_type: record.promo_type,
+            pic_sales: record.pic_sales
+        };
+
+        if (movementLines.length === 0) {
+            return [{ ...base, product_id: null, product_name: null, color_name: null, revenue: amount, cogs: 0, quantity: 0, uncosted_qty: 0 }];
+        }
+
+        // Sales weigh what was sold; refunds weigh what came back
+        const weights = movementLines.map(line => Math.max(sign > 0 ? line.quantity : line.returned_qty, 0) * (line.list_price || 1));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let allocated = 0;
+
+        return movementLines.map((line, index) => {
+            const revenue = index === movementLines.length - 1
+                ? amount - allocated
+                : (totalWeight > 0 ? Math.round(amount * weights[index] / totalWeight) : 0);
+            allocated += revenue;
+
+            return {
+                ...base,
+                product_id: line.product_id,
+                product_name: line.product_name,
+                color_name: line.color_name,
+                revenue,
+                cogs: line.cogs,
+                quantity: line.quantity,
+                uncosted_qty: line.uncosted_qty
+            };
+        });
+    }
+
+    /**
+     * Round a bucket and add gross profit and margin %
+     * @param {Object} bucket - { revenue, cogs, ... }
+     * @returns {Object} Bucket with gross_profit and margin_percent (null without revenue)
+     */
+    static summarize(bucket) {
+        const revenue = Math.round(bucket.revenue);
+        const cogs = Math.round(bucket.cogs);
+        const grossProfit = revenue - cogs;
+
+        return {
+            ...bucket,
+            revenue,
+            cogs,
+            gross_profit: grossProfit,
+            margin_percent: revenue > 0 ? Math.round(grossProfit / revenue * 1000) / 10 : null
+        };
+    }
+}
+
+module.exports = ReportService;
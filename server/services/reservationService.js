@@ -0,0 +1,293 @@
+const db = require('../db');
+
+// Days a reservation holds stock when it is created without expires_at
+const HOLD_DAYS = parseInt(process.env.RESERVATION_HOLD_DAYS) > 0 ? parseInt(process.env.RESERVATION_HOLD_DAYS) : 14;
+
+// A reservation holds stock while it is ACTIVE and not past its expires_at
+const HOLDING = "r.status = 'ACTIVE' AND (r.expires_at IS NULL OR r.expires_at > NOW())";
+
+/**
+ * Reservation Service
+ * Stock held for pre-orders and custom orders until they are sold, released or expire
+ */
+class ReservationService {
+    /**
+     * Default expiry of a new reservation
+     * @returns {Date} HOLD_DAYS from now
+     */
+    static getDefaultExpiry() {
+        const expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + HOLD_DAYS);
+        return expiresAt;
+    }
+
+    /**
+     * Quantity held per variant/location by active reservations
+     * @param {Object} params - { variantIds (optional), excludeReservationId }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Map>} "variantId-locationId" → qty
+     */
+    static async getReservedQuantities({ variantIds = null, excludeReservationId = null } = {}, connection = db) {
+        if (variantIds && variantIds.length === 0) {
+            return new Map();
+        }
+
+        let query = `
+            SELECT ri.variant_id, ri.location_id, SUM(ri.qty) AS qty
+            FROM stock_reservation_items ri
+            JOIN stock_reservations r ON ri.reservation_id = r.id
+            WHERE ${HOLDING}
+        `;
+        const params = [];
+
+        if (variantIds) {
+            query += ' AND ri.variant_id IN (?)';
+            params.push(variantIds);
+        }
+
+        if (excludeReservationId) {
+            query += ' AND r.id <> ?';
+            params.push(excludeReservationId);
+        }
+
+        query += ' GROUP BY ri.variant_id, ri.location_id';
+
+        const [rows] = await connection.query(query, params);
+
+        return new Map(rows.map(row => [`${row.variant_id}-${row.location_id}`, parseInt(row.qty) || 0]));
+    }
+
+    /**
+     * Quantity of a variant held at a location by active reservations
+     * @param {number} variantId - Variant ID
+     * @param {number} locationId - Location ID
+     * @param {Object} options - { excludeReservationId } (a reservation being sold does not hold against itself)
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number>} Reserved quantity
+     */
+    static async getReservedQty(variantId, locationId, { excludeReservationId = null } = {}, connection = db) {
+        const reserved = await this.getReservedQuantities({ variantIds: [variantId], excludeReservationId }, connection);
+        return reserved.get(`${variantId}-${locationId}`) || 0;
+    }
+
+    /**
+     * Mark active reservations past their expiry as EXPIRED. They stop holding stock at
+     * expires_at anyway; this only brings the status in line
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number>} Reservations expired
+     */
+    static async expireDue(connection = db) {
+        const [result] = await connection.execute(
+            `UPDATE stock_reservations
+             SET status = 'EXPIRED', closed_at = CURRENT_TIMESTAMP
+             WHERE status = 'ACTIVE' AND expires_at IS NOT NULL AND expires_at <= NOW()`
+        );
+        return result.affectedRows;
+    }
+
+    /**
+     * List reservations with their total quantity
+     * @param {Object} params - { status, search }
+     * @returns {Promise<Array>} Reservations, newest first
+     */
+    static async listReservations({ status, search } = {}) {
+        await this.expireDue();
+
+        let query = `
+            SELECT r.*, COALESCE(SUM(ri.qty), 0) AS total_qty, COUNT(ri.id) AS item_count
+            FROM stock_reservations r
+            LEFT JOIN stock_reservation_items ri ON ri.reservation_id = r.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            query += ' AND r.status = ?';
+            params.push(status);
+        }
+
+        if (search) {
+            query += ' AND (r.reservation_code LIKE ? OR r.order_ref LIKE ? OR r.customer_name LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        query += ' GROUP BY r.id ORDER BY r.created_at DESC, r.id DESC';
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => ({
+            ...row,
+            total_qty: parseInt(row.total_qty) || 0,
+            item_count: parseInt(row.item_count) || 0
+        }));
+    }
+
+    /**
+     * Get a reservation with its items
+     * @param {number} reservationId - Reservation ID
+     * @param {Object} connection - Database connection
+     * @param {Object} options - { forUpdate } locks the reservation row until commit
+     * @returns {Promise<Object|null>} Reservation, or null when not found
+     */
+    static async getReservation(reservationId, connection = db, { forUpdate = false } = {}) {
+        const [rows] = await connection.execute(
+            `SELECT r.*, (${HOLDING}) AS is_holding
+             FROM stock_reservations r
+             WHERE r.id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+            [reservationId]
+        );
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const [items] = await connection.execute(`
+            SELECT ri.*,
+                   p.id AS product_id,
+                   p.name AS product_name,
+                   c.id AS color_id,
+                   c.name AS color_name,
+                   s.id AS size_id,
+                   s.name AS size_name,
+                   l.code AS location_code,
+                   l.name AS location_name
+            FROM stock_reservation_items ri
+            JOIN product_color_sizes pcs ON ri.variant_id = pcs.id
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            JOIN products p ON pc.product_id = p.id
+            JOIN colors c ON pc.color_id = c.id
+            JOIN sizes s ON pcs.size_id = s.id
+            JOIN locations l ON ri.location_id = l.id
+            WHERE ri.reservation_id = ?
+            ORDER BY ri.id
+        `, [reservationId]);
+
+        return {
+            ...rows[0],
+            is_holding: Boolean(rows[0].is_holding),
+            items
+        };
+    }
+
+    /**
+     * Create a reservation. Each line's balance is locked and must have enough stock that is
+     * not already reserved; if any line falls short nothing is reserved
+     * @param {Object} params - { orderType, orderRef, customerName, expiresAt, note, lines: [{ line, variant_id, location_id, qty }], createdBy }
+     * @returns {Promise<Object>} { reservation } or { errors: [{ line, variant_id, location_id, quantity, qty_available, code, error }] }
+     */
+    static async createReservation({ orderType = 'PRE_ORDER', orderRef = null, customerName = null, expiresAt = null, note = null, lines, createdBy }) {
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const errors = [];
+            const requested = new Map();
+
+            for (const { line, variant_id: variantId, location_id: locationId, qty } of lines) {
+                const [balanceRows] = await connection.execute(
+                    `SELECT qty_on_hand FROM stock_balances
+                     WHERE variant_id = ? AND location_id = ?
+                     FOR UPDATE`,
+                    [variantId, locationId]
+                );
+
+                // Lines for the same variant and location draw on the same stock
+                const key = `${variantId}-${locationId}`;
+                const alreadyRequested = requested.get(key) || 0;
+                const available = (balanceRows[0]?.qty_on_hand || 0)
+                    - await this.getReservedQty(variantId, locationId, {}, connection)
+                    - alreadyRequested;
+
+                if (available < qty) {
+                    errors.push({
+                        line,
+                        variant_id: variantId,
+                        location_id: locationId,
+                        quantity: qty,
+                        qty_available: Math.max(available, 0),
+                        code: 'INSUFFICIENT_AVAILABLE',
+                        error: `Not enough unreserved stock. Available: ${Math.max(available, 0)}, Required: ${qty}`
+                    });
+                }
+
+                requested.set(key, alreadyRequested + qty);
+            }
+
+            if (errors.length > 0) {
+                await connection.rollback();
+                return { errors };
+            }
+
+            const [result] = await connection.execute(`
+                INSERT INTO stock_reservations
+                (reservation_code, order_type, order_ref, customer_name, expires_at, note, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [`TMP-${Date.now()}`, orderType, orderRef || null, customerName || null, expiresAt || null, note || null, createdBy]);
+
+            const reservationId = result.insertId;
+
+            // Code follows the PREFIX-{id} pattern used for other reference codes
+            await connection.execute(
+                'UPDATE stock_reservations SET reservation_code = ? WHERE id = ?',
+                [`RSV-${reservationId}`, reservationId]
+            );
+
+            for (const { variant_id: variantId, location_id: locationId, qty } of lines) {
+                await connection.execute(`
+                    INSERT INTO stock_reservation_items (reservation_id, variant_id, location_id, qty)
+                    VALUES (?, ?, ?, ?)
+                `, [reservationId, variantId, locationId, qty]);
+            }
+
+            await connection.commit();
+
+            return { reservation: await this.getReservation(reservationId) };
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Release an active reservation so its stock can be sold to anyone
+     * @param {number} reservationId - Reservation ID
+     * @param {string} closedBy - Username
+     * @returns {Promise<Object|null>} Released reservation, or null when it is not active
+     */
+    static async release(reservationId, closedBy) {
+        const [result] = await db.execute(
+            `UPDATE stock_reservations
+             SET status = 'RELEASED', closed_by = ?, closed_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'ACTIVE'`,
+            [closedBy, reservationId]
+        );
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+
+        return this.getReservation(reservationId);
+    }
+
+    /**
+     * Close a reservation as sold, inside the transaction that posted its SALES_OUT movements
+     * @param {number} reservationId - Reservation ID
+     * @param {number} transactionId - Sale it became
+     * @param {string} closedBy - Username
+     * @param {Object} connTx - Database connection/transaction (required, caller commits)
+     */
+    static async markConverted(reservationId, transactionId, closedBy, connTx) {
+        await connTx.execute(
+            `UPDATE stock_reservations
+             SET status = 'CONVERTED', transaction_id = ?, closed_by = ?, closed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [transactionId, closedBy, reservationId]
+        );
+    }
+}
+
+module.exports = ReservationService;
@@ -0,0 +1,157 @@
+const db = require('../db');
+
+/**
+ * Staff Service
+ * Staff (PIC) master data. Rows that record a PIC keep the staff ID plus the name,
+ * and renaming a staff member rewrites the name everywhere it is referenced.
+ */
+class StaffService {
+    /**
+     * List staff
+     * @param {Object} params - { activeOnly }
+     * @returns {Promise<Array>} Staff, active first then by name
+     */
+    static async listStaff({ activeOnly = false } = {}) {
+        const [rows] = await db.execute(`
+            SELECT * FROM staff
+            ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+            ORDER BY is_active DESC, name ASC
+        `);
+
+        return rows;
+    }
+
+    /**
+     * Get a staff member by ID
+     * @param {number} staffId - Staff ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} Staff member, or null when not found
+     */
+    static async getStaff(staffId, connection = db) {
+        const [rows] = await connection.execute('SELECT * FROM staff WHERE id = ?', [staffId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Create a staff member
+     * @param {Object} data - { name, joinDate, note }
+     * @returns {Promise<Object>} Created staff member
+     */
+    static async createStaff({ name, joinDate = null, note = null }) {
+        const [result] = await db.execute(
+            'INSERT INTO staff (name, join_date, note) VALUES (?, ?, ?)',
+            [name, joinDate, note]
+        );
+
+        return this.getStaff(result.insertId);
+    }
+
+    /**
+     * Update a staff member; a new name is written to every transaction, movement,
+     * opname count, linked user account and commission setting that names them
+     * @param {number} staffId - Staff ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated staff member
+     */
+    static async updateStaff(staffId, updates) {
+        const columns = Object.keys(updates);
+        if (columns.length === 0) {
+            return this.getStaff(staffId);
+        }
+
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const existing = await this.getStaff(staffId, connection);
+
+            await connection.execute(
+                `UPDATE staff SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), staffId]
+            );
+
+            if (updates.name && updates.name !== existing.name) {
+                const newName = updates.name;
+
+                await connection.execute('UPDATE transactions SET pic_sales = ? WHERE pic_sales_staff_id = ?', [newName, staffId]);
+                await connection.execute('UPDATE transactions SET pic = ? WHERE pic_staff_id = ?', [newName, staffId]);
+                await connection.execute('UPDATE stock_movements SET pic = ? WHERE pic_staff_id = ?', [newName, staffId]);
+                await connection.execute('UPDATE stock_opname_items SET counted_by = ? WHERE counted_by_staff_id = ?', [newName, staffId]);
+                await connection.execute('UPDATE users SET name = ? WHERE staff_id = ?', [newName, staffId]);
+
+                // Commission settings are keyed by PIC name; paid payouts keep the name they were paid under
+                await connection.execute('UPDATE commission_rules SET pic = ? WHERE pic = ?', [newName, existing.name]);
+                await connection.execute('UPDATE commission_tiers SET pic = ? WHERE pic = ?', [newName, existing.name]);
+                await connection.execute(
+                    'UPDATE commission_adjustments SET pic = ? WHERE pic = ? AND settled_run_id IS NULL',
+                    [newName, existing.name]
+                );
+            }
+
+            await connection.commit();
+
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        return this.getStaff(staffId);
+    }
+
+    /**
+     * Delete a staff member (callers check countReferences first)
+     * @param {number} staffId - Staff ID
+     */
+    static async deleteStaff(staffId) {
+        await db.execute('DELETE FROM staff WHERE id = ?', [staffId]);
+    }
+
+    /**
+     * Count records that reference a staff member
+     * @param {number} staffId - Staff ID
+     * @returns {Promise<number>} Transactions, movements, opname counts and user accounts linked to them
+     */
+    static async countReferences(staffId) {
+        const [rows] = await db.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM transactions WHERE pic_sales_staff_id = ? OR pic_staff_id = ?) +
+                (SELECT COUNT(*) FROM stock_movements WHERE pic_staff_id = ?) +
+                (SELECT COUNT(*) FROM stock_opname_items WHERE counted_by_staff_id = ?) +
+                (SELECT COUNT(*) FROM users WHERE staff_id = ?) AS total
+        `, [staffId, staffId, staffId, staffId, staffId]);
+
+        return parseInt(rows[0].total) || 0;
+    }
+
+    /**
+     * Resolve the PIC recorded on a write: the chosen active staff member, otherwise the
+     * staff member linked to the user account, otherwise the account's own name
+     * @param {number|null} staffId - Chosen staff ID (optional)
+     * @param {Object} user - Authenticated user (req.user)
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object|null>} { id, name }; null when the chosen staff is unknown or inactive
+     */
+    static async resolvePic(staffId, user, connection = db) {
+        if (staffId) {
+            const [rows] = await connection.execute(
+                'SELECT id, name FROM staff WHERE id = ? AND is_active = TRUE',
+                [staffId]
+            );
+            return rows[0] || null;
+        }
+
+        if (user.staff_id) {
+            const staff = await this.getStaff(user.staff_id, connection);
+            if (staff) {
+                return { id: staff.id, name: staff.name };
+            }
+        }
+
+        return { id: null, name: user.name };
+    }
+}
+
+module.exports = StaffService;
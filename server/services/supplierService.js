@@ -0,0 +1,272 @@
+const db = require('../db');
+
+/**
+ * Supplier Service
+ * Supplier/convection vendor directory and per-supplier spend and delivery reports
+ */
+class SupplierService {
+    /**
+     * List suppliers
+     * @param {Object} params - { q, type, activeOnly }
+     * @returns {Promise<Array>} Suppliers ordered by name
+     */
+    static async listSuppliers({ q, type, activeOnly = false } = {}) {
+        let query = 'SELECT * FROM suppliers WHERE 1=1';
+        const params = [];
+
+        if (q) {
+            query += ' AND (name LIKE ? OR contact_person LIKE ? OR phone LIKE ?)';
+            const searchTerm = `%${q}%`;
+            params.push(searchTerm, searchTerm, searchTerm);
+        }
+
+        if (type) {
+            query += ' AND supplier_type = ?';
+            params.push(type);
+        }
+
+        if (activeOnly) {
+            query += ' AND is_active = TRUE';
+        }
+
+        query += ' ORDER BY name ASC';
+
+        const [rows] = await db.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * Get a supplier by ID
+     * @param {number} supplierId - Supplier ID
+     * @returns {Promise<Object|null>} Supplier, or null when not found
+     */
+    static async getSupplier(supplierId) {
+        const [rows] = await db.execute('SELECT * FROM suppliers WHERE id = ?', [supplierId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Create a supplier
+     * @param {Object} data - Supplier columns
+     * @returns {Promise<Object>} Created supplier
+     */
+    static async createSupplier({ name, supplierType = 'CONVECTION', contactPerson = null, phone = null, email = null, address = null, paymentTermsDays = 0, paymentTermsNote = null, note = null }) {
+        const [result] = await db.execute(`
+            INSERT INTO suppliers
+            (name, supplier_type, contact_person, phone, email, address, payment_terms_days, payment_terms_note, note)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [name, supplierType, contactPerson, phone, email, address, parseInt(paymentTermsDays) || 0, paymentTermsNote, note]);
+
+        return this.getSupplier(result.insertId);
+    }
+
+    /**
+     * Update a supplier; only the given columns change
+     * @param {number} supplierId - Supplier ID
+     * @param {Object} updates - Column → value
+     * @returns {Promise<Object>} Updated supplier
+     */
+    static async updateSupplier(supplierId, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            await db.execute(
+                `UPDATE suppliers SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), supplierId]
+            );
+        }
+
+        return this.getSupplier(supplierId);
+    }
+
+    /**
+     * Delete a supplier (callers check countReferences first)
+     * @param {number} supplierId - Supplier ID
+     */
+    static async deleteSupplier(supplierId) {
+        await db.execute('DELETE FROM suppliers WHERE id = ?', [supplierId]);
+    }
+
+    /**
+     * Count records that reference a supplier
+     * @param {number} supplierId - Supplier ID
+     * @returns {Promise<number>} Expenses + purchase orders linked to the supplier
+     */
+    static async countReferences(supplierId) {
+        const [rows] = await db.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM transactions WHERE supplier_id = ?) +
+                (SELECT COUNT(*) FROM purchase_orders WHERE supplier_id = ?) AS total
+        `, [supplierId, supplierId]);
+
+        return parseInt(rows[0].total) || 0;
+    }
+
+    /**
+     * Spend per supplier: expenses paid (non-voided pengeluaran) and value of goods received
+     * @param {Object} params - { start, end }
+     * @returns {Promise<Array>} One row per supplier, highest spend first
+     */
+    static async getSpendReport({ start, end } = {}) {
+        const expenseParams = [];
+        let expenseFilter = '';
+        if (start) {
+            expenseFilter += ' AND t.date >= ?';
+            expenseParams.push(start);
+        }
+        if (end) {
+            expenseFilter += ' AND t.date <= ?';
+            expenseParams.push(end);
+        }
+
+        const [expenseRows] = await db.execute(`
+            SELECT t.supplier_id,
+                   COUNT(*) AS expense_count,
+                   COALESCE(SUM(t.amount), 0) AS expense_total,
+                   COALESCE(SUM(CASE WHEN t.expense_category = 'Produksi' THEN t.amount ELSE 0 END), 0) AS production_total
+            FROM transactions t
+            WHERE t.type = 'pengeluaran'
+              AND t.supplier_id IS NOT NULL
+              AND t.voided_at IS NULL
+              ${expenseFilter}
+            GROUP BY t.supplier_id
+        `, expenseParams);
+
+        const receiptRows = await this.getReceiptTotals({ start, end });
+
+        const suppliers = await this.listSuppliers();
+        const expenses = new Map(expenseRows.map(row => [row.supplier_id, row]));
+        const receipts = new Map(receiptRows.map(row => [row.supplier_id, row]));
+
+        return suppliers
+            .map(supplier => {
+                const expense = expenses.get(supplier.id) || {};
+                const receipt = receipts.get(supplier.id) || {};
+
+                return {
+                    supplier_id: supplier.id,
+                    supplier_name: supplier.name,
+                    supplier_type: supplier.supplier_type,
+                    expense_count: parseInt(expense.expense_count) || 0,
+                    expense_total: parseInt(expense.expense_total) || 0,
+                    production_total: parseInt(expense.production_total) || 0,
+                    received_value: parseFloat(receipt.delivered_value) || 0
+                };
+            })
+            .filter(row => row.expense_count > 0 || row.received_value > 0)
+            .sort((a, b) => b.expense_total - a.expense_total || b.received_value - a.received_value);
+    }
+
+    /**
+     * Delivered quantities, cost and lead time per supplier
+     * Lead time is receipt date minus order date, averaged over receipts
+     * @param {Object} params - { start, end } on the receipt date
+     * @returns {Promise<Array>} One row per supplier with deliveries or open orders
+     */
+    static async getDeliveryReport({ start, end } = {}) {
+        const receiptRows = await this.getReceiptTotals({ start, end });
+
+        const params = [];
+        let filter = '';
+        if (start) {
+            filter += ' AND gr.receipt_date >= ?';
+            params.push(start);
+        }
+        if (end) {
+            filter += ' AND gr.receipt_date <= ?';
+            params.push(end);
+        }
+
+        const [leadRows] = await db.execute(`
+            SELECT po.supplier_id,
+                   AVG(DATEDIFF(gr.receipt_date, po.order_date)) AS avg_lead_days,
+                   SUM(CASE WHEN po.expected_date IS NOT NULL THEN 1 ELSE 0 END) AS receipts_with_due_date,
+                   SUM(CASE WHEN po.expected_date IS NOT NULL AND gr.receipt_date <= po.expected_date THEN 1 ELSE 0 END) AS receipts_on_time
+            FROM goods_receipts gr
+            JOIN purchase_orders po ON gr.po_id = po.id
+            WHERE po.supplier_id IS NOT NULL
+              ${filter}
+            GROUP BY po.supplier_id
+        `, params);
+
+        const [openRows] = await db.execute(`
+            SELECT po.supplier_id,
+                   SUM(GREATEST(poi.qty_ordered - poi.qty_received, 0)) AS qty_outstanding
+            FROM purchase_order_items poi
+            JOIN purchase_orders po ON poi.po_id = po.id
+            WHERE po.status IN ('OPEN', 'PARTIAL')
+              AND po.supplier_id IS NOT NULL
+            GROUP BY po.supplier_id
+        `);
+
+        const suppliers = await this.listSuppliers();
+        const receipts = new Map(receiptRows.map(row => [row.supplier_id, row]));
+        const leads = new Map(leadRows.map(row => [row.supplier_id, row]));
+        const open = new Map(openRows.map(row => [row.supplier_id, row]));
+
+        return suppliers
+            .map(supplier => {
+                const receipt = receipts.get(supplier.id) || {};
+                const lead = leads.get(supplier.id) || {};
+                const qtyDelivered = parseInt(receipt.qty_delivered) || 0;
+                const deliveredValue = parseFloat(receipt.delivered_value) || 0;
+                const withDueDate = parseInt(lead.receipts_with_due_date) || 0;
+
+                return {
+                    supplier_id: supplier.id,
+                    supplier_name: supplier.name,
+                    supplier_type: supplier.supplier_type,
+                    receipt_count: parseInt(receipt.receipt_count) || 0,
+                    qty_delivered: qtyDelivered,
+                    delivered_value: deliveredValue,
+                    avg_unit_cost: qtyDelivered > 0 ? Math.round(deliveredValue / qtyDelivered) : null,
+                    avg_lead_days: lead.avg_lead_days !== undefined && lead.avg_lead_days !== null
+                        ? Math.round(parseFloat(lead.avg_lead_days) * 10) / 10
+                        : null,
+                    on_time_rate: withDueDate > 0
+                        ? Math.round((parseInt(lead.receipts_on_time) || 0) / withDueDate * 100)
+                        : null,
+                    qty_outstanding: parseInt(open.get(supplier.id)?.qty_outstanding) || 0
+                };
+            })
+            .filter(row => row.receipt_count > 0 || row.qty_outstanding > 0)
+            .sort((a, b) => b.qty_delivered - a.qty_delivered);
+    }
+
+    /**
+     * Received quantity and value per supplier from goods receipt movements
+     * @param {Object} params - { start, end } on the receipt date
+     * @returns {Promise<Array>} [{ supplier_id, receipt_count, qty_delivered, delivered_value }]
+     */
+    static async getReceiptTotals({ start, end } = {}) {
+        const params = [];
+        let filter = '';
+        if (start) {
+            filter += ' AND gr.receipt_date >= ?';
+            params.push(start);
+        }
+        if (end) {
+            filter += ' AND gr.receipt_date <= ?';
+            params.push(end);
+        }
+
+        const [rows] = await db.execute(`
+            SELECT po.supplier_id,
+                   COUNT(DISTINCT gr.id) AS receipt_count,
+                   COALESCE(SUM(sm.qty), 0) AS qty_delivered,
+                   COALESCE(SUM(sm.qty * COALESCE(sm.unit_cost, 0)), 0) AS delivered_value
+            FROM goods_receipts gr
+            JOIN purchase_orders po ON gr.po_id = po.id
+            JOIN stock_movements sm ON sm.ref_table = 'goods_receipts'
+                AND sm.ref_id = gr.id
+                AND sm.reason_code IN ('OVERPROD_IN', 'PURCHASE_IN')
+            WHERE po.supplier_id IS NOT NULL
+              ${filter}
+            GROUP BY po.supplier_id
+        `, params);
+
+        return rows;
+    }
+}
+
+module.exports = SupplierService;
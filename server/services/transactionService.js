@@ -0,0 +1,577 @@
+const db = require('../db');
+const MovementService = require('./movementService');
+const ReservationService = require('./reservationService');
+
+// Location codes a sale or gift line takes stock from when it names no location_id: the first
+// with enough stock wins, else the first one. Empty means the default location only
+const SALES_LOCATION_ORDER = (process.env.SALES_LOCATION_ORDER || '')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+
+/**
+ * Transaction Service
+ * Keeps sales/gift stock movements in step with the items stored on a transaction
+ */
+class TransactionService {
+    /**
+     * Parse a JSON column that may come back as a string or already decoded
+     * @param {*} value - Column value
+     * @returns {*} Decoded value or null
+     */
+    static parseJson(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'string') return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Convert a column value for comparison/history (DATE columns become YYYY-MM-DD)
+     * @param {*} value - Column value
+     * @returns {*} Plain value
+     */
+    static toPlainValue(value) {
+        if (value instanceof Date) {
+            const month = String(value.getMonth() + 1).padStart(2, '0');
+            const day = String(value.getDate()).padStart(2, '0');
+            return `${value.getFullYear()}-${month}-${day}`;
+        }
+
+        return value ?? null;
+    }
+
+    /**
+     * Compare a stored value with a submitted one (numbers compare numerically, objects by JSON)
+     * @returns {boolean} True when unchanged
+     */
+    static isSameValue(a, b) {
+        if (a !== null && b !== null && a !== '' && b !== '' && !isNaN(a) && !isNaN(b)) {
+            return Number(a) === Number(b);
+        }
+
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Stock reference code used for a transaction's movements
+     * @param {Object} transaction - Transaction row
+     * @returns {string} TXN-{id} for sales, GIFT-{id} for gifts
+     */
+    static getRefCode(transaction) {
+        return transaction.type === 'gift' ? `GIFT-${transaction.id}` : `TXN-${transaction.id}`;
+    }
+
+    /**
+     * Find the existing variant of a line item (product + color/size ids or names) without
+     * creating one, saying why when there is none
+     * @param {Object} item - Item from the items/free_items JSON
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} { variantId }, or { code, error } when it cannot be resolved
+     */
+    static async findItemVariant(item, connection) {
+        let colorId = item.color_id;
+        let sizeId = item.size_id;
+
+        if (!item.product_id) {
+            return { code: 'MISSING_FIELDS', error: 'Item has no product_id' };
+        }
+
+        if (!colorId && item.color) {
+            const [colorRows] = await connection.execute('SELECT id FROM colors WHERE name = ?', [item.color]);
+            colorId = colorRows[0]?.id;
+            if (!colorId) return { code: 'UNKNOWN_COLOR', error: `Unknown color "${item.color}"` };
+        }
+
+        if (!sizeId && item.size) {
+            const [sizeRows] = await connection.execute('SELECT id FROM sizes WHERE name = ?', [item.size]);
+            sizeId = sizeRows[0]?.id;
+            if (!sizeId) return { code: 'UNKNOWN_SIZE', error: `Unknown size "${item.size}"` };
+        }
+
+        if (!colorId || !sizeId) {
+            return { code: 'MISSING_FIELDS', error: 'Item needs a color and a size' };
+        }
+
+        const [rows] = await connection.execute(`
+            SELECT pcs.id
+            FROM product_color_sizes pcs
+            JOIN product_colors pc ON pcs.product_color_id = pc.id
+            WHERE pc.product_id = ? AND pc.color_id = ? AND pcs.size_id = ?
+        `, [item.product_id, colorId, sizeId]);
+
+        if (rows.length === 0) {
+            return { code: 'MISSING_VARIANT', error: 'Product has no variant with this color and size' };
+        }
+
+        return { variantId: rows[0].id };
+    }
+
+    /**
+     * Locations sales pick stock from, in SALES_LOCATION_ORDER (or just the default location)
+     * @param {Array} locations - All location rows
+     * @returns {Array} Location rows in picking order
+     */
+    static getSalesLocationOrder(locations) {
+        const ordered = SALES_LOCATION_ORDER
+            .map(code => locations.find(location => location.code.toUpperCase() === code))
+            .filter(Boolean);
+
+        if (ordered.length > 0) {
+            return ordered;
+        }
+
+        const fallback = locations.find(location => location.is_default) || locations[0];
+        return fallback ? [fallback] : [];
+    }
+
+    /**
+     * First location in picking order with enough of a variant available (on hand less what
+     * reservations hold), else the first one (the movement then fails as short of stock, or
+     * goes negative on a backorder)
+     * @param {number} variantId - Variant ID
+     * @param {number} qty - Quantity needed
+     * @param {Array} candidates - Location rows in picking order
+     * @param {Object} connection - Database connection
+     * @param {Object} options - { excludeReservationId } (the reservation being sold)
+     * @returns {Promise<Object>} Location row
+     */
+    static async pickSalesLocation(variantId, qty, candidates, connection, { excludeReservationId = null } = {}) {
+        const [balanceRows] = await connection.execute(
+            'SELECT location_id, qty_on_hand FROM stock_balances WHERE variant_id = ?',
+            [variantId]
+        );
+        const reserved = await ReservationService.getReservedQuantities({ variantIds: [variantId], excludeReservationId }, connection);
+        const available = new Map(balanceRows.map(row => [
+            row.location_id,
+            (row.qty_on_hand || 0) - (reserved.get(`${variantId}-${row.location_id}`) || 0)
+        ]));
+
+        return candidates.find(location => (available.get(location.id) || 0) >= qty) || candidates[0];
+    }
+
+    /**
+     * Post the SALES_OUT movements of a new sale or gift. A line takes stock from its own
+     * location_id, or from the first location in SALES_LOCATION_ORDER that has enough. Stock
+     * held by reservations is not sold, except a reservation being converted: its lines
+     * default to the reserved location and may use its hold. Every line is tried, so the
+     * caller gets the full list of lines that could not be moved
+     * @param {Object} params - { transactionId, refTable, refId, lines: [{ line, item, qty, refCode, note }], pic, createdBy,
+     *   allowBackorder, reservation } refTable/refId default to the transaction (exchanges post against their return)
+     * @param {Object} connTx - Database connection/transaction (required, caller commits or rolls back)
+     * @returns {Promise<Object>} { movements, errors: [{ line, product_id, name, color, size, quantity, code, error }],
+     *   placements: Map line → { location_id, location_name } }
+     */
+    static async postSaleMovements({
+        transactionId, refTable = 'transactions', refId = transactionId, lines, pic, createdBy, allowBackorder = false, reservation = null
+    }, connTx) {
+        const [locationRows] = await connTx.execute('SELECT id, code, name, is_default FROM locations ORDER BY id');
+        const candidates = this.getSalesLocationOrder(locationRows);
+
+        const movements = [];
+        const errors = [];
+        const placements = new Map();
+        const reservationId = reservation ? reservation.id : null;
+
+        for (const { line, item, qty, refCode, note = null } of lines) {
+            if (!(qty > 0)) continue;
+
+            const lineError = (code, error) => errors.push({
+                line,
+                product_id: item.product_id || null,
+                name: item.name || null,
+                color: item.color || null,
+                size: item.size || null,
+                quantity: qty,
+                code,
+                error
+            });
+
+            const variant = await this.findItemVariant(item, connTx);
+            if (!variant.variantId) {
+                lineError(variant.code, variant.error);
+                continue;
+            }
+
+            const reserved = reservation && !item.location_id
+                ? reservation.items.find(reservedItem => reservedItem.variant_id === variant.variantId)
+                : null;
+
+            let location;
+            if (reserved) {
+                location = locationRows.find(row => row.id === reserved.location_id);
+            } else if (item.location_id) {
+                location = locationRows.find(row => row.id === parseInt(item.location_id));
+                if (!location) {
+                    lineError('UNKNOWN_LOCATION', `Unknown location ${item.location_id}`);
+                    continue;
+                }
+            } else {
+                location = await this.pickSalesLocation(variant.variantId, qty, candidates, connTx, { excludeReservationId: reservationId });
+                if (!location) {
+                    lineError('UNKNOWN_LOCATION', 'No location to take stock from');
+                    continue;
+                }
+            }
+
+            try {
+                movements.push(await MovementService.createMovement({
+                    variantId: variant.variantId,
+                    locationId: location.id,
+                    movementType: 'OUT',
+                    reasonCode: 'SALES_OUT',
+                    qty,
+                    ...(allowBackorder ? { allowNegative: true } : {}),
+                    respectReservations: true,
+                    reservationId,
+                    refTable,
+                    refId,
+                    refCode,
+                    note: allowBackorder ? [note, 'Backorder allowed'].filter(Boolean).join(' - ') : note,
+                    pic,
+                    createdBy
+                }, connTx));
+                placements.set(line, { location_id: location.id, location_name: location.name });
+            } catch (error) {
+                lineError(error.code || 'MOVEMENT_FAILED', error.message);
+            }
+        }
+
+        return { movements, errors, placements };
+    }
+
+    /**
+     * Record on each item the location its stock was taken from
+     * @param {Array} items - items or free_items as submitted
+     * @param {string} field - items | free_items (the line prefix used with postSaleMovements)
+     * @param {Map} placements - From postSaleMovements()
+     * @returns {Array} Items with location_id and location_name where placed
+     */
+    static withPlacements(items, field, placements) {
+        return (items || []).map((item, index) => {
+            const placement = placements.get(`${field}[${index}]`);
+            return placement ? { ...item, ...placement } : item;
+        });
+    }
+
+    /**
+     * Stock lines of a transaction's items with their variants. Free items count as one piece
+     * each, as in POST /api/transactions/create (free extras without a color or size are not
+     * stock items). Variants are only looked up, never created
+     * @param {Object} params - { type, items, freeItems }
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Object>} { lines: [{ line, item, qty, variantId }],
+     *   errors: [{ line, product_id, name, color, size, quantity, code, error }] }
+     */
+    static async resolveStockLines({ type, items = [], freeItems = [] }, connection) {
+        const candidates = (items || []).map((item, index) => ({ line: `items[${index}]`, item, qty: parseInt(item.quantity) || 0 }));
+        if (type === 'penjualan') {
+            (freeItems || []).forEach((item, index) => {
+                if (item.color_id || item.color || item.size_id || item.size) {
+                    candidates.push({ line: `free_items[${index}]`, item, qty: 1 });
+                }
+            });
+        }
+
+        const lines = [];
+        const errors = [];
+
+        for (const { line, item, qty } of candidates) {
+            if (qty <= 0) continue;
+
+            const variant = await this.findItemVariant(item, connection);
+            if (!variant.variantId) {
+                errors.push({
+                    line,
+                    product_id: item.product_id || null,
+                    name: item.name || item.product_name || null,
+                    color: item.color || null,
+                    size: item.size || null,
+                    quantity: qty,
+                    code: variant.code,
+                    error: variant.error
+                });
+                continue;
+            }
+
+            lines.push({ line, item, qty, variantId: variant.variantId });
+        }
+
+        return { lines, errors };
+    }
+
+    /**
+     * Reserved lines a sale does not sell in full. Converting a reservation closes its whole
+     * hold, so every reserved variant must be on the sale in at least the reserved quantity
+     * (other items may be sold with it)
+     * @param {Object} reservation - Reservation with its items (ReservationService.getReservation)
+     * @param {Object} params - { items, freeItems } of the sale
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Array>} [{ variant_id, product_name, color, size, reserved_qty, sold_qty }]
+     */
+    static async getUnsoldReservedItems(reservation, { items, freeItems = [] }, connection) {
+        const { lines } = await this.resolveStockLines({ type: 'penjualan', items, freeItems }, connection);
+
+        const sold = new Map();
+        lines.forEach(({ variantId, qty }) => sold.set(variantId, (sold.get(variantId) || 0) + qty));
+
+        const reserved = new Map();
+        reservation.items.forEach(item => {
+            const entry = reserved.get(item.variant_id) || {
+                variant_id: item.variant_id,
+                product_name: item.product_name,
+                color: item.color_name,
+                size: item.size_name,
+                reserved_qty: 0
+            };
+            entry.reserved_qty += item.qty;
+            reserved.set(item.variant_id, entry);
+        });
+
+        return [...reserved.values()]
+            .map(entry => ({ ...entry, sold_qty: sold.get(entry.variant_id) || 0 }))
+            .filter(entry => entry.sold_qty < entry.reserved_qty);
+    }
+
+    /**
+     * Post only the movements needed to bring the ledger in line with edited items, against
+     * what is already posted for the transaction per variant and location. A line keeps the
+     * stock already taken for it at its location_id (a line without one keeps a location that
+     * holds its whole quantity); quantity no longer sold goes back to the location it left, and
+     * quantity added leaves stock like a new sale through postSaleMovements (the line's
+     * location_id or the sales location order, never reserved stock). Lines that never made it
+     * into stock are not "returned" by an edit
+     * @param {Object} params - { transaction, items, freeItems, note, pic, createdBy, allowBackorder }
+     * @param {Object} connTx - Database connection/transaction (required, caller commits or rolls back)
+     * @returns {Promise<Object>} { movements, errors, placements, unknownVariants } — nothing is posted
+     *   when a line has no existing variant (unknownVariants, as errors in resolveStockLines); errors and
+     *   placements as in postSaleMovements, with placements for every line holding stock
+     */
+    static async repostStock({ transaction, items, freeItems, note = null, pic = null, createdBy = null, allowBackorder = false }, connTx) {
+        const { lines, errors: unknownVariants } = await this.resolveStockLines({ type: transaction.type, items, freeItems }, connTx);
+        if (unknownVariants.length > 0) {
+            return { movements: [], errors: [], placements: new Map(), unknownVariants };
+        }
+
+        const [postedRows] = await connTx.execute(
+            `SELECT variant_id, location_id,
+                    SUM(CASE WHEN movement_type = 'OUT' THEN qty ELSE -qty END) AS net_out
+             FROM stock_movements
+             WHERE ref_table = 'transactions' AND ref_id = ?
+             GROUP BY variant_id, location_id
+             ORDER BY location_id`,
+            [transaction.id]
+        );
+        const posted = postedRows
+            .map(row => ({ variantId: row.variant_id, locationId: row.location_id, qty: parseInt(row.net_out) || 0 }))
+            .filter(stock => stock.qty > 0);
+
+        const [locationRows] = await connTx.execute('SELECT id, name FROM locations');
+        const placeAt = locationId => ({
+            location_id: locationId,
+            location_name: (locationRows.find(row => row.id === locationId) || {}).name || null
+        });
+
+        const placements = new Map();
+        const toPost = [];
+
+        // Lines placed at a location keep what is posted there; the rest of their quantity is new
+        for (const stockLine of lines.filter(({ item }) => parseInt(item.location_id))) {
+            const locationId = parseInt(stockLine.item.location_id);
+            const stock = posted.find(entry => entry.variantId === stockLine.variantId && entry.locationId === locationId);
+            const kept = stock ? Math.min(stockLine.qty, stock.qty) : 0;
+
+            if (kept > 0) {
+                stock.qty -= kept;
+                placements.set(stockLine.line, placeAt(locationId));
+            }
+            if (stockLine.qty > kept) {
+                toPost.push({ ...stockLine, qty: stockLine.qty - kept });
+            }
+        }
+
+        for (const stockLine of lines.filter(({ item }) => !parseInt(item.location_id))) {
+            const stock = posted.find(entry => entry.variantId === stockLine.variantId && entry.qty >= stockLine.qty);
+
+            if (stock) {
+                stock.qty -= stockLine.qty;
+                placements.set(stockLine.line, placeAt(stock.locationId));
+            } else {
+                toPost.push(stockLine);
+            }
+        }
+
+        const refCode = this.getRefCode(transaction);
+        const movements = [];
+
+        // Stock no longer sold goes back where it was taken from, before anything new leaves
+        for (const stock of posted.filter(entry => entry.qty > 0)) {
+            movements.push(await MovementService.createMovement({
+                variantId: stock.variantId,
+                locationId: stock.locationId,
+                movementType: 'IN',
+                reasonCode: 'RETURN_IN',
+                qty: stock.qty,
+                unitCost: await this.getSoldUnitCost(transaction.id, stock.variantId, connTx),
+                refTable: 'transactions',
+                refId: transaction.id,
+                refCode,
+                note,
+                pic,
+                createdBy
+            }, connTx));
+        }
+
+        const stockResult = await this.postSaleMovements({
+            transactionId: transaction.id,
+            lines: toPost.map(({ line, item, qty }) => ({
+                line,
+                item,
+                qty,
+                refCode: line.startsWith('free_items') ? `${refCode}-FREE` : refCode,
+                note
+            })),
+            pic,
+            createdBy,
+            allowBackorder
+        }, connTx);
+
+        movements.push(...stockResult.movements);
+        stockResult.placements.forEach((placement, line) => placements.set(line, placement));
+
+        return { movements, errors: stockResult.errors, placements, unknownVariants };
+    }
+
+    /**
+     * Average cost at which a variant left stock for a sale, so goods coming back
+     * (returns, edits) re-enter at the cost they were sold at
+     * @param {number} transactionId - Sale ID
+     * @param {number} variantId - Variant ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<number|null>} Unit cost, or null when the sale recorded no cost
+     */
+    static async getSoldUnitCost(transactionId, variantId, connection = db) {
+        const [rows] = await connection.execute(
+            `SELECT SUM(qty * unit_cost) / SUM(qty) AS unit_cost
+             FROM stock_movements
+             WHERE ref_table = 'transactions' AND ref_id = ? AND variant_id = ?
+               AND movement_type = 'OUT' AND unit_cost IS NOT NULL`,
+            [transactionId, variantId]
+        );
+
+        return rows[0]?.unit_cost !== null && rows[0]?.unit_cost !== undefined ? parseFloat(rows[0].unit_cost) : null;
+    }
+
+    /**
+     * Quantity already returned per sales line
+     * @param {number} transactionId - Original sale ID
+     * @param {Object} connection - Database connection
+     * @returns {Promise<Map>} line_index → returned qty
+     */
+    static async getReturnedQuantities(transactionId, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT items FROM transaction_returns WHERE transaction_id = ?',
+            [transactionId]
+        );
+
+        const returned = new Map();
+        for (const row of rows) {
+            for (const line of this.parseJson(row.items) || []) {
+                returned.set(line.line_index, (returned.get(line.line_index) || 0) + (parseInt(line.quantity) || 0));
+            }
+        }
+
+        return returned;
+    }
+
+    /**
+     * Amount already refunded on a sale by earlier returns
+     * @param {number} transactionId - Original sale ID
+     * @param {Object} connection - Database connection (holding the sale row FOR UPDATE)
+     * @returns {Promise<number>} Refunded amount
+     */
+    static async getRefundedAmount(transactionId, connection = db) {
+        const [rows] = await connection.execute(
+            'SELECT COALESCE(SUM(refund_amount), 0) AS refunds FROM transaction_returns WHERE transaction_id = ?',
+            [transactionId]
+        );
+
+        return parseFloat(rows[0].refunds) || 0;
+    }
+
+    /**
+     * List returns with the original sale's PIC and payment method
+     * @param {Object} params - { transactionId, start, end, excludeVoided }
+     * @returns {Promise<Array>} Returns, newest first
+     */
+    static async getReturns({ transactionId, start, end, excludeVoided = false } = {}) {
+        let query = `
+            SELECT r.*,
+                   t.date AS sale_date,
+                   t.pic_sales,
+                   t.payment_method AS sale_payment_method,
+                   t.voided_at AS sale_voided_at,
+                   l.code AS location_code,
+                   l.name AS location_name
+            FROM transaction_returns r
+            JOIN transactions t ON r.transaction_id = t.id
+            JOIN locations l ON r.location_id = l.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (transactionId) {
+            query += ' AND r.transaction_id = ?';
+            params.push(transactionId);
+        }
+
+        if (start) {
+            query += ' AND r.date >= ?';
+            params.push(start);
+        }
+
+        if (end) {
+            query += ' AND r.date <= ?';
+            params.push(end);
+        }
+
+        if (excludeVoided) {
+            query += ' AND t.voided_at IS NULL';
+        }
+
+        query += ' ORDER BY r.date DESC, r.id DESC';
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => ({
+            ...row,
+            items: this.parseJson(row.items),
+            replacement_items: this.parseJson(row.replacement_items)
+        }));
+    }
+
+    /**
+     * Get the edit history of a transaction
+     * @param {number} transactionId - Transaction ID
+     * @returns {Promise<Array>} Edits, newest first
+     */
+    static async getEditHistory(transactionId) {
+        const [rows] = await db.execute(
+            `SELECT * FROM transaction_edits
+             WHERE transaction_id = ?
+             ORDER BY created_at DESC, id DESC`,
+            [transactionId]
+        );
+
+        return rows.map(row => ({
+            ...row,
+            changes: this.parseJson(row.changes)
+        }));
+    }
+}
+
+module.exports = TransactionService;